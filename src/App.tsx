@@ -1,35 +1,53 @@
-import React, { JSX } from "react";
+import React, { JSX, lazy, Suspense, useEffect } from "react";
+import { RouterProvider } from "react-router-dom";
 
-import { ReactComponent as ReactLogo } from "@assets/svgs/react.svg";
-import reactLogo from "@assets/images/download.png";
+import IdleTimeoutDialog from "@components/IdleTimeoutDialog/IdleTimeoutDialog";
+import PageLoader from "@components/PageLoader/PageLoader";
+import { router } from "@routes/routes";
+import { addBreadcrumb } from "@services/errors/error.breadcrumbs";
+import { startNotifications } from "@services/notifications/notification.service";
 
 import "./app.css";
 import "./style.scss";
 
+const ToastHost = lazy(() => import("@components/ToastHost/ToastHost"));
+
 /**
  * @component App
  * The root component of the application.
  *
- * This component is a functional React component that renders the main content
- * of the application. It's the entry point for all other components.
+ * This component is a functional React component that renders the route table defined
+ * in `@routes/routes`. Pages are code-split, so the first render of each one suspends
+ * until its chunk is loaded. The idle timeout dialog and the toasts sit next to the
+ * router so that they survive the redirect to the login page. The toasts are loaded on
+ * their own, without holding up the first page; failed API requests are notified from
+ * the start all the same. Every page opened leaves a breadcrumb for error reports.
  *
  * @returns {JSX.Element}
- * A JSX element that renders a `div` containing the text "App".
+ * A JSX element that renders the router of the application.
  */
 const App: React.FC = (): JSX.Element => {
+	useEffect(() => {
+		let { pathname } = router.state.location;
+		addBreadcrumb({ category: "navigation", message: pathname });
+		return router.subscribe(({ location }) => {
+			if (location.pathname !== pathname) {
+				pathname = location.pathname;
+				addBreadcrumb({ category: "navigation", message: pathname });
+			}
+		});
+	}, []);
+
+	useEffect(() => startNotifications(), []);
+
 	return (
-		<div>
-			<h1 className="test">React User Management</h1>
-			<ReactLogo
-				width={50}
-				height={50}
-			/>
-			<img
-				src={reactLogo}
-				alt="React logo"
-				className="react-logo"
-			/>
-		</div>
+		<Suspense fallback={<PageLoader />}>
+			<RouterProvider router={router} />
+			<IdleTimeoutDialog />
+			<Suspense fallback={null}>
+				<ToastHost />
+			</Suspense>
+		</Suspense>
 	);
 };
 
@@ -0,0 +1,220 @@
+import React, { JSX, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+
+import type { ActiveSession } from "@interface/account.interface";
+import { ROUTES } from "@routes/paths";
+import { accountService } from "@services/account/account.service";
+import { describeDevice } from "@services/account/session.device";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./ActiveSessions.module.scss";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" });
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+/**
+ * Units of {@link lastSeen}, largest first, in seconds.
+ */
+const UNITS: readonly [Intl.RelativeTimeFormatUnit, number][] = [
+	["day", 24 * 60 * 60],
+	["hour", 60 * 60],
+	["minute", 60],
+];
+
+/**
+ * How the user signed in, by `amr` value. The first known value names the session.
+ */
+const METHODS: Record<string, string> = {
+	hwk: "a passkey",
+	fed: "single sign-on",
+	otp: "a password and an authenticator app",
+	pwd: "a password",
+};
+
+/**
+ * Says how long ago a session was used, e.g. "5 minutes ago"; under a minute is "now".
+ *
+ * @param {string} date - ISO 8601 date.
+ * @returns {string} The relative time.
+ */
+const lastSeen = (date: string): string => {
+	const seconds = (Date.parse(date) - Date.now()) / 1000;
+	const [unit, size] = UNITS.find(([, length]) => Math.abs(seconds) >= length) ?? [];
+	return unit && size ?
+			relativeFormat.format(Math.round(seconds / size), unit)
+		:	relativeFormat.format(0, "second");
+};
+
+/**
+ * Names the device of a session, e.g. "Firefox 128 on Linux".
+ *
+ * @param {ActiveSession} session - The session.
+ * @returns {string} The label.
+ */
+const deviceLabel = ({ userAgent }: ActiveSession): string => {
+	const { browser, os } = describeDevice(userAgent);
+	return `${browser} on ${os}`;
+};
+
+/**
+ * @component ActiveSessions
+ * Where the signed-in user is signed in: one entry per session with its device, browser,
+ * address and last activity, and buttons to sign out of one of them or of all the
+ * others. A device signed out this way is asked to sign in again at its next request.
+ *
+ * Signing out of the current session is a regular sign-out and leads to the login page.
+ *
+ * @returns {JSX.Element}
+ */
+const ActiveSessions: React.FC = (): JSX.Element => {
+	const [sessions, setSessions] = useState<ActiveSession[] | null>(null);
+	const [error, setError] = useState<string | null>(null);
+	const [status, setStatus] = useState("");
+	const [busy, setBusy] = useState(false);
+	const navigate = useNavigate();
+
+	useEffect(() => {
+		const controller = new AbortController();
+		accountService
+			.listSessions(sessionService.requireAccessToken(), controller.signal)
+			.then(setSessions)
+			.catch(() => {
+				if (!controller.signal.aborted) {
+					setError("Your sessions could not be loaded.");
+				}
+			});
+		return () => controller.abort();
+	}, []);
+
+	const others = sessions?.filter((session) => !session.current) ?? [];
+
+	const handleRevoke = async (session: ActiveSession) => {
+		if (session.current) {
+			await sessionService.signOut();
+			navigate(ROUTES.login, { replace: true });
+			return;
+		}
+		const label = deviceLabel(session);
+		if (!window.confirm(`Sign out ${label}? It will have to sign in again.`)) {
+			return;
+		}
+		setError(null);
+		setStatus("");
+		try {
+			await accountService.revokeSession(sessionService.requireAccessToken(), session.id);
+			setSessions((current) => current?.filter(({ id }) => id !== session.id) ?? null);
+			setStatus(`${label} was signed out.`);
+		} catch {
+			setError("The session could not be signed out. Please try again.");
+		}
+	};
+
+	const handleRevokeOthers = async () => {
+		if (
+			!window.confirm("Sign out every other session? Those devices will have to sign in again.")
+		) {
+			return;
+		}
+		setError(null);
+		setStatus("");
+		setBusy(true);
+		try {
+			const { revoked } = await accountService.revokeOtherSessions(
+				sessionService.requireAccessToken()
+			);
+			setSessions((current) => current?.filter((session) => session.current) ?? null);
+			setStatus(
+				revoked === 1 ?
+					"1 other session was signed out."
+				:	`${revoked} other sessions were signed out.`
+			);
+		} catch {
+			setError("The other sessions could not be signed out. Please try again.");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<div className={styles.sessions}>
+			{error && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{status}
+			</p>
+			{sessions === null ?
+				!error && <p>Loading your sessions…</p>
+			:	<ul
+					className={styles.list}
+					aria-label="Your sessions"
+				>
+					{sessions.map((session) => {
+						const { kind } = describeDevice(session.userAgent);
+						const method = session.amr.map((value) => METHODS[value]).find(Boolean);
+						return (
+							<li
+								key={session.id}
+								className={styles.item}
+							>
+								<div>
+									<strong>
+										{deviceLabel(session)}
+										{session.current && <span className={styles.current}>This device</span>}
+									</strong>
+									<span className={formStyles.hint}>
+										{kind === "desktop" ?
+											"Computer"
+										: kind === "mobile" ?
+											"Phone"
+										:	"Tablet"}
+										{session.ip && ` · ${session.ip}`}
+										{" · "}
+										{session.current ? "Active now" : `Last active ${lastSeen(session.lastSeenAt)}`}
+									</span>
+									<span className={formStyles.hint}>
+										Signed in {dateFormat.format(new Date(session.createdAt))}
+										{method && ` with ${method}`}
+									</span>
+								</div>
+								<button
+									className={formStyles.secondary}
+									type="button"
+									onClick={() => handleRevoke(session)}
+									aria-label={
+										session.current ? "Sign out of this device" : `Sign out ${deviceLabel(session)}`
+									}
+								>
+									Sign out
+								</button>
+							</li>
+						);
+					})}
+				</ul>
+			}
+			{others.length > 0 && (
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.danger}
+						type="button"
+						onClick={handleRevokeOthers}
+						disabled={busy}
+					>
+						{busy ? "Signing out…" : "Sign out everywhere else"}
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default ActiveSessions;
@@ -0,0 +1,55 @@
+import React, { JSX } from "react";
+
+import styles from "./Avatar.module.scss";
+
+/**
+ * Props of {@link Avatar}.
+ */
+interface AvatarProps {
+	/** Name of the person, for the initials and the text alternative. */
+	name: string;
+	/** The picture; the initials are shown without one. */
+	url?: string;
+	/** Width and height, in pixels. */
+	size?: number;
+}
+
+/**
+ * Up to two initials of a name, e.g. `JD` for "Jane Doe".
+ *
+ * @param {string} name - The name.
+ * @returns {string} The initials, upper case.
+ */
+const initialsOf = (name: string): string =>
+	name
+		.split(/\s+/)
+		.filter(Boolean)
+		.slice(0, 2)
+		.map((part) => part[0].toUpperCase())
+		.join("");
+
+/**
+ * @component Avatar
+ * Round picture of a user, or their initials when they have not chosen one.
+ *
+ * @param {AvatarProps} props
+ * @returns {JSX.Element}
+ */
+const Avatar: React.FC<AvatarProps> = ({ name, url, size = 32 }): JSX.Element =>
+	url ?
+		<img
+			className={styles.avatar}
+			src={url}
+			alt=""
+			width={size}
+			height={size}
+		/>
+	:	<span
+			className={styles.avatar}
+			style={{ width: size, height: size, fontSize: size * 0.4 }}
+			aria-hidden="true"
+		>
+			{initialsOf(name)}
+		</span>;
+
+export default Avatar;
@@ -0,0 +1,70 @@
+import React, { Children, cloneElement, isValidElement, JSX } from "react";
+
+import { usePermission } from "@hooks/usePermission";
+import type { AccessTarget, Action, Resource } from "@interface/rbac.interface";
+
+/**
+ * Props of {@link Can}.
+ */
+interface CanProps {
+	/** The action to check, e.g. `delete`. */
+	action: Action;
+	/** The resource to check, e.g. `users`. */
+	resource: Resource;
+	/** The instance acted upon, for ownership and tenant conditions. */
+	target?: AccessTarget;
+	/** Render the children disabled instead of hiding them when access is denied. */
+	disable?: boolean;
+	/** Rendered instead of the children when access is denied and `disable` is off. */
+	fallback?: React.ReactNode;
+	children: React.ReactNode | ((allowed: boolean) => React.ReactNode);
+}
+
+/**
+ * @component Can
+ * Renders its children only when the signed-in user may perform `action` on `resource`.
+ *
+ * With `disable`, denied children stay visible but every element child receives
+ * `disabled` and `aria-disabled`. A function child receives the decision and renders
+ * whatever fits.
+ *
+ * @param {CanProps} props
+ * @returns {JSX.Element}
+ *
+ * * Example Usage:
+ * <Can action="delete" resource="users" target={{ tenantId: user.tenantId }} disable>
+ *   <button onClick={remove}>Delete</button>
+ * </Can>
+ */
+const Can: React.FC<CanProps> = ({
+	action,
+	resource,
+	target,
+	disable = false,
+	fallback = null,
+	children,
+}): JSX.Element => {
+	const allowed = usePermission(action, resource, target);
+
+	if (typeof children === "function") {
+		return <>{children(allowed)}</>;
+	}
+	if (allowed) {
+		return <>{children}</>;
+	}
+	if (!disable) {
+		return <>{fallback}</>;
+	}
+
+	return (
+		<>
+			{Children.map(children, (child) =>
+				isValidElement<{ disabled?: boolean; "aria-disabled"?: boolean }>(child) ?
+					cloneElement(child, { disabled: true, "aria-disabled": true })
+				:	child
+			)}
+		</>
+	);
+};
+
+export default Can;
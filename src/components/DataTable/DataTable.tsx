@@ -0,0 +1,316 @@
+import React, { JSX, useEffect, useRef } from "react";
+import { type ColumnDef, flexRender, type Header, type Table } from "@tanstack/react-table";
+
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./DataTable.module.scss";
+
+/**
+ * Props of {@link DataTable}.
+ */
+export interface DataTableProps<T> {
+	/** The table instance, created with `manualPagination` and a `rowCount`. */
+	table: Table<T>;
+	/** Accessible name of the table. */
+	label: string;
+	/** `true` while a page is loading; the rows of the previous page stay visible. */
+	loading?: boolean;
+	/** Page sizes offered in the footer. */
+	pageSizes: readonly number[];
+	/** Shown instead of the rows when the page is empty. */
+	emptyMessage?: string;
+}
+
+/**
+ * Props of {@link Checkbox}.
+ */
+interface CheckboxProps extends React.InputHTMLAttributes<HTMLInputElement> {
+	indeterminate?: boolean;
+}
+
+/**
+ * @component Checkbox
+ * Checkbox with an `indeterminate` prop, which HTML only exposes as a DOM property.
+ *
+ * @returns {JSX.Element}
+ */
+const Checkbox: React.FC<CheckboxProps> = ({ indeterminate = false, ...props }): JSX.Element => {
+	const ref = useRef<HTMLInputElement>(null);
+
+	useEffect(() => {
+		if (ref.current) {
+			ref.current.indeterminate = indeterminate;
+		}
+	}, [indeterminate]);
+
+	return (
+		<input
+			ref={ref}
+			type="checkbox"
+			{...props}
+		/>
+	);
+};
+
+/**
+ * Builds the row selection column: a checkbox per row, and one in the header selecting
+ * the rows of the current page.
+ *
+ * @param {(row: T) => string} describe - Names a row for the checkbox label.
+ * @returns {ColumnDef<T>} The column, with the ID `select`.
+ */
+export const selectionColumn = <T,>(describe: (row: T) => string): ColumnDef<T> => ({
+	id: "select",
+	enableHiding: false,
+	enableSorting: false,
+	header: ({ table }) => (
+		<Checkbox
+			checked={table.getIsAllPageRowsSelected()}
+			indeterminate={table.getIsSomePageRowsSelected()}
+			onChange={table.getToggleAllPageRowsSelectedHandler()}
+			aria-label="Select all rows on this page"
+		/>
+	),
+	cell: ({ row }) => (
+		<Checkbox
+			checked={row.getIsSelected()}
+			disabled={!row.getCanSelect()}
+			onChange={row.getToggleSelectedHandler()}
+			aria-label={`Select ${describe(row.original)}`}
+		/>
+	),
+});
+
+/**
+ * Maps the sort direction of a column to the value of `aria-sort`.
+ *
+ * @param {Header<T, unknown>} header - The header cell.
+ * @returns {"ascending" | "descending" | undefined} `undefined` for unsorted columns.
+ */
+const ariaSortOf = <T,>(header: Header<T, unknown>) => {
+	const direction = header.column.getIsSorted();
+	return (
+		direction === "asc" ? "ascending"
+		: direction === "desc" ? "descending"
+		: undefined
+	);
+};
+
+/**
+ * @component HeaderCell
+ * Column header; sortable columns render a button cycling through ascending, descending
+ * and unsorted. Shift-click adds the column to the current sort instead of replacing it.
+ *
+ * @returns {JSX.Element}
+ */
+const HeaderCell = <T,>({ header }: { header: Header<T, unknown> }): JSX.Element => {
+	const { column } = header;
+	const content =
+		header.isPlaceholder ? null : flexRender(column.columnDef.header, header.getContext());
+	const direction = column.getIsSorted();
+	const sortIndex = column.getSortIndex();
+	const multiSorted = header.getContext().table.getState().sorting.length > 1;
+
+	return (
+		<th
+			scope="col"
+			colSpan={header.colSpan}
+			aria-sort={ariaSortOf(header)}
+		>
+			{column.getCanSort() ?
+				<button
+					className={styles.sortButton}
+					type="button"
+					onClick={column.getToggleSortingHandler()}
+					title="Sort; shift-click to sort by several columns"
+				>
+					{content}
+					<span
+						className={styles.sortIndicator}
+						aria-hidden="true"
+					>
+						{direction === "asc" ?
+							"▲"
+						: direction === "desc" ?
+							"▼"
+						:	"↕"}
+						{direction && multiSorted ? sortIndex + 1 : null}
+					</span>
+				</button>
+			:	content}
+		</th>
+	);
+};
+
+/**
+ * @component ColumnMenu
+ * Lets the user show or hide the columns that allow it.
+ *
+ * @returns {JSX.Element}
+ */
+const ColumnMenu = <T,>({ table }: { table: Table<T> }): JSX.Element => (
+	<details className={styles.columnMenu}>
+		<summary className={formStyles.secondary}>Columns</summary>
+		<fieldset>
+			<legend>Visible columns</legend>
+			{table
+				.getAllLeafColumns()
+				.filter((column) => column.getCanHide())
+				.map((column) => (
+					<label key={column.id}>
+						<input
+							type="checkbox"
+							checked={column.getIsVisible()}
+							onChange={column.getToggleVisibilityHandler()}
+						/>
+						{typeof column.columnDef.header === "string" ? column.columnDef.header : column.id}
+					</label>
+				))}
+		</fieldset>
+	</details>
+);
+
+/**
+ * @component Pagination
+ * Page size selector, range of the rows shown and previous/next buttons.
+ *
+ * @returns {JSX.Element}
+ */
+const Pagination = <T,>({
+	table,
+	pageSizes,
+}: {
+	table: Table<T>;
+	pageSizes: readonly number[];
+}): JSX.Element => {
+	const { pageIndex, pageSize } = table.getState().pagination;
+	const total = table.getRowCount();
+	const first = total === 0 ? 0 : pageIndex * pageSize + 1;
+	const last = Math.min(total, (pageIndex + 1) * pageSize);
+
+	return (
+		<nav
+			className={styles.pagination}
+			aria-label="Pagination"
+		>
+			<label>
+				Rows per page{" "}
+				<select
+					value={pageSize}
+					onChange={(event) => table.setPageSize(Number(event.target.value))}
+				>
+					{pageSizes.map((size) => (
+						<option
+							key={size}
+							value={size}
+						>
+							{size}
+						</option>
+					))}
+				</select>
+			</label>
+			<span aria-live="polite">
+				{first}–{last} of {total}
+			</span>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={() => table.previousPage()}
+					disabled={!table.getCanPreviousPage()}
+				>
+					Previous
+				</button>
+				<span>
+					Page {pageIndex + 1} of {Math.max(table.getPageCount(), 1)}
+				</span>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={() => table.nextPage()}
+					disabled={!table.getCanNextPage()}
+				>
+					Next
+				</button>
+			</div>
+		</nav>
+	);
+};
+
+/**
+ * @component DataTable
+ * Renders a TanStack table whose rows are paged, sorted and filtered by the server:
+ * sortable headers with `aria-sort`, a column visibility menu, and pagination.
+ *
+ * The component only draws the table; state, columns and data come from the caller's
+ * `useReactTable` instance, so the same markup serves every list of the application.
+ *
+ * @returns {JSX.Element}
+ */
+const DataTable = <T,>({
+	table,
+	label,
+	loading = false,
+	pageSizes,
+	emptyMessage = "Nothing matches the current filters.",
+}: DataTableProps<T>): JSX.Element => {
+	const rows = table.getRowModel().rows;
+
+	return (
+		<div className={styles.dataTable}>
+			<div className={styles.toolbar}>
+				<ColumnMenu table={table} />
+			</div>
+			<div className={styles.scroller}>
+				<table
+					className={styles.table}
+					aria-label={label}
+					aria-busy={loading}
+				>
+					<thead>
+						{table.getHeaderGroups().map((group) => (
+							<tr key={group.id}>
+								{group.headers.map((header) => (
+									<HeaderCell
+										key={header.id}
+										header={header}
+									/>
+								))}
+							</tr>
+						))}
+					</thead>
+					<tbody className={loading ? styles.loading : undefined}>
+						{rows.length === 0 ?
+							<tr>
+								<td
+									className={styles.empty}
+									colSpan={table.getVisibleLeafColumns().length}
+								>
+									{loading ? "Loading…" : emptyMessage}
+								</td>
+							</tr>
+						:	rows.map((row) => (
+								<tr
+									key={row.id}
+									data-selected={row.getIsSelected() || undefined}
+								>
+									{row.getVisibleCells().map((cell) => (
+										<td key={cell.id}>
+											{flexRender(cell.column.columnDef.cell, cell.getContext())}
+										</td>
+									))}
+								</tr>
+							))
+						}
+					</tbody>
+				</table>
+			</div>
+			<Pagination
+				table={table}
+				pageSizes={pageSizes}
+			/>
+		</div>
+	);
+};
+
+export default DataTable;
@@ -0,0 +1,79 @@
+import React, { JSX, useEffect, useId, useRef } from "react";
+
+import styles from "./Dialog.module.scss";
+
+/**
+ * Props of {@link Dialog}.
+ */
+interface DialogProps {
+	open: boolean;
+	title: string;
+	children: React.ReactNode;
+	/** Buttons rendered at the bottom of the dialog. */
+	actions?: React.ReactNode;
+	/**
+	 * Called when the user presses Escape. Omit to make the dialog impossible to dismiss
+	 * without one of the actions.
+	 */
+	onCancel?: () => void;
+	/** `alertdialog` for urgent messages that need an answer. */
+	role?: "dialog" | "alertdialog";
+}
+
+/**
+ * @component Dialog
+ * Modal dialog built on the native `<dialog>` element, which provides the focus trap,
+ * the inert background and Escape handling.
+ *
+ * @param {DialogProps} props
+ * @returns {JSX.Element}
+ */
+const Dialog: React.FC<DialogProps> = ({
+	open,
+	title,
+	children,
+	actions,
+	onCancel,
+	role = "dialog",
+}): JSX.Element => {
+	const ref = useRef<HTMLDialogElement>(null);
+	const titleId = useId();
+
+	useEffect(() => {
+		const dialog = ref.current;
+		if (!dialog) {
+			return;
+		}
+		if (open && !dialog.open) {
+			dialog.showModal();
+		} else if (!open && dialog.open) {
+			dialog.close();
+		}
+	}, [open]);
+
+	const handleCancel = (event: React.SyntheticEvent<HTMLDialogElement>) => {
+		event.preventDefault();
+		onCancel?.();
+	};
+
+	return (
+		<dialog
+			ref={ref}
+			className={styles.dialog}
+			role={role}
+			aria-labelledby={titleId}
+			onCancel={handleCancel}
+		>
+			<h2
+				id={titleId}
+				className={styles.title}
+			>
+				{title}
+			</h2>
+			<div className={styles.body}>{children}</div>
+			{actions && <div className={styles.actions}>{actions}</div>}
+		</dialog>
+	);
+};
+
+export default Dialog;
@@ -0,0 +1,199 @@
+import React, { JSX, useEffect, useState } from "react";
+
+import type { Policy } from "@interface/rbac.interface";
+import type { DirectoryUser } from "@interface/user.interface";
+import { ApiError } from "@services/api/api.request";
+import { effectiveGrants, SCOPE_LABELS } from "@services/rbac/rbac.editor";
+import { ACTION_LABELS, ACTIONS, RESOURCE_LABELS, RESOURCES } from "@services/rbac/rbac.policy";
+import { sessionService } from "@services/session/session.service";
+import { userService } from "@services/users/user.service";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./EffectivePermissions.module.scss";
+
+/** Delay before a search is sent, so typing does not fire a request per key. */
+const SEARCH_DELAY = 300;
+
+/** Most users listed as search results. */
+const MAX_RESULTS = 8;
+
+/**
+ * Props of {@link EffectivePermissions}.
+ */
+interface EffectivePermissionsProps {
+	/** The roles currently enforced. */
+	saved: Policy;
+	/** The roles being edited. */
+	draft: Policy;
+}
+
+/**
+ * @component EffectivePermissions
+ * Previews what one user may do under the edited roles, next to what they may do
+ * today, before anything is saved.
+ *
+ * The user is picked with a search in the directory. The comparison uses the same
+ * engine as the application guards, so it shows exactly what would be enforced; grants
+ * given to the user directly, outside of their roles, are not included.
+ *
+ * @param {EffectivePermissionsProps} props
+ * @returns {JSX.Element}
+ */
+const EffectivePermissions: React.FC<EffectivePermissionsProps> = ({
+	saved,
+	draft,
+}): JSX.Element => {
+	const [search, setSearch] = useState("");
+	const [results, setResults] = useState<DirectoryUser[]>([]);
+	const [searchError, setSearchError] = useState<string | null>(null);
+	const [user, setUser] = useState<DirectoryUser | null>(null);
+
+	useEffect(() => {
+		const term = search.trim();
+		if (term === "") {
+			setResults([]);
+			return;
+		}
+		const controller = new AbortController();
+		const searchUsers = async () => {
+			try {
+				// Read when the search runs: the session may have ended while the user typed.
+				const { items } = await userService.list(
+					sessionService.requireAccessToken(),
+					{
+						page: 1,
+						pageSize: MAX_RESULTS,
+						sort: [{ field: "name", desc: false }],
+						roles: [],
+						statuses: [],
+						search: term,
+					},
+					controller.signal
+				);
+				setResults(items);
+				setSearchError(null);
+			} catch (error) {
+				if (controller.signal.aborted) {
+					return;
+				}
+				setSearchError(
+					error instanceof ApiError && error.status === 403 ?
+						"You are not allowed to list users."
+					:	"The users could not be searched. Please try again."
+				);
+			}
+		};
+		const timer = window.setTimeout(() => void searchUsers(), SEARCH_DELAY);
+		return () => {
+			window.clearTimeout(timer);
+			controller.abort();
+		};
+	}, [search]);
+
+	const subject = user && { userId: user.id, roles: user.roles, tenantId: user.tenantId };
+	const before = subject && effectiveGrants(saved, subject);
+	const after = subject && effectiveGrants(draft, subject);
+	const rows =
+		before && after ?
+			RESOURCES.flatMap((resource) =>
+				ACTIONS.filter((action) => before[resource]?.[action] || after[resource]?.[action]).map(
+					(action) => ({
+						resource,
+						action,
+						before: before[resource]?.[action] ?? null,
+						after: after[resource]?.[action] ?? null,
+					})
+				)
+			)
+		:	[];
+	const changes = rows.filter((row) => row.before !== row.after).length;
+
+	return (
+		<section
+			className={styles.preview}
+			aria-labelledby="effective-permissions-title"
+		>
+			<h2 id="effective-permissions-title">Effective permissions</h2>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="effective-permissions-search"
+				>
+					User
+				</label>
+				<input
+					id="effective-permissions-search"
+					className={formStyles.input}
+					type="search"
+					value={search}
+					placeholder="Search by name or email"
+					autoComplete="off"
+					onChange={(event) => setSearch(event.target.value)}
+				/>
+				{searchError && (
+					<p
+						className={formStyles.fieldError}
+						role="alert"
+					>
+						{searchError}
+					</p>
+				)}
+			</div>
+			{results.length > 0 && (
+				<ul className={styles.results}>
+					{results.map((candidate) => (
+						<li key={candidate.id}>
+							<button
+								type="button"
+								aria-pressed={candidate.id === user?.id}
+								onClick={() => setUser(candidate)}
+							>
+								{candidate.name} <span>{candidate.email}</span>
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+			{user && (
+				<>
+					<p className={formStyles.hint}>
+						{user.name} holds{" "}
+						{user.roles.map((role) => draft.roles[role]?.label ?? role).join(", ")} in tenant{" "}
+						{user.tenantId}.{" "}
+						{changes === 0 ?
+							"Your changes do not affect them."
+						:	`Your changes affect ${changes} of their permissions.`}
+					</p>
+					{rows.length === 0 ?
+						<p>They may not do anything, before or after your changes.</p>
+					:	<table className={styles.table}>
+							<thead>
+								<tr>
+									<th scope="col">Permission</th>
+									<th scope="col">Now</th>
+									<th scope="col">After saving</th>
+								</tr>
+							</thead>
+							<tbody>
+								{rows.map((row) => (
+									<tr
+										key={`${row.resource}:${row.action}`}
+										className={row.before !== row.after ? styles.changed : undefined}
+									>
+										<th scope="row">
+											{ACTION_LABELS[row.action]} {RESOURCE_LABELS[row.resource]}
+										</th>
+										<td>{row.before ? SCOPE_LABELS[row.before] : "—"}</td>
+										<td>{row.after ? SCOPE_LABELS[row.after] : "—"}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					}
+				</>
+			)}
+		</section>
+	);
+};
+
+export default EffectivePermissions;
@@ -0,0 +1,97 @@
+import React, { JSX, useState } from "react";
+
+import type { AuthUser } from "@interface/auth.interface";
+import { accountService } from "@services/account/account.service";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./EmailVerification.module.scss";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Props of {@link EmailVerification}.
+ */
+interface EmailVerificationProps {
+	/** The signed-in user. */
+	user: AuthUser;
+}
+
+/**
+ * @component EmailVerification
+ * Email address of the signed-in user, whether it is verified, and a button to receive a
+ * new verification link, e.g. when the first one expired or to confirm the address is
+ * still theirs. Opening the link finishes on the verification page.
+ *
+ * @param {EmailVerificationProps} props
+ * @returns {JSX.Element}
+ */
+const EmailVerification: React.FC<EmailVerificationProps> = ({ user }): JSX.Element => {
+	const [status, setStatus] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [busy, setBusy] = useState(false);
+
+	const handleSend = async () => {
+		setError(null);
+		setStatus("");
+		setBusy(true);
+		try {
+			const { sentTo, expiresAt } = await accountService.sendEmailVerification(
+				sessionService.requireAccessToken()
+			);
+			setStatus(
+				`We sent a link to ${sentTo}. It works until ${dateFormat.format(new Date(expiresAt))}.`
+			);
+		} catch {
+			setError("The link could not be sent. Please try again.");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	return (
+		<div className={styles.email}>
+			<p>
+				<strong>{user.email}</strong>{" "}
+				{user.emailVerified ?
+					<span className={styles.verified}>Verified</span>
+				:	<span className={styles.unverified}>Not verified</span>}
+			</p>
+			{!user.emailVerified && (
+				<p className={formStyles.hint}>
+					Verify your address so we can reach you about your account, e.g. to reset your password.
+				</p>
+			)}
+			{error && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{status}
+			</p>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={handleSend}
+					disabled={busy}
+				>
+					{busy ?
+						"Sending…"
+					: user.emailVerified ?
+						"Verify again"
+					:	"Send a verification link"}
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default EmailVerification;
@@ -0,0 +1,192 @@
+import React, { ErrorInfo, JSX } from "react";
+import { Link, useLocation } from "react-router-dom";
+
+import StatusPage from "@components/StatusPage/StatusPage";
+import type { ErrorBoundaryLevel } from "@interface/error.interface";
+import { ROUTES } from "@routes/paths";
+import { reportError } from "@services/errors/error.reporter";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Props of {@link ErrorBoundary}.
+ */
+interface ErrorBoundaryProps {
+	level: ErrorBoundaryLevel;
+	/** The boundary tries to render its children again when this value changes. */
+	resetKey?: unknown;
+	children: React.ReactNode;
+}
+
+interface ErrorBoundaryState {
+	error: unknown;
+	failed: boolean;
+	/** Identifier of the error report, if the error was reported. */
+	reference: string | null;
+}
+
+/**
+ * Props of {@link ErrorFallback}.
+ */
+interface ErrorFallbackProps {
+	level: ErrorBoundaryLevel;
+	error: unknown;
+	reference: string | null;
+	onRetry: () => void;
+}
+
+/**
+ * Tells whether a code-split chunk failed to load, typically because a new version was
+ * deployed since the page was opened. Only reloading the page helps then.
+ *
+ * @param {unknown} error - The caught error.
+ * @returns {boolean}
+ */
+const isChunkLoadError = (error: unknown): boolean =>
+	error instanceof Error && error.name === "ChunkLoadError";
+
+/**
+ * @component ErrorFallback
+ * What a boundary shows instead of the tree that failed. Inside the router it offers to
+ * try again and a way back to the dashboard; around the whole application, only a reload.
+ *
+ * @param {ErrorFallbackProps} props
+ * @returns {JSX.Element}
+ */
+const ErrorFallback: React.FC<ErrorFallbackProps> = ({
+	level,
+	error,
+	reference,
+	onRetry,
+}): JSX.Element => {
+	const reload = (
+		<button
+			className={formStyles.button}
+			type="button"
+			onClick={() => window.location.reload()}
+		>
+			Reload the page
+		</button>
+	);
+
+	if (isChunkLoadError(error)) {
+		return (
+			<StatusPage
+				code="Update"
+				title="A new version is available"
+				message="Part of the application could not be loaded, most likely because it was updated. Reload the page to continue."
+				actions={reload}
+			/>
+		);
+	}
+	return (
+		<StatusPage
+			code="Error"
+			title={level === "app" ? "Something went wrong" : "This page could not be displayed"}
+			message={
+				<>
+					An unexpected error occurred{reference ? " and has been reported" : ""}. You can try
+					again; if it keeps happening, please contact support.
+					{reference && (
+						<>
+							<br />
+							Reference: <code>{reference}</code>
+						</>
+					)}
+				</>
+			}
+			actions={
+				level === "app" ? reload : (
+					<>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={onRetry}
+						>
+							Try again
+						</button>
+						<Link to={ROUTES.home}>Go to the dashboard</Link>
+					</>
+				)
+			}
+		/>
+	);
+};
+
+/**
+ * @component ErrorBoundary
+ * Catches errors thrown while rendering its children, reports them, and shows a recovery
+ * page in their place instead of leaving the screen blank.
+ *
+ * Boundaries are layered: `app` around everything in `index.tsx`, `layout` around the
+ * shell of nested routes and `route` around each page (see {@link RouteErrorBoundary}),
+ * so a failing page leaves the navigation usable.
+ *
+ * * Example Usage:
+ * <ErrorBoundary level="app"><App /></ErrorBoundary>
+ */
+export class ErrorBoundary extends React.Component<ErrorBoundaryProps, ErrorBoundaryState> {
+	state: ErrorBoundaryState = { error: null, failed: false, reference: null };
+
+	static getDerivedStateFromError(error: unknown): Partial<ErrorBoundaryState> {
+		return { error, failed: true };
+	}
+
+	componentDidCatch(error: unknown, info: ErrorInfo): void {
+		const reference = reportError(error, {
+			source: "boundary",
+			boundary: this.props.level,
+			componentStack: info.componentStack ?? undefined,
+		});
+		this.setState({ reference });
+	}
+
+	componentDidUpdate(previous: ErrorBoundaryProps): void {
+		if (this.state.failed && !Object.is(previous.resetKey, this.props.resetKey)) {
+			this.reset();
+		}
+	}
+
+	reset = (): void => {
+		this.setState({ error: null, failed: false, reference: null });
+	};
+
+	render(): React.ReactNode {
+		const { error, failed, reference } = this.state;
+		if (!failed) {
+			return this.props.children;
+		}
+		return (
+			<ErrorFallback
+				level={this.props.level}
+				error={error}
+				reference={reference}
+				onRetry={this.reset}
+			/>
+		);
+	}
+}
+
+/**
+ * @component RouteErrorBoundary
+ * {@link ErrorBoundary} for route elements: it starts over when the user navigates
+ * elsewhere, so following a link out of a failed page works.
+ *
+ * @param {Omit<ErrorBoundaryProps, "resetKey">} props
+ * @returns {JSX.Element}
+ */
+export const RouteErrorBoundary: React.FC<Omit<ErrorBoundaryProps, "resetKey">> = ({
+	level,
+	children,
+}): JSX.Element => {
+	const { pathname } = useLocation();
+	return (
+		<ErrorBoundary
+			level={level}
+			resetKey={pathname}
+		>
+			{children}
+		</ErrorBoundary>
+	);
+};
+
+export default ErrorBoundary;
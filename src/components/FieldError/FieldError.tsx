@@ -0,0 +1,32 @@
+import React, { JSX } from "react";
+
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Props of {@link FieldError}.
+ */
+interface FieldErrorProps {
+	/** ID the input references in `aria-describedby`. */
+	id: string;
+	/** The message; nothing is rendered without one. */
+	message?: string;
+}
+
+/**
+ * @component FieldError
+ * Error message of one form field, referenced by the input's `aria-describedby`.
+ *
+ * @param {FieldErrorProps} props
+ * @returns {JSX.Element | null}
+ */
+const FieldError: React.FC<FieldErrorProps> = ({ id, message }): JSX.Element | null =>
+	message ?
+		<p
+			id={id}
+			className={formStyles.fieldError}
+		>
+			{message}
+		</p>
+	:	null;
+
+export default FieldError;
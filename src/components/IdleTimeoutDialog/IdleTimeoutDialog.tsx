@@ -0,0 +1,85 @@
+import React, { JSX, useEffect, useState } from "react";
+
+import Dialog from "@components/Dialog/Dialog";
+import { useIdleTimeout } from "@hooks/useIdleTimeout";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Whole seconds left until `deadline`, never negative.
+ *
+ * @param {number} deadline - Epoch time in milliseconds.
+ * @returns {number} The remaining seconds.
+ */
+const secondsUntil = (deadline: number): number =>
+	Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+/**
+ * @component IdleTimeoutDialog
+ * Warns the user before an inactivity sign-out and tells them afterwards why they were
+ * signed out.
+ *
+ * Mounted outside the router so that the notice stays on screen while the route guards
+ * move the now anonymous user to the login page. Renders nothing while the user is active.
+ *
+ * @returns {JSX.Element}
+ */
+const IdleTimeoutDialog: React.FC = (): JSX.Element => {
+	const { deadline, signedOut, stayActive, acknowledge } = useIdleTimeout();
+	const [secondsLeft, setSecondsLeft] = useState(0);
+
+	useEffect(() => {
+		if (deadline === null) {
+			return;
+		}
+		setSecondsLeft(secondsUntil(deadline));
+		const interval = setInterval(() => setSecondsLeft(secondsUntil(deadline)), 1000);
+		return () => clearInterval(interval);
+	}, [deadline]);
+
+	if (signedOut) {
+		return (
+			<Dialog
+				open
+				title="You have been signed out"
+				onCancel={acknowledge}
+				actions={
+					<button
+						className={formStyles.button}
+						type="button"
+						onClick={acknowledge}
+						autoFocus
+					>
+						OK
+					</button>
+				}
+			>
+				<p>We signed you out because you were inactive for too long. Sign in again to continue.</p>
+			</Dialog>
+		);
+	}
+
+	return (
+		<Dialog
+			open={deadline !== null}
+			title="Are you still there?"
+			role="alertdialog"
+			onCancel={stayActive}
+			actions={
+				<button
+					className={formStyles.button}
+					type="button"
+					onClick={stayActive}
+					autoFocus
+				>
+					Stay signed in
+				</button>
+			}
+		>
+			<p>
+				You will be signed out in <strong>{secondsLeft}s</strong> because of inactivity.
+			</p>
+		</Dialog>
+	);
+};
+
+export default IdleTimeoutDialog;
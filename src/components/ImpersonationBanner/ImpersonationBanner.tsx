@@ -0,0 +1,62 @@
+import React, { JSX, useState } from "react";
+import { useNavigate } from "react-router-dom";
+
+import { useSession } from "@hooks/useSession";
+import { ROUTES } from "@routes/paths";
+
+import styles from "./ImpersonationBanner.module.scss";
+
+/**
+ * @component ImpersonationBanner
+ * Reminder shown on every page while a staff member views the application as another
+ * user. It names that user, says that changes are disabled, and leads back to the staff
+ * member's own account. It cannot be dismissed, so nobody forgets whose session they are
+ * in. Renders nothing outside a delegated session.
+ *
+ * @returns {JSX.Element | null}
+ */
+const ImpersonationBanner: React.FC = (): JSX.Element | null => {
+	const { claims, user, stopImpersonation } = useSession();
+	const navigate = useNavigate();
+	const [busy, setBusy] = useState(false);
+
+	if (!claims?.actor) {
+		return null;
+	}
+
+	const handleReturn = async () => {
+		setBusy(true);
+		try {
+			await stopImpersonation();
+			navigate(ROUTES.users, { replace: true });
+		} catch {
+			// The staff member's own session has ended too and the browser is signed out.
+			navigate(ROUTES.login, { replace: true });
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const impersonated = user?.name ?? claims.email;
+
+	return (
+		<section
+			className={styles.banner}
+			aria-label="Viewing as another user"
+		>
+			<p>
+				You are viewing the application as <strong>{impersonated}</strong>
+				{user?.name && ` (${claims.email})`}. Changes are disabled.
+			</p>
+			<button
+				type="button"
+				onClick={handleReturn}
+				disabled={busy}
+			>
+				{busy ? "Returning…" : "Return to my account"}
+			</button>
+		</section>
+	);
+};
+
+export default ImpersonationBanner;
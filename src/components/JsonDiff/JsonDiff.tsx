@@ -0,0 +1,94 @@
+import React, { JSX, useMemo } from "react";
+
+import { diffJson, type DiffEntry } from "@services/audit/audit.diff";
+
+import styles from "./JsonDiff.module.scss";
+
+/**
+ * Props of {@link JsonDiff}.
+ */
+interface JsonDiffProps {
+	/** The old value, `null` when there was none. */
+	before: unknown;
+	/** The new value, `null` when there is none anymore. */
+	after: unknown;
+}
+
+const KIND_LABELS: Record<DiffEntry["kind"], string> = {
+	added: "Added",
+	removed: "Removed",
+	changed: "Changed",
+};
+
+/**
+ * Renders a value of the diff on one line.
+ *
+ * @param {unknown} value - The value.
+ * @returns {string} Its JSON, `—` when absent.
+ */
+const formatValue = (value: unknown): string => (value === undefined ? "—" : JSON.stringify(value));
+
+/**
+ * @component JsonDiff
+ * Structured comparison of two JSON snapshots: one row per changed path with the old
+ * and new value, followed by both snapshots in full for context.
+ *
+ * @param {JsonDiffProps} props
+ * @returns {JSX.Element}
+ */
+const JsonDiff: React.FC<JsonDiffProps> = ({ before, after }): JSX.Element => {
+	const entries = useMemo(() => diffJson(before, after), [before, after]);
+
+	return (
+		<div className={styles.diff}>
+			{entries.length === 0 ?
+				<p>Nothing changed.</p>
+			:	<table className={styles.table}>
+					<thead>
+						<tr>
+							<th scope="col">Field</th>
+							<th scope="col">Before</th>
+							<th scope="col">After</th>
+						</tr>
+					</thead>
+					<tbody>
+						{entries.map((entry) => (
+							<tr
+								key={entry.path}
+								className={styles[entry.kind]}
+							>
+								<th scope="row">
+									<code>{entry.path || "(whole value)"}</code>
+									<span className={styles.kind}>{KIND_LABELS[entry.kind]}</span>
+								</th>
+								<td>
+									<code>{formatValue(entry.before)}</code>
+								</td>
+								<td>
+									<code>{formatValue(entry.after)}</code>
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			}
+			{(before !== null || after !== null) && (
+				<details>
+					<summary>Full snapshots</summary>
+					<div className={styles.snapshots}>
+						<figure>
+							<figcaption>Before</figcaption>
+							<pre>{before === null ? "—" : JSON.stringify(before, null, 2)}</pre>
+						</figure>
+						<figure>
+							<figcaption>After</figcaption>
+							<pre>{after === null ? "—" : JSON.stringify(after, null, 2)}</pre>
+						</figure>
+					</div>
+				</details>
+			)}
+		</div>
+	);
+};
+
+export default JsonDiff;
@@ -0,0 +1,52 @@
+import React, { JSX } from "react";
+
+import Dialog from "@components/Dialog/Dialog";
+import type { LeaveWarning } from "@hooks/useLeaveWarning";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Props of {@link LeaveWarningDialog}.
+ */
+interface LeaveWarningDialogProps {
+	warning: LeaveWarning;
+}
+
+/**
+ * @component LeaveWarningDialog
+ * Asks for confirmation when the user navigates away from unsaved changes. Pair it with
+ * {@link useLeaveWarning}.
+ *
+ * @param {LeaveWarningDialogProps} props
+ * @returns {JSX.Element}
+ */
+const LeaveWarningDialog: React.FC<LeaveWarningDialogProps> = ({ warning }): JSX.Element => (
+	<Dialog
+		open={warning.blocked}
+		title="Discard your changes?"
+		role="alertdialog"
+		onCancel={warning.stay}
+		actions={
+			<>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={warning.stay}
+					autoFocus
+				>
+					Keep editing
+				</button>
+				<button
+					className={formStyles.danger}
+					type="button"
+					onClick={warning.leave}
+				>
+					Discard changes
+				</button>
+			</>
+		}
+	>
+		<p>You have unsaved changes on this page. They will be lost if you leave.</p>
+	</Dialog>
+);
+
+export default LeaveWarningDialog;
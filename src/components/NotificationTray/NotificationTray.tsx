@@ -0,0 +1,139 @@
+import React, { JSX, useEffect, useId, useRef, useState } from "react";
+
+import { useNotifications } from "@hooks/useNotifications";
+import type { NotificationKind } from "@interface/notification.interface";
+import { notificationService } from "@services/notifications/notification.service";
+
+import styles from "./NotificationTray.module.scss";
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { timeStyle: "short" });
+
+/**
+ * Words read out before each entry, since the colour of its kind is not.
+ */
+const KIND_LABELS: Readonly<Record<NotificationKind, string>> = Object.freeze({
+	success: "Success",
+	info: "Information",
+	warning: "Warning",
+	error: "Error",
+});
+
+/**
+ * @component NotificationTray
+ * Button of the header listing the notifications of the session, including those whose
+ * toast is gone. The badge counts unread ones; opening the tray marks them all as read.
+ * Escape or a click elsewhere closes it.
+ *
+ * @returns {JSX.Element}
+ */
+const NotificationTray: React.FC = (): JSX.Element => {
+	const { items } = useNotifications();
+	const [open, setOpen] = useState(false);
+	const trayRef = useRef<HTMLDivElement>(null);
+	const toggleRef = useRef<HTMLButtonElement>(null);
+	const panelId = useId();
+	const unread = items.filter((item) => !item.read).length;
+
+	useEffect(() => {
+		if (open && unread > 0) {
+			notificationService.markAllRead();
+		}
+	}, [open, unread]);
+
+	useEffect(() => {
+		if (!open) {
+			return;
+		}
+		const handlePointerDown = (event: PointerEvent) => {
+			if (!trayRef.current?.contains(event.target as Node)) {
+				setOpen(false);
+			}
+		};
+		const handleKeyDown = (event: KeyboardEvent) => {
+			if (event.key === "Escape") {
+				setOpen(false);
+				toggleRef.current?.focus();
+			}
+		};
+		document.addEventListener("pointerdown", handlePointerDown);
+		document.addEventListener("keydown", handleKeyDown);
+		return () => {
+			document.removeEventListener("pointerdown", handlePointerDown);
+			document.removeEventListener("keydown", handleKeyDown);
+		};
+	}, [open]);
+
+	return (
+		<div
+			ref={trayRef}
+			className={styles.tray}
+		>
+			<button
+				ref={toggleRef}
+				className={styles.toggle}
+				type="button"
+				aria-expanded={open}
+				aria-controls={panelId}
+				onClick={() => setOpen((current) => !current)}
+			>
+				Notifications
+				{unread > 0 && (
+					<span className={styles.badge}>
+						{unread}
+						<span className={styles.visuallyHidden}> unread</span>
+					</span>
+				)}
+			</button>
+			{open && (
+				<section
+					id={panelId}
+					className={styles.panel}
+					aria-label="Notification history"
+				>
+					{items.length === 0 ?
+						<p className={styles.empty}>No notifications.</p>
+					:	<>
+							<ul className={styles.list}>
+								{items.map((item) => (
+									<li
+										key={item.id}
+										className={`${styles.item} ${styles[item.kind]}`}
+									>
+										<p className={styles.message}>
+											<span className={styles.visuallyHidden}>{KIND_LABELS[item.kind]}: </span>
+											{item.message}
+											{item.count > 1 && ` (${item.count} times)`}
+										</p>
+										<time
+											className={styles.time}
+											dateTime={item.updatedAt}
+										>
+											{timeFormat.format(new Date(item.updatedAt))}
+										</time>
+										<button
+											className={styles.dismiss}
+											type="button"
+											aria-label={`Dismiss: ${item.message}`}
+											onClick={() => notificationService.dismiss(item.id)}
+										>
+											×
+										</button>
+									</li>
+								))}
+							</ul>
+							<button
+								className={styles.clear}
+								type="button"
+								onClick={notificationService.clear}
+							>
+								Clear all
+							</button>
+						</>
+					}
+				</section>
+			)}
+		</div>
+	);
+};
+
+export default NotificationTray;
@@ -0,0 +1,36 @@
+import React, { JSX } from "react";
+
+import styles from "./PageLoader.module.scss";
+
+/**
+ * Props of {@link PageLoader}.
+ */
+interface PageLoaderProps {
+	/** Text announced to assistive technologies. */
+	label?: string;
+}
+
+/**
+ * @component PageLoader
+ * Full-area spinner shown while a page chunk or the session is loading.
+ *
+ * @param {PageLoaderProps} props
+ * @returns {JSX.Element}
+ */
+const PageLoader: React.FC<PageLoaderProps> = ({ label = "Loading…" }): JSX.Element => {
+	return (
+		<div
+			className={styles.loader}
+			role="status"
+			aria-live="polite"
+		>
+			<span
+				className={styles.spinner}
+				aria-hidden="true"
+			/>
+			<span className={styles.label}>{label}</span>
+		</div>
+	);
+};
+
+export default PageLoader;
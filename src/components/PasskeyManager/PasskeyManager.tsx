@@ -0,0 +1,220 @@
+import React, { FormEvent, JSX, useEffect, useRef, useState } from "react";
+
+import type { PasskeySummary } from "@interface/passkey.interface";
+import { ApiError } from "@services/api/api.request";
+import { passkeyService } from "@services/auth/passkey.service";
+import { sessionService } from "@services/session/session.service";
+import {
+	createPasskey,
+	isWebAuthnSupported,
+	PasskeyError,
+} from "@services/webauthn/webauthn.ceremony";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./PasskeyManager.module.scss";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+
+/**
+ * Turns a failed registration into a message. A dismissed prompt is not an error worth
+ * reporting, so it yields `null`.
+ *
+ * @param {unknown} error - The rejection of the ceremony or of the API call.
+ * @returns {string | null} The message to display.
+ */
+const registrationErrorMessage = (error: unknown): string | null => {
+	if (error instanceof PasskeyError) {
+		switch (error.code) {
+			case "cancelled":
+				return null;
+			case "already_registered":
+				return "This device already has a passkey for your account.";
+			case "unsupported":
+				return "This device cannot create passkeys.";
+			default:
+				return "The passkey could not be created. Please try again.";
+		}
+	}
+	if (error instanceof ApiError && error.status === 409) {
+		return "This passkey is already registered.";
+	}
+	return "The passkey could not be saved. Please try again.";
+};
+
+/**
+ * Returns the access token of the current session; the page hosting the component is
+ * only reachable when signed in.
+ *
+ * @returns {string} The access token.
+ */
+const requireAccessToken = (): string => {
+	const accessToken = sessionService.getAccessToken();
+	if (!accessToken) {
+		throw new Error("PasskeyManager requires a signed-in user.");
+	}
+	return accessToken;
+};
+
+/**
+ * @component PasskeyManager
+ * Lists the passkeys of the signed-in user and lets them add or remove one.
+ *
+ * Adding runs the WebAuthn registration ceremony in the browser; the API verifies the
+ * attestation before storing the passkey. Browsers without WebAuthn get an explanation
+ * instead of the button.
+ *
+ * @returns {JSX.Element}
+ */
+const PasskeyManager: React.FC = (): JSX.Element => {
+	const [passkeys, setPasskeys] = useState<PasskeySummary[] | null>(null);
+	const [name, setName] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [status, setStatus] = useState("");
+	const [busy, setBusy] = useState(false);
+	const ceremony = useRef<AbortController | null>(null);
+	const supported = isWebAuthnSupported();
+
+	useEffect(() => {
+		let active = true;
+		passkeyService
+			.list(requireAccessToken())
+			.then((list) => active && setPasskeys(list))
+			.catch(() => active && setError("Your passkeys could not be loaded."));
+		return () => {
+			active = false;
+			ceremony.current?.abort();
+		};
+	}, []);
+
+	const handleAdd = async (event: FormEvent<HTMLFormElement>) => {
+		event.preventDefault();
+		setError(null);
+		setStatus("");
+		setBusy(true);
+		ceremony.current = new AbortController();
+		try {
+			const accessToken = requireAccessToken();
+			const options = await passkeyService.registrationOptions(accessToken);
+			const credential = await createPasskey(options, { signal: ceremony.current.signal });
+			const passkey = await passkeyService.register(accessToken, credential, name.trim());
+			setPasskeys((current) => [...(current ?? []), passkey]);
+			setName("");
+			setStatus(`Passkey "${passkey.name}" added.`);
+		} catch (err) {
+			setError(registrationErrorMessage(err));
+		} finally {
+			ceremony.current = null;
+			setBusy(false);
+		}
+	};
+
+	const handleRemove = async ({ id, name: label }: PasskeySummary) => {
+		if (!window.confirm(`Remove the passkey "${label}"? You will no longer be able to use it.`)) {
+			return;
+		}
+		setError(null);
+		setStatus("");
+		try {
+			await passkeyService.remove(requireAccessToken(), id);
+			setPasskeys((current) => current?.filter((passkey) => passkey.id !== id) ?? null);
+			setStatus(`Passkey "${label}" removed.`);
+		} catch {
+			setError("The passkey could not be removed. Please try again.");
+		}
+	};
+
+	return (
+		<div className={styles.passkeyManager}>
+			{error && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{status}
+			</p>
+			{passkeys === null ?
+				!error && <p>Loading your passkeys…</p>
+			: passkeys.length === 0 ?
+				<p className={formStyles.hint}>You have not added a passkey yet.</p>
+			:	<ul
+					className={styles.list}
+					aria-label="Your passkeys"
+				>
+					{passkeys.map((passkey) => (
+						<li
+							key={passkey.id}
+							className={styles.item}
+						>
+							<div>
+								<strong>{passkey.name}</strong>
+								<span className={formStyles.hint}>
+									Added {dateFormat.format(new Date(passkey.createdAt))}
+									{" · "}
+									{passkey.lastUsedAt ?
+										`Last used ${dateFormat.format(new Date(passkey.lastUsedAt))}`
+									:	"Never used"}
+								</span>
+							</div>
+							<button
+								className={formStyles.secondary}
+								type="button"
+								onClick={() => handleRemove(passkey)}
+								aria-label={`Remove ${passkey.name}`}
+							>
+								Remove
+							</button>
+						</li>
+					))}
+				</ul>
+			}
+			{supported ?
+				<form
+					className={formStyles.form}
+					onSubmit={handleAdd}
+					noValidate
+				>
+					<div className={formStyles.field}>
+						<label
+							className={formStyles.label}
+							htmlFor="passkey-name"
+						>
+							Name (optional)
+						</label>
+						<input
+							id="passkey-name"
+							className={formStyles.input}
+							type="text"
+							placeholder="e.g. Work laptop"
+							maxLength={64}
+							value={name}
+							onChange={(event) => setName(event.target.value)}
+						/>
+					</div>
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="submit"
+							disabled={busy}
+						>
+							{busy ? "Waiting for your device…" : "Add a passkey"}
+						</button>
+					</div>
+				</form>
+			:	<p className={formStyles.hint}>
+					This browser does not support passkeys, or the page is not served over HTTPS. Use a recent
+					version of Chrome, Edge, Firefox or Safari to add one; you can keep signing in with your
+					password meanwhile.
+				</p>
+			}
+		</div>
+	);
+};
+
+export default PasskeyManager;
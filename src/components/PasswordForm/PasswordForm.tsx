@@ -0,0 +1,185 @@
+import React, { JSX, useMemo, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+
+import FieldError from "@components/FieldError/FieldError";
+import PasswordStrength from "@components/PasswordStrength/PasswordStrength";
+import { useSession } from "@hooks/useSession";
+import { accountService } from "@services/account/account.service";
+import {
+	PASSWORD_FIELD_MESSAGES,
+	type PasswordFormValues,
+	createPasswordSchema,
+} from "@services/account/account.schema";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+const EMPTY: PasswordFormValues = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+/**
+ * Props of {@link PasswordForm}.
+ */
+interface PasswordFormProps {
+	/** Called after the password changed, once the API ended the other sessions. */
+	onChanged?: () => void;
+}
+
+/**
+ * @component PasswordForm
+ * Changes the password of the signed-in user, who confirms it is them with the current
+ * one. The new password is typed twice, checked against the password policy as it is
+ * typed, and every other session is signed out.
+ *
+ * @param {PasswordFormProps} props
+ * @returns {JSX.Element}
+ */
+const PasswordForm: React.FC<PasswordFormProps> = ({ onChanged }): JSX.Element => {
+	const { user } = useSession();
+	const userInputs = useMemo(() => (user ? [user.name, user.email] : []), [user]);
+	const schema = useMemo(() => createPasswordSchema(userInputs), [userInputs]);
+	const {
+		register,
+		handleSubmit,
+		reset,
+		setError,
+		watch,
+		formState: { errors, isSubmitting },
+	} = useForm<PasswordFormValues>({
+		resolver: zodResolver(schema),
+		defaultValues: EMPTY,
+		mode: "onTouched",
+	});
+	const [status, setStatus] = useState("");
+
+	const submit = handleSubmit(async ({ currentPassword, newPassword }) => {
+		setStatus("");
+		try {
+			await accountService.changePassword(sessionService.requireAccessToken(), {
+				currentPassword,
+				newPassword,
+			});
+			reset(EMPTY);
+			setStatus("Your password was changed. Your other sessions have been signed out.");
+			onChanged?.();
+		} catch (error) {
+			if (!applyFieldErrors(error, setError, PASSWORD_FIELD_MESSAGES)) {
+				setError("root.server", {
+					message: "Your password could not be changed. Please try again.",
+				});
+			}
+		}
+	});
+
+	return (
+		<form
+			className={formStyles.form}
+			onSubmit={submit}
+			noValidate
+		>
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{status}
+			</p>
+			{errors.root?.server && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{errors.root.server.message}
+				</p>
+			)}
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="password-current"
+				>
+					Current password
+				</label>
+				<input
+					id="password-current"
+					className={formStyles.input}
+					type="password"
+					autoComplete="current-password"
+					aria-invalid={!!errors.currentPassword}
+					aria-describedby={errors.currentPassword ? "password-current-error" : undefined}
+					{...register("currentPassword")}
+				/>
+				<FieldError
+					id="password-current-error"
+					message={errors.currentPassword?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="password-new"
+				>
+					New password
+				</label>
+				<input
+					id="password-new"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.newPassword}
+					aria-describedby={
+						errors.newPassword ?
+							"password-new-error password-new-strength"
+						:	"password-new-hint password-new-strength"
+					}
+					{...register("newPassword")}
+				/>
+				<p
+					id="password-new-hint"
+					className={formStyles.hint}
+				>
+					A few unrelated words are easy to remember and hard to guess.
+				</p>
+				<PasswordStrength
+					id="password-new-strength"
+					password={watch("newPassword")}
+					userInputs={userInputs}
+				/>
+				<FieldError
+					id="password-new-error"
+					message={errors.newPassword?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="password-confirm"
+				>
+					Confirm new password
+				</label>
+				<input
+					id="password-confirm"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.confirmPassword}
+					aria-describedby={errors.confirmPassword ? "password-confirm-error" : undefined}
+					{...register("confirmPassword")}
+				/>
+				<FieldError
+					id="password-confirm-error"
+					message={errors.confirmPassword?.message}
+				/>
+			</div>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.button}
+					type="submit"
+					disabled={isSubmitting}
+				>
+					{isSubmitting ? "Changing…" : "Change password"}
+				</button>
+			</div>
+		</form>
+	);
+};
+
+export default PasswordForm;
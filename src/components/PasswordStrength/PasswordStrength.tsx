@@ -0,0 +1,147 @@
+import React, { JSX, useEffect, useMemo, useState } from "react";
+
+import type { PasswordPolicy, PasswordRuleResult } from "@interface/password.interface";
+import { isBreachedPassword } from "@services/password/password.breach";
+import { checkPassword, passwordPolicy, passwordScore } from "@services/password/password.policy";
+
+import styles from "./PasswordStrength.module.scss";
+
+/** Pause in typing before the breached-password list is consulted, in milliseconds. */
+const BREACH_CHECK_DELAY = 300;
+
+const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"] as const;
+
+/** Default of `userInputs`, shared so it stays the same array from one render to the next. */
+const NO_USER_INPUTS: string[] = [];
+
+/**
+ * Props of {@link PasswordStrength}.
+ */
+interface PasswordStrengthProps {
+	/** ID the password input references in `aria-describedby`. */
+	id: string;
+	/** The password being typed. */
+	password: string;
+	/**
+	 * Name and email address of the user, which the password may not contain. Memoise the
+	 * array: the rules are checked again whenever it changes.
+	 */
+	userInputs?: string[];
+	/** The policy, {@link passwordPolicy} by default. */
+	policy?: PasswordPolicy;
+}
+
+/**
+ * Text of a rule's status, read out after its label.
+ *
+ * @param {PasswordRuleResult} rule - The rule.
+ * @param {boolean} pending - Whether the breached-password lookup is still running.
+ * @returns {string} The status.
+ */
+const statusOf = (rule: PasswordRuleResult, pending: boolean): string =>
+	rule.passed === true ? "met"
+	: rule.passed === false ? "not met"
+	: rule.code === "breached" && pending ? "checking…"
+	: "checked when you save";
+
+/**
+ * @component PasswordStrength
+ * Strength meter and checklist of the password policy, shown under every field choosing
+ * a new password. Each rule is ticked off while typing, so the user knows exactly what
+ * is missing before submitting.
+ *
+ * Once every other rule passes, the password is looked up in the bundled
+ * breached-password list, in the browser. Whether it was used before is only known to
+ * the API and is checked on save.
+ *
+ * @param {PasswordStrengthProps} props
+ * @returns {JSX.Element}
+ *
+ * * Example Usage:
+ * <PasswordStrength id="password-new-strength" password={watch("newPassword")} userInputs={userInputs} />
+ */
+const PasswordStrength: React.FC<PasswordStrengthProps> = ({
+	id,
+	password,
+	userInputs = NO_USER_INPUTS,
+	policy = passwordPolicy,
+}): JSX.Element => {
+	const rules = useMemo(
+		() => checkPassword(password, policy, userInputs),
+		[password, policy, userInputs]
+	);
+	const score = passwordScore(password);
+	const otherRulesPass = rules.every((rule) => rule.passed !== false);
+	const checkBreach = policy.breachCheck && password !== "" && otherRulesPass;
+
+	// Result of the lookup, kept with the password it is about so a stale one is ignored.
+	const [breach, setBreach] = useState<{ password: string; breached: boolean } | null>(null);
+
+	useEffect(() => {
+		if (!checkBreach) {
+			return;
+		}
+		let current = true;
+		const timer = window.setTimeout(() => {
+			isBreachedPassword(password)
+				.then((breached) => current && setBreach({ password, breached }))
+				// The list could not be downloaded: leave the rule to the API.
+				.catch(() => undefined);
+		}, BREACH_CHECK_DELAY);
+		return () => {
+			current = false;
+			window.clearTimeout(timer);
+		};
+	}, [checkBreach, password]);
+
+	const known = breach?.password === password ? breach.breached : null;
+	const shown = rules.map((rule) =>
+		rule.code === "breached" && known !== null ? { ...rule, passed: !known } : rule
+	);
+
+	return (
+		<div
+			id={id}
+			className={styles.strength}
+		>
+			{password !== "" && (
+				<p className={styles.score}>
+					<meter
+						className={styles.meter}
+						min={0}
+						max={4}
+						low={2}
+						high={3}
+						optimum={4}
+						value={score}
+						aria-hidden="true"
+					/>
+					<span>Strength: {STRENGTH_LABELS[score]}</span>
+				</p>
+			)}
+			<ul
+				className={styles.rules}
+				aria-label="Password requirements"
+			>
+				{shown.map((rule) => (
+					<li
+						key={rule.code}
+						className={
+							rule.passed === true ? styles.passed
+							: rule.passed === false && password !== "" ?
+								styles.failed
+							:	styles.pending
+						}
+					>
+						{rule.label}
+						<span className={styles.visuallyHidden}>
+							: {statusOf(rule, checkBreach && known === null)}
+						</span>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default PasswordStrength;
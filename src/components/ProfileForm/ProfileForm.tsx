@@ -0,0 +1,207 @@
+import React, { ChangeEvent, JSX, useRef, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+
+import Avatar from "@components/Avatar/Avatar";
+import FieldError from "@components/FieldError/FieldError";
+import type { AuthUser } from "@interface/auth.interface";
+import { accountService } from "@services/account/account.service";
+import {
+	PROFILE_FIELD_MESSAGES,
+	type ProfileFormValues,
+	profileSchema,
+} from "@services/account/account.schema";
+import { AVATAR_FILE_TYPES, toAvatar } from "@services/account/avatar.image";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+import styles from "./ProfileForm.module.scss";
+
+/**
+ * Props of {@link ProfileForm}.
+ */
+interface ProfileFormProps {
+	/** The signed-in user. */
+	user: AuthUser;
+}
+
+/**
+ * @component ProfileForm
+ * Name and avatar of the signed-in user.
+ *
+ * The picture is saved as soon as it is chosen, resized in the browser first; the name
+ * is saved with the form. Either way the new profile replaces the one of the session, so
+ * the header follows at once.
+ *
+ * @param {ProfileFormProps} props
+ * @returns {JSX.Element}
+ */
+const ProfileForm: React.FC<ProfileFormProps> = ({ user }): JSX.Element => {
+	const {
+		register,
+		handleSubmit,
+		reset,
+		setError,
+		formState: { errors, isSubmitting, isDirty },
+	} = useForm<ProfileFormValues>({
+		resolver: zodResolver(profileSchema),
+		defaultValues: { name: user.name },
+		mode: "onTouched",
+	});
+	const [avatarError, setAvatarError] = useState<string | null>(null);
+	const [avatarBusy, setAvatarBusy] = useState(false);
+	const [status, setStatus] = useState("");
+	const fileInput = useRef<HTMLInputElement>(null);
+
+	const submit = handleSubmit(async (values) => {
+		setStatus("");
+		try {
+			const updated = await accountService.updateProfile(
+				sessionService.requireAccessToken(),
+				values
+			);
+			sessionService.updateUser(updated);
+			reset({ name: updated.name });
+			setStatus("Your name was saved.");
+		} catch (error) {
+			if (!applyFieldErrors(error, setError, PROFILE_FIELD_MESSAGES)) {
+				setError("root.server", { message: "Your profile could not be saved. Please try again." });
+			}
+		}
+	});
+
+	const saveAvatar = async (avatarUrl: string | null) => {
+		setAvatarError(null);
+		setStatus("");
+		setAvatarBusy(true);
+		try {
+			const updated = await accountService.updateProfile(sessionService.requireAccessToken(), {
+				avatarUrl,
+			});
+			sessionService.updateUser(updated);
+			setStatus(avatarUrl ? "Your picture was changed." : "Your picture was removed.");
+		} catch {
+			setAvatarError("Your picture could not be saved. Please try again.");
+		} finally {
+			setAvatarBusy(false);
+		}
+	};
+
+	const handleFile = async (event: ChangeEvent<HTMLInputElement>) => {
+		const file = event.target.files?.[0];
+		// Let the same file be chosen again after an error.
+		event.target.value = "";
+		if (!file) {
+			return;
+		}
+		let avatarUrl: string;
+		try {
+			avatarUrl = await toAvatar(file);
+		} catch (error) {
+			setAvatarError(error instanceof Error ? error.message : "This picture could not be used.");
+			return;
+		}
+		await saveAvatar(avatarUrl);
+	};
+
+	return (
+		<div className={styles.profile}>
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{status}
+			</p>
+			<div className={styles.avatar}>
+				<Avatar
+					name={user.name}
+					url={user.avatarUrl}
+					size={64}
+				/>
+				<div className={formStyles.actions}>
+					<input
+						ref={fileInput}
+						id="profile-avatar"
+						className={styles.file}
+						type="file"
+						accept={AVATAR_FILE_TYPES.join(",")}
+						onChange={handleFile}
+					/>
+					<button
+						className={formStyles.secondary}
+						type="button"
+						disabled={avatarBusy}
+						onClick={() => fileInput.current?.click()}
+					>
+						{avatarBusy ? "Saving…" : "Change picture"}
+					</button>
+					{user.avatarUrl && (
+						<button
+							className={formStyles.secondary}
+							type="button"
+							disabled={avatarBusy}
+							onClick={() => saveAvatar(null)}
+						>
+							Remove picture
+						</button>
+					)}
+				</div>
+			</div>
+			{avatarError && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{avatarError}
+				</p>
+			)}
+			<form
+				className={formStyles.form}
+				onSubmit={submit}
+				noValidate
+			>
+				{errors.root?.server && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{errors.root.server.message}
+					</p>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="profile-name"
+					>
+						Name
+					</label>
+					<input
+						id="profile-name"
+						className={formStyles.input}
+						type="text"
+						autoComplete="name"
+						aria-invalid={!!errors.name}
+						aria-describedby={errors.name ? "profile-name-error" : undefined}
+						{...register("name")}
+					/>
+					<FieldError
+						id="profile-name-error"
+						message={errors.name?.message}
+					/>
+				</div>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="submit"
+						disabled={isSubmitting || !isDirty}
+					>
+						{isSubmitting ? "Saving…" : "Save name"}
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+};
+
+export default ProfileForm;
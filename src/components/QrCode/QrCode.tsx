@@ -0,0 +1,59 @@
+import React, { JSX, useEffect, useState } from "react";
+import { toString as renderQrSvg } from "qrcode";
+
+import styles from "./QrCode.module.scss";
+
+/**
+ * Props of {@link QrCode}.
+ */
+interface QrCodeProps {
+	/** Text to encode. */
+	value: string;
+	/** Accessible description of the code. */
+	label: string;
+	/** Rendered width and height, in CSS pixels. */
+	size?: number;
+}
+
+/**
+ * @component QrCode
+ * QR code rendered in the browser as SVG.
+ *
+ * The value never leaves the page: encoding secrets such as `otpauth://` URIs through
+ * a third-party image service would disclose them.
+ *
+ * @param {QrCodeProps} props
+ * @returns {JSX.Element}
+ */
+const QrCode: React.FC<QrCodeProps> = ({ value, label, size = 200 }): JSX.Element => {
+	const [svg, setSvg] = useState<string | null>(null);
+
+	useEffect(() => {
+		let cancelled = false;
+		setSvg(null);
+		renderQrSvg(value, { type: "svg", errorCorrectionLevel: "M", margin: 2 })
+			.then((markup) => !cancelled && setSvg(markup))
+			.catch(() => !cancelled && setSvg(null));
+		return () => {
+			cancelled = true;
+		};
+	}, [value]);
+
+	return (
+		<div
+			className={styles.qrCode}
+			style={{ width: size, height: size }}
+		>
+			{svg && (
+				<img
+					src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+					alt={label}
+					width={size}
+					height={size}
+				/>
+			)}
+		</div>
+	);
+};
+
+export default QrCode;
@@ -0,0 +1,90 @@
+import React, { JSX, useState } from "react";
+
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./RecoveryCodes.module.scss";
+
+/**
+ * Props of {@link RecoveryCodes}.
+ */
+interface RecoveryCodesProps {
+	codes: string[];
+	/** Name of the downloaded text file. */
+	fileName?: string;
+}
+
+/**
+ * @component RecoveryCodes
+ * Lists freshly issued recovery codes with buttons to copy or download them.
+ *
+ * The codes are only returned by the API once, so this is the user's only chance to
+ * save them.
+ *
+ * @param {RecoveryCodesProps} props
+ * @returns {JSX.Element}
+ */
+const RecoveryCodes: React.FC<RecoveryCodesProps> = ({
+	codes,
+	fileName = "interface-guard-recovery-codes.txt",
+}): JSX.Element => {
+	const [feedback, setFeedback] = useState("");
+	const text = codes.join("\n");
+
+	const handleCopy = async () => {
+		try {
+			await navigator.clipboard.writeText(text);
+			setFeedback("Recovery codes copied to the clipboard.");
+		} catch {
+			setFeedback("Copying failed. Select the codes and copy them manually.");
+		}
+	};
+
+	const handleDownload = () => {
+		const url = URL.createObjectURL(new Blob([`${text}\n`], { type: "text/plain" }));
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = fileName;
+		link.click();
+		URL.revokeObjectURL(url);
+		setFeedback("Recovery codes downloaded.");
+	};
+
+	return (
+		<div className={styles.recoveryCodes}>
+			<ul
+				className={styles.list}
+				aria-label="Recovery codes"
+			>
+				{codes.map((code) => (
+					<li key={code}>
+						<code>{code}</code>
+					</li>
+				))}
+			</ul>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={handleCopy}
+				>
+					Copy
+				</button>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={handleDownload}
+				>
+					Download
+				</button>
+				<span
+					className={formStyles.hint}
+					role="status"
+				>
+					{feedback}
+				</span>
+			</div>
+		</div>
+	);
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,154 @@
+import React, { JSX } from "react";
+
+import type { AccessScope, Action, Policy, Resource } from "@interface/rbac.interface";
+import { grantsOf, inheritedScope, SCOPE_LABELS, SCOPES } from "@services/rbac/rbac.editor";
+import {
+	ACTION_LABELS,
+	ACTIONS,
+	LOCKED_ROLE,
+	RESOURCE_GROUPS,
+	RESOURCE_LABELS,
+} from "@services/rbac/rbac.policy";
+
+import styles from "./RoleMatrix.module.scss";
+
+/**
+ * Props of {@link RoleMatrix}.
+ */
+interface RoleMatrixProps {
+	policy: Policy;
+	/** Role whose column is highlighted. */
+	selected: string | null;
+	onSelect: (roleId: string) => void;
+	onChange: (roleId: string, resource: Resource, action: Action, scope: AccessScope | null) => void;
+	/** Shows the grants as text, without controls. */
+	readOnly?: boolean;
+}
+
+/**
+ * @component RoleMatrix
+ * Grants of every role, with one column per role and one row per action, grouped by
+ * resource and area.
+ *
+ * Each cell holds the scope the role grants itself: none, `Own`, `Tenant` or `All`.
+ * When the roles it inherits reach further, the cell says so, since that wider scope
+ * is what its holders actually get. The locked administrator role is shown but cannot
+ * be changed.
+ *
+ * @param {RoleMatrixProps} props
+ * @returns {JSX.Element}
+ */
+const RoleMatrix: React.FC<RoleMatrixProps> = ({
+	policy,
+	selected,
+	onSelect,
+	onChange,
+	readOnly = false,
+}): JSX.Element => {
+	const roleIds = Object.keys(policy.roles);
+	const grants = Object.fromEntries(roleIds.map((id) => [id, grantsOf(policy.roles[id])]));
+
+	return (
+		<div className={styles.scroller}>
+			<table className={styles.matrix}>
+				<caption>Permissions by role</caption>
+				<thead>
+					<tr>
+						<th scope="col">Resource</th>
+						<th scope="col">Action</th>
+						{roleIds.map((id) => (
+							<th
+								key={id}
+								scope="col"
+								className={id === selected ? styles.selected : undefined}
+							>
+								<button
+									type="button"
+									aria-pressed={id === selected}
+									onClick={() => onSelect(id)}
+								>
+									{policy.roles[id].label}
+								</button>
+								<code>{id}</code>
+							</th>
+						))}
+					</tr>
+				</thead>
+				{RESOURCE_GROUPS.map((group) => (
+					<tbody key={group.label}>
+						<tr>
+							<th
+								className={styles.group}
+								colSpan={roleIds.length + 2}
+								scope="rowgroup"
+							>
+								{group.label}
+							</th>
+						</tr>
+						{group.resources.flatMap((resource) =>
+							ACTIONS.map((action, index) => (
+								<tr key={`${resource}:${action}`}>
+									{index === 0 && (
+										<th
+											scope="row"
+											rowSpan={ACTIONS.length}
+										>
+											{RESOURCE_LABELS[resource]}
+										</th>
+									)}
+									<th scope="row">{ACTION_LABELS[action]}</th>
+									{roleIds.map((id) => {
+										const own = grants[id][resource]?.[action] ?? null;
+										const inherited = inheritedScope(policy, id, resource, action);
+										const widerInherited =
+											inherited && (!own || SCOPES.indexOf(inherited) > SCOPES.indexOf(own));
+										const label = `${policy.roles[id].label}: ${ACTION_LABELS[action]} ${RESOURCE_LABELS[resource]}`;
+										return (
+											<td
+												key={id}
+												className={id === selected ? styles.selected : undefined}
+											>
+												{readOnly || id === LOCKED_ROLE ?
+													<span aria-label={label}>{own ? SCOPE_LABELS[own] : "—"}</span>
+												:	<select
+														aria-label={label}
+														value={own ?? ""}
+														onChange={(event) =>
+															onChange(
+																id,
+																resource,
+																action,
+																(event.target.value || null) as AccessScope | null
+															)
+														}
+													>
+														<option value="">—</option>
+														{SCOPES.map((scope) => (
+															<option
+																key={scope}
+																value={scope}
+															>
+																{SCOPE_LABELS[scope]}
+															</option>
+														))}
+													</select>
+												}
+												{widerInherited && (
+													<span className={styles.inherited}>
+														{SCOPE_LABELS[inherited]} inherited
+													</span>
+												)}
+											</td>
+										);
+									})}
+								</tr>
+							))
+						)}
+					</tbody>
+				))}
+			</table>
+		</div>
+	);
+};
+
+export default RoleMatrix;
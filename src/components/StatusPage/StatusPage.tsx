@@ -0,0 +1,44 @@
+import React, { JSX } from "react";
+
+import styles from "./StatusPage.module.scss";
+
+/**
+ * Props of {@link StatusPage}.
+ */
+interface StatusPageProps {
+	/** Short status shown in large type, e.g. `403`. */
+	code: string;
+	title: string;
+	message: React.ReactNode;
+	/** Links or buttons offering a way forward. */
+	actions?: React.ReactNode;
+}
+
+/**
+ * @component StatusPage
+ * Centered message used for 403, 404 and other dead ends, so the user always gets an
+ * explanation and a way out instead of a blank screen.
+ *
+ * @param {StatusPageProps} props
+ * @returns {JSX.Element}
+ */
+const StatusPage: React.FC<StatusPageProps> = ({ code, title, message, actions }): JSX.Element => {
+	return (
+		<section
+			className={styles.status}
+			aria-labelledby="status-page-title"
+		>
+			<p
+				className={styles.code}
+				aria-hidden="true"
+			>
+				{code}
+			</p>
+			<h1 id="status-page-title">{title}</h1>
+			<p className={styles.message}>{message}</p>
+			{actions && <div className={styles.actions}>{actions}</div>}
+		</section>
+	);
+};
+
+export default StatusPage;
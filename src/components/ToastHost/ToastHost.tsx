@@ -0,0 +1,26 @@
+import React, { JSX } from "react";
+import { ToastContainer } from "react-toastify";
+
+/**
+ * @component ToastHost
+ * Where toasts appear. `App` loads it lazily, so react-toastify and the styles it
+ * injects are not part of the initial bundle; toasts raised before it is mounted are
+ * queued by react-toastify until then.
+ *
+ * The container is a polite `aria-live` region, so screen readers announce new toasts
+ * without losing their place; errors are raised as alerts and announced at once. Alt+T
+ * moves the focus to the toasts. At most four are shown, newest first; the others wait.
+ *
+ * @returns {JSX.Element}
+ */
+const ToastHost: React.FC = (): JSX.Element => (
+	<ToastContainer
+		position="bottom-right"
+		limit={4}
+		newestOnTop
+		closeOnClick={false}
+		aria-label="Notifications"
+	/>
+);
+
+export default ToastHost;
@@ -0,0 +1,231 @@
+import React, { JSX } from "react";
+import { Link } from "react-router-dom";
+import type { UseFormReturn } from "react-hook-form";
+
+import FieldError from "@components/FieldError/FieldError";
+import { usePolicy } from "@hooks/usePolicy";
+import { ROUTES } from "@routes/paths";
+import {
+	SUPPORTED_LOCALES,
+	USER_FIELD_MESSAGES,
+	type UserFormValues,
+} from "@services/users/user.schema";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+import styles from "./UserForm.module.scss";
+
+/**
+ * Props of {@link UserForm}.
+ */
+interface UserFormProps {
+	/** The form, created with `useUserForm`. */
+	form: UseFormReturn<UserFormValues>;
+	/**
+	 * Saves the values. Field errors in the rejection (`details.fields`) are shown on the
+	 * inputs, anything else above the form.
+	 */
+	onSubmit: (values: UserFormValues) => Promise<void>;
+	submitLabel: string;
+	/** Whether the Administrator role may be granted; only administrators can. */
+	canGrantAdmin: boolean;
+}
+
+/**
+ * @component UserForm
+ * Identity, roles, status and language of a user, shared by the create and edit pages.
+ *
+ * Values are validated with the user schema before anything is sent; the API checks
+ * them again and its field errors land on the same inputs.
+ *
+ * @param {UserFormProps} props
+ * @returns {JSX.Element}
+ */
+const UserForm: React.FC<UserFormProps> = ({
+	form,
+	onSubmit,
+	submitLabel,
+	canGrantAdmin,
+}): JSX.Element => {
+	const {
+		register,
+		handleSubmit,
+		setError,
+		formState: { errors, isSubmitting, isDirty },
+	} = form;
+	const policy = usePolicy();
+
+	const submit = handleSubmit(async (values) => {
+		try {
+			await onSubmit(values);
+		} catch (error) {
+			if (!applyFieldErrors(error, setError, USER_FIELD_MESSAGES)) {
+				setError("root.server", {
+					message:
+						error instanceof Error ?
+							error.message
+						:	"The user could not be saved. Please try again.",
+				});
+			}
+		}
+	});
+
+	return (
+		<form
+			className={formStyles.form}
+			onSubmit={submit}
+			noValidate
+		>
+			{errors.root?.server && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{errors.root.server.message}
+				</p>
+			)}
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="user-name"
+				>
+					Name
+				</label>
+				<input
+					id="user-name"
+					className={formStyles.input}
+					type="text"
+					autoComplete="off"
+					aria-invalid={!!errors.name}
+					aria-describedby={errors.name ? "user-name-error" : undefined}
+					{...register("name")}
+				/>
+				<FieldError
+					id="user-name-error"
+					message={errors.name?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="user-email"
+				>
+					Email
+				</label>
+				<input
+					id="user-email"
+					className={formStyles.input}
+					type="email"
+					autoComplete="off"
+					aria-invalid={!!errors.email}
+					aria-describedby={errors.email ? "user-email-error" : undefined}
+					{...register("email")}
+				/>
+				<FieldError
+					id="user-email-error"
+					message={errors.email?.message}
+				/>
+			</div>
+			<fieldset
+				className={styles.choices}
+				aria-invalid={!!errors.roles}
+				aria-describedby={errors.roles ? "user-roles-error" : undefined}
+			>
+				<legend className={formStyles.label}>Roles</legend>
+				{Object.entries(policy.roles).map(([role, { label, description }]) => (
+					<label key={role}>
+						<input
+							type="checkbox"
+							value={role}
+							disabled={role === "admin" && !canGrantAdmin}
+							{...register("roles")}
+						/>
+						<span>
+							{label}
+							<span className={formStyles.hint}>{description}</span>
+						</span>
+					</label>
+				))}
+				<FieldError
+					id="user-roles-error"
+					message={errors.roles?.message}
+				/>
+			</fieldset>
+			<fieldset
+				className={styles.choices}
+				aria-describedby={errors.status ? "user-status-error" : undefined}
+			>
+				<legend className={formStyles.label}>Status</legend>
+				<label>
+					<input
+						type="radio"
+						value="active"
+						{...register("status")}
+					/>
+					<span>
+						Active
+						<span className={formStyles.hint}>May sign in.</span>
+					</span>
+				</label>
+				<label>
+					<input
+						type="radio"
+						value="suspended"
+						{...register("status")}
+					/>
+					<span>
+						Suspended
+						<span className={formStyles.hint}>
+							Cannot sign in; existing sessions end at their next refresh.
+						</span>
+					</span>
+				</label>
+				<FieldError
+					id="user-status-error"
+					message={errors.status?.message}
+				/>
+			</fieldset>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="user-locale"
+				>
+					Language
+				</label>
+				<select
+					id="user-locale"
+					className={formStyles.input}
+					aria-invalid={!!errors.locale}
+					aria-describedby={errors.locale ? "user-locale-error" : undefined}
+					{...register("locale")}
+				>
+					{Object.entries(SUPPORTED_LOCALES).map(([locale, name]) => (
+						<option
+							key={locale}
+							value={locale}
+							lang={locale}
+						>
+							{name}
+						</option>
+					))}
+				</select>
+				<FieldError
+					id="user-locale-error"
+					message={errors.locale?.message}
+				/>
+			</div>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.button}
+					type="submit"
+					disabled={isSubmitting || !isDirty}
+				>
+					{isSubmitting ? "Saving…" : submitLabel}
+				</button>
+				<Link to={ROUTES.users}>Back to users</Link>
+			</div>
+		</form>
+	);
+};
+
+export default UserForm;
@@ -25,6 +25,47 @@ declare global {
 	}
 }
 
+// !Client Environment
+/**
+ * Variables injected into the bundle by `DefinePlugin` through `getClientEnvironment`
+ * (`webpack/common/environment/env.mjs`). Only `NODE_ENV`, `PUBLIC_URL` and
+ * `INTERFACE_GUARD_*` variables ever reach client code.
+ *
+ * * Example Usage:
+ * const apiUrl = process.env.INTERFACE_GUARD_API_URL;
+ */
+declare namespace NodeJS {
+	interface ProcessEnv {
+		readonly NODE_ENV: "development" | "production" | "staging";
+		readonly PUBLIC_URL: string;
+		readonly INTERFACE_GUARD_API_URL: string;
+		readonly INTERFACE_GUARD_API_TIMEOUT: string;
+		readonly INTERFACE_GUARD_CSRF_COOKIE: string;
+		readonly INTERFACE_GUARD_CSRF_HEADER: string;
+		readonly INTERFACE_GUARD_ERROR_ENDPOINT: string;
+		readonly INTERFACE_GUARD_JWT_ISSUER: string;
+		readonly INTERFACE_GUARD_JWT_AUDIENCE: string;
+		readonly INTERFACE_GUARD_JWKS_URL?: string;
+		readonly INTERFACE_GUARD_JWKS?: string;
+		readonly INTERFACE_GUARD_JWT_CLOCK_TOLERANCE?: string;
+		readonly INTERFACE_GUARD_REFRESH_LEEWAY?: string;
+		readonly INTERFACE_GUARD_TOKEN_STORAGE: string;
+		readonly INTERFACE_GUARD_IDLE_TIMEOUT: string;
+		readonly INTERFACE_GUARD_IDLE_WARNING: string;
+		readonly INTERFACE_GUARD_IDLE_ROLES: string;
+		readonly INTERFACE_GUARD_OIDC_ISSUER: string;
+		readonly INTERFACE_GUARD_OIDC_CLIENT_ID: string;
+		readonly INTERFACE_GUARD_OIDC_SCOPE: string;
+		readonly INTERFACE_GUARD_OIDC_PROVIDER_NAME: string;
+		readonly INTERFACE_GUARD_PASSWORD_MIN_LENGTH: string;
+		readonly INTERFACE_GUARD_PASSWORD_MAX_LENGTH: string;
+		readonly INTERFACE_GUARD_PASSWORD_REQUIRED_CLASSES: string;
+		readonly INTERFACE_GUARD_PASSWORD_HISTORY: string;
+		readonly INTERFACE_GUARD_PASSWORD_BLOCKED_WORDS: string;
+		readonly INTERFACE_GUARD_PASSWORD_BREACH_CHECK: string;
+	}
+}
+
 // !CSS modules
 /**
  * Represents a mapping of CSS module class names to unique identifiers (strings).
@@ -0,0 +1,35 @@
+import { createContext } from "react";
+
+import type { LoginCredentials } from "@interface/auth.interface";
+import type { InvitationAcceptance } from "@interface/invitation.interface";
+import type { MfaChallenge } from "@interface/mfa.interface";
+import type { SessionClaims, SessionState } from "@interface/session.interface";
+import type { CeremonyOptions } from "@services/webauthn/webauthn.ceremony";
+
+/**
+ * Value exposed by `SessionProvider`: the current session snapshot plus the actions
+ * that change it.
+ */
+export interface SessionContextValue extends SessionState {
+	isAuthenticated: boolean;
+	signIn: (credentials: LoginCredentials) => Promise<SessionClaims | MfaChallenge>;
+	verifyMfa: (mfaToken: string, code: string) => Promise<SessionClaims>;
+	recoverMfa: (mfaToken: string, code: string) => Promise<SessionClaims>;
+	signInWithOidc: (idToken: string, nonce: string) => Promise<SessionClaims>;
+	signInWithPasskey: (ceremony?: CeremonyOptions) => Promise<SessionClaims>;
+	acceptInvitation: (acceptance: InvitationAcceptance) => Promise<SessionClaims>;
+	/** Whether a staff member is viewing the application as the signed-in user. */
+	isImpersonating: boolean;
+	startImpersonation: (userId: string) => Promise<SessionClaims>;
+	stopImpersonation: () => Promise<SessionClaims>;
+	signOut: () => Promise<void>;
+}
+
+/**
+ * @constant SessionContext
+ * React context carrying the verified session. `null` outside of a `SessionProvider`.
+ *
+ * Tests can render components under `<SessionContext.Provider value={...}>` to supply
+ * arbitrary claims without going through the network or token verification.
+ */
+export const SessionContext = createContext<SessionContextValue | null>(null);
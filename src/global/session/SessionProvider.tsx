@@ -0,0 +1,88 @@
+import React, { JSX, useEffect, useMemo, useSyncExternalStore } from "react";
+
+import { startPolicySync } from "@services/rbac/rbac.sync";
+import { startRefreshScheduler } from "@services/session/refresh.scheduler";
+import { createSessionChannel } from "@services/session/session.channel";
+import { startAuthInterceptor } from "@services/session/session.interceptor";
+import { restoreSession, startSessionPersistence } from "@services/session/session.persistence";
+import { sessionService, sessionStore } from "@services/session/session.service";
+import { startSessionSync } from "@services/session/session.sync";
+import { tokenStorage } from "@services/storage/token.storage";
+
+import { SessionContext, type SessionContextValue } from "./SessionContext";
+
+/**
+ * Props of {@link SessionProvider}.
+ */
+interface SessionProviderProps {
+	children: React.ReactNode;
+}
+
+/**
+ * @component SessionProvider
+ * Publishes the session held in `sessionStore` through `SessionContext`.
+ *
+ * Every change to the store (sign in, refresh, sign out) re-renders the consumers with
+ * the new snapshot. Claims exposed here have always been verified.
+ *
+ * While mounted it also keeps the session alive: tokens are refreshed shortly before they
+ * expire, and sign-in, refresh and sign-out are shared with the other open tabs and
+ * saved to the token storage chosen by `INTERFACE_GUARD_TOKEN_STORAGE`. API requests
+ * rejected for an expired token are replayed once it is refreshed. A stored session
+ * is restored before asking the other tabs for theirs. The roles stored by the API are
+ * loaded for every new access token, so the guards enforce what the API does.
+ *
+ * @param {SessionProviderProps} props
+ * @returns {JSX.Element}
+ */
+const SessionProvider: React.FC<SessionProviderProps> = ({ children }): JSX.Element => {
+	const state = useSyncExternalStore(sessionStore.subscribe, sessionStore.getState);
+
+	useEffect(() => {
+		const channel = createSessionChannel();
+		const stopPersistence = startSessionPersistence(tokenStorage);
+		const stopRefresh = startRefreshScheduler();
+		const stopInterceptor = startAuthInterceptor();
+		const stopPolicySync = startPolicySync();
+		let stopSync: (() => void) | undefined;
+		let mounted = true;
+
+		void restoreSession(tokenStorage).then(() => {
+			if (mounted) {
+				stopSync = startSessionSync(channel);
+			}
+		});
+
+		return () => {
+			mounted = false;
+			stopPolicySync();
+			stopInterceptor();
+			stopRefresh();
+			stopSync?.();
+			stopPersistence();
+			channel.close();
+		};
+	}, []);
+
+	const value = useMemo<SessionContextValue>(
+		() => ({
+			...state,
+			isAuthenticated: state.status === "authenticated",
+			signIn: sessionService.signIn,
+			verifyMfa: sessionService.verifyMfa,
+			recoverMfa: sessionService.recoverMfa,
+			signInWithOidc: sessionService.signInWithOidc,
+			signInWithPasskey: sessionService.signInWithPasskey,
+			acceptInvitation: sessionService.acceptInvitation,
+			isImpersonating: state.claims?.actor !== undefined,
+			startImpersonation: sessionService.startImpersonation,
+			stopImpersonation: sessionService.stopImpersonation,
+			signOut: sessionService.signOut,
+		}),
+		[state]
+	);
+
+	return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+};
+
+export default SessionProvider;
@@ -0,0 +1,38 @@
+import React, { JSX, useEffect } from "react";
+import { Provider } from "react-redux";
+
+import { startAuthSync } from "@store/auth/auth.sync";
+import { store } from "@store/store";
+import { startStatePersistence } from "@store/store.persistence";
+
+/**
+ * Props of {@link StoreProvider}.
+ */
+interface StoreProviderProps {
+	children: React.ReactNode;
+}
+
+/**
+ * @component StoreProvider
+ * Provides the Redux store to `useAppSelector`, `useAppDispatch` and the RTK Query hooks.
+ *
+ * While mounted, the `auth` slice follows the browser session and the persisted part of
+ * the state is saved to `localStorage`.
+ *
+ * @param {StoreProviderProps} props
+ * @returns {JSX.Element}
+ */
+const StoreProvider: React.FC<StoreProviderProps> = ({ children }): JSX.Element => {
+	useEffect(() => {
+		const stopAuthSync = startAuthSync(store);
+		const stopPersistence = startStatePersistence(store);
+		return () => {
+			stopPersistence();
+			stopAuthSync();
+		};
+	}, []);
+
+	return <Provider store={store}>{children}</Provider>;
+};
+
+export default StoreProvider;
@@ -0,0 +1,70 @@
+import { useCallback, useMemo } from "react";
+
+import type { AuditEvent, AuditQuery } from "@interface/audit.interface";
+import { isApiQueryError } from "@store/api/api";
+import { useListAuditEventsInfiniteQuery } from "@store/api/audit.api";
+import { selectIsAuthenticated } from "@store/auth/auth.slice";
+import { useAppSelector } from "@store/hooks";
+
+/**
+ * State returned by {@link useAuditLog}.
+ */
+export interface AuditLogState {
+	/** Every event loaded so far, newest first. */
+	events: AuditEvent[];
+	/** Number of events matching the filters, `null` until the first slice arrives. */
+	total: number | null;
+	/** Whether more events can be loaded. */
+	hasMore: boolean;
+	loading: boolean;
+	error: string | null;
+	/**
+	 * Loads the next slice, or retries the one that failed; does nothing while a slice is
+	 * loading or after the last one.
+	 */
+	loadMore: () => void;
+}
+
+/**
+ * Loads the audit log matching `query` slice by slice, for infinite scrolling. The
+ * list starts over whenever the query changes. Slices are kept in the RTK Query cache,
+ * so the log is fetched again when a change made in this tab adds events to it.
+ *
+ * @param {AuditQuery} query - Time range and actor filters.
+ * @returns {AuditLogState} The events loaded so far and a way to load more.
+ *
+ * * Example Usage:
+ * const { events, hasMore, loadMore } = useAuditLog(query);
+ */
+export const useAuditLog = (query: AuditQuery): AuditLogState => {
+	const isAuthenticated = useAppSelector(selectIsAuthenticated);
+	const { currentData, isFetching, isError, error, hasNextPage, fetchNextPage, refetch } =
+		useListAuditEventsInfiniteQuery(query, { skip: !isAuthenticated });
+
+	const events = useMemo(
+		() => currentData?.pages.flatMap((slice) => slice.items) ?? [],
+		[currentData]
+	);
+	const hasMore = !currentData || hasNextPage;
+
+	const loadMore = useCallback(() => {
+		if (isFetching || !hasMore) {
+			return;
+		}
+		// Without a first slice there is nothing to continue from: start over.
+		void (currentData ? fetchNextPage() : refetch());
+	}, [isFetching, hasMore, currentData, fetchNextPage, refetch]);
+
+	return {
+		events,
+		total: currentData?.pages[0]?.total ?? null,
+		hasMore,
+		loading: isFetching,
+		error:
+			!isError ? null
+			: isApiQueryError(error) && error.status === 403 ?
+				"You are not allowed to read the audit log."
+			:	"The audit log could not be loaded. Please try again.",
+		loadMore,
+	};
+};
@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { type IdleTracker, startIdleTracker } from "@services/session/idle.tracker";
+import { env } from "@utils/env";
+
+import { useSession } from "./useSession";
+
+/**
+ * State returned by {@link useIdleTimeout}.
+ */
+export interface IdleTimeoutState {
+	/** Epoch time of the forced sign-out while the warning is due, `null` otherwise. */
+	deadline: number | null;
+	/** `true` once the user has been signed out for inactivity, until acknowledged. */
+	signedOut: boolean;
+	/** Keeps the session alive and closes the warning in every tab. */
+	stayActive: () => void;
+	/** Clears `signedOut`. */
+	acknowledge: () => void;
+}
+
+/**
+ * Signs the user out after `INTERFACE_GUARD_IDLE_TIMEOUT` seconds of inactivity.
+ *
+ * The tracker only runs while someone is signed in, the timeout is enabled, and the
+ * user holds one of `INTERFACE_GUARD_IDLE_ROLES` (or that list is empty). Ending the
+ * session signs out every tab; the route guards then take each of them to the login page.
+ *
+ * @returns {IdleTimeoutState} The warning deadline, the sign-out flag and their actions.
+ */
+export const useIdleTimeout = (): IdleTimeoutState => {
+	const { status, claims, signOut } = useSession();
+	const [deadline, setDeadline] = useState<number | null>(null);
+	const [signedOut, setSignedOut] = useState(false);
+	const trackerRef = useRef<IdleTracker | null>(null);
+
+	const { timeout, warning, roles } = env.idle;
+	const applies =
+		status === "authenticated" &&
+		timeout > 0 &&
+		(roles.length === 0 || !!claims?.roles.some((role) => roles.includes(role)));
+
+	useEffect(() => {
+		if (!applies) {
+			return;
+		}
+
+		setSignedOut(false);
+		const tracker = startIdleTracker({
+			timeout: timeout * 1000,
+			warning: Math.min(warning, timeout) * 1000,
+			onWarning: setDeadline,
+			onActive: () => setDeadline(null),
+			onTimeout: () => {
+				setSignedOut(true);
+				void signOut();
+			},
+		});
+		trackerRef.current = tracker;
+
+		return () => {
+			tracker.stop();
+			trackerRef.current = null;
+			setDeadline(null);
+		};
+	}, [applies, timeout, warning, signOut]);
+
+	const stayActive = useCallback(() => trackerRef.current?.stayActive(), []);
+	const acknowledge = useCallback(() => setSignedOut(false), []);
+
+	return { deadline, signedOut, stayActive, acknowledge };
+};
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useRef } from "react";
+import { type BlockerFunction, useBlocker } from "react-router-dom";
+
+/**
+ * State returned by {@link useLeaveWarning}.
+ */
+export interface LeaveWarning {
+	/** `true` while a navigation waits for the user to confirm. */
+	blocked: boolean;
+	/** Continues the blocked navigation. */
+	leave: () => void;
+	/** Cancels the blocked navigation. */
+	stay: () => void;
+	/**
+	 * Stops warning until `when` next becomes `true`; call it before navigating away
+	 * after a successful save, which happens before the form re-renders as clean.
+	 */
+	release: () => void;
+}
+
+/**
+ * Warns before leaving a page with unsaved changes: navigations inside the application
+ * wait for a confirmation, and reloading or closing the tab shows the browser prompt.
+ *
+ * Only changes of path are blocked, so query string updates on the same page go through.
+ *
+ * @param {boolean} when - Whether there are unsaved changes.
+ * @returns {LeaveWarning} The blocker state and its actions.
+ *
+ * * Example Usage:
+ * const warning = useLeaveWarning(formState.isDirty);
+ */
+export const useLeaveWarning = (when: boolean): LeaveWarning => {
+	const armed = useRef(when);
+
+	useEffect(() => {
+		armed.current = when;
+		if (!when) {
+			return;
+		}
+		const handleBeforeUnload = (event: BeforeUnloadEvent) => {
+			event.preventDefault();
+		};
+		window.addEventListener("beforeunload", handleBeforeUnload);
+		return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+	}, [when]);
+
+	const shouldBlock = useCallback<BlockerFunction>(
+		({ currentLocation, nextLocation }) =>
+			armed.current && currentLocation.pathname !== nextLocation.pathname,
+		[]
+	);
+	const blocker = useBlocker(shouldBlock);
+
+	const leave = useCallback(() => blocker.proceed?.(), [blocker]);
+	const stay = useCallback(() => blocker.reset?.(), [blocker]);
+	const release = useCallback(() => {
+		armed.current = false;
+	}, []);
+
+	return { blocked: blocker.state === "blocked", leave, stay, release };
+};
@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from "react";
+
+import type { NotificationState } from "@interface/notification.interface";
+import { notificationStore } from "@services/notifications/notification.service";
+
+/**
+ * Returns the entries of the notification tray, rendering again when one is added,
+ * read or dismissed.
+ *
+ * @returns {NotificationState} The tray, newest entry first.
+ *
+ * * Example Usage:
+ * const { items } = useNotifications();
+ */
+export const useNotifications = (): NotificationState =>
+	useSyncExternalStore(notificationStore.subscribe, notificationStore.getState);
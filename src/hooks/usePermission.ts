@@ -0,0 +1,47 @@
+import { useMemo } from "react";
+
+import type { AccessTarget, Action, Resource } from "@interface/rbac.interface";
+import { createAccessControl, subjectFromClaims } from "@services/rbac/rbac.engine";
+
+import { usePolicy } from "./usePolicy";
+import { useSession } from "./useSession";
+
+/**
+ * Tells whether the signed-in user may perform `action` on `resource`.
+ *
+ * Signed-out users are never allowed. Pass `target` to take ownership and tenant
+ * conditions into account for a specific instance. The answer follows the roles loaded
+ * from the API, and changes when they do.
+ *
+ * @param {Action} action - The action, e.g. `update`.
+ * @param {Resource} resource - The resource, e.g. `users`.
+ * @param {AccessTarget} [target] - The instance acted upon.
+ * @returns {boolean} `true` when the action is allowed.
+ *
+ * * Example Usage:
+ * const canEdit = usePermission("update", "users", { ownerId: user.id, tenantId: user.tenantId });
+ */
+export const usePermission = (
+	action: Action,
+	resource: Resource,
+	target?: AccessTarget
+): boolean => {
+	const { claims } = useSession();
+	const policy = usePolicy();
+	// `target` is compared by its fields so inline objects do not defeat memoisation.
+	const hasTarget = target !== undefined;
+	const ownerId = target?.ownerId;
+	const tenantId = target?.tenantId;
+
+	return useMemo(
+		() =>
+			!!claims &&
+			createAccessControl(policy).can(
+				subjectFromClaims(claims),
+				action,
+				resource,
+				hasTarget ? { ownerId, tenantId } : undefined
+			),
+		[claims, policy, action, resource, hasTarget, ownerId, tenantId]
+	);
+};
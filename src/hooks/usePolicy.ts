@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+
+import type { Policy } from "@interface/rbac.interface";
+import { policyStore } from "@services/rbac/rbac.store";
+
+const selectPolicy = (): Policy => policyStore.getState().policy;
+
+/**
+ * Returns the roles the application currently enforces, rendering again when they
+ * change (after sign-in, sign-out, or a save in the role editor).
+ *
+ * @returns {Policy} The current policy.
+ *
+ * * Example Usage:
+ * const { roles } = usePolicy();
+ */
+export const usePolicy = (): Policy => useSyncExternalStore(policyStore.subscribe, selectPolicy);
@@ -0,0 +1,20 @@
+import { useContext } from "react";
+
+import { SessionContext, type SessionContextValue } from "@global/session/SessionContext";
+
+/**
+ * Reads the current session from the nearest `SessionProvider`.
+ *
+ * @returns {SessionContextValue} The session snapshot and its actions.
+ * @throws {Error} When used outside of a `SessionProvider`.
+ *
+ * * Example Usage:
+ * const { claims, isAuthenticated, signOut } = useSession();
+ */
+export const useSession = (): SessionContextValue => {
+	const session = useContext(SessionContext);
+	if (!session) {
+		throw new Error("useSession must be used within a SessionProvider.");
+	}
+	return session;
+};
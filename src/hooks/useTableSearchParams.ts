@@ -0,0 +1,221 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import type {
+	ColumnFiltersState,
+	OnChangeFn,
+	PaginationState,
+	SortingState,
+	Updater,
+	VisibilityState,
+} from "@tanstack/react-table";
+
+/**
+ * Options of {@link useTableSearchParams}.
+ */
+export interface TableSearchParamsOptions {
+	/** Page size used when the URL does not name one. */
+	defaultPageSize: number;
+	/** Page sizes the URL may select; anything else falls back to the default. */
+	pageSizes: readonly number[];
+	/** Columns whose sort the URL may carry, so a hand-edited link cannot break the query. */
+	sortableColumns: readonly string[];
+	/**
+	 * Column filters kept in the URL, by column ID: `multi` filters hold a list of values,
+	 * `single` filters a string.
+	 */
+	filters: Readonly<Record<string, "single" | "multi">>;
+	/** Columns hidden when the URL does not say otherwise. */
+	defaultHidden?: readonly string[];
+}
+
+/**
+ * Table state mirrored in the query string, in the shape `useReactTable` expects.
+ */
+export interface TableSearchParamsState {
+	pagination: PaginationState;
+	sorting: SortingState;
+	columnFilters: ColumnFiltersState;
+	columnVisibility: VisibilityState;
+	onPaginationChange: OnChangeFn<PaginationState>;
+	onSortingChange: OnChangeFn<SortingState>;
+	onColumnFiltersChange: OnChangeFn<ColumnFiltersState>;
+	onColumnVisibilityChange: OnChangeFn<VisibilityState>;
+}
+
+const PAGE_PARAM = "page";
+const PAGE_SIZE_PARAM = "pageSize";
+const SORT_PARAM = "sort";
+const HIDDEN_PARAM = "hide";
+
+/**
+ * Splits a comma-separated parameter.
+ *
+ * @param {string | null} value - The raw parameter.
+ * @returns {string[]} The non-empty entries.
+ */
+const toList = (value: string | null): string[] => (value ?? "").split(",").filter(Boolean);
+
+/**
+ * Resolves a TanStack updater against the current value.
+ *
+ * @param {Updater<T>} updater - A value or a function of the previous value.
+ * @param {T} current - The current value.
+ * @returns {T} The next value.
+ */
+const resolve = <T>(updater: Updater<T>, current: T): T =>
+	typeof updater === "function" ? (updater as (previous: T) => T)(current) : updater;
+
+/**
+ * Keeps the pagination, sorting, column filters and column visibility of a table in the
+ * query string, so a filtered view can be bookmarked, shared or restored with the back
+ * button.
+ *
+ * The URL only holds what differs from the defaults:
+ * `?page=2&pageSize=50&sort=status:asc,lastLoginAt:desc&role=admin,support&hide=email`.
+ * Pages are 1-based in the URL and 0-based in the table. Changing the sort or a filter
+ * goes back to the first page. Values the options do not allow are ignored.
+ *
+ * @param {TableSearchParamsOptions} options - Defaults and the parameters to read.
+ * @returns {TableSearchParamsState} The state and its change handlers.
+ *
+ * * Example Usage:
+ * const state = useTableSearchParams({ defaultPageSize: 20, pageSizes: [20, 50], ... });
+ * const table = useReactTable({ state, ...state, manualPagination: true, ... });
+ */
+export const useTableSearchParams = ({
+	defaultPageSize,
+	pageSizes,
+	sortableColumns,
+	filters,
+	defaultHidden = [],
+}: TableSearchParamsOptions): TableSearchParamsState => {
+	const [searchParams, setSearchParams] = useSearchParams();
+
+	const pagination = useMemo<PaginationState>(() => {
+		const page = Number(searchParams.get(PAGE_PARAM));
+		const pageSize = Number(searchParams.get(PAGE_SIZE_PARAM));
+		return {
+			pageIndex: Number.isInteger(page) && page > 1 ? page - 1 : 0,
+			pageSize: pageSizes.includes(pageSize) ? pageSize : defaultPageSize,
+		};
+	}, [searchParams, pageSizes, defaultPageSize]);
+
+	const sorting = useMemo<SortingState>(
+		() =>
+			toList(searchParams.get(SORT_PARAM)).flatMap((entry) => {
+				const [id, direction = "asc"] = entry.split(":");
+				return sortableColumns.includes(id) && (direction === "asc" || direction === "desc") ?
+						[{ id, desc: direction === "desc" }]
+					:	[];
+			}),
+		[searchParams, sortableColumns]
+	);
+
+	const columnFilters = useMemo<ColumnFiltersState>(
+		() =>
+			Object.entries(filters).flatMap(([id, kind]) => {
+				const value =
+					kind === "multi" ? toList(searchParams.get(id)) : (searchParams.get(id) ?? "");
+				return value.length > 0 ? [{ id, value }] : [];
+			}),
+		[searchParams, filters]
+	);
+
+	const columnVisibility = useMemo<VisibilityState>(() => {
+		const hidden =
+			searchParams.has(HIDDEN_PARAM) ? toList(searchParams.get(HIDDEN_PARAM)) : defaultHidden;
+		return Object.fromEntries(hidden.map((id) => [id, false]));
+	}, [searchParams, defaultHidden]);
+
+	const update = useCallback(
+		(edit: (params: URLSearchParams) => void) =>
+			setSearchParams((current) => {
+				const next = new URLSearchParams(current);
+				edit(next);
+				return next;
+			}),
+		[setSearchParams]
+	);
+
+	const onPaginationChange = useCallback<OnChangeFn<PaginationState>>(
+		(updater) =>
+			update((params) => {
+				const { pageIndex, pageSize } = resolve(updater, pagination);
+				if (pageIndex > 0) {
+					params.set(PAGE_PARAM, String(pageIndex + 1));
+				} else {
+					params.delete(PAGE_PARAM);
+				}
+				if (pageSize !== defaultPageSize) {
+					params.set(PAGE_SIZE_PARAM, String(pageSize));
+				} else {
+					params.delete(PAGE_SIZE_PARAM);
+				}
+			}),
+		[update, pagination, defaultPageSize]
+	);
+
+	const onSortingChange = useCallback<OnChangeFn<SortingState>>(
+		(updater) =>
+			update((params) => {
+				const next = resolve(updater, sorting);
+				params.delete(PAGE_PARAM);
+				if (next.length > 0) {
+					params.set(
+						SORT_PARAM,
+						next.map(({ id, desc }) => `${id}:${desc ? "desc" : "asc"}`).join(",")
+					);
+				} else {
+					params.delete(SORT_PARAM);
+				}
+			}),
+		[update, sorting]
+	);
+
+	const onColumnFiltersChange = useCallback<OnChangeFn<ColumnFiltersState>>(
+		(updater) =>
+			update((params) => {
+				const next = resolve(updater, columnFilters);
+				params.delete(PAGE_PARAM);
+				for (const id of Object.keys(filters)) {
+					const value = next.find((filter) => filter.id === id)?.value;
+					const serialised = Array.isArray(value) ? value.join(",") : String(value ?? "");
+					if (serialised) {
+						params.set(id, serialised);
+					} else {
+						params.delete(id);
+					}
+				}
+			}),
+		[update, columnFilters, filters]
+	);
+
+	const onColumnVisibilityChange = useCallback<OnChangeFn<VisibilityState>>(
+		(updater) =>
+			update((params) => {
+				const hidden = Object.entries(resolve(updater, columnVisibility))
+					.filter(([, visible]) => !visible)
+					.map(([id]) => id);
+				const isDefault =
+					hidden.length === defaultHidden.length &&
+					hidden.every((id) => defaultHidden.includes(id));
+				if (isDefault) {
+					params.delete(HIDDEN_PARAM);
+				} else {
+					params.set(HIDDEN_PARAM, hidden.join(","));
+				}
+			}),
+		[update, columnVisibility, defaultHidden]
+	);
+
+	return {
+		pagination,
+		sorting,
+		columnFilters,
+		columnVisibility,
+		onPaginationChange,
+		onSortingChange,
+		onColumnFiltersChange,
+		onColumnVisibilityChange,
+	};
+};
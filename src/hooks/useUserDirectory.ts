@@ -0,0 +1,40 @@
+import type { DirectoryUser, Page, UserListQuery } from "@interface/user.interface";
+import { isApiQueryError } from "@store/api/api";
+import { useListUsersQuery } from "@store/api/users.api";
+import { selectIsAuthenticated } from "@store/auth/auth.slice";
+import { useAppSelector } from "@store/hooks";
+
+/**
+ * State returned by {@link useUserDirectory}.
+ */
+export interface UserDirectoryState {
+	/** The last page received; kept while the next one loads so the table does not flicker. */
+	page: Page<DirectoryUser> | null;
+	loading: boolean;
+	error: string | null;
+}
+
+/**
+ * Loads the page of the user directory described by `query` through the RTK Query
+ * cache: pages already seen are shown at once, and creating or saving a user refreshes
+ * them.
+ *
+ * @param {UserListQuery} query - Page, sort and filters.
+ * @returns {UserDirectoryState} The page, and whether it is loading or failed.
+ *
+ * * Example Usage:
+ * const { page, loading, error } = useUserDirectory(query);
+ */
+export const useUserDirectory = (query: UserListQuery): UserDirectoryState => {
+	const isAuthenticated = useAppSelector(selectIsAuthenticated);
+	const { data, isFetching, error } = useListUsersQuery(query, { skip: !isAuthenticated });
+
+	return {
+		page: data ?? null,
+		loading: isFetching,
+		error:
+			!error ? null
+			: isApiQueryError(error) && error.status === 403 ? "You are not allowed to list users."
+			: "The users could not be loaded. Please try again.",
+	};
+};
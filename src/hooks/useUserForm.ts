@@ -0,0 +1,21 @@
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm, type UseFormReturn } from "react-hook-form";
+
+import { type UserFormValues, userSchema } from "@services/users/user.schema";
+
+/**
+ * Creates the react-hook-form instance of the user create and edit forms, validated by
+ * {@link userSchema}. Fields are checked when they lose focus, then on every change.
+ *
+ * @param {UserFormValues} defaultValues - Initial values; changes are measured against them.
+ * @returns {UseFormReturn<UserFormValues>} The form, to pass to `UserForm`.
+ *
+ * * Example Usage:
+ * const form = useUserForm(EMPTY_USER);
+ */
+export const useUserForm = (defaultValues: UserFormValues): UseFormReturn<UserFormValues> =>
+	useForm<UserFormValues>({
+		resolver: zodResolver(userSchema),
+		defaultValues,
+		mode: "onTouched",
+	});
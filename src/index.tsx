@@ -1,8 +1,16 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 
+import ErrorBoundary from "@components/ErrorBoundary/ErrorBoundary";
+import SessionProvider from "@global/session/SessionProvider";
+import StoreProvider from "@global/store/StoreProvider";
+import { startErrorReporting } from "@services/errors/error.reporter";
+
 import App from "./App";
 
+// Started before anything renders, so errors thrown while starting are reported too.
+startErrorReporting();
+
 /**
  * @constant {HTMLElement} rootElement
  * The root DOM element where the React app will be rendered.
@@ -31,9 +39,26 @@ const root = createRoot(rootElement);
  * @component <React.StrictMode>
  * Ensures that the application adheres to React best practices by highlighting
  * potential issues such as deprecated APIs, side effects, etc.
+ *
+ * @component <ErrorBoundary>
+ * Last resort for render errors no route caught, including those of the providers: the
+ * error is reported and a page offering to reload replaces the blank screen.
+ *
+ * @component <StoreProvider>
+ * Provides the Redux store: the `auth` slice mirroring the session, and the RTK Query
+ * cache of the API.
+ *
+ * @component <SessionProvider>
+ * Makes the verified browser session available to every component through `useSession`.
  */
 root.render(
 	<React.StrictMode>
-		<App />
+		<ErrorBoundary level="app">
+			<StoreProvider>
+				<SessionProvider>
+					<App />
+				</SessionProvider>
+			</StoreProvider>
+		</ErrorBoundary>
 	</React.StrictMode>
 );
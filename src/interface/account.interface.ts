@@ -0,0 +1,45 @@
+/**
+ * Body of `PATCH /account/profile`. Fields left out keep their value.
+ */
+export interface ProfileUpdate {
+	name?: string;
+	/** A `data:` URL of a PNG, JPEG or WebP image, or `null` to remove the avatar. */
+	avatarUrl?: string | null;
+}
+
+/**
+ * Body of `POST /account/password`.
+ */
+export interface PasswordChange {
+	currentPassword: string;
+	newPassword: string;
+}
+
+/**
+ * Answer of `POST /account/email/verification`.
+ */
+export interface EmailVerificationSent {
+	/** Address the link was sent to. */
+	sentTo: string;
+	/** ISO 8601 date after which the link no longer works. */
+	expiresAt: string;
+}
+
+/**
+ * A session of the signed-in user, as listed by `GET /account/sessions`.
+ */
+export interface ActiveSession {
+	id: string;
+	/** Whether this is the session of the browser asking. */
+	current: boolean;
+	/** `User-Agent` header sent when the session started. */
+	userAgent: string | null;
+	/** Address the session started from. */
+	ip: string | null;
+	/** How the user signed in (`pwd`, `otp`, `hwk`, ...). */
+	amr: string[];
+	/** ISO 8601 date. */
+	createdAt: string;
+	/** ISO 8601 date of the last request made with the session. */
+	lastSeenAt: string;
+}
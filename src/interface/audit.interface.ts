@@ -0,0 +1,90 @@
+/**
+ * Actions recorded in the audit log.
+ *
+ * - `auth.login`: a user signed in.
+ * - `auth.mfa_recovery`: a user who lost their authenticator signed in with a recovery
+ *   code, which turned two-factor authentication off.
+ * - `impersonation.start`, `impersonation.stop`: a staff member started or stopped viewing
+ *   the application as the target user.
+ * - `user.create`, `user.update`: a user was created or changed.
+ * - `user.password_change`: a user changed their own password.
+ * - `user.password_reset`: a user chose a new password from a reset link.
+ * - `policy.update`: the roles were changed in the role editor.
+ * - `invitation.*`: an invitation was sent, sent again, revoked or accepted.
+ */
+export type AuditAction =
+	| "auth.login"
+	| "auth.mfa_recovery"
+	| "impersonation.start"
+	| "impersonation.stop"
+	| "user.create"
+	| "user.update"
+	| "user.password_change"
+	| "user.password_reset"
+	| "policy.update"
+	| "invitation.create"
+	| "invitation.resend"
+	| "invitation.revoke"
+	| "invitation.accept";
+
+/**
+ * Who acted. `null` for changes made by the system itself.
+ */
+export interface AuditActor {
+	id: string;
+	email: string;
+	name: string;
+}
+
+/**
+ * What an event is about, e.g. `{ type: "user", id, label: "jane@example.com" }`.
+ */
+export interface AuditTarget {
+	type: string;
+	id: string;
+	/** Readable name of the target at the time of the event. */
+	label: string;
+}
+
+/**
+ * One entry of the audit log.
+ */
+export interface AuditEvent {
+	id: string;
+	/** ISO 8601 date. */
+	occurredAt: string;
+	actor: AuditActor | null;
+	action: AuditAction;
+	target: AuditTarget;
+	/** Tenant of the target, `null` for changes affecting every tenant. */
+	tenantId: string | null;
+	/** Address the request came from, when known. */
+	ip: string | null;
+	/** Snapshot of the target before the event, `null` when it did not exist yet. */
+	before: unknown;
+	/** Snapshot of the target after the event, `null` when it no longer exists. */
+	after: unknown;
+}
+
+/**
+ * Filters of `GET /audit/events`. Missing filters match every event.
+ */
+export interface AuditQuery {
+	/** ISO 8601 lower bound of `occurredAt`, inclusive. */
+	from?: string;
+	/** ISO 8601 upper bound of `occurredAt`, inclusive. */
+	to?: string;
+	/** Search in the actor's name and email, or an exact user ID. */
+	actor?: string;
+}
+
+/**
+ * One slice of the audit log, newest first.
+ */
+export interface AuditSlice {
+	items: AuditEvent[];
+	/** Number of events matching the filters. */
+	total: number;
+	/** Cursor of the next slice, `null` after the last one. */
+	nextCursor: string | null;
+}
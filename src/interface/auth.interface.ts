@@ -0,0 +1,43 @@
+/**
+ * Credentials submitted by the login form.
+ */
+export interface LoginCredentials {
+	email: string;
+	password: string;
+}
+
+/**
+ * Token pair issued by the API on login and on every refresh.
+ *
+ * `expiresIn` is the access token lifetime in seconds, as returned by the server.
+ */
+export interface AuthTokens {
+	accessToken: string;
+	refreshToken: string;
+	expiresIn: number;
+	tokenType: "Bearer";
+}
+
+/**
+ * The authenticated user as described by `GET /auth/me`.
+ */
+export interface AuthUser {
+	id: string;
+	email: string;
+	name: string;
+	roles: string[];
+	tenantId?: string;
+	/** Picture chosen in the account settings, usually a `data:` URL. */
+	avatarUrl?: string;
+	/** Whether the user confirmed that they own their email address. */
+	emailVerified?: boolean;
+	/** Whether a second factor is required at sign-in. */
+	mfaEnabled?: boolean;
+}
+
+/**
+ * Successful response of `POST /auth/login`.
+ */
+export interface LoginResponse extends AuthTokens {
+	user: AuthUser;
+}
@@ -0,0 +1,53 @@
+/**
+ * Where an error boundary sits in the tree: around the whole application, around the
+ * shell of a nested route, or around a single page.
+ */
+export type ErrorBoundaryLevel = "app" | "layout" | "route";
+
+/**
+ * How an error reached the reporter: caught by an error boundary, thrown outside React
+ * (`error` event), a promise rejected without handler, or passed in by hand.
+ */
+export type ErrorSource = "boundary" | "error" | "unhandledrejection" | "manual";
+
+/**
+ * Something that happened shortly before an error, sent along with its report.
+ */
+export interface Breadcrumb {
+	/** `navigation` for route changes, `http` for requests. */
+	category: "navigation" | "http";
+	/** E.g. the path opened, or `GET /api/users`. Query strings are never recorded. */
+	message: string;
+	/** ISO 8601 date. */
+	timestamp: string;
+	/** Details such as the status and duration of a request. */
+	data?: Record<string, string | number>;
+}
+
+/**
+ * An error as sent to `INTERFACE_GUARD_ERROR_ENDPOINT`, in batches of
+ * `{ reports: ClientErrorReport[] }`.
+ */
+export interface ClientErrorReport {
+	/** Random identifier, shown to the user as a reference for support requests. */
+	id: string;
+	/** ISO 8601 date. */
+	occurredAt: string;
+	source: ErrorSource;
+	/** The boundary that caught the error, for `boundary` reports. */
+	boundary?: ErrorBoundaryLevel;
+	name: string;
+	message: string;
+	stack?: string;
+	/** Components the error was thrown from, for `boundary` reports. */
+	componentStack?: string;
+	/** Code of an `ApiError`. */
+	code?: string;
+	/** Path of the page, without query string or fragment. */
+	path: string;
+	userAgent: string;
+	/** The signed-in user, if any. */
+	userId?: string;
+	/** Oldest first. */
+	breadcrumbs: Breadcrumb[];
+}
@@ -0,0 +1,61 @@
+import type { AuditActor } from "./audit.interface";
+
+/**
+ * Where an invitation stands. `expired` invitations can still be resent; `accepted` and
+ * `revoked` ones are final.
+ */
+export type InvitationStatus = "pending" | "accepted" | "revoked" | "expired";
+
+/**
+ * An invitation to join a tenant, as listed by `GET /invitations`.
+ */
+export interface Invitation {
+	id: string;
+	email: string;
+	/** Roles the account gets when the invitation is accepted. */
+	roles: string[];
+	tenantId: string;
+	status: InvitationStatus;
+	/** Who sent it, `null` when that user no longer exists. */
+	invitedBy: AuditActor | null;
+	/** ISO 8601 date. */
+	createdAt: string;
+	/** ISO 8601 date after which the current link no longer works. */
+	expiresAt: string;
+	/** ISO 8601 date the current link was sent. */
+	lastSentAt: string | null;
+	/** Number of links sent, the first one included. */
+	sendCount: number;
+	acceptedAt: string | null;
+	revokedAt: string | null;
+}
+
+/**
+ * Body of `POST /invitations`.
+ */
+export interface InvitationInput {
+	email: string;
+	roles: string[];
+	/** How long the link stays valid, in days. */
+	expiresInDays: number;
+}
+
+/**
+ * What the invitee sees before accepting, from `POST /invitations/lookup`.
+ */
+export interface InvitationPreview {
+	email: string;
+	roles: string[];
+	tenantId: string;
+	/** Name of who sent the invitation, when known. */
+	invitedBy: string | null;
+	expiresAt: string;
+}
+
+/**
+ * Body of `POST /invitations/accept`: either a password, or an ID token of the single
+ * sign-on provider issued to the invited address.
+ */
+export type InvitationAcceptance =
+	| { token: string; name: string; password: string }
+	| { token: string; idToken: string; nonce: string; name?: string };
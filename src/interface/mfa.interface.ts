@@ -0,0 +1,45 @@
+import type { AuthUser } from "./auth.interface";
+
+/**
+ * Second factors accepted by `POST /auth/mfa/verify`.
+ */
+export type MfaMethod = "totp" | "recovery_code";
+
+/**
+ * Answer of `POST /auth/login` when the password was right but the account requires a
+ * second factor. `mfaToken` identifies the pending sign-in and expires after a few
+ * minutes; it is not a session token.
+ */
+export interface MfaChallenge {
+	mfaRequired: true;
+	mfaToken: string;
+	methods: MfaMethod[];
+}
+
+/**
+ * Navigation state handed from the login page to the code challenge page. Kept out of
+ * the URL so the challenge token does not end up in the history or in logs.
+ */
+export interface MfaChallengeState {
+	mfaToken: string;
+}
+
+/**
+ * Answer of `POST /auth/mfa/totp/enroll`: a new TOTP secret, not active until a first
+ * code has been verified.
+ */
+export interface TotpEnrollment {
+	/** Base32 secret, for users who type it into their app. */
+	secret: string;
+	/** `otpauth://totp/...` URI encoded in the QR code. */
+	otpauthUri: string;
+}
+
+/**
+ * Answer of `POST /auth/mfa/totp/activate`.
+ */
+export interface TotpActivation {
+	/** One-time recovery codes. They are only ever shown once. */
+	recoveryCodes: string[];
+	user: AuthUser;
+}
@@ -0,0 +1,31 @@
+/**
+ * Severity of a notification, which also sets the colour and the announcement of its toast.
+ */
+export type NotificationKind = "success" | "info" | "warning" | "error";
+
+/**
+ * An entry of the notification tray. Notifications with the same `key` raised close
+ * together are merged into one entry, counted in `count`.
+ */
+export interface AppNotification {
+	id: string;
+	/** What identifies repeats, e.g. `api:network`. */
+	key: string;
+	kind: NotificationKind;
+	message: string;
+	/** How many times it was raised. */
+	count: number;
+	/** ISO 8601 date of the first occurrence. */
+	createdAt: string;
+	/** ISO 8601 date of the last occurrence. */
+	updatedAt: string;
+	read: boolean;
+}
+
+/**
+ * State of the notification tray.
+ */
+export interface NotificationState {
+	/** Newest first. */
+	items: AppNotification[];
+}
@@ -0,0 +1,65 @@
+import type { JWTPayload } from "jose";
+
+/**
+ * Subset of the OpenID Provider metadata (`/.well-known/openid-configuration`) used by
+ * the client.
+ */
+export interface OidcProviderMetadata {
+	issuer: string;
+	authorization_endpoint: string;
+	token_endpoint: string;
+	jwks_uri: string;
+	end_session_endpoint?: string;
+	id_token_signing_alg_values_supported?: string[];
+	code_challenge_methods_supported?: string[];
+}
+
+/**
+ * Successful answer of the provider's token endpoint.
+ */
+export interface OidcTokenResponse {
+	access_token: string;
+	token_type: string;
+	id_token: string;
+	expires_in?: number;
+	scope?: string;
+}
+
+/**
+ * Claims of a verified ID token.
+ */
+export interface IdTokenClaims extends JWTPayload {
+	nonce?: string;
+	azp?: string;
+	email?: string;
+	email_verified?: boolean;
+	name?: string;
+}
+
+/**
+ * Authorization request kept in `sessionStorage` between the redirect to the provider
+ * and the callback, keyed by its `state`.
+ */
+export interface OidcTransaction {
+	codeVerifier: string;
+	nonce: string;
+	redirectUri: string;
+	/** Local path to open after the sign-in. */
+	returnTo: string;
+	/** Token of the invitation the identity is accepted for, if any. */
+	invitationToken?: string;
+	/** Epoch time in milliseconds. */
+	createdAt: number;
+}
+
+/**
+ * Outcome of a completed authorization code flow.
+ */
+export interface OidcLoginResult {
+	idToken: string;
+	claims: IdTokenClaims;
+	nonce: string;
+	returnTo: string;
+	/** Set when the sign-in was started to accept an invitation. */
+	invitationToken?: string;
+}
@@ -0,0 +1,59 @@
+/**
+ * Options of `navigator.credentials.create` as sent by
+ * `POST /auth/passkeys/registration/options`: binary fields are base64url strings.
+ */
+export type PasskeyCreationOptionsJSON = PublicKeyCredentialCreationOptionsJSON;
+
+/**
+ * Options of `navigator.credentials.get` as sent by
+ * `POST /auth/passkeys/authentication/options`.
+ */
+export type PasskeyRequestOptionsJSON = PublicKeyCredentialRequestOptionsJSON;
+
+/**
+ * New credential returned by `navigator.credentials.create`, in the JSON form of the
+ * WebAuthn Level 3 `toJSON()` method.
+ */
+export interface RegistrationResponseJSON {
+	id: string;
+	rawId: string;
+	type: "public-key";
+	authenticatorAttachment?: string | null;
+	response: {
+		clientDataJSON: string;
+		attestationObject: string;
+		transports?: string[];
+	};
+	clientExtensionResults: AuthenticationExtensionsClientOutputs;
+}
+
+/**
+ * Assertion returned by `navigator.credentials.get`, in JSON form.
+ */
+export interface AuthenticationResponseJSON {
+	id: string;
+	rawId: string;
+	type: "public-key";
+	authenticatorAttachment?: string | null;
+	response: {
+		clientDataJSON: string;
+		authenticatorData: string;
+		signature: string;
+		userHandle?: string | null;
+	};
+	clientExtensionResults: AuthenticationExtensionsClientOutputs;
+}
+
+/**
+ * A passkey registered to the signed-in user, as listed by `GET /auth/passkeys`.
+ */
+export interface PasskeySummary {
+	/** Credential ID, base64url encoded. */
+	id: string;
+	name: string;
+	transports: string[];
+	/** ISO 8601 date. */
+	createdAt: string;
+	/** ISO 8601 date, `null` until the passkey is first used to sign in. */
+	lastUsedAt: string | null;
+}
@@ -0,0 +1,56 @@
+/**
+ * Kinds of characters a password policy may require.
+ */
+export type CharacterClass = "lower" | "upper" | "digit" | "symbol";
+
+/**
+ * Rules every new password must follow. The API enforces the same policy; the browser
+ * applies it to explain failures before anything is sent.
+ */
+export interface PasswordPolicy {
+	minLength: number;
+	maxLength: number;
+	/** Classes every password must contain at least one character of. */
+	requiredClasses: CharacterClass[];
+	/** Number of previous passwords that cannot be reused, `0` to allow any. */
+	history: number;
+	/** Words no password may contain, compared ignoring case and letter-for-digit swaps. */
+	blockedWords: string[];
+	/** Whether passwords found in the breached-password list are refused. */
+	breachCheck: boolean;
+}
+
+/**
+ * Codes of the rules a password can break. They double as the error codes of the API in
+ * `details.fields`, so a rejection from either side reads the same.
+ *
+ * - `too_short`, `too_long`: outside the length bounds.
+ * - `missing_lower`, `missing_upper`, `missing_digit`, `missing_symbol`: a required
+ *   class is missing.
+ * - `blocked_word`: contains a blocked word.
+ * - `personal_info`: contains the user's name or email address.
+ * - `breached`: appears in the breached-password list.
+ * - `reused`: one of the user's previous passwords; only the API knows them.
+ */
+export type PasswordRuleCode =
+	| "too_short"
+	| "too_long"
+	| "missing_lower"
+	| "missing_upper"
+	| "missing_digit"
+	| "missing_symbol"
+	| "blocked_word"
+	| "personal_info"
+	| "breached"
+	| "reused";
+
+/**
+ * Outcome of one rule for a candidate password.
+ */
+export interface PasswordRuleResult {
+	code: PasswordRuleCode;
+	/** The rule, phrased as a requirement, e.g. "At least 12 characters". */
+	label: string;
+	/** `null` while the rule is being checked, or when only the API can check it. */
+	passed: boolean | null;
+}
@@ -0,0 +1,82 @@
+/**
+ * A protected area of the application, e.g. `users` or `audit`. `*` stands for every resource.
+ */
+export type Resource = string;
+
+/**
+ * An operation on a resource, e.g. `read` or `update`. `*` stands for every action.
+ */
+export type Action = string;
+
+/**
+ * Restricts a rule to resource instances related to the subject.
+ *
+ * - `own`: the instance's `ownerId` is the subject's user id.
+ * - `tenant`: the instance's `tenantId` is the subject's tenant.
+ *
+ * Conditions are plain strings so that policies can be stored and edited as JSON.
+ */
+export type RuleCondition = "own" | "tenant";
+
+/**
+ * How far a grant reaches: every instance (`all`), or only those meeting a condition.
+ */
+export type AccessScope = "all" | RuleCondition;
+
+/**
+ * Grants `actions` on `resource`, optionally limited by a `condition`.
+ */
+export interface PermissionRule {
+	resource: Resource;
+	actions: Action[];
+	condition?: RuleCondition;
+}
+
+/**
+ * A named role: its own rules plus every rule of the roles it inherits.
+ */
+export interface RoleDefinition {
+	label: string;
+	description?: string;
+	inherits?: string[];
+	rules: PermissionRule[];
+}
+
+/**
+ * The complete access-control policy, keyed by role name.
+ */
+export interface Policy {
+	roles: Record<string, RoleDefinition>;
+}
+
+/**
+ * A policy as stored by the API. `version` changes with every save and must be sent
+ * back when saving, so concurrent edits are detected.
+ */
+export interface VersionedPolicy extends Policy {
+	version: number;
+	updatedAt: string;
+}
+
+/**
+ * Whoever asks for access. Usually derived from the session claims.
+ *
+ * `permissions` are direct grants in `resource:action` form (`users:read`, `audit:*`)
+ * that apply on top of the roles.
+ */
+export interface AccessSubject {
+	userId: string;
+	roles: string[];
+	permissions?: string[];
+	tenantId?: string;
+	/** Only `read` is granted, whatever the roles say. Set for delegated sessions. */
+	readOnly?: boolean;
+}
+
+/**
+ * The resource instance an action targets, used to evaluate rule conditions.
+ */
+export interface AccessTarget {
+	ownerId?: string;
+	tenantId?: string;
+}
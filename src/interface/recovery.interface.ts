@@ -0,0 +1,19 @@
+/**
+ * What the reset page shows before the new password is chosen, from
+ * `POST /auth/password/reset/lookup`.
+ */
+export interface PasswordResetPreview {
+	/** Address of the account the link was sent to. */
+	email: string;
+	/** ISO 8601 date after which the link no longer works. */
+	expiresAt: string;
+}
+
+/**
+ * Body of `POST /auth/password/reset`.
+ */
+export interface PasswordReset {
+	/** Token of the link from the email. */
+	token: string;
+	password: string;
+}
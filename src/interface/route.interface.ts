@@ -0,0 +1,28 @@
+import type { Action, Resource } from "./rbac.interface";
+
+/**
+ * Who may open a route.
+ *
+ * - `public`: everybody, signed in or not.
+ * - `authenticated`: any signed-in user.
+ * - `{ roles }`: signed-in users holding at least one of the roles.
+ * - `{ permission }`: signed-in users the RBAC policy allows to perform the action.
+ */
+export type RouteAccess =
+	| "public"
+	| "authenticated"
+	| { roles: string[] }
+	| { permission: { action: Action; resource: Resource } };
+
+/**
+ * One entry of the application route table.
+ */
+export interface AppRoute {
+	path?: string;
+	index?: boolean;
+	access: RouteAccess;
+	/** Page title shown in the browser tab. */
+	title?: string;
+	element?: React.ReactNode;
+	children?: AppRoute[];
+}
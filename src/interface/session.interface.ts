@@ -0,0 +1,87 @@
+import type { JWTPayload } from "jose";
+
+import type { AuthTokens, AuthUser } from "./auth.interface";
+
+/**
+ * Payload of an InterfaceGuard access token as issued by the API.
+ *
+ * Registered claims (`sub`, `exp`, `nbf`, `iss`, `aud`, ...) come from `JWTPayload`; the
+ * remaining fields are the private claims the API adds.
+ */
+export interface AccessTokenPayload extends JWTPayload {
+	email?: string;
+	name?: string;
+	roles?: string[];
+	permissions?: string[];
+	tenant_id?: string;
+	sid?: string;
+	/** Who acts on behalf of `sub` in a delegated session (RFC 8693). */
+	act?: { sub: string; email?: string; name?: string };
+}
+
+/**
+ * Whoever acts through a delegated session: the staff member viewing the application as
+ * the user the session belongs to.
+ */
+export interface SessionActor {
+	userId: string;
+	email?: string;
+	name?: string;
+}
+
+/**
+ * Claims of a verified access token, mapped to the names used across the UI.
+ *
+ * Instances only ever come out of the token verifier, so holding one means the
+ * signature, issuer, audience and validity window have been checked.
+ */
+export interface SessionClaims {
+	userId: string;
+	email?: string;
+	name?: string;
+	roles: string[];
+	permissions: string[];
+	tenantId?: string;
+	sessionId?: string;
+	/** Set when the session is delegated: someone else views the application as this user. */
+	actor?: SessionActor;
+	/** Issue time, in seconds since the epoch. */
+	issuedAt?: number;
+	/** Expiry time, in seconds since the epoch. */
+	expiresAt: number;
+}
+
+/**
+ * Lifecycle of the browser session.
+ *
+ * - `loading`: a stored or shared session is being restored.
+ * - `anonymous`: nobody is signed in.
+ * - `authenticated`: `tokens` and `claims` are present and verified.
+ */
+export type SessionStatus = "loading" | "anonymous" | "authenticated";
+
+/**
+ * What a token storage backend keeps between page loads: enough to restore the session
+ * without asking the user to sign in again.
+ */
+export interface StoredSession {
+	tokens: AuthTokens;
+	user: AuthUser | null;
+	/** The impersonator's own session, set aside while the stored one is delegated. */
+	impersonator?: StoredSession | null;
+}
+
+/**
+ * Snapshot kept by the session store.
+ */
+export interface SessionState {
+	status: SessionStatus;
+	tokens: AuthTokens | null;
+	claims: SessionClaims | null;
+	user: AuthUser | null;
+	/**
+	 * The impersonator's own session while `tokens` belong to a delegated one, restored
+	 * when they stop viewing as the user. `null` otherwise.
+	 */
+	impersonator: StoredSession | null;
+}
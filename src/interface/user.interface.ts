@@ -0,0 +1,99 @@
+/**
+ * Account states shown in the user directory.
+ *
+ * - `active`: may sign in.
+ * - `suspended`: kept for the record but blocked from signing in.
+ */
+export type UserStatus = "active" | "suspended";
+
+/**
+ * Windows of the "last login" filter of `GET /users`: signed in within 7, 30 or 90 days,
+ * not within 90 days (`stale`), or never.
+ */
+export type LastLoginFilter = "7d" | "30d" | "90d" | "stale" | "never";
+
+/**
+ * A user as listed by the directory.
+ */
+export interface DirectoryUser {
+	id: string;
+	email: string;
+	name: string;
+	roles: string[];
+	tenantId: string;
+	status: UserStatus;
+	mfaEnabled: boolean;
+	/** ISO 8601 date. */
+	createdAt: string;
+	/** ISO 8601 date, `null` when the user never signed in. */
+	lastLoginAt: string | null;
+}
+
+/**
+ * A user as returned by `GET /users/:id`, with what the edit form needs.
+ */
+export interface UserDetails extends DirectoryUser {
+	/** BCP 47 tag, one of `SUPPORTED_LOCALES`. */
+	locale: string;
+	/** Incremented by every update; sent back with the next one to detect conflicts. */
+	version: number;
+	/** ISO 8601 date. */
+	updatedAt: string;
+}
+
+/**
+ * Editable fields of a user, as sent by the create and edit forms.
+ */
+export interface UserInput {
+	name: string;
+	email: string;
+	roles: string[];
+	status: UserStatus;
+	locale: string;
+}
+
+/**
+ * Outcome for one user of `POST /users/bulk`, in the order they were sent.
+ *
+ * - `created`: stored; `user` holds the new user.
+ * - `valid`: would be created (dry runs only).
+ * - `failed`: rejected; `fields` holds one error code per invalid field.
+ */
+export interface BulkUserResult {
+	index: number;
+	status: "created" | "valid" | "failed";
+	user?: UserDetails;
+	fields?: Record<string, string>;
+}
+
+/**
+ * Fields of {@link DirectoryUser} the API can sort on.
+ */
+export type UserSortField = "name" | "email" | "status" | "tenantId" | "createdAt" | "lastLoginAt";
+
+/**
+ * Query of `GET /users`. Empty lists and missing values mean "no filter".
+ */
+export interface UserListQuery {
+	/** 1-based page number. */
+	page: number;
+	pageSize: number;
+	/** Sort keys, applied in order. */
+	sort: { field: UserSortField; desc: boolean }[];
+	roles: string[];
+	statuses: UserStatus[];
+	lastLogin?: LastLoginFilter;
+	search?: string;
+}
+
+/**
+ * One page of a server-paginated list.
+ */
+export interface Page<T> {
+	items: T[];
+	/** Number of items matching the query, across all pages. */
+	total: number;
+	/** 1-based page number. */
+	page: number;
+	pageSize: number;
+}
@@ -0,0 +1,100 @@
+import React, { JSX, Suspense } from "react";
+import { NavLink, Outlet, useNavigate } from "react-router-dom";
+
+import Avatar from "@components/Avatar/Avatar";
+import ImpersonationBanner from "@components/ImpersonationBanner/ImpersonationBanner";
+import NotificationTray from "@components/NotificationTray/NotificationTray";
+import PageLoader from "@components/PageLoader/PageLoader";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import type { RouteAccess } from "@interface/route.interface";
+import { ROUTES } from "@routes/paths";
+import { hasRouteAccess } from "@routes/routeAccess";
+
+import styles from "./AppLayout.module.scss";
+
+/**
+ * Entries of the main navigation. Each entry repeats the access rule of its route so
+ * users only see links they are allowed to follow.
+ */
+const NAVIGATION: { to: string; label: string; access: RouteAccess }[] = [
+	{ to: ROUTES.home, label: "Dashboard", access: "authenticated" },
+	{ to: ROUTES.users, label: "Users", access: { roles: ["admin", "manager", "support"] } },
+	{
+		to: ROUTES.roles,
+		label: "Roles",
+		access: { permission: { action: "read", resource: "roles" } },
+	},
+	{
+		to: ROUTES.audit,
+		label: "Audit log",
+		access: { permission: { action: "read", resource: "audit" } },
+	},
+	{ to: ROUTES.account, label: "Account", access: "authenticated" },
+];
+
+/**
+ * @component AppLayout
+ * Shell of every signed-in page: header with navigation, notification tray and account
+ * menu, and the routed page below it. While viewing as another user, a banner above the header says so.
+ *
+ * @returns {JSX.Element}
+ */
+const AppLayout: React.FC = (): JSX.Element => {
+	const { claims, user, signOut } = useSession();
+	// Shows or hides entries when the roles change.
+	usePolicy();
+	const navigate = useNavigate();
+
+	const handleSignOut = async () => {
+		await signOut();
+		navigate(ROUTES.login, { replace: true });
+	};
+
+	return (
+		<div className={styles.shell}>
+			<ImpersonationBanner />
+			<header className={styles.header}>
+				<span className={styles.brand}>InterfaceGuard</span>
+				<nav
+					className={styles.nav}
+					aria-label="Main"
+				>
+					{NAVIGATION.filter(({ access }) => hasRouteAccess(access, claims)).map(
+						({ to, label }) => (
+							<NavLink
+								key={to}
+								to={to}
+								end
+								className={({ isActive }) => (isActive ? styles.active : undefined)}
+							>
+								{label}
+							</NavLink>
+						)
+					)}
+				</nav>
+				<div className={styles.account}>
+					<NotificationTray />
+					<Avatar
+						name={user?.name ?? claims?.email ?? ""}
+						url={user?.avatarUrl}
+					/>
+					<span>{user?.name ?? claims?.email}</span>
+					<button
+						type="button"
+						onClick={handleSignOut}
+					>
+						Sign out
+					</button>
+				</div>
+			</header>
+			<main className={styles.main}>
+				<Suspense fallback={<PageLoader />}>
+					<Outlet />
+				</Suspense>
+			</main>
+		</div>
+	);
+};
+
+export default AppLayout;
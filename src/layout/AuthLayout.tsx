@@ -0,0 +1,45 @@
+import React, { JSX } from "react";
+
+import styles from "./AuthLayout.module.scss";
+
+/**
+ * Props of {@link AuthLayout}.
+ */
+interface AuthLayoutProps {
+	title: string;
+	subtitle?: React.ReactNode;
+	children: React.ReactNode;
+	/** Secondary links rendered under the card, e.g. "Forgot your password?". */
+	footer?: React.ReactNode;
+}
+
+/**
+ * @component AuthLayout
+ * Centered card used by the public pages of the sign-in journey.
+ *
+ * @param {AuthLayoutProps} props
+ * @returns {JSX.Element}
+ */
+const AuthLayout: React.FC<AuthLayoutProps> = ({
+	title,
+	subtitle,
+	children,
+	footer,
+}): JSX.Element => {
+	return (
+		<main className={styles.page}>
+			<section
+				className={styles.card}
+				aria-labelledby="auth-layout-title"
+			>
+				<p className={styles.brand}>InterfaceGuard</p>
+				<h1 id="auth-layout-title">{title}</h1>
+				{subtitle && <p className={styles.subtitle}>{subtitle}</p>}
+				{children}
+			</section>
+			{footer && <footer className={styles.footer}>{footer}</footer>}
+		</main>
+	);
+};
+
+export default AuthLayout;
@@ -0,0 +1,312 @@
+import React, { JSX, useEffect, useMemo, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+
+import FieldError from "@components/FieldError/FieldError";
+import PageLoader from "@components/PageLoader/PageLoader";
+import PasswordStrength from "@components/PasswordStrength/PasswordStrength";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import type { InvitationPreview } from "@interface/invitation.interface";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES } from "@routes/paths";
+import { invitationErrorMessage } from "@services/invitations/invitation.errors";
+import {
+	ACCEPT_INVITATION_FIELD_MESSAGES,
+	type AcceptInvitationFormValues,
+	createAcceptInvitationSchema,
+} from "@services/invitations/invitation.schema";
+import { invitationService } from "@services/invitations/invitation.service";
+import { oidcService } from "@services/oidc/oidc.client";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+import { env } from "@utils/env";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "long", timeStyle: "short" });
+
+const EMPTY: AcceptInvitationFormValues = { name: "", password: "", confirmPassword: "" };
+
+/**
+ * Props of {@link AcceptForm}.
+ */
+interface AcceptFormProps {
+	token: string;
+	invitation: InvitationPreview;
+	/** Called when the API answers that the invitation itself can no longer be used. */
+	onInvitationError: (message: string) => void;
+}
+
+/**
+ * @component AcceptForm
+ * Name and password of the invited account, or single sign-on instead of a password.
+ *
+ * @param {AcceptFormProps} props
+ * @returns {JSX.Element}
+ */
+const AcceptForm: React.FC<AcceptFormProps> = ({
+	token,
+	invitation,
+	onInvitationError,
+}): JSX.Element => {
+	const { acceptInvitation } = useSession();
+	const navigate = useNavigate();
+	const [redirecting, setRedirecting] = useState(false);
+	const schema = useMemo(() => createAcceptInvitationSchema(invitation.email), [invitation.email]);
+	const {
+		register,
+		handleSubmit,
+		setError,
+		watch,
+		formState: { errors, isSubmitting },
+	} = useForm<AcceptInvitationFormValues>({
+		resolver: zodResolver(schema),
+		defaultValues: EMPTY,
+		mode: "onTouched",
+	});
+	const name = watch("name");
+	const userInputs = useMemo(() => [name, invitation.email], [name, invitation.email]);
+
+	const submit = handleSubmit(async ({ name: submittedName, password }) => {
+		try {
+			await acceptInvitation({ token, name: submittedName, password });
+			navigate(ROUTES.home, { replace: true });
+		} catch (error) {
+			const message = invitationErrorMessage(error);
+			if (message) {
+				onInvitationError(message);
+			} else if (!applyFieldErrors(error, setError, ACCEPT_INVITATION_FIELD_MESSAGES)) {
+				setError("root.server", {
+					message: "Your account could not be created. Please try again.",
+				});
+			}
+		}
+	});
+
+	const handleSingleSignOn = async () => {
+		setRedirecting(true);
+		try {
+			await oidcService.beginLogin(ROUTES.home, { invitationToken: token });
+		} catch {
+			setError("root.server", {
+				message: "Single sign-on is unavailable right now. Set a password instead.",
+			});
+			setRedirecting(false);
+		}
+	};
+
+	return (
+		<form
+			className={formStyles.form}
+			onSubmit={submit}
+			noValidate
+		>
+			{errors.root?.server && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{errors.root.server.message}
+				</p>
+			)}
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="invite-accept-email"
+				>
+					Email
+				</label>
+				<input
+					id="invite-accept-email"
+					className={formStyles.input}
+					type="email"
+					autoComplete="username"
+					value={invitation.email}
+					readOnly
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="invite-accept-name"
+				>
+					Your name
+				</label>
+				<input
+					id="invite-accept-name"
+					className={formStyles.input}
+					type="text"
+					autoComplete="name"
+					aria-invalid={!!errors.name}
+					aria-describedby={errors.name ? "invite-accept-name-error" : undefined}
+					{...register("name")}
+				/>
+				<FieldError
+					id="invite-accept-name-error"
+					message={errors.name?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="invite-accept-password"
+				>
+					Password
+				</label>
+				<input
+					id="invite-accept-password"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.password}
+					aria-describedby={
+						errors.password ?
+							"invite-accept-password-error invite-accept-password-strength"
+						:	"invite-accept-password-strength"
+					}
+					{...register("password")}
+				/>
+				<PasswordStrength
+					id="invite-accept-password-strength"
+					password={watch("password")}
+					userInputs={userInputs}
+				/>
+				<FieldError
+					id="invite-accept-password-error"
+					message={errors.password?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="invite-accept-confirm"
+				>
+					Confirm password
+				</label>
+				<input
+					id="invite-accept-confirm"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.confirmPassword}
+					aria-describedby={errors.confirmPassword ? "invite-accept-confirm-error" : undefined}
+					{...register("confirmPassword")}
+				/>
+				<FieldError
+					id="invite-accept-confirm-error"
+					message={errors.confirmPassword?.message}
+				/>
+			</div>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.button}
+					type="submit"
+					disabled={isSubmitting || redirecting}
+				>
+					{isSubmitting ? "Creating your account…" : "Create account"}
+				</button>
+				{oidcService.enabled && (
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={handleSingleSignOn}
+						disabled={isSubmitting || redirecting}
+					>
+						{redirecting ? "Redirecting…" : `Continue with ${env.oidc.providerName}`}
+					</button>
+				)}
+			</div>
+		</form>
+	);
+};
+
+/**
+ * @component AcceptInvitation
+ * Landing page of an invitation link (`/invite?token=...`).
+ *
+ * Shows who invited whom, to which roles, and lets the invitee create the account with a
+ * password checked against the password policy, or with single sign-on. Either way the
+ * new account is signed in and lands on the dashboard. A link that is unknown, revoked
+ * or replaced, already used, or expired gets its own explanation. Someone signed in
+ * already is told that accepting switches to the new account.
+ *
+ * @returns {JSX.Element}
+ */
+const AcceptInvitation: React.FC = (): JSX.Element => {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const { isAuthenticated, user } = useSession();
+	const policy = usePolicy();
+	const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+	const [error, setError] = useState<string | null>(
+		token ? null : "This invitation link is incomplete. Open it again from the email."
+	);
+
+	useEffect(() => {
+		if (!token) {
+			return;
+		}
+		const controller = new AbortController();
+		invitationService
+			.preview(token, controller.signal)
+			.then(setInvitation)
+			.catch((err: unknown) => {
+				if (!controller.signal.aborted) {
+					setError(
+						invitationErrorMessage(err) ??
+							"The invitation could not be loaded. Please try again later."
+					);
+				}
+			});
+		return () => controller.abort();
+	}, [token]);
+
+	if (error || !token) {
+		return (
+			<AuthLayout
+				title="Invitation unavailable"
+				footer={<Link to={ROUTES.login}>Go to sign in</Link>}
+			>
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			</AuthLayout>
+		);
+	}
+
+	if (!invitation) {
+		return <PageLoader label="Opening your invitation…" />;
+	}
+
+	const roles = invitation.roles.map((role) => policy.roles[role]?.label ?? role).join(", ");
+
+	return (
+		<AuthLayout
+			title="Join InterfaceGuard"
+			subtitle={
+				<>
+					{invitation.invitedBy ?? "An administrator"} invited <strong>{invitation.email}</strong>{" "}
+					as {roles}. This invitation expires on {dateFormat.format(new Date(invitation.expiresAt))}
+					.
+				</>
+			}
+			footer={<Link to={ROUTES.login}>Already have an account? Sign in</Link>}
+		>
+			{isAuthenticated && user && user.email !== invitation.email && (
+				<p className={formStyles.hint}>
+					You are signed in as {user.email}. Accepting switches this browser to the new account.
+				</p>
+			)}
+			<AcceptForm
+				token={token}
+				invitation={invitation}
+				onInvitationError={setError}
+			/>
+		</AuthLayout>
+	);
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,96 @@
+import React, { JSX, useState } from "react";
+import { Link } from "react-router-dom";
+
+import ActiveSessions from "@components/ActiveSessions/ActiveSessions";
+import EmailVerification from "@components/EmailVerification/EmailVerification";
+import PasskeyManager from "@components/PasskeyManager/PasskeyManager";
+import PasswordForm from "@components/PasswordForm/PasswordForm";
+import ProfileForm from "@components/ProfileForm/ProfileForm";
+import { useSession } from "@hooks/useSession";
+import { ROUTES } from "@routes/paths";
+
+import styles from "./Account.module.scss";
+
+/**
+ * @component Account
+ * Account settings of the signed-in user: profile (name, avatar, email address),
+ * password, active sessions and the other sign-in methods (passkeys and two-factor
+ * authentication).
+ *
+ * @returns {JSX.Element}
+ */
+const Account: React.FC = (): JSX.Element => {
+	const { user } = useSession();
+	// Changing the password signs out the other sessions: list them again afterwards.
+	const [sessionsKey, setSessionsKey] = useState(0);
+
+	return (
+		<section className={styles.page}>
+			<h1>Account settings</h1>
+			{user && (
+				<>
+					<section
+						className={styles.section}
+						aria-labelledby="account-profile"
+					>
+						<h2 id="account-profile">Profile</h2>
+						<ProfileForm user={user} />
+					</section>
+					<section
+						className={styles.section}
+						aria-labelledby="account-email"
+					>
+						<h2 id="account-email">Email address</h2>
+						<EmailVerification user={user} />
+					</section>
+				</>
+			)}
+			<section
+				className={styles.section}
+				aria-labelledby="account-password"
+			>
+				<h2 id="account-password">Password</h2>
+				<PasswordForm onChanged={() => setSessionsKey((key) => key + 1)} />
+			</section>
+			<section
+				className={styles.section}
+				aria-labelledby="account-sessions"
+			>
+				<h2 id="account-sessions">Active sessions</h2>
+				<p>
+					These are the browsers and devices signed in to your account. If you do not recognise one,
+					sign it out and change your password.
+				</p>
+				<ActiveSessions key={sessionsKey} />
+			</section>
+			<section
+				className={styles.section}
+				aria-labelledby="account-passkeys"
+			>
+				<h2 id="account-passkeys">Passkeys</h2>
+				<p>
+					Passkeys let you sign in with your fingerprint, face, screen lock or a security key
+					instead of your password. They cannot be phished or reused on another site.
+				</p>
+				<PasskeyManager />
+			</section>
+			<section
+				className={styles.section}
+				aria-labelledby="account-two-factor"
+			>
+				<h2 id="account-two-factor">Two-factor authentication</h2>
+				<p>
+					{user?.mfaEnabled ?
+						"An authenticator app is set up as your second factor."
+					:	"Add a code from an authenticator app as a second step when you sign in with your password."
+					}
+				</p>
+				<p>
+					<Link to={ROUTES.mfaSetup}>Manage two-factor authentication</Link>
+				</p>
+			</section>
+		</section>
+	);
+};
+
+export default Account;
@@ -0,0 +1,420 @@
+import React, { Fragment, JSX, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+import JsonDiff from "@components/JsonDiff/JsonDiff";
+import { useAuditLog } from "@hooks/useAuditLog";
+import type { AuditAction, AuditQuery } from "@interface/audit.interface";
+import { exportAuditEvents } from "@services/audit/audit.export";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+import { downloadFile } from "@utils/download";
+
+import styles from "./AuditLog.module.scss";
+
+/**
+ * Time ranges offered by the filter, in milliseconds back from now; `custom` takes the
+ * `from` and `to` parameters of the URL instead.
+ */
+const RANGES = [
+	{ value: "24h", label: "Last 24 hours", span: 24 * 60 * 60 * 1000 },
+	{ value: "7d", label: "Last 7 days", span: 7 * 24 * 60 * 60 * 1000 },
+	{ value: "30d", label: "Last 30 days", span: 30 * 24 * 60 * 60 * 1000 },
+	{ value: "90d", label: "Last 90 days", span: 90 * 24 * 60 * 60 * 1000 },
+	{ value: "all", label: "All time", span: null },
+	{ value: "custom", label: "Custom range", span: null },
+] as const;
+
+type Range = (typeof RANGES)[number]["value"];
+
+const DEFAULT_RANGE: Range = "30d";
+
+const ACTION_LABELS: Record<AuditAction, string> = {
+	"auth.login": "Signed in",
+	"auth.mfa_recovery": "Signed in with a recovery code",
+	"impersonation.start": "Started viewing as user",
+	"impersonation.stop": "Stopped viewing as user",
+	"user.create": "Created user",
+	"user.update": "Updated user",
+	"user.password_change": "Changed password",
+	"user.password_reset": "Reset password",
+	"policy.update": "Updated roles",
+	"invitation.create": "Sent invitation",
+	"invitation.resend": "Resent invitation",
+	"invitation.revoke": "Revoked invitation",
+	"invitation.accept": "Accepted invitation",
+};
+
+/** Delay before the actor filter updates the URL, so typing does not fire a request per key. */
+const SEARCH_DELAY = 300;
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "medium" });
+
+/**
+ * Converts the value of a `datetime-local` input, in local time, to ISO 8601.
+ *
+ * @param {string | null} value - The input value, e.g. `2026-10-18T09:30`.
+ * @returns {string | undefined} The ISO date, `undefined` when empty or invalid.
+ */
+const toIso = (value: string | null): string | undefined => {
+	const time = value ? new Date(value).getTime() : Number.NaN;
+	return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+};
+
+/**
+ * @component AuditLog
+ * Who changed what, and when: the audit log, newest first, filtered by time range and
+ * actor. The filters live in the URL so a view can be shared; more events load as the
+ * list is scrolled, and each event expands into a comparison of the target before and
+ * after it. The export holds every event matching the filters, not only those loaded.
+ *
+ * @returns {JSX.Element}
+ */
+const AuditLog: React.FC = (): JSX.Element => {
+	const [searchParams, setSearchParams] = useSearchParams();
+	const rangeParam = searchParams.get("range");
+	const range: Range = RANGES.find(({ value }) => value === rangeParam)?.value ?? DEFAULT_RANGE;
+	const fromParam = searchParams.get("from");
+	const toParam = searchParams.get("to");
+	const actor = searchParams.get("actor") ?? "";
+
+	const query = useMemo<AuditQuery>(() => {
+		const span = RANGES.find(({ value }) => value === range)?.span ?? null;
+		return {
+			...(range === "custom" ? { from: toIso(fromParam), to: toIso(toParam) }
+			: span !== null ? { from: new Date(Date.now() - span).toISOString() }
+			: {}),
+			actor: actor || undefined,
+		};
+	}, [range, fromParam, toParam, actor]);
+	const { events, total, hasMore, loading, error, loadMore } = useAuditLog(query);
+
+	const [actorInput, setActorInput] = useState(actor);
+	const [expanded, setExpanded] = useState<ReadonlySet<string>>(new Set());
+	const [exportStatus, setExportStatus] = useState<string | null>(null);
+	const [exportError, setExportError] = useState<string | null>(null);
+	const sentinelRef = useRef<HTMLDivElement>(null);
+
+	const setParams = useCallback(
+		(changes: Record<string, string | null>) =>
+			setSearchParams(
+				(current) => {
+					const next = new URLSearchParams(current);
+					for (const [name, value] of Object.entries(changes)) {
+						if (value) {
+							next.set(name, value);
+						} else {
+							next.delete(name);
+						}
+					}
+					return next;
+				},
+				{ replace: true }
+			),
+		[setSearchParams]
+	);
+
+	// Follow the URL when it changes on its own (back button, link), then debounce typing.
+	useEffect(() => setActorInput(actor), [actor]);
+	useEffect(() => {
+		if (actorInput.trim() === actor) {
+			return;
+		}
+		const timer = window.setTimeout(() => setParams({ actor: actorInput.trim() }), SEARCH_DELAY);
+		return () => window.clearTimeout(timer);
+	}, [actorInput, actor, setParams]);
+
+	// Load the next slice once the end of the list scrolls into view. After an error the
+	// "Try again" button takes over, so a failing API is not called in a loop.
+	useEffect(() => {
+		const sentinel = sentinelRef.current;
+		if (!sentinel || !hasMore || error || typeof IntersectionObserver === "undefined") {
+			return;
+		}
+		const observer = new IntersectionObserver(
+			(entries) => {
+				if (entries.some((entry) => entry.isIntersecting)) {
+					loadMore();
+				}
+			},
+			{ rootMargin: "200px" }
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [hasMore, error, loadMore]);
+
+	const toggle = (id: string) =>
+		setExpanded((current) => {
+			const next = new Set(current);
+			if (!next.delete(id)) {
+				next.add(id);
+			}
+			return next;
+		});
+
+	const handleExport = async (format: "json" | "csv") => {
+		setExportError(null);
+		setExportStatus("Preparing the export…");
+		try {
+			const content = await exportAuditEvents(sessionService.requireAccessToken(), query, {
+				format,
+				onProgress: (loaded, count) => setExportStatus(`Exporting ${loaded} of ${count} events…`),
+			});
+			const date = new Date().toISOString().slice(0, 10);
+			if (format === "json") {
+				downloadFile(`audit-${date}.json`, content, "application/json");
+			} else {
+				// The byte order mark makes spreadsheet programs read the file as UTF-8.
+				downloadFile(`audit-${date}.csv`, `\uFEFF${content}\r\n`, "text/csv;charset=utf-8");
+			}
+		} catch {
+			setExportError("The export failed. Please try again.");
+		} finally {
+			setExportStatus(null);
+		}
+	};
+
+	return (
+		<section className={styles.page}>
+			<header className={styles.header}>
+				<h1>Audit log</h1>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={() => handleExport("json")}
+						disabled={!!exportStatus}
+						title="Every event matching the current filters"
+					>
+						Export JSON
+					</button>
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={() => handleExport("csv")}
+						disabled={!!exportStatus}
+						title="Every event matching the current filters"
+					>
+						Export CSV
+					</button>
+				</div>
+			</header>
+			<form
+				className={styles.filters}
+				role="search"
+				aria-label="Filter events"
+				onSubmit={(event) => {
+					event.preventDefault();
+					setParams({ actor: actorInput.trim() });
+				}}
+			>
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="audit-range"
+					>
+						Time range
+					</label>
+					<select
+						id="audit-range"
+						className={formStyles.input}
+						value={range}
+						onChange={(event) =>
+							setParams({
+								range: event.target.value === DEFAULT_RANGE ? null : event.target.value,
+								from: null,
+								to: null,
+							})
+						}
+					>
+						{RANGES.map(({ value, label }) => (
+							<option
+								key={value}
+								value={value}
+							>
+								{label}
+							</option>
+						))}
+					</select>
+				</div>
+				{range === "custom" && (
+					<>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="audit-from"
+							>
+								From
+							</label>
+							<input
+								id="audit-from"
+								className={formStyles.input}
+								type="datetime-local"
+								value={fromParam ?? ""}
+								max={toParam ?? undefined}
+								onChange={(event) => setParams({ from: event.target.value })}
+							/>
+						</div>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="audit-to"
+							>
+								To
+							</label>
+							<input
+								id="audit-to"
+								className={formStyles.input}
+								type="datetime-local"
+								value={toParam ?? ""}
+								min={fromParam ?? undefined}
+								onChange={(event) => setParams({ to: event.target.value })}
+							/>
+						</div>
+					</>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="audit-actor"
+					>
+						Actor
+					</label>
+					<input
+						id="audit-actor"
+						className={formStyles.input}
+						type="search"
+						placeholder="Name, email or user ID"
+						value={actorInput}
+						onChange={(event) => setActorInput(event.target.value)}
+					/>
+				</div>
+			</form>
+			{exportStatus && <p role="status">{exportStatus}</p>}
+			{exportError && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{exportError}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				aria-live="polite"
+			>
+				{total === null ?
+					"Loading events…"
+				:	`Showing ${events.length} of ${total} ${total === 1 ? "event" : "events"}.`}
+			</p>
+			{events.length > 0 && (
+				<table className={styles.table}>
+					<thead>
+						<tr>
+							<th scope="col">
+								<span className={styles.visuallyHidden}>Details</span>
+							</th>
+							<th scope="col">Time</th>
+							<th scope="col">Actor</th>
+							<th scope="col">Action</th>
+							<th scope="col">Target</th>
+							<th scope="col">IP address</th>
+						</tr>
+					</thead>
+					<tbody>
+						{events.map((event) => {
+							const open = expanded.has(event.id);
+							return (
+								<Fragment key={event.id}>
+									<tr>
+										<td>
+											<button
+												className={styles.toggle}
+												type="button"
+												aria-expanded={open}
+												aria-controls={`audit-event-${event.id}`}
+												aria-label={`${open ? "Hide" : "Show"} changes`}
+												onClick={() => toggle(event.id)}
+											>
+												{open ? "▾" : "▸"}
+											</button>
+										</td>
+										<td>
+											<time dateTime={event.occurredAt}>
+												{timeFormat.format(new Date(event.occurredAt))}
+											</time>
+										</td>
+										<td>
+											{event.actor ?
+												<>
+													{event.actor.name}{" "}
+													<span className={styles.muted}>{event.actor.email}</span>
+												</>
+											:	"System"}
+										</td>
+										<td>{ACTION_LABELS[event.action] ?? event.action}</td>
+										<td>
+											{event.target.label} <span className={styles.muted}>{event.target.type}</span>
+										</td>
+										<td>{event.ip ?? "—"}</td>
+									</tr>
+									{open && (
+										<tr
+											id={`audit-event-${event.id}`}
+											className={styles.details}
+										>
+											<td colSpan={6}>
+												<JsonDiff
+													before={event.before}
+													after={event.after}
+												/>
+											</td>
+										</tr>
+									)}
+								</Fragment>
+							);
+						})}
+					</tbody>
+				</table>
+			)}
+			{total === 0 && <p>No events match these filters.</p>}
+			{error && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			)}
+			<div
+				ref={sentinelRef}
+				className={styles.more}
+			>
+				{hasMore && total !== null && (
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={loadMore}
+						disabled={loading}
+					>
+						{loading ?
+							"Loading…"
+						: error ?
+							"Try again"
+						:	"Load more"}
+					</button>
+				)}
+				{error && total === null && (
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={loadMore}
+					>
+						Try again
+					</button>
+				)}
+			</div>
+		</section>
+	);
+};
+
+export default AuditLog;
@@ -0,0 +1,25 @@
+import React, { JSX } from "react";
+import { Link } from "react-router-dom";
+
+import StatusPage from "@components/StatusPage/StatusPage";
+import { ROUTES } from "@routes/paths";
+
+/**
+ * @component Forbidden
+ * 403 page rendered by `RouteGuard` when the signed-in user lacks the role or
+ * permission a route requires.
+ *
+ * @returns {JSX.Element}
+ */
+const Forbidden: React.FC = (): JSX.Element => {
+	return (
+		<StatusPage
+			code="403"
+			title="You don't have access to this page"
+			message="Your account does not have the role or permission this page requires. If you think this is a mistake, ask an administrator to review your access."
+			actions={<Link to={ROUTES.home}>Back to the dashboard</Link>}
+		/>
+	);
+};
+
+export default Forbidden;
@@ -0,0 +1,134 @@
+import React, { JSX, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+
+import FieldError from "@components/FieldError/FieldError";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES } from "@routes/paths";
+import {
+	FORGOT_PASSWORD_FIELD_MESSAGES,
+	type ForgotPasswordFormValues,
+	forgotPasswordSchema,
+} from "@services/auth/recovery.schema";
+import { recoveryService } from "@services/auth/recovery.service";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+/**
+ * @component ForgotPassword
+ * Asks for the email address of an account and has the API send it a link to choose a
+ * new password.
+ *
+ * The confirmation reads the same whether or not the address belongs to an account, as
+ * does the API's answer, so the page cannot be used to find out who has one.
+ *
+ * @returns {JSX.Element}
+ */
+const ForgotPassword: React.FC = (): JSX.Element => {
+	const [sentTo, setSentTo] = useState<string | null>(null);
+	const {
+		register,
+		handleSubmit,
+		setError,
+		formState: { errors, isSubmitting },
+	} = useForm<ForgotPasswordFormValues>({
+		resolver: zodResolver(forgotPasswordSchema),
+		defaultValues: { email: "" },
+		mode: "onTouched",
+	});
+
+	const submit = handleSubmit(async ({ email }) => {
+		try {
+			await recoveryService.requestPasswordReset(email);
+			setSentTo(email);
+		} catch (error) {
+			if (!applyFieldErrors(error, setError, FORGOT_PASSWORD_FIELD_MESSAGES)) {
+				setError("root.server", {
+					message: "We could not send the link right now. Please try again.",
+				});
+			}
+		}
+	});
+
+	if (sentTo) {
+		return (
+			<AuthLayout
+				title="Check your email"
+				footer={<Link to={ROUTES.login}>Back to sign in</Link>}
+			>
+				<p role="status">
+					If an account uses <strong>{sentTo}</strong>, we sent it a link to choose a new password.
+					The link works once and only for a short time.
+				</p>
+				<p className={formStyles.hint}>
+					Nothing arrived? Check your spam folder, or{" "}
+					<button
+						className={formStyles.link}
+						type="button"
+						onClick={() => setSentTo(null)}
+					>
+						try another address
+					</button>
+					.
+				</p>
+			</AuthLayout>
+		);
+	}
+
+	return (
+		<AuthLayout
+			title="Forgot your password?"
+			subtitle="Enter the email address of your account and we will send you a link to choose a new one."
+			footer={<Link to={ROUTES.login}>Back to sign in</Link>}
+		>
+			<form
+				className={formStyles.form}
+				onSubmit={submit}
+				noValidate
+			>
+				{errors.root?.server && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{errors.root.server.message}
+					</p>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="forgot-email"
+					>
+						Email
+					</label>
+					<input
+						id="forgot-email"
+						className={formStyles.input}
+						type="email"
+						autoComplete="username"
+						aria-invalid={!!errors.email}
+						aria-describedby={errors.email ? "forgot-email-error" : undefined}
+						autoFocus
+						{...register("email")}
+					/>
+					<FieldError
+						id="forgot-email-error"
+						message={errors.email?.message}
+					/>
+				</div>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="submit"
+						disabled={isSubmitting}
+					>
+						{isSubmitting ? "Sending…" : "Send reset link"}
+					</button>
+				</div>
+			</form>
+		</AuthLayout>
+	);
+};
+
+export default ForgotPassword;
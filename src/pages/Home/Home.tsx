@@ -0,0 +1,25 @@
+import React, { JSX } from "react";
+
+import { useSession } from "@hooks/useSession";
+
+/**
+ * @component Home
+ * Dashboard shown after signing in.
+ *
+ * @returns {JSX.Element}
+ */
+const Home: React.FC = (): JSX.Element => {
+	const { claims, user } = useSession();
+
+	return (
+		<section>
+			<h1>Welcome{user?.name ? `, ${user.name}` : ""}</h1>
+			<p>
+				You are signed in as <strong>{claims?.email ?? user?.email}</strong> with the{" "}
+				{claims?.roles.length ? claims.roles.join(", ") : "default"} role.
+			</p>
+		</section>
+	);
+};
+
+export default Home;
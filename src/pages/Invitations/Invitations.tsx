@@ -0,0 +1,347 @@
+import React, { JSX, useEffect, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+import { Link } from "react-router-dom";
+
+import FieldError from "@components/FieldError/FieldError";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import type { Invitation, InvitationStatus } from "@interface/invitation.interface";
+import { ROUTES } from "@routes/paths";
+import {
+	INVITATION_FIELD_MESSAGES,
+	INVITATION_VALIDITY_DAYS,
+	type InvitationFormValues,
+	invitationSchema,
+} from "@services/invitations/invitation.schema";
+import { invitationService } from "@services/invitations/invitation.service";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+import styles from "./Invitations.module.scss";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+const EMPTY: InvitationFormValues = { email: "", roles: ["user"], expiresInDays: 7 };
+
+const STATUS_LABELS: Record<InvitationStatus, string> = {
+	pending: "Pending",
+	accepted: "Accepted",
+	revoked: "Revoked",
+	expired: "Expired",
+};
+
+/**
+ * Whether the link of an invitation can still be sent again or revoked.
+ *
+ * @param {Invitation} invitation - The invitation.
+ * @returns {boolean} `true` while it is pending or expired.
+ */
+const isOpen = ({ status }: Invitation): boolean => status === "pending" || status === "expired";
+
+/**
+ * @component Invitations
+ * Invites people to the tenant of the signed-in manager or administrator, and lists the
+ * invitations sent so far with their status. Open invitations can be sent again, which
+ * replaces the link and restarts its validity, or revoked.
+ *
+ * The invitee picks a password, or links single sign-on, on the page the link opens;
+ * the account only exists from then on.
+ *
+ * @returns {JSX.Element}
+ */
+const Invitations: React.FC = (): JSX.Element => {
+	const { claims } = useSession();
+	const policy = usePolicy();
+	const [invitations, setInvitations] = useState<Invitation[] | null>(null);
+	const [error, setError] = useState<string | null>(null);
+	const [status, setStatus] = useState("");
+	const [busyId, setBusyId] = useState<string | null>(null);
+	const {
+		register,
+		handleSubmit,
+		reset,
+		setError: setFieldError,
+		formState: { errors, isSubmitting },
+	} = useForm<InvitationFormValues>({
+		resolver: zodResolver(invitationSchema),
+		defaultValues: EMPTY,
+		mode: "onTouched",
+	});
+	const canGrantAdmin = !!claims?.roles.includes("admin");
+
+	useEffect(() => {
+		const controller = new AbortController();
+		invitationService
+			.list(sessionService.requireAccessToken(), controller.signal)
+			.then(setInvitations)
+			.catch(() => {
+				if (!controller.signal.aborted) {
+					setError("The invitations could not be loaded.");
+				}
+			});
+		return () => controller.abort();
+	}, []);
+
+	const replace = (updated: Invitation) =>
+		setInvitations(
+			(current) =>
+				current?.map((invitation) => (invitation.id === updated.id ? updated : invitation)) ?? null
+		);
+
+	const submit = handleSubmit(async (values) => {
+		setStatus("");
+		try {
+			const invitation = await invitationService.create(
+				sessionService.requireAccessToken(),
+				values
+			);
+			setInvitations((current) => [invitation, ...(current ?? [])]);
+			reset(EMPTY);
+			setStatus(`An invitation was sent to ${invitation.email}.`);
+		} catch (err) {
+			if (!applyFieldErrors(err, setFieldError, INVITATION_FIELD_MESSAGES)) {
+				setFieldError("root.server", {
+					message: "The invitation could not be sent. Please try again.",
+				});
+			}
+		}
+	});
+
+	const handleResend = async (invitation: Invitation) => {
+		setError(null);
+		setStatus("");
+		setBusyId(invitation.id);
+		try {
+			replace(await invitationService.resend(sessionService.requireAccessToken(), invitation.id));
+			setStatus(`A new link was sent to ${invitation.email}. Earlier links no longer work.`);
+		} catch {
+			setError(`The invitation to ${invitation.email} could not be sent again. Please try again.`);
+		} finally {
+			setBusyId(null);
+		}
+	};
+
+	const handleRevoke = async (invitation: Invitation) => {
+		if (
+			!window.confirm(`Revoke the invitation to ${invitation.email}? Its link will stop working.`)
+		) {
+			return;
+		}
+		setError(null);
+		setStatus("");
+		setBusyId(invitation.id);
+		try {
+			replace(await invitationService.revoke(sessionService.requireAccessToken(), invitation.id));
+			setStatus(`The invitation to ${invitation.email} was revoked.`);
+		} catch {
+			setError(`The invitation to ${invitation.email} could not be revoked. Please try again.`);
+		} finally {
+			setBusyId(null);
+		}
+	};
+
+	const roleLabel = (role: string) => policy.roles[role]?.label ?? role;
+
+	return (
+		<section className={styles.page}>
+			<header className={styles.header}>
+				<h1>Invitations</h1>
+				<Link to={ROUTES.users}>Back to users</Link>
+			</header>
+			<section aria-labelledby="invite-title">
+				<h2 id="invite-title">Invite someone</h2>
+				<p className={formStyles.hint}>
+					They receive a link to set a password or sign in with single sign-on, and join your tenant
+					with the roles below.
+				</p>
+				<form
+					className={formStyles.form}
+					onSubmit={submit}
+					noValidate
+				>
+					{errors.root?.server && (
+						<p
+							className={formStyles.alert}
+							role="alert"
+						>
+							{errors.root.server.message}
+						</p>
+					)}
+					<div className={formStyles.field}>
+						<label
+							className={formStyles.label}
+							htmlFor="invite-email"
+						>
+							Email
+						</label>
+						<input
+							id="invite-email"
+							className={formStyles.input}
+							type="email"
+							autoComplete="off"
+							aria-invalid={!!errors.email}
+							aria-describedby={errors.email ? "invite-email-error" : undefined}
+							{...register("email")}
+						/>
+						<FieldError
+							id="invite-email-error"
+							message={errors.email?.message}
+						/>
+					</div>
+					<fieldset
+						className={styles.choices}
+						aria-invalid={!!errors.roles}
+						aria-describedby={errors.roles ? "invite-roles-error" : undefined}
+					>
+						<legend className={formStyles.label}>Roles</legend>
+						{Object.entries(policy.roles).map(([role, { label }]) => (
+							<label key={role}>
+								<input
+									type="checkbox"
+									value={role}
+									disabled={role === "admin" && !canGrantAdmin}
+									{...register("roles")}
+								/>
+								{label}
+							</label>
+						))}
+						<FieldError
+							id="invite-roles-error"
+							message={errors.roles?.message}
+						/>
+					</fieldset>
+					<div className={formStyles.field}>
+						<label
+							className={formStyles.label}
+							htmlFor="invite-expiry"
+						>
+							Link valid for
+						</label>
+						<select
+							id="invite-expiry"
+							className={formStyles.input}
+							aria-invalid={!!errors.expiresInDays}
+							aria-describedby={errors.expiresInDays ? "invite-expiry-error" : undefined}
+							{...register("expiresInDays", { valueAsNumber: true })}
+						>
+							{INVITATION_VALIDITY_DAYS.map((days) => (
+								<option
+									key={days}
+									value={days}
+								>
+									{days === 1 ? "1 day" : `${days} days`}
+								</option>
+							))}
+						</select>
+						<FieldError
+							id="invite-expiry-error"
+							message={errors.expiresInDays?.message}
+						/>
+					</div>
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="submit"
+							disabled={isSubmitting}
+						>
+							{isSubmitting ? "Sending…" : "Send invitation"}
+						</button>
+					</div>
+				</form>
+			</section>
+			<section aria-labelledby="invitations-title">
+				<h2 id="invitations-title">Sent invitations</h2>
+				<p
+					className={formStyles.hint}
+					role="status"
+				>
+					{status}
+				</p>
+				{error && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{error}
+					</p>
+				)}
+				{invitations === null ?
+					!error && <p>Loading invitations…</p>
+				: invitations.length === 0 ?
+					<p>No invitations were sent yet.</p>
+				:	<table className={styles.table}>
+						<thead>
+							<tr>
+								<th scope="col">Email</th>
+								<th scope="col">Roles</th>
+								<th scope="col">Status</th>
+								<th scope="col">Sent</th>
+								<th scope="col">Expires</th>
+								<th scope="col">
+									<span className={styles.visuallyHidden}>Actions</span>
+								</th>
+							</tr>
+						</thead>
+						<tbody>
+							{invitations.map((invitation) => (
+								<tr key={invitation.id}>
+									<td>{invitation.email}</td>
+									<td>{invitation.roles.map(roleLabel).join(", ")}</td>
+									<td>
+										<span className={styles[invitation.status]}>
+											{STATUS_LABELS[invitation.status]}
+										</span>
+									</td>
+									<td>
+										{invitation.lastSentAt && dateFormat.format(new Date(invitation.lastSentAt))}
+										<span className={styles.muted}>
+											{invitation.invitedBy && ` by ${invitation.invitedBy.name}`}
+											{invitation.sendCount > 1 && ` · sent ${invitation.sendCount} times`}
+										</span>
+									</td>
+									<td>
+										{invitation.status === "accepted" && invitation.acceptedAt ?
+											<span className={styles.muted}>
+												Accepted {dateFormat.format(new Date(invitation.acceptedAt))}
+											</span>
+										: invitation.status === "revoked" ?
+											"—"
+										:	dateFormat.format(new Date(invitation.expiresAt))}
+									</td>
+									<td className={styles.actions}>
+										{isOpen(invitation) && (
+											<>
+												<button
+													className={formStyles.secondary}
+													type="button"
+													onClick={() => handleResend(invitation)}
+													disabled={busyId === invitation.id}
+													aria-label={`Resend the invitation to ${invitation.email}`}
+												>
+													Resend
+												</button>
+												<button
+													className={formStyles.danger}
+													type="button"
+													onClick={() => handleRevoke(invitation)}
+													disabled={busyId === invitation.id}
+													aria-label={`Revoke the invitation to ${invitation.email}`}
+												>
+													Revoke
+												</button>
+											</>
+										)}
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				}
+			</section>
+		</section>
+	);
+};
+
+export default Invitations;
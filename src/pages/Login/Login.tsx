@@ -0,0 +1,236 @@
+import React, { FormEvent, JSX, useState } from "react";
+import { Link, Navigate, useNavigate, useSearchParams } from "react-router-dom";
+
+import { useSession } from "@hooks/useSession";
+import type { MfaChallengeState } from "@interface/mfa.interface";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES, returnToFrom } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import { isMfaChallenge } from "@services/auth/auth.service";
+import { oidcService } from "@services/oidc/oidc.client";
+import { isWebAuthnSupported, PasskeyError } from "@services/webauthn/webauthn.ceremony";
+import { emailRemembered, selectLastEmail } from "@store/auth/auth.slice";
+import { useAppDispatch, useAppSelector } from "@store/hooks";
+import formStyles from "@styles/form.module.scss";
+import { env } from "@utils/env";
+
+/**
+ * Turns a failed sign-in into a message that does not reveal which field was wrong.
+ *
+ * @param {unknown} error - The rejection of `signIn`.
+ * @returns {string} The message to display.
+ */
+const loginErrorMessage = (error: unknown): string => {
+	if (error instanceof ApiError && (error.status === 400 || error.status === 401)) {
+		return "The email or password is incorrect.";
+	}
+	if (error instanceof ApiError && error.status === 429) {
+		return "Too many attempts. Please wait a moment and try again.";
+	}
+	return "We could not sign you in right now. Please try again.";
+};
+
+/**
+ * Turns a failed passkey sign-in into a message. A dismissed browser prompt yields
+ * `null`: the user chose to stop, there is nothing to report.
+ *
+ * @param {unknown} error - The rejection of `signInWithPasskey`.
+ * @returns {string | null} The message to display.
+ */
+const passkeyErrorMessage = (error: unknown): string | null => {
+	if (error instanceof PasskeyError) {
+		return error.code === "cancelled" ? null : "Your passkey could not be used. Please try again.";
+	}
+	if (error instanceof ApiError && error.code === "PASSKEY_INVALID") {
+		return "This passkey is not registered to an active account. Sign in with your password.";
+	}
+	return "We could not sign you in right now. Please try again.";
+};
+
+/**
+ * @component Login
+ * Email and password sign-in page.
+ *
+ * After a successful sign-in the user is sent back to the URL stored in the `returnTo`
+ * query parameter by `RouteGuard`, or to the dashboard. Accounts with two-factor
+ * authentication continue to the code challenge first. When an OpenID Connect provider
+ * is configured, a second button starts single sign-on instead. Browsers with WebAuthn
+ * also get a passkey button, others a hint that passkeys need a supported browser.
+ * Users who forgot their password follow a link to request a reset. Remembering the
+ * email address on this browser is opt-in; unticking the box forgets it at the next
+ * sign-in. Signed-in visitors are redirected straight away.
+ *
+ * @returns {JSX.Element}
+ */
+const Login: React.FC = (): JSX.Element => {
+	const { isAuthenticated, signIn, signInWithPasskey } = useSession();
+	const navigate = useNavigate();
+	const [searchParams] = useSearchParams();
+	const dispatch = useAppDispatch();
+	const lastEmail = useAppSelector(selectLastEmail);
+	const [email, setEmail] = useState(lastEmail ?? "");
+	const [rememberEmail, setRememberEmail] = useState(lastEmail !== null);
+	const [password, setPassword] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [submitting, setSubmitting] = useState(false);
+	const [redirecting, setRedirecting] = useState(false);
+
+	const returnTo = returnToFrom(searchParams);
+
+	if (isAuthenticated && !submitting) {
+		return (
+			<Navigate
+				to={returnTo}
+				replace
+			/>
+		);
+	}
+
+	const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+		event.preventDefault();
+		setError(null);
+		setSubmitting(true);
+		try {
+			const result = await signIn({ email: email.trim(), password });
+			dispatch(emailRemembered(rememberEmail ? email.trim() : null));
+			if (isMfaChallenge(result)) {
+				const state: MfaChallengeState = { mfaToken: result.mfaToken };
+				navigate({ pathname: ROUTES.mfaChallenge, search: searchParams.toString() }, { state });
+				return;
+			}
+			navigate(returnTo, { replace: true });
+		} catch (err) {
+			setError(loginErrorMessage(err));
+			setSubmitting(false);
+		}
+	};
+
+	const handlePasskey = async () => {
+		setError(null);
+		setSubmitting(true);
+		try {
+			await signInWithPasskey();
+			navigate(returnTo, { replace: true });
+		} catch (err) {
+			setError(passkeyErrorMessage(err));
+			setSubmitting(false);
+		}
+	};
+
+	const handleSingleSignOn = async () => {
+		setError(null);
+		setRedirecting(true);
+		try {
+			await oidcService.beginLogin(returnTo);
+		} catch {
+			setError("Single sign-on is unavailable right now. Please try again later.");
+			setRedirecting(false);
+		}
+	};
+
+	return (
+		<AuthLayout
+			title="Sign in"
+			subtitle="Use your work account to continue."
+		>
+			<form
+				className={formStyles.form}
+				onSubmit={handleSubmit}
+				noValidate
+			>
+				{error && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{error}
+					</p>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="login-email"
+					>
+						Email
+					</label>
+					<input
+						id="login-email"
+						className={formStyles.input}
+						type="email"
+						autoComplete="username"
+						value={email}
+						onChange={(event) => setEmail(event.target.value)}
+						required
+					/>
+				</div>
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="login-password"
+					>
+						Password
+					</label>
+					<input
+						id="login-password"
+						className={formStyles.input}
+						type="password"
+						autoComplete="current-password"
+						value={password}
+						onChange={(event) => setPassword(event.target.value)}
+						required
+					/>
+					<Link
+						className={formStyles.hint}
+						to={ROUTES.forgotPassword}
+					>
+						Forgot your password?
+					</Link>
+				</div>
+				<label className={formStyles.check}>
+					<input
+						type="checkbox"
+						checked={rememberEmail}
+						onChange={(event) => setRememberEmail(event.target.checked)}
+					/>
+					Remember my email on this device
+				</label>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="submit"
+						disabled={submitting || !email || !password}
+					>
+						{submitting ? "Signing in…" : "Sign in"}
+					</button>
+					{isWebAuthnSupported() && (
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={handlePasskey}
+							disabled={submitting || redirecting}
+						>
+							Sign in with passkey
+						</button>
+					)}
+					{oidcService.enabled && (
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={handleSingleSignOn}
+							disabled={submitting || redirecting}
+						>
+							{redirecting ? "Redirecting…" : `Sign in with ${env.oidc.providerName}`}
+						</button>
+					)}
+				</div>
+				{!isWebAuthnSupported() && (
+					<p className={formStyles.hint}>
+						Passkey sign-in is not available in this browser. Use your email and password instead.
+					</p>
+				)}
+			</form>
+		</AuthLayout>
+	);
+};
+
+export default Login;
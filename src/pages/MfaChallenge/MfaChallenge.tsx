@@ -0,0 +1,151 @@
+import React, { FormEvent, JSX, useState } from "react";
+import { Link, Navigate, useLocation, useNavigate, useSearchParams } from "react-router-dom";
+
+import { useSession } from "@hooks/useSession";
+import type { MfaChallengeState } from "@interface/mfa.interface";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES, returnToFrom } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Turns a rejected code into a message.
+ *
+ * @param {unknown} error - The rejection of `verifyMfa`.
+ * @returns {string} The message to display.
+ */
+const verifyErrorMessage = (error: unknown): string => {
+	if (error instanceof ApiError && error.code === "MFA_CHALLENGE_EXPIRED") {
+		return "This sign-in attempt has expired. Please sign in again.";
+	}
+	if (error instanceof ApiError && error.status === 401) {
+		return "That code is not valid. Check your authenticator app and try again.";
+	}
+	if (error instanceof ApiError && error.status === 429) {
+		return "Too many attempts. Please wait a moment and try again.";
+	}
+	return "We could not verify the code right now. Please try again.";
+};
+
+/**
+ * @component MfaChallenge
+ * Second step of the sign-in for accounts with two-factor authentication: asks for the
+ * 6-digit code of the authenticator app. Users who lost their device continue to
+ * `MfaRecovery` with the same challenge and enter a recovery code there.
+ *
+ * The challenge token travels in the navigation state; opening the page without one
+ * (bookmark, link copied to another tab) leads back to the login page.
+ *
+ * @returns {JSX.Element}
+ */
+const MfaChallenge: React.FC = (): JSX.Element => {
+	const { isAuthenticated, verifyMfa } = useSession();
+	const location = useLocation();
+	const navigate = useNavigate();
+	const [searchParams] = useSearchParams();
+	const [code, setCode] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [expired, setExpired] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+
+	const mfaToken = (location.state as MfaChallengeState | null)?.mfaToken;
+	const returnTo = returnToFrom(searchParams);
+	const loginPath = { pathname: ROUTES.login, search: location.search };
+
+	if (isAuthenticated && !submitting) {
+		return (
+			<Navigate
+				to={returnTo}
+				replace
+			/>
+		);
+	}
+	if (!mfaToken) {
+		return (
+			<Navigate
+				to={loginPath}
+				replace
+			/>
+		);
+	}
+
+	const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+		event.preventDefault();
+		setError(null);
+		setSubmitting(true);
+		try {
+			await verifyMfa(mfaToken, code.trim());
+			navigate(returnTo, { replace: true });
+		} catch (err) {
+			setError(verifyErrorMessage(err));
+			setExpired(err instanceof ApiError && err.code === "MFA_CHALLENGE_EXPIRED");
+			setCode("");
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<AuthLayout
+			title="Two-factor authentication"
+			subtitle="Enter the 6-digit code from your authenticator app."
+			footer={<Link to={loginPath}>Back to sign in</Link>}
+		>
+			<form
+				className={formStyles.form}
+				onSubmit={handleSubmit}
+				noValidate
+			>
+				{error && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{error}
+					</p>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="mfa-code"
+					>
+						Authentication code
+					</label>
+					<input
+						id="mfa-code"
+						className={formStyles.input}
+						type="text"
+						inputMode="numeric"
+						autoComplete="one-time-code"
+						pattern="\d{6}"
+						maxLength={6}
+						value={code}
+						onChange={(event) => setCode(event.target.value.replace(/\D/g, ""))}
+						disabled={expired}
+						autoFocus
+						required
+					/>
+				</div>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="submit"
+						disabled={submitting || expired || !/^\d{6}$/.test(code)}
+					>
+						{submitting ? "Verifying…" : "Verify"}
+					</button>
+					{!expired && (
+						<Link
+							className={formStyles.link}
+							to={{ pathname: ROUTES.mfaRecovery, search: location.search }}
+							state={location.state}
+						>
+							Lost your device? Use a recovery code
+						</Link>
+					)}
+				</div>
+			</form>
+		</AuthLayout>
+	);
+};
+
+export default MfaChallenge;
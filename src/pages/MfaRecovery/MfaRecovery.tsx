@@ -0,0 +1,161 @@
+import React, { FormEvent, JSX, useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+
+import { useSession } from "@hooks/useSession";
+import type { MfaChallengeState } from "@interface/mfa.interface";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Turns a rejected recovery code into a message.
+ *
+ * @param {unknown} error - The rejection of `recoverMfa`.
+ * @returns {string} The message to display.
+ */
+const recoveryErrorMessage = (error: unknown): string => {
+	if (error instanceof ApiError && error.code === "MFA_CHALLENGE_EXPIRED") {
+		return "This sign-in attempt has expired. Please sign in again.";
+	}
+	if (error instanceof ApiError && error.status === 401) {
+		return "That recovery code is not valid or was already used.";
+	}
+	if (error instanceof ApiError && error.status === 429) {
+		return "Too many attempts. Please wait a moment and try again.";
+	}
+	return "We could not check the code right now. Please try again.";
+};
+
+/**
+ * @component MfaRecovery
+ * Second step of the sign-in for users who lost the device with their authenticator app:
+ * one of the recovery codes saved at enrollment replaces the 6-digit code.
+ *
+ * Since the device is gone, the API also turns two-factor authentication off for the
+ * account and signs out its other sessions. The user lands on the enrollment page to set
+ * up a new device. Like the code challenge, the page needs the challenge token from the
+ * navigation state and leads back to the login page without one.
+ *
+ * @returns {JSX.Element}
+ */
+const MfaRecovery: React.FC = (): JSX.Element => {
+	const { isAuthenticated, recoverMfa } = useSession();
+	const location = useLocation();
+	const navigate = useNavigate();
+	const [code, setCode] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [expired, setExpired] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+
+	const mfaToken = (location.state as MfaChallengeState | null)?.mfaToken;
+	const loginPath = { pathname: ROUTES.login, search: location.search };
+
+	if (isAuthenticated && !submitting) {
+		return (
+			<Navigate
+				to={ROUTES.home}
+				replace
+			/>
+		);
+	}
+	if (!mfaToken) {
+		return (
+			<Navigate
+				to={loginPath}
+				replace
+			/>
+		);
+	}
+
+	const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+		event.preventDefault();
+		setError(null);
+		setSubmitting(true);
+		try {
+			await recoverMfa(mfaToken, code.trim());
+			navigate(ROUTES.mfaSetup, { replace: true });
+		} catch (err) {
+			setError(recoveryErrorMessage(err));
+			setExpired(err instanceof ApiError && err.code === "MFA_CHALLENGE_EXPIRED");
+			setCode("");
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<AuthLayout
+			title="Use a recovery code"
+			subtitle="Enter one of the recovery codes you saved when you set up two-factor authentication."
+			footer={
+				<Link
+					to={{ pathname: ROUTES.mfaChallenge, search: location.search }}
+					state={location.state}
+				>
+					Back to the authenticator code
+				</Link>
+			}
+		>
+			<form
+				className={formStyles.form}
+				onSubmit={handleSubmit}
+				noValidate
+			>
+				{error && (
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{error}
+						{expired && (
+							<>
+								{" "}
+								<Link to={loginPath}>Sign in again</Link>
+							</>
+						)}
+					</p>
+				)}
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="mfa-recovery-code"
+					>
+						Recovery code
+					</label>
+					<input
+						id="mfa-recovery-code"
+						className={formStyles.input}
+						type="text"
+						autoComplete="off"
+						autoCapitalize="none"
+						spellCheck={false}
+						aria-describedby="mfa-recovery-hint"
+						value={code}
+						onChange={(event) => setCode(event.target.value)}
+						disabled={expired}
+						autoFocus
+						required
+					/>
+					<p
+						id="mfa-recovery-hint"
+						className={formStyles.hint}
+					>
+						Each code works once. Signing in with one turns two-factor authentication off for your
+						lost device and signs out your other sessions; you will set up a new device next.
+					</p>
+				</div>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="submit"
+						disabled={submitting || expired || code.trim().length < 10}
+					>
+						{submitting ? "Verifying…" : "Sign in"}
+					</button>
+				</div>
+			</form>
+		</AuthLayout>
+	);
+};
+
+export default MfaRecovery;
@@ -0,0 +1,239 @@
+import React, { FormEvent, JSX, useState } from "react";
+
+import QrCode from "@components/QrCode/QrCode";
+import RecoveryCodes from "@components/RecoveryCodes/RecoveryCodes";
+import { useSession } from "@hooks/useSession";
+import type { TotpEnrollment } from "@interface/mfa.interface";
+import { ApiError } from "@services/api/api.request";
+import { mfaService } from "@services/auth/mfa.service";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./MfaSetup.module.scss";
+
+/**
+ * Steps of the enrollment.
+ */
+type Step =
+	| { name: "intro" }
+	| { name: "scan"; enrollment: TotpEnrollment }
+	| { name: "codes"; recoveryCodes: string[] };
+
+/**
+ * Turns a failed enrollment call into a message.
+ *
+ * @param {unknown} error - The rejection of `enrollTotp` or `activateTotp`.
+ * @returns {string} The message to display.
+ */
+const enrollmentErrorMessage = (error: unknown): string => {
+	if (error instanceof ApiError && error.code === "MFA_CODE_INVALID") {
+		return "That code is not valid. Make sure your device clock is correct and try the next code.";
+	}
+	if (error instanceof ApiError && error.code === "MFA_ALREADY_ENABLED") {
+		return "Two-factor authentication is already enabled for your account.";
+	}
+	return "Something went wrong. Please try again.";
+};
+
+/**
+ * Returns the access token of the current session, which the route guard guarantees.
+ *
+ * @returns {string} The access token.
+ */
+const requireAccessToken = (): string => {
+	const accessToken = sessionService.getAccessToken();
+	if (!accessToken) {
+		throw new Error("MfaSetup requires a signed-in user.");
+	}
+	return accessToken;
+};
+
+/**
+ * @component MfaSetup
+ * Enrollment of an authenticator app (TOTP) as second factor.
+ *
+ * 1. A secret is requested from the API and shown as a QR code rendered in the browser.
+ * 2. The user confirms with a first code, which enables the factor.
+ * 3. The one-time recovery codes are shown; the API never returns them again.
+ *
+ * @returns {JSX.Element}
+ */
+const MfaSetup: React.FC = (): JSX.Element => {
+	const { user } = useSession();
+	const [step, setStep] = useState<Step>({ name: "intro" });
+	const [code, setCode] = useState("");
+	const [error, setError] = useState<string | null>(null);
+	const [busy, setBusy] = useState(false);
+
+	const handleStart = async () => {
+		setError(null);
+		setBusy(true);
+		try {
+			const enrollment = await mfaService.enrollTotp(requireAccessToken());
+			setStep({ name: "scan", enrollment });
+		} catch (err) {
+			setError(enrollmentErrorMessage(err));
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const handleActivate = async (event: FormEvent<HTMLFormElement>) => {
+		event.preventDefault();
+		setError(null);
+		setBusy(true);
+		try {
+			const { recoveryCodes, user: updated } = await mfaService.activateTotp(
+				requireAccessToken(),
+				code
+			);
+			sessionService.updateUser(updated);
+			setStep({ name: "codes", recoveryCodes });
+		} catch (err) {
+			setError(enrollmentErrorMessage(err));
+			setCode("");
+		} finally {
+			setBusy(false);
+		}
+	};
+
+	const errorAlert = error && (
+		<p
+			className={formStyles.alert}
+			role="alert"
+		>
+			{error}
+		</p>
+	);
+
+	if (step.name === "codes") {
+		return (
+			<section className={styles.page}>
+				<h1>Save your recovery codes</h1>
+				<p
+					className={formStyles.success}
+					role="status"
+				>
+					Two-factor authentication is now enabled.
+				</p>
+				<p>
+					If you lose access to your authenticator app, each of these codes lets you sign in once.
+					Store them somewhere safe: they will not be shown again.
+				</p>
+				<RecoveryCodes codes={step.recoveryCodes} />
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.button}
+						type="button"
+						onClick={() => setStep({ name: "intro" })}
+					>
+						I have saved my codes
+					</button>
+				</div>
+			</section>
+		);
+	}
+
+	if (step.name === "scan") {
+		const { enrollment } = step;
+		return (
+			<section className={styles.page}>
+				<h1>Set up your authenticator app</h1>
+				<ol className={styles.steps}>
+					<li>
+						<p>
+							Scan this QR code with an authenticator app such as 1Password or Google Authenticator.
+						</p>
+						<QrCode
+							value={enrollment.otpauthUri}
+							label="QR code to add InterfaceGuard to your authenticator app"
+						/>
+						<details className={styles.manual}>
+							<summary>Can't scan the code?</summary>
+							<p>Enter this setup key in your app instead:</p>
+							<code className={styles.secret}>
+								{enrollment.secret.replace(/(.{4})/g, "$1 ").trim()}
+							</code>
+						</details>
+					</li>
+					<li>
+						<form
+							className={formStyles.form}
+							onSubmit={handleActivate}
+							noValidate
+						>
+							{errorAlert}
+							<div className={formStyles.field}>
+								<label
+									className={formStyles.label}
+									htmlFor="mfa-setup-code"
+								>
+									Enter the 6-digit code shown in the app
+								</label>
+								<input
+									id="mfa-setup-code"
+									className={formStyles.input}
+									type="text"
+									inputMode="numeric"
+									autoComplete="one-time-code"
+									pattern="\d{6}"
+									maxLength={6}
+									value={code}
+									onChange={(event) => setCode(event.target.value.replace(/\D/g, ""))}
+									required
+								/>
+							</div>
+							<div className={formStyles.actions}>
+								<button
+									className={formStyles.button}
+									type="submit"
+									disabled={busy || !/^\d{6}$/.test(code)}
+								>
+									{busy ? "Verifying…" : "Verify and enable"}
+								</button>
+								<button
+									className={formStyles.secondary}
+									type="button"
+									onClick={() => setStep({ name: "intro" })}
+								>
+									Cancel
+								</button>
+							</div>
+						</form>
+					</li>
+				</ol>
+			</section>
+		);
+	}
+
+	return (
+		<section className={styles.page}>
+			<h1>Two-factor authentication</h1>
+			{user?.mfaEnabled ?
+				<p className={formStyles.success}>
+					Two-factor authentication is enabled. You will be asked for a code from your authenticator
+					app each time you sign in.
+				</p>
+			:	<>
+					<p>
+						Protect your account with a second step at sign-in: a 6-digit code from an authenticator
+						app on your phone.
+					</p>
+					{errorAlert}
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={handleStart}
+							disabled={busy}
+						>
+							Set up authenticator app
+						</button>
+					</div>
+				</>
+			}
+		</section>
+	);
+};
+
+export default MfaSetup;
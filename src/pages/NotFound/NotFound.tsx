@@ -0,0 +1,24 @@
+import React, { JSX } from "react";
+import { Link } from "react-router-dom";
+
+import StatusPage from "@components/StatusPage/StatusPage";
+import { ROUTES } from "@routes/paths";
+
+/**
+ * @component NotFound
+ * 404 page for URLs that match no route.
+ *
+ * @returns {JSX.Element}
+ */
+const NotFound: React.FC = (): JSX.Element => {
+	return (
+		<StatusPage
+			code="404"
+			title="Page not found"
+			message="The page you are looking for does not exist or has moved."
+			actions={<Link to={ROUTES.home}>Go to the dashboard</Link>}
+		/>
+	);
+};
+
+export default NotFound;
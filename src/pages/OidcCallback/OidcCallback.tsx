@@ -0,0 +1,93 @@
+import React, { JSX, useEffect, useRef, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+
+import PageLoader from "@components/PageLoader/PageLoader";
+import { useSession } from "@hooks/useSession";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import { invitationErrorMessage } from "@services/invitations/invitation.errors";
+import { OidcError, oidcService } from "@services/oidc/oidc.client";
+import formStyles from "@styles/form.module.scss";
+
+/**
+ * Turns a failed single sign-on into a message.
+ *
+ * @param {unknown} error - The rejection of the callback handling.
+ * @returns {string} The message to display.
+ */
+const callbackErrorMessage = (error: unknown): string => {
+	const invitationError = invitationErrorMessage(error);
+	if (invitationError) {
+		return invitationError;
+	}
+	if (error instanceof OidcError && error.code === "access_denied") {
+		return "The sign-in was cancelled.";
+	}
+	if (error instanceof OidcError && error.code === "invalid_state") {
+		return "This sign-in attempt is no longer valid. Please start again from the sign-in page.";
+	}
+	if (error instanceof ApiError && error.status === 403) {
+		return "Your identity was confirmed, but no InterfaceGuard account matches it. Ask an administrator for access.";
+	}
+	return "We could not complete the single sign-on. Please try again.";
+};
+
+/**
+ * @component OidcCallback
+ * Landing page of the OpenID Connect redirect (`/auth/callback`).
+ *
+ * Validates the response against the request stored by this tab, redeems the code,
+ * verifies the ID token, and trades it for an InterfaceGuard session before opening the
+ * page the user started from. When the sign-in was started from an invitation, the
+ * identity accepts it instead, creating the account.
+ *
+ * @returns {JSX.Element}
+ */
+const OidcCallback: React.FC = (): JSX.Element => {
+	const { signInWithOidc, acceptInvitation } = useSession();
+	const navigate = useNavigate();
+	const [error, setError] = useState<string | null>(null);
+	// The authorization code and `state` are single use: never handle them twice, even
+	// when StrictMode runs the effect again.
+	const handled = useRef(false);
+
+	useEffect(() => {
+		if (handled.current) {
+			return;
+		}
+		handled.current = true;
+
+		oidcService
+			.completeLogin(window.location.href)
+			.then(async ({ idToken, nonce, returnTo, invitationToken }) => {
+				if (invitationToken) {
+					await acceptInvitation({ token: invitationToken, idToken, nonce });
+				} else {
+					await signInWithOidc(idToken, nonce);
+				}
+				navigate(returnTo, { replace: true });
+			})
+			.catch((err: unknown) => setError(callbackErrorMessage(err)));
+	}, [navigate, signInWithOidc, acceptInvitation]);
+
+	if (!error) {
+		return <PageLoader label="Signing you in…" />;
+	}
+
+	return (
+		<AuthLayout
+			title="Sign-in failed"
+			footer={<Link to={ROUTES.login}>Back to sign in</Link>}
+		>
+			<p
+				className={formStyles.alert}
+				role="alert"
+			>
+				{error}
+			</p>
+		</AuthLayout>
+	);
+};
+
+export default OidcCallback;
@@ -0,0 +1,275 @@
+import React, { JSX, useEffect, useMemo, useState } from "react";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+import { Link, useSearchParams } from "react-router-dom";
+
+import FieldError from "@components/FieldError/FieldError";
+import PageLoader from "@components/PageLoader/PageLoader";
+import PasswordStrength from "@components/PasswordStrength/PasswordStrength";
+import type { PasswordResetPreview } from "@interface/recovery.interface";
+import AuthLayout from "@layout/AuthLayout";
+import { ROUTES } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import {
+	RESET_PASSWORD_FIELD_MESSAGES,
+	type ResetPasswordFormValues,
+	createResetPasswordSchema,
+} from "@services/auth/recovery.schema";
+import { recoveryService } from "@services/auth/recovery.service";
+import formStyles from "@styles/form.module.scss";
+import { applyFieldErrors } from "@utils/fieldErrors";
+
+const EMPTY: ResetPasswordFormValues = { password: "", confirmPassword: "" };
+
+const INVALID_LINK_MESSAGE =
+	"This link has expired, was already used, or was replaced by a newer one. Ask for a new link.";
+
+/**
+ * Tells whether the API refused the reset link itself.
+ *
+ * @param {unknown} error - The rejection of `previewPasswordReset` or `resetPassword`.
+ * @returns {boolean}
+ */
+const isInvalidLink = (error: unknown): boolean =>
+	error instanceof ApiError && error.code === "RESET_TOKEN_INVALID";
+
+/**
+ * Props of {@link ResetForm}.
+ */
+interface ResetFormProps {
+	token: string;
+	reset: PasswordResetPreview;
+	/** Called once the new password is set. */
+	onDone: () => void;
+	/** Called when the API answers that the link can no longer be used. */
+	onInvalidLink: () => void;
+}
+
+/**
+ * @component ResetForm
+ * The new password, typed twice and checked against the password policy as it is typed.
+ *
+ * @param {ResetFormProps} props
+ * @returns {JSX.Element}
+ */
+const ResetForm: React.FC<ResetFormProps> = ({
+	token,
+	reset,
+	onDone,
+	onInvalidLink,
+}): JSX.Element => {
+	const schema = useMemo(() => createResetPasswordSchema(reset.email), [reset.email]);
+	const userInputs = useMemo(() => [reset.email], [reset.email]);
+	const {
+		register,
+		handleSubmit,
+		setError,
+		watch,
+		formState: { errors, isSubmitting },
+	} = useForm<ResetPasswordFormValues>({
+		resolver: zodResolver(schema),
+		defaultValues: EMPTY,
+		mode: "onTouched",
+	});
+
+	const submit = handleSubmit(async ({ password }) => {
+		try {
+			await recoveryService.resetPassword({ token, password });
+			onDone();
+		} catch (error) {
+			if (isInvalidLink(error)) {
+				onInvalidLink();
+			} else if (!applyFieldErrors(error, setError, RESET_PASSWORD_FIELD_MESSAGES)) {
+				setError("root.server", {
+					message: "Your password could not be changed. Please try again.",
+				});
+			}
+		}
+	});
+
+	return (
+		<form
+			className={formStyles.form}
+			onSubmit={submit}
+			noValidate
+		>
+			{errors.root?.server && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{errors.root.server.message}
+				</p>
+			)}
+			{/* Lets password managers store the new password under the right account. */}
+			<input
+				type="email"
+				autoComplete="username"
+				value={reset.email}
+				hidden
+				readOnly
+			/>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="reset-password"
+				>
+					New password
+				</label>
+				<input
+					id="reset-password"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.password}
+					aria-describedby={
+						errors.password ?
+							"reset-password-error reset-password-strength"
+						:	"reset-password-strength"
+					}
+					autoFocus
+					{...register("password")}
+				/>
+				<PasswordStrength
+					id="reset-password-strength"
+					password={watch("password")}
+					userInputs={userInputs}
+				/>
+				<FieldError
+					id="reset-password-error"
+					message={errors.password?.message}
+				/>
+			</div>
+			<div className={formStyles.field}>
+				<label
+					className={formStyles.label}
+					htmlFor="reset-confirm"
+				>
+					Confirm new password
+				</label>
+				<input
+					id="reset-confirm"
+					className={formStyles.input}
+					type="password"
+					autoComplete="new-password"
+					aria-invalid={!!errors.confirmPassword}
+					aria-describedby={errors.confirmPassword ? "reset-confirm-error" : undefined}
+					{...register("confirmPassword")}
+				/>
+				<FieldError
+					id="reset-confirm-error"
+					message={errors.confirmPassword?.message}
+				/>
+			</div>
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.button}
+					type="submit"
+					disabled={isSubmitting}
+				>
+					{isSubmitting ? "Saving…" : "Set new password"}
+				</button>
+			</div>
+		</form>
+	);
+};
+
+/**
+ * @component ResetPassword
+ * Landing page of a password reset link (`/reset-password?token=...`).
+ *
+ * The link is checked before anything is typed, so an expired one is reported straight
+ * away. Once the new password is set every session of the account is signed out, and the
+ * user signs in again with it, second factor included.
+ *
+ * @returns {JSX.Element}
+ */
+const ResetPassword: React.FC = (): JSX.Element => {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const [reset, setReset] = useState<PasswordResetPreview | null>(null);
+	const [done, setDone] = useState(false);
+	const [error, setError] = useState<string | null>(
+		token ? null : "This link is incomplete. Open it again from the email."
+	);
+
+	useEffect(() => {
+		if (!token) {
+			return;
+		}
+		const controller = new AbortController();
+		recoveryService
+			.previewPasswordReset(token, controller.signal)
+			.then(setReset)
+			.catch((err: unknown) => {
+				if (!controller.signal.aborted) {
+					setError(
+						isInvalidLink(err) ? INVALID_LINK_MESSAGE : (
+							"The link could not be checked. Please try again later."
+						)
+					);
+				}
+			});
+		return () => controller.abort();
+	}, [token]);
+
+	if (error || !token) {
+		return (
+			<AuthLayout
+				title="Link unavailable"
+				footer={<Link to={ROUTES.login}>Back to sign in</Link>}
+			>
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+				<p>
+					<Link to={ROUTES.forgotPassword}>Send a new link</Link>
+				</p>
+			</AuthLayout>
+		);
+	}
+
+	if (done) {
+		return (
+			<AuthLayout title="Password changed">
+				<p
+					className={formStyles.success}
+					role="status"
+				>
+					Your password was changed and every session of your account was signed out.
+				</p>
+				<p>
+					<Link to={ROUTES.login}>Sign in with your new password</Link>
+				</p>
+			</AuthLayout>
+		);
+	}
+
+	if (!reset) {
+		return <PageLoader label="Checking your link…" />;
+	}
+
+	return (
+		<AuthLayout
+			title="Choose a new password"
+			subtitle={
+				<>
+					For <strong>{reset.email}</strong>.
+				</>
+			}
+			footer={<Link to={ROUTES.login}>Back to sign in</Link>}
+		>
+			<ResetForm
+				token={token}
+				reset={reset}
+				onDone={() => setDone(true)}
+				onInvalidLink={() => setError(INVALID_LINK_MESSAGE)}
+			/>
+		</AuthLayout>
+	);
+};
+
+export default ResetPassword;
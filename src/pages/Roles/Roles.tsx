@@ -0,0 +1,580 @@
+import React, { JSX, useEffect, useState } from "react";
+
+import EffectivePermissions from "@components/EffectivePermissions/EffectivePermissions";
+import LeaveWarningDialog from "@components/LeaveWarningDialog/LeaveWarningDialog";
+import RoleMatrix from "@components/RoleMatrix/RoleMatrix";
+import { useLeaveWarning } from "@hooks/useLeaveWarning";
+import { usePermission } from "@hooks/usePermission";
+import type {
+	AccessScope,
+	Action,
+	Policy,
+	Resource,
+	RoleDefinition,
+	VersionedPolicy,
+} from "@interface/rbac.interface";
+import { ApiError } from "@services/api/api.request";
+import {
+	checkNewRole,
+	inheritableRoles,
+	MAX_ROLE_DESCRIPTION_LENGTH,
+	MAX_ROLE_LABEL_LENGTH,
+	type RoleField,
+	roleErrorsFrom,
+	withGrant,
+} from "@services/rbac/rbac.editor";
+import { LOCKED_ROLE } from "@services/rbac/rbac.policy";
+import { policyStore } from "@services/rbac/rbac.store";
+import { unwrapApi } from "@store/api/api";
+import { useGetPolicyQuery, useSavePolicyMutation } from "@store/api/rbac.api";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./Roles.module.scss";
+
+/**
+ * Values of the new role form. `source` is the role whose permissions are copied, empty
+ * for a role without any.
+ */
+interface NewRoleValues {
+	id: string;
+	label: string;
+	source: string;
+}
+
+const EMPTY_NEW_ROLE: NewRoleValues = { id: "", label: "", source: "" };
+
+/**
+ * Removes a role, and every reference other roles make to it.
+ *
+ * @param {Policy} policy - The policy.
+ * @param {string} roleId - The role to remove.
+ * @returns {Policy} The policy without the role.
+ */
+const withoutRole = (policy: Policy, roleId: string): Policy => ({
+	roles: Object.fromEntries(
+		Object.entries(policy.roles)
+			.filter(([id]) => id !== roleId)
+			.map(([id, role]) => [
+				id,
+				role.inherits?.includes(roleId) ?
+					{ ...role, inherits: role.inherits.filter((parent) => parent !== roleId) }
+				:	role,
+			])
+	),
+});
+
+/**
+ * Reads the field codes of an API error.
+ *
+ * @param {ApiError} error - The rejection.
+ * @returns {Record<string, string>} Codes keyed `<role>` or `<role>.<field>`.
+ */
+const fieldsOf = (error: ApiError): Record<string, string> =>
+	(error.details as { fields?: Record<string, string> } | undefined)?.fields ?? {};
+
+/**
+ * Describes why the API refused to save, for the alert above the matrix.
+ *
+ * @param {ApiError} error - The rejection.
+ * @param {Policy} policy - Saved and edited roles, for their names.
+ * @returns {string} The message.
+ */
+const describeRejection = (error: ApiError, policy: Policy): string => {
+	if (error.code === "ROLE_IN_USE") {
+		const holders = (error.details as { users?: Record<string, number> } | undefined)?.users ?? {};
+		const list = Object.entries(holders)
+			.map(
+				([id, count]) =>
+					`${policy.roles[id]?.label ?? id} (${count} ${count === 1 ? "user" : "users"})`
+			)
+			.join(", ");
+		return `Some removed roles are still held by users: ${list}. Remove the roles from those users first, or keep the roles.`;
+	}
+	if (error.code === "VALIDATION_FAILED") {
+		return `Some roles are invalid: ${Object.keys(roleErrorsFrom(fieldsOf(error)))
+			.map((id) => policy.roles[id]?.label ?? id)
+			.join(", ")}. Select a role to see what to fix.`;
+	}
+	return error.message;
+};
+
+/**
+ * @component Roles
+ * Editor of the roles the application and the API enforce.
+ *
+ * Every role is a column of a matrix of grants, grouped by resource. Administrators can
+ * create roles (from scratch or as a copy of another), rename them, change what they
+ * inherit, grant or revoke permissions, and remove them. Nothing is sent until "Save
+ * changes"; until then the effective permissions of any user can be compared before and
+ * after the change.
+ *
+ * Saves carry the version the editor was loaded from. When someone else saved the roles
+ * meanwhile, the editor offers to save over their version or to start again from it.
+ * Users without the `update` grant on roles see the matrix read-only.
+ *
+ * @returns {JSX.Element}
+ */
+const Roles: React.FC = (): JSX.Element => {
+	const canUpdate = usePermission("update", "roles");
+	const canCreate = usePermission("create", "roles") && canUpdate;
+	const canDelete = usePermission("delete", "roles") && canUpdate;
+	const [saved, setSaved] = useState<VersionedPolicy | null>(null);
+	const [draft, setDraft] = useState<Policy | null>(null);
+	const [selected, setSelected] = useState<string | null>(null);
+	const [newRole, setNewRole] = useState<NewRoleValues>(EMPTY_NEW_ROLE);
+	const [newRoleErrors, setNewRoleErrors] = useState<Partial<Record<"id" | "label", string>>>({});
+	const [roleErrors, setRoleErrors] = useState<Record<string, Partial<Record<RoleField, string>>>>(
+		{}
+	);
+	const [saveError, setSaveError] = useState<string | null>(null);
+	const [conflict, setConflict] = useState<VersionedPolicy | null>(null);
+	const [saving, setSaving] = useState(false);
+	const [status, setStatus] = useState("");
+
+	const dirty = !!saved && !!draft && JSON.stringify(saved.roles) !== JSON.stringify(draft.roles);
+	const warning = useLeaveWarning(dirty);
+
+	const { data: loaded, isError: loadFailed } = useGetPolicyQuery();
+	const [savePolicy] = useSavePolicyMutation();
+	const loadError =
+		loadFailed && !saved ? "The roles could not be loaded. Please try again." : null;
+
+	// The editor starts from the first version loaded. Later ones arrive through saves and
+	// conflicts, which decide what happens to the draft.
+	useEffect(() => {
+		if (loaded && !saved) {
+			setSaved(loaded);
+			setDraft({ roles: loaded.roles });
+		}
+	}, [loaded, saved]);
+
+	if (loadError || !saved || !draft) {
+		return (
+			<section className={styles.page}>
+				<h1>Roles</h1>
+				{loadError ?
+					<p
+						className={formStyles.alert}
+						role="alert"
+					>
+						{loadError}
+					</p>
+				:	<p>Loading…</p>}
+			</section>
+		);
+	}
+
+	const role = selected ? draft.roles[selected] : undefined;
+	const errors = (selected && roleErrors[selected]) || {};
+
+	const updateRole = (roleId: string, update: (role: RoleDefinition) => RoleDefinition) => {
+		setDraft(
+			(current) =>
+				current && {
+					roles: { ...current.roles, [roleId]: update(current.roles[roleId]) },
+				}
+		);
+		setStatus("");
+	};
+
+	const changeGrant = (
+		roleId: string,
+		resource: Resource,
+		action: Action,
+		scope: AccessScope | null
+	) => updateRole(roleId, (current) => withGrant(current, resource, action, scope));
+
+	const toggleInherited = (parent: string, checked: boolean) => {
+		if (!selected) {
+			return;
+		}
+		updateRole(selected, (current) => {
+			const inherits = (current.inherits ?? []).filter((id) => id !== parent);
+			return { ...current, inherits: checked ? [...inherits, parent] : inherits };
+		});
+	};
+
+	const removeRole = () => {
+		if (!selected || selected === LOCKED_ROLE) {
+			return;
+		}
+		setDraft((current) => current && withoutRole(current, selected));
+		setStatus(`${role?.label ?? selected} will be removed when you save.`);
+		setSelected(null);
+	};
+
+	const startClone = () => {
+		if (!selected || !role) {
+			return;
+		}
+		setNewRole({ id: `${selected}-copy`, label: `${role.label} (copy)`, source: selected });
+		setNewRoleErrors({});
+		document.getElementById("new-role-id")?.focus();
+	};
+
+	const addRole = (event: React.FormEvent) => {
+		event.preventDefault();
+		const id = newRole.id.trim();
+		const found = checkNewRole(draft, { id, label: newRole.label });
+		setNewRoleErrors(found);
+		if (Object.keys(found).length > 0) {
+			return;
+		}
+		const source = newRole.source ? draft.roles[newRole.source] : undefined;
+		const created: RoleDefinition = {
+			label: newRole.label.trim(),
+			...(source?.description ? { description: source.description } : {}),
+			...(source?.inherits?.length ? { inherits: [...source.inherits] } : {}),
+			rules: source ? structuredClone(source.rules) : [],
+		};
+		setDraft({ roles: { ...draft.roles, [id]: created } });
+		setSelected(id);
+		setNewRole(EMPTY_NEW_ROLE);
+		setStatus(`${created.label} was added. Grant its permissions, then save.`);
+	};
+
+	const adopt = (policy: VersionedPolicy) => {
+		setSaved(policy);
+		policyStore.setState({ policy: { roles: policy.roles }, version: policy.version });
+	};
+
+	const save = async () => {
+		setSaving(true);
+		setSaveError(null);
+		setStatus("");
+		try {
+			const result = await unwrapApi(savePolicy({ policy: draft, version: saved.version }));
+			adopt(result);
+			setDraft({ roles: result.roles });
+			setRoleErrors({});
+			setConflict(null);
+			setStatus("Roles saved. They apply to every user from now on.");
+		} catch (error) {
+			if (error instanceof ApiError && error.code === "VERSION_CONFLICT") {
+				setConflict((error.details as { current: VersionedPolicy }).current);
+			} else if (error instanceof ApiError) {
+				setRoleErrors(roleErrorsFrom(fieldsOf(error)));
+				setSaveError(describeRejection(error, { roles: { ...saved.roles, ...draft.roles } }));
+			} else {
+				setSaveError(
+					error instanceof Error ? error.message : "The roles could not be saved. Please try again."
+				);
+			}
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const keepMine = () => {
+		if (!conflict) {
+			return;
+		}
+		adopt(conflict);
+		setConflict(null);
+		setStatus("Saving now replaces their version with yours.");
+	};
+
+	const discardMine = () => {
+		if (!conflict) {
+			return;
+		}
+		adopt(conflict);
+		setDraft({ roles: conflict.roles });
+		setConflict(null);
+		setRoleErrors({});
+		setSelected((current) => (current && Object.hasOwn(conflict.roles, current) ? current : null));
+		setStatus("The editor now shows the latest roles.");
+	};
+
+	const discard = () => {
+		setDraft({ roles: saved.roles });
+		setRoleErrors({});
+		setSaveError(null);
+		setSelected((current) => (current && Object.hasOwn(saved.roles, current) ? current : null));
+		setStatus("Your changes were discarded.");
+	};
+
+	return (
+		<section className={styles.page}>
+			<header className={styles.header}>
+				<h1>Roles</h1>
+				{canUpdate && (
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							disabled={!dirty || saving}
+							onClick={discard}
+						>
+							Discard changes
+						</button>
+						<button
+							className={formStyles.button}
+							type="button"
+							disabled={!dirty || saving}
+							onClick={save}
+						>
+							{saving ? "Saving…" : "Save changes"}
+						</button>
+					</div>
+				)}
+			</header>
+			<p className={formStyles.hint}>
+				Each cell is how far a role grants an action: on the holder&apos;s own records, on their
+				tenant, or on all records. Roles also get every grant of the roles they inherit.
+				{canUpdate ? "" : " You may view the roles, but not change them."}
+			</p>
+			<p
+				className={status ? formStyles.success : undefined}
+				role="status"
+			>
+				{status}
+			</p>
+			{saveError && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{saveError}
+				</p>
+			)}
+			{conflict && (
+				<div
+					className={styles.conflict}
+					role="alert"
+				>
+					<p>
+						<strong>Someone else saved the roles while you were editing them.</strong> Your changes
+						were not saved.
+					</p>
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={keepMine}
+						>
+							Keep my changes
+						</button>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={discardMine}
+						>
+							Discard my changes
+						</button>
+					</div>
+				</div>
+			)}
+			<RoleMatrix
+				policy={draft}
+				selected={selected}
+				onSelect={setSelected}
+				onChange={changeGrant}
+				readOnly={!canUpdate}
+			/>
+			<div className={styles.panels}>
+				{selected && role && (
+					<section
+						className={styles.panel}
+						aria-labelledby="role-details-title"
+					>
+						<h2 id="role-details-title">
+							{role.label} <code>{selected}</code>
+						</h2>
+						{errors.id && (
+							<p
+								className={formStyles.fieldError}
+								role="alert"
+							>
+								{errors.id}
+							</p>
+						)}
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="role-label"
+							>
+								Name
+							</label>
+							<input
+								id="role-label"
+								className={formStyles.input}
+								value={role.label}
+								maxLength={MAX_ROLE_LABEL_LENGTH}
+								disabled={!canUpdate}
+								aria-invalid={!!errors.label}
+								onChange={(event) =>
+									updateRole(selected, (current) => ({ ...current, label: event.target.value }))
+								}
+							/>
+							{errors.label && <p className={formStyles.fieldError}>{errors.label}</p>}
+						</div>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="role-description"
+							>
+								Description
+							</label>
+							<textarea
+								id="role-description"
+								className={formStyles.input}
+								value={role.description ?? ""}
+								maxLength={MAX_ROLE_DESCRIPTION_LENGTH}
+								rows={2}
+								disabled={!canUpdate}
+								aria-invalid={!!errors.description}
+								onChange={(event) =>
+									updateRole(selected, (current) => ({
+										...current,
+										description: event.target.value || undefined,
+									}))
+								}
+							/>
+							{errors.description && <p className={formStyles.fieldError}>{errors.description}</p>}
+						</div>
+						{selected === LOCKED_ROLE ?
+							<p className={formStyles.hint}>
+								This role always keeps full access and cannot be removed, so someone can always
+								repair the other roles.
+							</p>
+						:	<fieldset
+								className={styles.choices}
+								disabled={!canUpdate}
+							>
+								<legend className={formStyles.label}>Inherits from</legend>
+								{inheritableRoles(draft, selected).map((parent) => (
+									<label key={parent}>
+										<input
+											type="checkbox"
+											checked={!!role.inherits?.includes(parent)}
+											onChange={(event) => toggleInherited(parent, event.target.checked)}
+										/>
+										{draft.roles[parent].label}
+									</label>
+								))}
+								{(errors.inherits || errors.rules) && (
+									<p className={formStyles.fieldError}>{errors.inherits ?? errors.rules}</p>
+								)}
+							</fieldset>
+						}
+						{(canCreate || canDelete) && (
+							<div className={formStyles.actions}>
+								{canCreate && (
+									<button
+										className={formStyles.secondary}
+										type="button"
+										onClick={startClone}
+									>
+										Clone
+									</button>
+								)}
+								{canDelete && selected !== LOCKED_ROLE && (
+									<button
+										className={formStyles.danger}
+										type="button"
+										onClick={removeRole}
+									>
+										Delete role
+									</button>
+								)}
+							</div>
+						)}
+					</section>
+				)}
+				{canCreate && (
+					<form
+						className={styles.panel}
+						aria-labelledby="new-role-title"
+						onSubmit={addRole}
+						noValidate
+					>
+						<h2 id="new-role-title">New role</h2>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="new-role-id"
+							>
+								ID
+							</label>
+							<input
+								id="new-role-id"
+								className={formStyles.input}
+								value={newRole.id}
+								autoComplete="off"
+								aria-invalid={!!newRoleErrors.id}
+								aria-describedby="new-role-id-hint"
+								onChange={(event) => setNewRole({ ...newRole, id: event.target.value })}
+							/>
+							<p
+								id="new-role-id-hint"
+								className={formStyles.hint}
+							>
+								Stored in tokens and audit events; it cannot change later.
+							</p>
+							{newRoleErrors.id && <p className={formStyles.fieldError}>{newRoleErrors.id}</p>}
+						</div>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="new-role-label"
+							>
+								Name
+							</label>
+							<input
+								id="new-role-label"
+								className={formStyles.input}
+								value={newRole.label}
+								maxLength={MAX_ROLE_LABEL_LENGTH}
+								aria-invalid={!!newRoleErrors.label}
+								onChange={(event) => setNewRole({ ...newRole, label: event.target.value })}
+							/>
+							{newRoleErrors.label && (
+								<p className={formStyles.fieldError}>{newRoleErrors.label}</p>
+							)}
+						</div>
+						<div className={formStyles.field}>
+							<label
+								className={formStyles.label}
+								htmlFor="new-role-source"
+							>
+								Copy permissions from
+							</label>
+							<select
+								id="new-role-source"
+								className={formStyles.input}
+								value={newRole.source}
+								onChange={(event) => setNewRole({ ...newRole, source: event.target.value })}
+							>
+								<option value="">Nothing, start empty</option>
+								{Object.entries(draft.roles).map(([id, { label }]) => (
+									<option
+										key={id}
+										value={id}
+									>
+										{label}
+									</option>
+								))}
+							</select>
+						</div>
+						<div className={formStyles.actions}>
+							<button
+								className={formStyles.secondary}
+								type="submit"
+							>
+								Add role
+							</button>
+						</div>
+					</form>
+				)}
+			</div>
+			<EffectivePermissions
+				saved={saved}
+				draft={draft}
+			/>
+			<LeaveWarningDialog warning={warning} />
+		</section>
+	);
+};
+
+export default Roles;
@@ -0,0 +1,56 @@
+import React, { JSX } from "react";
+import { useNavigate } from "react-router-dom";
+
+import LeaveWarningDialog from "@components/LeaveWarningDialog/LeaveWarningDialog";
+import UserForm from "@components/UserForm/UserForm";
+import { useLeaveWarning } from "@hooks/useLeaveWarning";
+import { useSession } from "@hooks/useSession";
+import { useUserForm } from "@hooks/useUserForm";
+import { userEditPath } from "@routes/paths";
+import { notificationService } from "@services/notifications/notification.service";
+import { EMPTY_USER, type UserFormValues } from "@services/users/user.schema";
+import { unwrapApi } from "@store/api/api";
+import { useCreateUserMutation } from "@store/api/users.api";
+
+import styles from "./UserCreate.module.scss";
+
+/**
+ * @component UserCreate
+ * Creates a user in the tenant of the signed-in manager or administrator, then opens
+ * the new user's edit page.
+ *
+ * @returns {JSX.Element}
+ */
+const UserCreate: React.FC = (): JSX.Element => {
+	const { claims } = useSession();
+	const navigate = useNavigate();
+	const form = useUserForm(EMPTY_USER);
+	const warning = useLeaveWarning(form.formState.isDirty);
+	const [createUser] = useCreateUserMutation();
+
+	const handleSubmit = async (values: UserFormValues) => {
+		const user = await unwrapApi(createUser(values));
+		warning.release();
+		notificationService.success(`${user.name} was created.`);
+		navigate(userEditPath(user.id));
+	};
+
+	return (
+		<section className={styles.page}>
+			<h1>New user</h1>
+			<p>
+				The user is created in your tenant. They cannot sign in until they set a password from an
+				invitation or a password reset.
+			</p>
+			<UserForm
+				form={form}
+				onSubmit={handleSubmit}
+				submitLabel="Create user"
+				canGrantAdmin={!!claims?.roles.includes("admin")}
+			/>
+			<LeaveWarningDialog warning={warning} />
+		</section>
+	);
+};
+
+export default UserCreate;
@@ -0,0 +1,289 @@
+import React, { JSX, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+
+import LeaveWarningDialog from "@components/LeaveWarningDialog/LeaveWarningDialog";
+import UserForm from "@components/UserForm/UserForm";
+import { useLeaveWarning } from "@hooks/useLeaveWarning";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import { useUserForm } from "@hooks/useUserForm";
+import type { Policy } from "@interface/rbac.interface";
+import type { UserDetails } from "@interface/user.interface";
+import { ROUTES } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import { EMPTY_USER, SUPPORTED_LOCALES, type UserFormValues } from "@services/users/user.schema";
+import { isApiQueryError, unwrapApi } from "@store/api/api";
+import { useGetUserQuery, useUpdateUserMutation } from "@store/api/users.api";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./UserEdit.module.scss";
+
+const FIELD_LABELS: Record<keyof UserFormValues, string> = {
+	name: "Name",
+	email: "Email",
+	roles: "Roles",
+	status: "Status",
+	locale: "Language",
+};
+
+const FIELDS = Object.keys(FIELD_LABELS) as (keyof UserFormValues)[];
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Extracts the editable fields of a user.
+ *
+ * @param {UserDetails} user - The user.
+ * @returns {UserFormValues} The form values.
+ */
+const toFormValues = ({ name, email, roles, status, locale }: UserDetails): UserFormValues => ({
+	name,
+	email,
+	roles: [...roles],
+	status,
+	locale: locale as UserFormValues["locale"],
+});
+
+/**
+ * Compares two values of the same field; role lists are compared regardless of order.
+ *
+ * @param {UserFormValues[K]} left - A value.
+ * @param {UserFormValues[K]} right - Another value.
+ * @returns {boolean} `true` when they are equivalent.
+ */
+const sameValue = <K extends keyof UserFormValues>(
+	left: UserFormValues[K],
+	right: UserFormValues[K]
+): boolean =>
+	Array.isArray(left) && Array.isArray(right) ?
+		left.length === right.length && left.every((entry) => right.includes(entry))
+	:	left === right;
+
+/**
+ * Formats a field value for the conflict summary.
+ *
+ * @param {K} field - The field.
+ * @param {UserFormValues[K]} value - Its value.
+ * @param {Policy} policy - The roles, to show their labels.
+ * @returns {string} The readable value.
+ */
+const formatValue = <K extends keyof UserFormValues>(
+	field: K,
+	value: UserFormValues[K],
+	policy: Policy
+): string => {
+	switch (field) {
+		case "roles":
+			return (value as string[]).map((role) => policy.roles[role]?.label ?? role).join(", ");
+		case "status":
+			return value === "active" ? "Active" : "Suspended";
+		case "locale":
+			return SUPPORTED_LOCALES[value as UserFormValues["locale"]] ?? String(value);
+		default:
+			return String(value);
+	}
+};
+
+/**
+ * @component UserEdit
+ * Edits a user of the signed-in manager's tenant, or any user for administrators.
+ *
+ * Saves carry the `version` the form was loaded from. When someone else saved the user
+ * in the meantime the API refuses with `409`, and the page lists what they changed next
+ * to the pending edits: the user can either put their edits on top of the new version,
+ * or drop them. The user is read through the `getUser` query, whose refetches after a save
+ * only replace the form while it holds no pending edits.
+ *
+ * @returns {JSX.Element}
+ */
+const UserEdit: React.FC = (): JSX.Element => {
+	const { userId = "" } = useParams();
+	const { claims } = useSession();
+	const policy = usePolicy();
+	const [user, setUser] = useState<UserDetails | null>(null);
+	const [conflict, setConflict] = useState<UserDetails | null>(null);
+	const [status, setStatus] = useState("");
+	const form = useUserForm(EMPTY_USER);
+	const warning = useLeaveWarning(form.formState.isDirty);
+	const { reset } = form;
+	const [updateUser] = useUpdateUserMutation();
+	const { currentData: loaded, error } = useGetUserQuery(userId);
+	const { isDirty } = form.formState;
+
+	// The form follows the loaded user, except over edits of the same user.
+	useEffect(() => {
+		if (loaded && (loaded.id !== user?.id || !isDirty)) {
+			setUser(loaded);
+			reset(toFormValues(loaded));
+		}
+	}, [loaded, reset]);
+
+	const loading = user?.id !== userId;
+	const loadError =
+		loading && error ?
+			isApiQueryError(error) && error.status === 404 ?
+				"This user does not exist or belongs to another tenant."
+			:	"The user could not be loaded. Please try again."
+		:	null;
+
+	const handleSubmit = async (values: UserFormValues) => {
+		if (!user) {
+			return;
+		}
+		setStatus("");
+		try {
+			const saved = await unwrapApi(
+				updateUser({ id: user.id, input: values, version: user.version })
+			);
+			setUser(saved);
+			setConflict(null);
+			reset(toFormValues(saved));
+			setStatus("Changes saved.");
+		} catch (error) {
+			if (error instanceof ApiError && error.code === "VERSION_CONFLICT") {
+				setConflict((error.details as { current: UserDetails }).current);
+				return;
+			}
+			throw error;
+		}
+	};
+
+	if (loadError) {
+		return (
+			<section className={styles.page}>
+				<h1>Edit user</h1>
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{loadError}
+				</p>
+				<p>
+					<Link to={ROUTES.users}>Back to users</Link>
+				</p>
+			</section>
+		);
+	}
+
+	if (!user || loading) {
+		return (
+			<section className={styles.page}>
+				<h1>Edit user</h1>
+				<p>Loading…</p>
+			</section>
+		);
+	}
+
+	const base = toFormValues(user);
+	const theirs = conflict && toFormValues(conflict);
+	const mine = form.getValues();
+	const changedByThem =
+		theirs ? FIELDS.filter((field) => !sameValue(base[field], theirs[field])) : [];
+	const changedByMe = FIELDS.filter((field) => !sameValue(base[field], mine[field]));
+
+	const keepMine = () => {
+		if (!conflict || !theirs) {
+			return;
+		}
+		reset(theirs);
+		for (const field of changedByMe) {
+			form.setValue(field, mine[field], { shouldDirty: true, shouldValidate: true });
+		}
+		setUser(conflict);
+		setConflict(null);
+		setStatus("Their changes were applied under yours. Review the form and save again.");
+	};
+
+	const discardMine = () => {
+		if (!conflict || !theirs) {
+			return;
+		}
+		reset(theirs);
+		setUser(conflict);
+		setConflict(null);
+		setStatus("The form now shows the latest version of this user.");
+	};
+
+	return (
+		<section className={styles.page}>
+			<h1>{user.name}</h1>
+			<p className={formStyles.hint}>
+				Tenant {user.tenantId} · Created {dateFormat.format(new Date(user.createdAt))} · Last
+				updated {dateFormat.format(new Date(user.updatedAt))} · Last login{" "}
+				{user.lastLoginAt ? dateFormat.format(new Date(user.lastLoginAt)) : "never"}
+			</p>
+			<p
+				className={status ? formStyles.success : undefined}
+				role="status"
+			>
+				{status}
+			</p>
+			{conflict && theirs && (
+				<div
+					className={styles.conflict}
+					role="alert"
+				>
+					<p>
+						<strong>Someone else saved this user while you were editing it.</strong> Your changes
+						were not saved.
+					</p>
+					{changedByThem.length > 0 ?
+						<table>
+							<caption>Their changes</caption>
+							<thead>
+								<tr>
+									<th scope="col">Field</th>
+									<th scope="col">Before</th>
+									<th scope="col">Now</th>
+									<th scope="col">Yours</th>
+								</tr>
+							</thead>
+							<tbody>
+								{changedByThem.map((field) => (
+									<tr
+										key={field}
+										className={changedByMe.includes(field) ? styles.clash : undefined}
+									>
+										<th scope="row">{FIELD_LABELS[field]}</th>
+										<td>{formatValue(field, base[field], policy)}</td>
+										<td>{formatValue(field, theirs[field], policy)}</td>
+										<td>
+											{changedByMe.includes(field) ?
+												formatValue(field, mine[field], policy)
+											:	"Unchanged"}
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					:	<p>None of the fields of this form changed, only other details of the user.</p>}
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={keepMine}
+						>
+							Keep my changes
+						</button>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={discardMine}
+						>
+							Discard my changes
+						</button>
+					</div>
+				</div>
+			)}
+			<UserForm
+				form={form}
+				onSubmit={handleSubmit}
+				submitLabel="Save changes"
+				canGrantAdmin={!!claims?.roles.includes("admin")}
+			/>
+			<LeaveWarningDialog warning={warning} />
+		</section>
+	);
+};
+
+export default UserEdit;
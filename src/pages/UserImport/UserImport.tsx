@@ -0,0 +1,530 @@
+import React, { ChangeEvent, JSX, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+
+import LeaveWarningDialog from "@components/LeaveWarningDialog/LeaveWarningDialog";
+import { useLeaveWarning } from "@hooks/useLeaveWarning";
+import { ROUTES } from "@routes/paths";
+import { toCsv } from "@services/csv/csv.format";
+import { sessionService } from "@services/session/session.service";
+import {
+	type ColumnMapping,
+	errorFileRows,
+	guessMapping,
+	IMPORT_FIELDS,
+	type ImportIssue,
+	type ImportRow,
+	toServerIssue,
+} from "@services/users/user.import";
+import { createUserImportWorker, type UserImportWorker } from "@services/users/user.import.client";
+import type { ParsedFile } from "@services/users/user.import.worker";
+import { userService } from "@services/users/user.service";
+import { api } from "@store/api/api";
+import { useAppDispatch } from "@store/hooks";
+import formStyles from "@styles/form.module.scss";
+import { downloadFile } from "@utils/download";
+
+import styles from "./UserImport.module.scss";
+
+type Step = "file" | "mapping" | "review" | "importing" | "done";
+
+const STEPS: { step: Step; label: string }[] = [
+	{ step: "file", label: "Choose a file" },
+	{ step: "mapping", label: "Map the columns" },
+	{ step: "review", label: "Check the rows" },
+	{ step: "importing", label: "Import" },
+];
+
+/** Users sent per request, well under the limit of `POST /users/bulk`. */
+const CHUNK_SIZE = 50;
+
+/** Larger files are refused before reading them. */
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/** Problems listed on the page; the error file always holds all of them. */
+const LISTED_ISSUES = 200;
+
+const CSV_TYPE = "text/csv;charset=utf-8";
+
+/**
+ * Splits a list into chunks.
+ *
+ * @param {T[]} items - The list.
+ * @param {number} size - Chunk size.
+ * @returns {T[][]} The chunks.
+ */
+const chunk = <T,>(items: T[], size: number): T[][] =>
+	Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+		items.slice(index * size, (index + 1) * size)
+	);
+
+/**
+ * Orders issues by row.
+ *
+ * @param {ImportIssue[]} issues - The issues.
+ * @returns {ImportIssue[]} A sorted copy.
+ */
+const byRow = (issues: ImportIssue[]): ImportIssue[] =>
+	[...issues].sort((left, right) => left.row - right.row);
+
+/**
+ * @component UserImport
+ * Wizard creating users from a CSV file: the columns are mapped to user fields, every
+ * row is validated (in a Web Worker, then by the API in a dry run) and the valid rows are
+ * created in chunks with a progress bar. Rejected rows can be downloaded as a CSV file
+ * with the reasons, fixed and imported again.
+ *
+ * @returns {JSX.Element}
+ */
+const UserImport: React.FC = (): JSX.Element => {
+	const [step, setStep] = useState<Step>("file");
+	const [fileName, setFileName] = useState("");
+	const [parsed, setParsed] = useState<ParsedFile | null>(null);
+	const [mapping, setMapping] = useState<ColumnMapping | null>(null);
+	const [valid, setValid] = useState<ImportRow[]>([]);
+	const [issues, setIssues] = useState<ImportIssue[]>([]);
+	const [progress, setProgress] = useState({ done: 0, total: 0 });
+	const [created, setCreated] = useState(0);
+	const [busy, setBusy] = useState<string | null>(null);
+	const [error, setError] = useState<string | null>(null);
+	const [cancelled, setCancelled] = useState(false);
+	const dispatch = useAppDispatch();
+	const worker = useRef<UserImportWorker | null>(null);
+	const controller = useRef<AbortController | null>(null);
+	const warning = useLeaveWarning(step === "importing");
+
+	useEffect(
+		() => () => {
+			worker.current?.terminate();
+			controller.current?.abort();
+		},
+		[]
+	);
+
+	const restart = () => {
+		worker.current?.terminate();
+		worker.current = null;
+		setStep("file");
+		setParsed(null);
+		setMapping(null);
+		setValid([]);
+		setIssues([]);
+		setCreated(0);
+		setCancelled(false);
+		setError(null);
+	};
+
+	const handleFile = async (event: ChangeEvent<HTMLInputElement>) => {
+		const file = event.target.files?.[0];
+		event.target.value = "";
+		if (!file) {
+			return;
+		}
+		restart();
+		if (file.size > MAX_FILE_SIZE) {
+			setError("The file is larger than 5 MB. Split it and import the parts one after the other.");
+			return;
+		}
+
+		setFileName(file.name);
+		setBusy("Reading the file…");
+		worker.current = createUserImportWorker();
+		try {
+			const result = await worker.current.parse(file);
+			if (result.rowCount === 0) {
+				setError("The file has no rows below its header.");
+				return;
+			}
+			setParsed(result);
+			setMapping(guessMapping(result.headers));
+			setStep("mapping");
+		} catch (err) {
+			setError(err instanceof Error ? err.message : "The file could not be read.");
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const handleCheck = async () => {
+		if (!worker.current || !mapping) {
+			return;
+		}
+		setError(null);
+		setProgress({ done: 0, total: 0 });
+		setBusy("Checking the rows…");
+		controller.current = new AbortController();
+		try {
+			const report = await worker.current.validate(mapping);
+			const accepted: ImportRow[] = [];
+			const rejected = [...report.invalid];
+			setProgress({ done: 0, total: report.valid.length });
+			for (const rows of chunk(report.valid, CHUNK_SIZE)) {
+				const results = await userService.bulkCreate(
+					sessionService.requireAccessToken(),
+					rows.map(({ input }) => input),
+					{ dryRun: true, signal: controller.current.signal }
+				);
+				results.forEach((result, index) => {
+					if (result.status === "failed") {
+						rejected.push(toServerIssue(rows[index], result));
+					} else {
+						accepted.push(rows[index]);
+					}
+				});
+				setProgress((current) => ({ ...current, done: current.done + rows.length }));
+			}
+			setValid(accepted);
+			setIssues(byRow(rejected));
+			setStep("review");
+		} catch (err) {
+			if (!controller.current.signal.aborted) {
+				setError(err instanceof Error ? err.message : "The rows could not be checked.");
+			}
+		} finally {
+			setBusy(null);
+		}
+	};
+
+	const handleImport = async () => {
+		setError(null);
+		setStep("importing");
+		setProgress({ done: 0, total: valid.length });
+		controller.current = new AbortController();
+		const rejected = [...issues];
+		try {
+			for (const rows of chunk(valid, CHUNK_SIZE)) {
+				const results = await userService.bulkCreate(
+					sessionService.requireAccessToken(),
+					rows.map(({ input }) => input),
+					{ signal: controller.current.signal }
+				);
+				results.forEach((result, index) => {
+					if (result.status === "failed") {
+						rejected.push(toServerIssue(rows[index], result));
+					}
+				});
+				setCreated(
+					(current) => current + results.filter((result) => result.status === "created").length
+				);
+				setProgress((current) => ({ ...current, done: current.done + rows.length }));
+			}
+		} catch (err) {
+			if (controller.current.signal.aborted) {
+				setCancelled(true);
+			} else {
+				setError(
+					err instanceof Error ?
+						`The import stopped: ${err.message}`
+					:	"The import stopped because of an error."
+				);
+			}
+		} finally {
+			// Even a cancelled import may have created users.
+			dispatch(
+				api.util.invalidateTags([
+					{ type: "User", id: "LIST" },
+					{ type: "Audit", id: "LIST" },
+				])
+			);
+			setIssues(byRow(rejected));
+			setStep("done");
+		}
+	};
+
+	const downloadErrors = () => {
+		if (!parsed) {
+			return;
+		}
+		const base = fileName.replace(/\.[^.]+$/, "") || "users";
+		downloadFile(`${base}-errors.csv`, toCsv(errorFileRows(parsed.headers, issues)), CSV_TYPE);
+	};
+
+	const downloadTemplate = () =>
+		downloadFile(
+			"users-template.csv",
+			toCsv([IMPORT_FIELDS.map(({ label }) => label)]) + "\r\n",
+			CSV_TYPE
+		);
+
+	const mappingComplete =
+		!!mapping && IMPORT_FIELDS.every(({ field, required }) => !required || mapping[field] !== null);
+	const currentStepIndex = STEPS.findIndex((entry) => entry.step === step);
+
+	const issueList = issues.length > 0 && (
+		<>
+			<table className={styles.issues}>
+				<caption>Rows with problems</caption>
+				<thead>
+					<tr>
+						<th scope="col">Row</th>
+						<th scope="col">Problems</th>
+					</tr>
+				</thead>
+				<tbody>
+					{issues.slice(0, LISTED_ISSUES).map(({ row, messages }) => (
+						<tr key={row}>
+							<th scope="row">{row}</th>
+							<td>
+								<ul>
+									{messages.map((message) => (
+										<li key={message}>{message}</li>
+									))}
+								</ul>
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{issues.length > LISTED_ISSUES && (
+				<p className={formStyles.hint}>
+					Only the first {LISTED_ISSUES} rows are listed; the error file holds all {issues.length}.
+				</p>
+			)}
+			<div className={formStyles.actions}>
+				<button
+					className={formStyles.secondary}
+					type="button"
+					onClick={downloadErrors}
+				>
+					Download the error file
+				</button>
+				<span className={formStyles.hint}>
+					The rejected rows with their problems, to fix and import again.
+				</span>
+			</div>
+		</>
+	);
+
+	return (
+		<section className={styles.page}>
+			<h1>Import users</h1>
+			<ol className={styles.steps}>
+				{STEPS.map(({ step: entry, label }, index) => (
+					<li
+						key={entry}
+						aria-current={entry === step ? "step" : undefined}
+						className={index < currentStepIndex || step === "done" ? styles.complete : undefined}
+					>
+						{label}
+					</li>
+				))}
+			</ol>
+			{error && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{busy}
+			</p>
+
+			{step === "file" && (
+				<div className={formStyles.form}>
+					<p>
+						Choose a CSV file with one user per row and a header row. Name and email are required;
+						roles (separated by <code>;</code>), status and language are optional and default to
+						User, Active and English (United States).
+					</p>
+					<div className={formStyles.field}>
+						<label
+							className={formStyles.label}
+							htmlFor="import-file"
+						>
+							CSV file
+						</label>
+						<input
+							id="import-file"
+							type="file"
+							accept=".csv,text/csv"
+							onChange={handleFile}
+							disabled={!!busy}
+						/>
+					</div>
+					<p>
+						<button
+							className={formStyles.link}
+							type="button"
+							onClick={downloadTemplate}
+						>
+							Download a template
+						</button>
+					</p>
+				</div>
+			)}
+
+			{step === "mapping" && parsed && mapping && (
+				<div className={formStyles.form}>
+					<p>
+						<strong>{fileName}</strong>: {parsed.rowCount} {parsed.rowCount === 1 ? "row" : "rows"}.
+						Choose the column holding each field.
+					</p>
+					<table className={styles.mapping}>
+						<thead>
+							<tr>
+								<th scope="col">Field</th>
+								<th scope="col">Column</th>
+								<th scope="col">First row</th>
+							</tr>
+						</thead>
+						<tbody>
+							{IMPORT_FIELDS.map(({ field, label, required }) => {
+								const column = mapping[field];
+								return (
+									<tr key={field}>
+										<th scope="row">
+											<label htmlFor={`import-map-${field}`}>
+												{label}
+												{required ? " (required)" : ""}
+											</label>
+										</th>
+										<td>
+											<select
+												id={`import-map-${field}`}
+												className={formStyles.input}
+												value={column ?? ""}
+												onChange={(event) =>
+													setMapping({
+														...mapping,
+														[field]: event.target.value === "" ? null : Number(event.target.value),
+													})
+												}
+											>
+												<option value="">{required ? "Choose a column" : "Not in the file"}</option>
+												{parsed.headers.map((header, index) => (
+													<option
+														key={index}
+														value={index}
+													>
+														{header || `Column ${index + 1}`}
+													</option>
+												))}
+											</select>
+										</td>
+										<td className={formStyles.hint}>
+											{column === null ? "—" : (parsed.preview[0]?.[column] ?? "")}
+										</td>
+									</tr>
+								);
+							})}
+						</tbody>
+					</table>
+					{busy && progress.total > 0 && (
+						<progress
+							className={styles.progress}
+							value={progress.done}
+							max={progress.total}
+							aria-label="Rows checked by the server"
+						/>
+					)}
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={handleCheck}
+							disabled={!mappingComplete || !!busy}
+						>
+							Check the rows
+						</button>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={restart}
+						>
+							Choose another file
+						</button>
+					</div>
+				</div>
+			)}
+
+			{step === "review" && (
+				<div className={formStyles.form}>
+					<p
+						className={issues.length > 0 ? formStyles.alert : formStyles.success}
+						role="status"
+					>
+						{valid.length} {valid.length === 1 ? "row is" : "rows are"} ready to import.{" "}
+						{issues.length > 0 &&
+							`${issues.length} ${issues.length === 1 ? "row has" : "rows have"} problems and will be skipped.`}
+					</p>
+					{issueList}
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.button}
+							type="button"
+							onClick={handleImport}
+							disabled={valid.length === 0}
+						>
+							Import {valid.length} {valid.length === 1 ? "user" : "users"}
+						</button>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={() => setStep("mapping")}
+						>
+							Change the mapping
+						</button>
+					</div>
+				</div>
+			)}
+
+			{step === "importing" && (
+				<div className={formStyles.form}>
+					<label
+						className={formStyles.label}
+						htmlFor="import-progress"
+					>
+						Importing {progress.done} of {progress.total}
+					</label>
+					<progress
+						id="import-progress"
+						className={styles.progress}
+						value={progress.done}
+						max={progress.total}
+					/>
+					<div className={formStyles.actions}>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={() => controller.current?.abort()}
+						>
+							Cancel
+						</button>
+						<span className={formStyles.hint}>Users created so far are kept.</span>
+					</div>
+				</div>
+			)}
+
+			{step === "done" && (
+				<div className={formStyles.form}>
+					<p
+						className={formStyles.success}
+						role="status"
+					>
+						{created} {created === 1 ? "user was" : "users were"} created
+						{cancelled ? " before the import was cancelled" : ""}.
+					</p>
+					{issueList}
+					<div className={formStyles.actions}>
+						<Link to={ROUTES.users}>Back to users</Link>
+						<button
+							className={formStyles.secondary}
+							type="button"
+							onClick={restart}
+						>
+							Import another file
+						</button>
+					</div>
+				</div>
+			)}
+
+			<LeaveWarningDialog warning={warning} />
+		</section>
+	);
+};
+
+export default UserImport;
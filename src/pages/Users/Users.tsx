@@ -0,0 +1,484 @@
+import React, { JSX, useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+	type ColumnFiltersState,
+	createColumnHelper,
+	getCoreRowModel,
+	type RowSelectionState,
+	useReactTable,
+} from "@tanstack/react-table";
+
+import DataTable, { selectionColumn } from "@components/DataTable/DataTable";
+import { usePermission } from "@hooks/usePermission";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import { useTableSearchParams } from "@hooks/useTableSearchParams";
+import { useUserDirectory } from "@hooks/useUserDirectory";
+import type { Policy } from "@interface/rbac.interface";
+import type {
+	DirectoryUser,
+	LastLoginFilter,
+	UserListQuery,
+	UserSortField,
+	UserStatus,
+} from "@interface/user.interface";
+import { ROUTES, userEditPath } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import { subjectFromClaims } from "@services/rbac/rbac.engine";
+import { accessControl } from "@services/rbac/rbac.store";
+import { sessionService } from "@services/session/session.service";
+import { exportUsers } from "@services/users/user.export";
+import formStyles from "@styles/form.module.scss";
+import { downloadFile } from "@utils/download";
+
+import styles from "./Users.module.scss";
+
+const PAGE_SIZES = [10, 20, 50, 100] as const;
+
+const SORTABLE_COLUMNS: readonly UserSortField[] = [
+	"name",
+	"email",
+	"status",
+	"tenantId",
+	"createdAt",
+	"lastLoginAt",
+];
+
+/**
+ * Filters kept in the URL. `q` is the free-text search; it has no column of its own.
+ */
+const FILTERS = { role: "multi", status: "multi", lastLogin: "single", q: "single" } as const;
+
+const DEFAULT_HIDDEN = ["createdAt"];
+
+const STATUSES: { value: UserStatus; label: string }[] = [
+	{ value: "active", label: "Active" },
+	{ value: "suspended", label: "Suspended" },
+];
+
+const LAST_LOGIN_OPTIONS: { value: LastLoginFilter | ""; label: string }[] = [
+	{ value: "", label: "Any time" },
+	{ value: "7d", label: "In the last 7 days" },
+	{ value: "30d", label: "In the last 30 days" },
+	{ value: "90d", label: "In the last 90 days" },
+	{ value: "stale", label: "More than 90 days ago" },
+	{ value: "never", label: "Never" },
+];
+
+/** Delay before the search box updates the URL, so typing does not fire a request per key. */
+const SEARCH_DELAY = 300;
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+
+const columnHelper = createColumnHelper<DirectoryUser>();
+
+/**
+ * The "View as" action of the rows, when the signed-in user may view as someone.
+ */
+interface ViewAsAction {
+	/** Whether the row gets the button. */
+	allowed: (user: DirectoryUser) => boolean;
+	start: (user: DirectoryUser) => void;
+	/** ID of the user being switched to, while the request is pending. */
+	pendingId: string | null;
+}
+
+/**
+ * Turns a refused "View as" into a message.
+ *
+ * @param {unknown} error - The rejection of `startImpersonation`.
+ * @returns {string} The message to display.
+ */
+const viewAsErrorMessage = (error: unknown): string => {
+	if (error instanceof ApiError && error.code === "IMPERSONATION_FORBIDDEN") {
+		return "You cannot view as this user: they have roles you do not hold.";
+	}
+	if (error instanceof ApiError && error.code === "USER_SUSPENDED") {
+		return "Suspended users cannot be viewed as.";
+	}
+	if (error instanceof ApiError && error.status === 403) {
+		return "You are not allowed to view as this user.";
+	}
+	return "Could not switch to this user. Please try again.";
+};
+
+/**
+ * Builds the columns of the directory.
+ *
+ * @param {boolean} linkNames - Whether names link to the edit page.
+ * @param {Policy} policy - The roles, to show their labels.
+ * @param {ViewAsAction | null} viewAs - The "View as" action, `null` to leave its column out.
+ * @returns {ColumnDef<DirectoryUser>[]} The column definitions.
+ */
+const buildColumns = (linkNames: boolean, policy: Policy, viewAs: ViewAsAction | null) => [
+	selectionColumn<DirectoryUser>((user) => user.name),
+	columnHelper.accessor("name", {
+		header: "Name",
+		cell: ({ getValue, row }) =>
+			linkNames ? <Link to={userEditPath(row.original.id)}>{getValue()}</Link> : getValue(),
+	}),
+	columnHelper.accessor("email", { header: "Email" }),
+	columnHelper.accessor("roles", {
+		header: "Roles",
+		enableSorting: false,
+		cell: ({ getValue }) =>
+			getValue()
+				.map((role) => policy.roles[role]?.label ?? role)
+				.join(", "),
+	}),
+	columnHelper.accessor("status", {
+		header: "Status",
+		cell: ({ getValue }) => (
+			<span className={getValue() === "active" ? styles.active : styles.suspended}>
+				{getValue() === "active" ? "Active" : "Suspended"}
+			</span>
+		),
+	}),
+	columnHelper.accessor("tenantId", { header: "Tenant" }),
+	columnHelper.accessor("mfaEnabled", {
+		header: "2FA",
+		enableSorting: false,
+		cell: ({ getValue }) => (getValue() ? "On" : "Off"),
+	}),
+	columnHelper.accessor("createdAt", {
+		header: "Created",
+		cell: ({ getValue }) => dateFormat.format(new Date(getValue())),
+	}),
+	columnHelper.accessor("lastLoginAt", {
+		header: "Last login",
+		cell: ({ getValue }) => {
+			const value = getValue();
+			return value ? dateFormat.format(new Date(value)) : "Never";
+		},
+	}),
+	...(viewAs ?
+		[
+			columnHelper.display({
+				id: "viewAs",
+				enableHiding: false,
+				header: () => <span className={styles.visuallyHidden}>Actions</span>,
+				cell: ({ row }) =>
+					viewAs.allowed(row.original) && (
+						<button
+							className={formStyles.link}
+							type="button"
+							onClick={() => viewAs.start(row.original)}
+							disabled={viewAs.pendingId !== null}
+							aria-label={`View as ${row.original.name}`}
+						>
+							{viewAs.pendingId === row.original.id ? "Switching…" : "View as"}
+						</button>
+					),
+			}),
+		]
+	:	[]),
+];
+
+/**
+ * Reads a filter value from the table state.
+ *
+ * @param {ColumnFiltersState} filters - The column filters.
+ * @param {string} id - The filter ID.
+ * @returns {unknown} The value, `undefined` when the filter is not set.
+ */
+const filterValue = (filters: ColumnFiltersState, id: keyof typeof FILTERS): unknown =>
+	filters.find((filter) => filter.id === id)?.value;
+
+/**
+ * @component Users
+ * Directory of the users the signed-in staff member may read: their tenant for support
+ * staff and managers, everybody for administrators.
+ *
+ * Paging, sorting (shift-click a header to sort by several columns) and filtering run on
+ * the server. The whole view lives in the query string, so a filtered list can be
+ * bookmarked or sent to a colleague. Selection is kept across pages until cleared.
+ * The filtered list can be exported as CSV. Managers and administrators can open a user
+ * to edit them, create one, or import many from a CSV file. Staff allowed to impersonate
+ * can view the application as another active user of their reach; the API additionally
+ * refuses users holding roles the staff member does not.
+ *
+ * @returns {JSX.Element}
+ */
+const Users: React.FC = (): JSX.Element => {
+	const tableState = useTableSearchParams({
+		defaultPageSize: 20,
+		pageSizes: PAGE_SIZES,
+		sortableColumns: SORTABLE_COLUMNS,
+		filters: FILTERS,
+		defaultHidden: DEFAULT_HIDDEN,
+	});
+	const { pagination, sorting, columnFilters, columnVisibility, onColumnFiltersChange } =
+		tableState;
+	const [rowSelection, setRowSelection] = useState<RowSelectionState>({});
+	const canManage = usePermission("create", "users");
+	const canViewAs = usePermission("create", "impersonation");
+	const policy = usePolicy();
+	const { claims, startImpersonation } = useSession();
+	const navigate = useNavigate();
+	const [viewAsPending, setViewAsPending] = useState<string | null>(null);
+	const [viewAsError, setViewAsError] = useState<string | null>(null);
+
+	const viewAs = useMemo<ViewAsAction | null>(() => {
+		if (!canViewAs || !claims) {
+			return null;
+		}
+		const subject = subjectFromClaims(claims);
+		return {
+			allowed: (user) =>
+				user.id !== claims.userId &&
+				user.status === "active" &&
+				accessControl.can(subject, "create", "impersonation", { tenantId: user.tenantId }),
+			start: (user) => {
+				setViewAsError(null);
+				setViewAsPending(user.id);
+				startImpersonation(user.id)
+					.then(() => navigate(ROUTES.home))
+					.catch((err: unknown) => {
+						setViewAsError(viewAsErrorMessage(err));
+						setViewAsPending(null);
+					});
+			},
+			pendingId: viewAsPending,
+		};
+	}, [canViewAs, claims, startImpersonation, navigate, viewAsPending]);
+	const columns = useMemo(
+		() => buildColumns(canManage, policy, viewAs),
+		[canManage, policy, viewAs]
+	);
+
+	const search = (filterValue(columnFilters, "q") as string | undefined) ?? "";
+	const [searchInput, setSearchInput] = useState(search);
+
+	const query = useMemo<UserListQuery>(
+		() => ({
+			page: pagination.pageIndex + 1,
+			pageSize: pagination.pageSize,
+			sort: sorting.map(({ id, desc }) => ({ field: id as UserSortField, desc })),
+			roles: (filterValue(columnFilters, "role") as string[] | undefined) ?? [],
+			statuses: (filterValue(columnFilters, "status") as UserStatus[] | undefined) ?? [],
+			lastLogin: filterValue(columnFilters, "lastLogin") as LastLoginFilter | undefined,
+			search: (filterValue(columnFilters, "q") as string | undefined) || undefined,
+		}),
+		[pagination, sorting, columnFilters]
+	);
+	const { page, loading, error } = useUserDirectory(query);
+	const [exportStatus, setExportStatus] = useState<string | null>(null);
+	const [exportError, setExportError] = useState<string | null>(null);
+
+	const setFilter = useCallback(
+		(id: keyof typeof FILTERS, value: string | string[]) =>
+			onColumnFiltersChange((current) => [
+				...current.filter((filter) => filter.id !== id),
+				{ id, value },
+			]),
+		[onColumnFiltersChange]
+	);
+
+	const handleExport = async () => {
+		setExportError(null);
+		setExportStatus("Preparing the export…");
+		try {
+			const csv = await exportUsers(sessionService.requireAccessToken(), query, {
+				onProgress: (loaded, total) => setExportStatus(`Exporting ${loaded} of ${total} users…`),
+			});
+			const date = new Date().toISOString().slice(0, 10);
+			// The byte order mark makes spreadsheet programs read the file as UTF-8.
+			downloadFile(`users-${date}.csv`, `\uFEFF${csv}\r\n`, "text/csv;charset=utf-8");
+		} catch {
+			setExportError("The export failed. Please try again.");
+		} finally {
+			setExportStatus(null);
+		}
+	};
+
+	const toggleFilterValue = (id: "role" | "status", value: string) => {
+		const selected = (filterValue(columnFilters, id) as string[] | undefined) ?? [];
+		setFilter(
+			id,
+			selected.includes(value) ? selected.filter((entry) => entry !== value) : [...selected, value]
+		);
+	};
+
+	// Follow the URL when it changes on its own (back button, link), then debounce typing.
+	useEffect(() => setSearchInput(search), [search]);
+	useEffect(() => {
+		if (searchInput.trim() === search) {
+			return;
+		}
+		const timer = window.setTimeout(() => setFilter("q", searchInput.trim()), SEARCH_DELAY);
+		return () => window.clearTimeout(timer);
+	}, [searchInput, search, setFilter]);
+
+	const table = useReactTable({
+		data: page?.items ?? [],
+		columns,
+		rowCount: page?.total ?? 0,
+		getRowId: (user) => user.id,
+		getCoreRowModel: getCoreRowModel(),
+		manualPagination: true,
+		manualSorting: true,
+		manualFiltering: true,
+		enableMultiSort: true,
+		maxMultiSortColCount: 3,
+		state: { pagination, sorting, columnFilters, columnVisibility, rowSelection },
+		onPaginationChange: tableState.onPaginationChange,
+		onSortingChange: tableState.onSortingChange,
+		onColumnFiltersChange,
+		onColumnVisibilityChange: tableState.onColumnVisibilityChange,
+		onRowSelectionChange: setRowSelection,
+	});
+
+	const selectedCount = Object.keys(rowSelection).length;
+	const roles = (filterValue(columnFilters, "role") as string[] | undefined) ?? [];
+	const statuses = (filterValue(columnFilters, "status") as string[] | undefined) ?? [];
+
+	return (
+		<section className={styles.page}>
+			<header className={styles.header}>
+				<h1>Users</h1>
+				<div className={formStyles.actions}>
+					<button
+						className={formStyles.secondary}
+						type="button"
+						onClick={handleExport}
+						disabled={!!exportStatus}
+						title="Every user matching the current filters, in the current order"
+					>
+						{exportStatus ?? "Export CSV"}
+					</button>
+					{canManage && (
+						<>
+							<Link
+								className={formStyles.secondary}
+								to={ROUTES.userImport}
+							>
+								Import CSV
+							</Link>
+							<Link
+								className={formStyles.secondary}
+								to={ROUTES.invitations}
+							>
+								Invitations
+							</Link>
+							<Link
+								className={formStyles.button}
+								to={ROUTES.userCreate}
+							>
+								New user
+							</Link>
+						</>
+					)}
+				</div>
+			</header>
+			<form
+				className={styles.filters}
+				role="search"
+				aria-label="Filter users"
+				onSubmit={(event) => {
+					event.preventDefault();
+					setFilter("q", searchInput.trim());
+				}}
+			>
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="users-search"
+					>
+						Search
+					</label>
+					<input
+						id="users-search"
+						className={formStyles.input}
+						type="search"
+						placeholder="Name or email"
+						value={searchInput}
+						onChange={(event) => setSearchInput(event.target.value)}
+					/>
+				</div>
+				<fieldset className={styles.choices}>
+					<legend className={formStyles.label}>Role</legend>
+					{Object.entries(policy.roles).map(([role, { label }]) => (
+						<label key={role}>
+							<input
+								type="checkbox"
+								checked={roles.includes(role)}
+								onChange={() => toggleFilterValue("role", role)}
+							/>
+							{label}
+						</label>
+					))}
+				</fieldset>
+				<fieldset className={styles.choices}>
+					<legend className={formStyles.label}>Status</legend>
+					{STATUSES.map(({ value, label }) => (
+						<label key={value}>
+							<input
+								type="checkbox"
+								checked={statuses.includes(value)}
+								onChange={() => toggleFilterValue("status", value)}
+							/>
+							{label}
+						</label>
+					))}
+				</fieldset>
+				<div className={formStyles.field}>
+					<label
+						className={formStyles.label}
+						htmlFor="users-last-login"
+					>
+						Last login
+					</label>
+					<select
+						id="users-last-login"
+						className={formStyles.input}
+						value={query.lastLogin ?? ""}
+						onChange={(event) => setFilter("lastLogin", event.target.value)}
+					>
+						{LAST_LOGIN_OPTIONS.map(({ value, label }) => (
+							<option
+								key={value}
+								value={value}
+							>
+								{label}
+							</option>
+						))}
+					</select>
+				</div>
+			</form>
+			{(error ?? exportError ?? viewAsError) && (
+				<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error ?? exportError ?? viewAsError}
+				</p>
+			)}
+			<p
+				className={formStyles.hint}
+				role="status"
+			>
+				{selectedCount > 0 && (
+					<>
+						{selectedCount} {selectedCount === 1 ? "user" : "users"} selected.{" "}
+						<button
+							className={formStyles.link}
+							type="button"
+							onClick={() => table.resetRowSelection()}
+						>
+							Clear selection
+						</button>
+					</>
+				)}
+			</p>
+			<DataTable
+				table={table}
+				label="Users"
+				loading={loading}
+				pageSizes={PAGE_SIZES}
+				emptyMessage="No user matches these filters."
+			/>
+		</section>
+	);
+};
+
+export default Users;
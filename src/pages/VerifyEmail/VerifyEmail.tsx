@@ -0,0 +1,84 @@
+import React, { JSX, useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+
+import PageLoader from "@components/PageLoader/PageLoader";
+import { ROUTES } from "@routes/paths";
+import { accountService } from "@services/account/account.service";
+import { ApiError } from "@services/api/api.request";
+import { sessionService } from "@services/session/session.service";
+import formStyles from "@styles/form.module.scss";
+
+import styles from "./VerifyEmail.module.scss";
+
+/**
+ * @component VerifyEmail
+ * Landing page of the link sent to verify an email address
+ * (`/account/verify-email?token=...`).
+ *
+ * The page is only reachable when signed in, so someone opening the link in another
+ * browser signs in first and comes back here with the token intact.
+ *
+ * @returns {JSX.Element}
+ */
+const VerifyEmail: React.FC = (): JSX.Element => {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const [verified, setVerified] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+	// The token is single use: never send it twice, even when StrictMode runs the effect again.
+	const handled = useRef(false);
+
+	useEffect(() => {
+		if (handled.current) {
+			return;
+		}
+		handled.current = true;
+		if (!token) {
+			setError("This link is incomplete. Open it again from the email.");
+			return;
+		}
+
+		accountService
+			.verifyEmail(sessionService.requireAccessToken(), token)
+			.then((user) => {
+				sessionService.updateUser(user);
+				setVerified(true);
+			})
+			.catch((err: unknown) =>
+				setError(
+					err instanceof ApiError && err.code === "VERIFICATION_TOKEN_INVALID" ?
+						"This link has expired or was replaced by a newer one. Send yourself a new link from your account settings."
+					:	"Your email address could not be verified. Please try again."
+				)
+			);
+	}, [token]);
+
+	if (!verified && !error) {
+		return <PageLoader label="Verifying your email address…" />;
+	}
+
+	return (
+		<section className={styles.page}>
+			<h1>Email verification</h1>
+			{verified ?
+				<p
+					className={formStyles.success}
+					role="status"
+				>
+					Your email address is verified. Thank you!
+				</p>
+			:	<p
+					className={formStyles.alert}
+					role="alert"
+				>
+					{error}
+				</p>
+			}
+			<p>
+				<Link to={ROUTES.account}>Back to account settings</Link>
+			</p>
+		</section>
+	);
+};
+
+export default VerifyEmail;
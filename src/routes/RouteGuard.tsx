@@ -0,0 +1,67 @@
+import React, { JSX, useEffect } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+
+import PageLoader from "@components/PageLoader/PageLoader";
+import { usePolicy } from "@hooks/usePolicy";
+import { useSession } from "@hooks/useSession";
+import type { RouteAccess } from "@interface/route.interface";
+import Forbidden from "@pages/Forbidden/Forbidden";
+
+import { loginPathFor } from "./paths";
+import { hasRouteAccess } from "./routeAccess";
+
+/**
+ * Props of {@link RouteGuard}.
+ */
+interface RouteGuardProps {
+	access: RouteAccess;
+	title?: string;
+	children: React.ReactNode;
+}
+
+/**
+ * @component RouteGuard
+ * Enforces the access rule of a route before rendering it.
+ *
+ * - While the session is being restored a loader is shown, so nobody is bounced to the
+ *   login page just because another tab has not answered yet.
+ * - Signed-out users are sent to the login page, which returns them to the current URL.
+ * - Signed-in users lacking the required roles or permission get the 403 page, in place,
+ *   so the address bar still shows what they tried to open.
+ *
+ * @param {RouteGuardProps} props
+ * @returns {JSX.Element}
+ */
+const RouteGuard: React.FC<RouteGuardProps> = ({ access, title, children }): JSX.Element => {
+	const { status, claims } = useSession();
+	// Re-checks the access rule when the roles change.
+	usePolicy();
+	const location = useLocation();
+
+	useEffect(() => {
+		if (title) {
+			document.title = `${title} · InterfaceGuard`;
+		}
+	}, [title]);
+
+	if (access === "public") {
+		return <>{children}</>;
+	}
+	if (status === "loading") {
+		return <PageLoader label="Restoring your session…" />;
+	}
+	if (status !== "authenticated") {
+		return (
+			<Navigate
+				to={loginPathFor(location)}
+				replace
+			/>
+		);
+	}
+	if (!hasRouteAccess(access, claims)) {
+		return <Forbidden />;
+	}
+	return <>{children}</>;
+};
+
+export default RouteGuard;
@@ -0,0 +1,65 @@
+import { generatePath } from "react-router-dom";
+
+/**
+ * @constant ROUTES
+ * URL paths of every page, so links and redirects never hard-code strings.
+ */
+export const ROUTES = Object.freeze({
+	home: "/",
+	login: "/login",
+	mfaChallenge: "/login/verify",
+	mfaRecovery: "/login/recovery",
+	forgotPassword: "/forgot-password",
+	resetPassword: "/reset-password",
+	oidcCallback: "/auth/callback",
+	acceptInvitation: "/invite",
+	account: "/account",
+	mfaSetup: "/account/mfa",
+	verifyEmail: "/account/verify-email",
+	users: "/users",
+	userCreate: "/users/new",
+	userImport: "/users/import",
+	invitations: "/users/invitations",
+	userEdit: "/users/:userId",
+	roles: "/roles",
+	audit: "/audit",
+	forbidden: "/403",
+});
+
+/**
+ * Builds the URL of the edit page of a user.
+ *
+ * @param {string} userId - The user ID.
+ * @returns {string} The path, e.g. `/users/42`.
+ */
+export const userEditPath = (userId: string): string => generatePath(ROUTES.userEdit, { userId });
+
+/**
+ * Query parameter carrying the URL to return to after signing in.
+ */
+export const RETURN_TO_PARAM = "returnTo";
+
+/**
+ * Builds the login URL that brings the user back to `location` afterwards.
+ *
+ * @param {{ pathname: string; search: string; hash: string }} location - Where the user was going.
+ * @returns {string} The login URL.
+ */
+export const loginPathFor = (location: { pathname: string; search: string; hash: string }) => {
+	const returnTo = `${location.pathname}${location.search}${location.hash}`;
+	return returnTo === ROUTES.home ?
+			ROUTES.login
+		:	`${ROUTES.login}?${RETURN_TO_PARAM}=${encodeURIComponent(returnTo)}`;
+};
+
+/**
+ * Reads the return URL from login search params, refusing anything that is not a local
+ * path so the login page cannot be abused as an open redirect.
+ *
+ * @param {URLSearchParams} params - The login page search params.
+ * @returns {string} A same-origin path, `/` by default.
+ */
+export const returnToFrom = (params: URLSearchParams): string => {
+	const returnTo = params.get(RETURN_TO_PARAM);
+	return returnTo && /^\/(?![/\\])/.test(returnTo) ? returnTo : ROUTES.home;
+};
@@ -0,0 +1,35 @@
+import type { RouteAccess } from "@interface/route.interface";
+import type { SessionClaims } from "@interface/session.interface";
+import { subjectFromClaims } from "@services/rbac/rbac.engine";
+import { accessControl } from "@services/rbac/rbac.store";
+
+/**
+ * Decides whether a session may open a route.
+ *
+ * Kept free of React so route rules can be unit-tested with plain claims. Permission
+ * requirements are checked against the current policy; callers rendering the answer
+ * subscribe to it with `usePolicy`.
+ *
+ * @param {RouteAccess} access - The route requirement.
+ * @param {SessionClaims | null} claims - The verified claims, `null` when signed out.
+ * @returns {boolean} `true` when the route may be rendered.
+ */
+export const hasRouteAccess = (access: RouteAccess, claims: SessionClaims | null): boolean => {
+	if (access === "public") {
+		return true;
+	}
+	if (!claims) {
+		return false;
+	}
+	if (access === "authenticated") {
+		return true;
+	}
+	if ("roles" in access) {
+		return access.roles.some((role) => claims.roles.includes(role));
+	}
+	return accessControl.can(
+		subjectFromClaims(claims),
+		access.permission.action,
+		access.permission.resource
+	);
+};
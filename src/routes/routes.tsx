@@ -0,0 +1,194 @@
+import React, { lazy } from "react";
+import { createBrowserRouter, type RouteObject } from "react-router-dom";
+
+import { RouteErrorBoundary } from "@components/ErrorBoundary/ErrorBoundary";
+import type { AppRoute } from "@interface/route.interface";
+import AppLayout from "@layout/AppLayout";
+
+import { ROUTES } from "./paths";
+import RouteGuard from "./RouteGuard";
+
+const AcceptInvitation = lazy(() => import("@pages/AcceptInvitation/AcceptInvitation"));
+const Account = lazy(() => import("@pages/Account/Account"));
+const AuditLog = lazy(() => import("@pages/AuditLog/AuditLog"));
+const ForgotPassword = lazy(() => import("@pages/ForgotPassword/ForgotPassword"));
+const Home = lazy(() => import("@pages/Home/Home"));
+const Invitations = lazy(() => import("@pages/Invitations/Invitations"));
+const Login = lazy(() => import("@pages/Login/Login"));
+const MfaChallenge = lazy(() => import("@pages/MfaChallenge/MfaChallenge"));
+const MfaRecovery = lazy(() => import("@pages/MfaRecovery/MfaRecovery"));
+const MfaSetup = lazy(() => import("@pages/MfaSetup/MfaSetup"));
+const OidcCallback = lazy(() => import("@pages/OidcCallback/OidcCallback"));
+const Roles = lazy(() => import("@pages/Roles/Roles"));
+const NotFound = lazy(() => import("@pages/NotFound/NotFound"));
+const ResetPassword = lazy(() => import("@pages/ResetPassword/ResetPassword"));
+const UserCreate = lazy(() => import("@pages/UserCreate/UserCreate"));
+const UserEdit = lazy(() => import("@pages/UserEdit/UserEdit"));
+const UserImport = lazy(() => import("@pages/UserImport/UserImport"));
+const Users = lazy(() => import("@pages/Users/Users"));
+const VerifyEmail = lazy(() => import("@pages/VerifyEmail/VerifyEmail"));
+
+/**
+ * @constant appRoutes
+ * The application route table.
+ *
+ * Every route declares who may open it (`access`); see `RouteAccess`. Child routes are
+ * checked on their own, so a role-restricted page nested under the signed-in layout
+ * still renders the 403 page for users without the role.
+ */
+export const appRoutes: AppRoute[] = [
+	{
+		path: ROUTES.login,
+		access: "public",
+		title: "Sign in",
+		element: <Login />,
+	},
+	{
+		path: ROUTES.mfaChallenge,
+		access: "public",
+		title: "Two-factor authentication",
+		element: <MfaChallenge />,
+	},
+	{
+		path: ROUTES.mfaRecovery,
+		access: "public",
+		title: "Use a recovery code",
+		element: <MfaRecovery />,
+	},
+	{
+		path: ROUTES.forgotPassword,
+		access: "public",
+		title: "Forgot password",
+		element: <ForgotPassword />,
+	},
+	{
+		path: ROUTES.resetPassword,
+		access: "public",
+		title: "Choose a new password",
+		element: <ResetPassword />,
+	},
+	{
+		path: ROUTES.oidcCallback,
+		access: "public",
+		title: "Signing in",
+		element: <OidcCallback />,
+	},
+	{
+		path: ROUTES.acceptInvitation,
+		access: "public",
+		title: "Accept invitation",
+		element: <AcceptInvitation />,
+	},
+	{
+		path: ROUTES.home,
+		access: "authenticated",
+		element: <AppLayout />,
+		children: [
+			{
+				index: true,
+				access: "authenticated",
+				title: "Dashboard",
+				element: <Home />,
+			},
+			{
+				path: ROUTES.account,
+				access: "authenticated",
+				title: "Account settings",
+				element: <Account />,
+			},
+			{
+				path: ROUTES.mfaSetup,
+				access: "authenticated",
+				title: "Two-factor authentication",
+				element: <MfaSetup />,
+			},
+			{
+				path: ROUTES.verifyEmail,
+				access: "authenticated",
+				title: "Email verification",
+				element: <VerifyEmail />,
+			},
+			{
+				path: ROUTES.users,
+				access: { roles: ["admin", "manager", "support"] },
+				title: "Users",
+				element: <Users />,
+			},
+			{
+				path: ROUTES.userCreate,
+				access: { roles: ["admin", "manager"] },
+				title: "New user",
+				element: <UserCreate />,
+			},
+			{
+				path: ROUTES.userImport,
+				access: { roles: ["admin", "manager"] },
+				title: "Import users",
+				element: <UserImport />,
+			},
+			{
+				path: ROUTES.invitations,
+				access: { permission: { action: "create", resource: "users" } },
+				title: "Invitations",
+				element: <Invitations />,
+			},
+			{
+				path: ROUTES.userEdit,
+				access: { roles: ["admin", "manager"] },
+				title: "Edit user",
+				element: <UserEdit />,
+			},
+			{
+				path: ROUTES.roles,
+				access: { permission: { action: "read", resource: "roles" } },
+				title: "Roles",
+				element: <Roles />,
+			},
+			{
+				path: ROUTES.audit,
+				access: { permission: { action: "read", resource: "audit" } },
+				title: "Audit log",
+				element: <AuditLog />,
+			},
+		],
+	},
+	{
+		path: "*",
+		access: "public",
+		title: "Page not found",
+		element: <NotFound />,
+	},
+];
+
+/**
+ * Converts the route table into React Router route objects, wrapping every element in
+ * a {@link RouteGuard} and an error boundary: `layout` for routes with children, whose
+ * element renders the shell around them, `route` for pages.
+ *
+ * @param {AppRoute[]} routes - Entries of the route table.
+ * @returns {RouteObject[]} Routes for `createBrowserRouter`.
+ */
+const toRouteObjects = (routes: AppRoute[]): RouteObject[] =>
+	routes.map(({ path, index, access, title, element, children }) => {
+		const guarded = (
+			<RouteErrorBoundary level={children ? "layout" : "route"}>
+				<RouteGuard
+					access={access}
+					title={title}
+				>
+					{element}
+				</RouteGuard>
+			</RouteErrorBoundary>
+		);
+		return index ?
+				{ index: true, element: guarded }
+			:	{ path, element: guarded, children: children && toRouteObjects(children) };
+	});
+
+/**
+ * @constant router
+ * Browser router of the application, served from `PUBLIC_URL`.
+ */
+export const router = createBrowserRouter(toRouteObjects(appRoutes), {
+	basename: process.env.PUBLIC_URL || "/",
+});
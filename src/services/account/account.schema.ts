@@ -0,0 +1,86 @@
+import { z } from "zod";
+
+import type { PasswordChange, ProfileUpdate } from "@interface/account.interface";
+import { NEW_PASSWORD_MESSAGES, newPasswordSchema } from "@services/password/password.schema";
+import type { FieldMessages } from "@utils/fieldErrors";
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Values of the profile form.
+ */
+export type ProfileFormValues = Required<Pick<ProfileUpdate, "name">>;
+
+/**
+ * Values of the password form. `confirmPassword` never leaves the browser.
+ */
+export interface PasswordFormValues extends PasswordChange {
+	confirmPassword: string;
+}
+
+/**
+ * @constant PROFILE_FIELD_MESSAGES
+ * Messages of the profile form by field and error code, shared with the API.
+ */
+export const PROFILE_FIELD_MESSAGES = Object.freeze({
+	name: {
+		required: "Enter your name.",
+		too_long: `Use at most ${MAX_NAME_LENGTH} characters.`,
+	},
+} satisfies FieldMessages<ProfileFormValues>);
+
+/**
+ * @constant PASSWORD_FIELD_MESSAGES
+ * Messages of the password form by field and error code, shared with the API.
+ */
+export const PASSWORD_FIELD_MESSAGES = Object.freeze({
+	currentPassword: {
+		required: "Enter your current password.",
+		incorrect: "This is not your current password.",
+	},
+	newPassword: {
+		...NEW_PASSWORD_MESSAGES,
+		unchanged: "Choose a password different from your current one.",
+	},
+	confirmPassword: {
+		mismatch: "The passwords do not match.",
+	},
+} satisfies FieldMessages<PasswordFormValues>);
+
+/**
+ * @constant profileSchema
+ * Validation of the profile form, mirroring the rules of the API.
+ */
+export const profileSchema = z.object({
+	name: z
+		.string()
+		.trim()
+		.min(1, PROFILE_FIELD_MESSAGES.name.required)
+		.max(MAX_NAME_LENGTH, PROFILE_FIELD_MESSAGES.name.too_long),
+}) satisfies z.ZodType<ProfileFormValues>;
+
+const passwordMessages = PASSWORD_FIELD_MESSAGES;
+
+/**
+ * Builds the validation of the password form. The new password follows the password
+ * policy and may not contain the user's name or email address. Whether the current
+ * password is right, and whether the new one was used before, is only known to the API.
+ *
+ * @param {string[]} userInputs - Name and email address of the signed-in user.
+ * @returns {z.ZodType<PasswordFormValues>} The schema, to validate with `parseAsync`.
+ */
+export const createPasswordSchema = (userInputs: string[]) =>
+	z
+		.object({
+			currentPassword: z.string().min(1, passwordMessages.currentPassword.required),
+			newPassword: newPasswordSchema(userInputs),
+			confirmPassword: z.string(),
+		})
+		.refine((values) => values.newPassword !== values.currentPassword, {
+			path: ["newPassword"],
+			message: passwordMessages.newPassword.unchanged,
+		})
+		.refine((values) => values.confirmPassword === values.newPassword, {
+			path: ["confirmPassword"],
+			message: passwordMessages.confirmPassword.mismatch,
+		}) satisfies z.ZodType<PasswordFormValues>;
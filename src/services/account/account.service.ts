@@ -0,0 +1,108 @@
+import type {
+	ActiveSession,
+	EmailVerificationSent,
+	PasswordChange,
+	ProfileUpdate,
+} from "@interface/account.interface";
+import type { AuthUser } from "@interface/auth.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Changes the name or the avatar of the signed-in user.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {ProfileUpdate} update - The fields to change.
+ * @returns {Promise<AuthUser>} The updated profile.
+ * @throws {ApiError} `400` with `details.fields` when a value is rejected.
+ */
+const updateProfile = (accessToken: string, update: ProfileUpdate): Promise<AuthUser> =>
+	apiRequest<AuthUser>("/account/profile", { method: "PATCH", accessToken, body: update });
+
+/**
+ * Changes the password of the signed-in user. The API ends every other session of the
+ * user; this one stays open.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {PasswordChange} change - The current and the new password.
+ * @returns {Promise<void>}
+ * @throws {ApiError} `400` with `details.fields.currentPassword` set to `incorrect` when
+ * the current password is wrong.
+ */
+const changePassword = (accessToken: string, change: PasswordChange): Promise<void> =>
+	apiRequest<void>("/account/password", { method: "POST", accessToken, body: change });
+
+/**
+ * Sends a new link to verify the email address of the signed-in user. Links sent before
+ * stop working.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @returns {Promise<EmailVerificationSent>} Where the link went and until when it works.
+ */
+const sendEmailVerification = (accessToken: string): Promise<EmailVerificationSent> =>
+	apiRequest<EmailVerificationSent>("/account/email/verification", {
+		method: "POST",
+		accessToken,
+	});
+
+/**
+ * Confirms the email address with the token of a verification link.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {string} token - The `token` parameter of the link.
+ * @returns {Promise<AuthUser>} The profile, now with `emailVerified`.
+ * @throws {ApiError} `400` with code `VERIFICATION_TOKEN_INVALID` for an expired, replaced
+ * or foreign link.
+ */
+const verifyEmail = (accessToken: string, token: string): Promise<AuthUser> =>
+	apiRequest<AuthUser>("/account/email/verify", { method: "POST", accessToken, body: { token } });
+
+/**
+ * Lists the open sessions of the signed-in user, most recently used first.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<ActiveSession[]>} The sessions, this one flagged with `current`.
+ */
+const listSessions = (accessToken: string, signal?: AbortSignal): Promise<ActiveSession[]> =>
+	apiRequest<ActiveSession[]>("/account/sessions", { accessToken, signal });
+
+/**
+ * Ends one session of the signed-in user. Its device is signed out at its next request.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {string} id - The session ID.
+ * @returns {Promise<void>}
+ * @throws {ApiError} `404` when the session already ended or belongs to someone else.
+ */
+const revokeSession = (accessToken: string, id: string): Promise<void> =>
+	apiRequest<void>(`/account/sessions/${encodeURIComponent(id)}`, {
+		method: "DELETE",
+		accessToken,
+	});
+
+/**
+ * Ends every session of the signed-in user except this one.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @returns {Promise<{ revoked: number }>} How many sessions were ended.
+ */
+const revokeOtherSessions = (accessToken: string): Promise<{ revoked: number }> =>
+	apiRequest<{ revoked: number }>("/account/sessions", { method: "DELETE", accessToken });
+
+/**
+ * @constant accountService
+ * Self-service endpoints of the InterfaceGuard API: what every signed-in user may change
+ * about their own account.
+ *
+ * * Example Usage:
+ * sessionService.updateUser(await accountService.updateProfile(accessToken, { name }));
+ */
+export const accountService = Object.freeze({
+	updateProfile,
+	changePassword,
+	sendEmailVerification,
+	verifyEmail,
+	listSessions,
+	revokeSession,
+	revokeOtherSessions,
+});
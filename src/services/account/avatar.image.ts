@@ -0,0 +1,62 @@
+/** Width and height of stored avatars, in pixels; twice the largest size displayed. */
+export const AVATAR_SIZE = 256;
+
+/** Largest picture accepted before resizing, so a huge photo does not freeze the tab. */
+export const MAX_AVATAR_FILE_SIZE = 10 * 1024 * 1024;
+
+/** Image types a picture may be chosen from. */
+export const AVATAR_FILE_TYPES = ["image/png", "image/jpeg", "image/webp"] as const;
+
+/**
+ * Turns a picture chosen by the user into an avatar: cropped to a centred square,
+ * scaled down to {@link AVATAR_SIZE} and encoded as a JPEG `data:` URL, small enough for
+ * the API whatever the size of the original.
+ *
+ * @param {File} file - The chosen picture.
+ * @returns {Promise<string>} The avatar, `data:image/jpeg;base64,...`.
+ * @throws {Error} When the file is not a supported image, is too large or cannot be decoded.
+ *
+ * * Example Usage:
+ * const avatarUrl = await toAvatar(input.files[0]);
+ */
+export const toAvatar = async (file: File): Promise<string> => {
+	if (!(AVATAR_FILE_TYPES as readonly string[]).includes(file.type)) {
+		throw new Error("Choose a PNG, JPEG or WebP picture.");
+	}
+	if (file.size > MAX_AVATAR_FILE_SIZE) {
+		throw new Error("Choose a picture smaller than 10 MB.");
+	}
+
+	let bitmap: ImageBitmap;
+	try {
+		bitmap = await createImageBitmap(file);
+	} catch {
+		throw new Error("This picture could not be read.");
+	}
+
+	const side = Math.min(bitmap.width, bitmap.height);
+	const canvas = document.createElement("canvas");
+	canvas.width = AVATAR_SIZE;
+	canvas.height = AVATAR_SIZE;
+	const context = canvas.getContext("2d");
+	if (!context) {
+		bitmap.close();
+		throw new Error("This browser cannot resize pictures.");
+	}
+	// JPEG has no transparency: paint transparent pixels white rather than black.
+	context.fillStyle = "#ffffff";
+	context.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+	context.drawImage(
+		bitmap,
+		(bitmap.width - side) / 2,
+		(bitmap.height - side) / 2,
+		side,
+		side,
+		0,
+		0,
+		AVATAR_SIZE,
+		AVATAR_SIZE
+	);
+	bitmap.close();
+	return canvas.toDataURL("image/jpeg", 0.85);
+};
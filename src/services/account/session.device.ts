@@ -0,0 +1,66 @@
+/**
+ * What a `User-Agent` header says about the device of a session, for people rather
+ * than for feature detection.
+ */
+export interface DeviceDescription {
+	/** e.g. `Firefox 128`, `Safari`; `Unknown browser` when not recognised. */
+	browser: string;
+	/** e.g. `Windows`, `iOS`; `Unknown system` when not recognised. */
+	os: string;
+	kind: "desktop" | "mobile" | "tablet";
+}
+
+/**
+ * Browsers, most specific first: Edge and Opera also announce Chrome, Chrome also
+ * announces Safari.
+ */
+const BROWSERS: readonly [RegExp, string][] = [
+	[/Edg(?:e|A|iOS)?\/(\d+)/, "Edge"],
+	[/(?:OPR|Opera)\/(\d+)/, "Opera"],
+	[/SamsungBrowser\/(\d+)/, "Samsung Internet"],
+	[/Firefox\/(\d+)|FxiOS\/(\d+)/, "Firefox"],
+	[/Chrome\/(\d+)|CriOS\/(\d+)/, "Chrome"],
+	[/Version\/(\d+)[^ ]* (?:Mobile\/\S+ )?Safari\//, "Safari"],
+];
+
+const SYSTEMS: readonly [RegExp, string][] = [
+	[/iPhone|iPad|iPod/, "iOS"],
+	[/Android/, "Android"],
+	[/CrOS/, "ChromeOS"],
+	[/Windows/, "Windows"],
+	[/Mac OS X|Macintosh/, "macOS"],
+	[/Linux/, "Linux"],
+];
+
+/**
+ * Describes the device behind a `User-Agent` header. Only the major browser version is
+ * kept: it is what a user recognises, and the rest is often frozen by browsers anyway.
+ *
+ * @param {string | null} userAgent - The header, `null` when the session did not send one.
+ * @returns {DeviceDescription} The browser, operating system and kind of device.
+ *
+ * * Example Usage:
+ * describeDevice("Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0");
+ * // { browser: "Firefox 128", os: "Linux", kind: "desktop" }
+ */
+export const describeDevice = (userAgent: string | null): DeviceDescription => {
+	const header = userAgent ?? "";
+
+	let browser = "Unknown browser";
+	for (const [pattern, name] of BROWSERS) {
+		const match = pattern.exec(header);
+		if (match) {
+			const version = match.slice(1).find(Boolean);
+			browser = version ? `${name} ${version}` : name;
+			break;
+		}
+	}
+
+	const os = SYSTEMS.find(([pattern]) => pattern.test(header))?.[1] ?? "Unknown system";
+	const kind =
+		/iPad|Tablet/.test(header) || (/Android/.test(header) && !/Mobile/.test(header)) ? "tablet"
+		: /Mobi|iPhone|iPod/.test(header) ? "mobile"
+		: "desktop";
+
+	return { browser, os, kind };
+};
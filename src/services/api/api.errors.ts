@@ -0,0 +1,95 @@
+/**
+ * @class ApiError
+ * Raised for every non-2xx response.
+ *
+ * Error bodies are normalised by {@link errorFromResponse}, so callers can always rely
+ * on `status`, `code` and `message` being present whatever shape the server used.
+ */
+export class ApiError extends Error {
+	readonly status: number;
+	readonly code: string;
+	readonly details?: unknown;
+
+	constructor(status: number, code: string, message: string, details?: unknown) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+		this.code = code;
+		this.details = details;
+	}
+}
+
+/**
+ * @class NetworkError
+ * Raised when no response arrived: the server is unreachable, the connection dropped, or
+ * the browser refused the request (e.g. CORS). The original failure is the `cause`.
+ */
+export class NetworkError extends Error {
+	constructor(message = "The server could not be reached.", options?: ErrorOptions) {
+		super(message, options);
+		this.name = "NetworkError";
+	}
+}
+
+/**
+ * @class TimeoutError
+ * Raised when a request is abandoned because no complete response arrived in time.
+ */
+export class TimeoutError extends NetworkError {
+	/** The time limit that was exceeded, in milliseconds. */
+	readonly timeout: number;
+
+	constructor(timeout: number) {
+		super(`The server did not answer within ${Math.ceil(timeout / 1000)} seconds.`);
+		this.name = "TimeoutError";
+		this.timeout = timeout;
+	}
+}
+
+/**
+ * Returns `value` when it is a non-empty string.
+ *
+ * @param {unknown} value - Any value.
+ * @returns {string | undefined} The string, `undefined` otherwise.
+ */
+const textOf = (value: unknown): string | undefined =>
+	typeof value === "string" && value !== "" ? value : undefined;
+
+/**
+ * Builds the error of a non-2xx response from its body, whichever of the usual shapes
+ * it has:
+ *
+ * - InterfaceGuard: `{ code, message, details? }`;
+ * - the same, wrapped: `{ error: { code, message, details? } }`;
+ * - OAuth 2.0 (RFC 6749, section 5.2): `{ error, error_description? }`;
+ * - problem details (RFC 9457): `{ type, title, detail?, errors? }`;
+ * - plain text, or no body at all.
+ *
+ * @param {number} status - The HTTP status.
+ * @param {string} statusText - The HTTP status text, used when the body has no message.
+ * @param {unknown} payload - The decoded body: JSON, text, or `undefined`.
+ * @returns {ApiError} The error.
+ */
+export const errorFromResponse = (
+	status: number,
+	statusText: string,
+	payload: unknown
+): ApiError => {
+	let body =
+		typeof payload === "object" && payload !== null ? (payload as Record<string, unknown>) : {};
+	if (typeof body.error === "object" && body.error !== null) {
+		body = body.error as Record<string, unknown>;
+	}
+	return new ApiError(
+		status,
+		textOf(body.code) ?? textOf(body.error) ?? `HTTP_${status}`,
+		textOf(body.message) ??
+			textOf(body.error_description) ??
+			textOf(body.detail) ??
+			textOf(body.title) ??
+			textOf(typeof payload === "string" ? payload.trim() : undefined) ??
+			textOf(statusText) ??
+			`HTTP ${status}`,
+		body.details ?? body.errors
+	);
+};
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { createMockApi } from "../../../webpack/mock/mock.api.mjs";
+import { createMockFetch } from "../../../webpack/mock/mock.fetch.mjs";
+
+import {
+	ApiError,
+	apiRequest,
+	type AuthInterceptor,
+	setApiErrorListener,
+	setAuthInterceptor,
+} from "./api.request";
+
+let fetchSpy: ReturnType<typeof vi.fn<typeof fetch>>;
+let tokens: { accessToken: string; refreshToken: string };
+
+/**
+ * An interceptor whose session holds `tokens.accessToken`.
+ */
+const createInterceptor = (renewed: () => Promise<string | null>) => {
+	const interceptor = {
+		ready: vi.fn(() => Promise.resolve()),
+		resolve: vi.fn((accessToken: string) => accessToken),
+		renew: vi.fn((_accessToken: string) => renewed()),
+	} satisfies AuthInterceptor;
+	setAuthInterceptor(interceptor);
+	return interceptor;
+};
+
+const sentTokens = () =>
+	fetchSpy.mock.calls.map(([, init]) => new Headers(init?.headers).get("Authorization"));
+
+beforeEach(async () => {
+	fetchSpy = vi.fn(createMockFetch({ "/api": createMockApi().router }));
+	vi.stubGlobal("fetch", fetchSpy);
+	vi.stubGlobal("window", { location: new URL("http://localhost/") });
+	vi.stubGlobal("document", { cookie: "theme=dark; XSRF-TOKEN=csrf%20token" });
+	tokens = await apiRequest("/auth/login", {
+		method: "POST",
+		body: { email: "admin@interfaceguard.dev", password: "ChangeMe!2024" },
+	});
+	fetchSpy.mockClear();
+});
+
+afterEach(() => {
+	setAuthInterceptor(null);
+	setApiErrorListener(null);
+	vi.unstubAllGlobals();
+});
+
+describe("apiRequest", () => {
+	it("renews a rejected access token and replays the request once", async () => {
+		const interceptor = createInterceptor(async () => tokens.accessToken);
+
+		await expect(apiRequest("/auth/me", { accessToken: "expired-token" })).resolves.toMatchObject({
+			email: "admin@interfaceguard.dev",
+		});
+		expect(interceptor.ready).toHaveBeenCalled();
+		expect(interceptor.renew).toHaveBeenCalledWith("expired-token");
+		expect(sentTokens()).toEqual(["Bearer expired-token", `Bearer ${tokens.accessToken}`]);
+	});
+
+	it("sends the successor of a token refreshed since the caller read it", async () => {
+		const interceptor = createInterceptor(async () => null);
+		interceptor.resolve.mockReturnValue(tokens.accessToken);
+
+		await apiRequest("/auth/me", { accessToken: "stale-token" });
+
+		expect(sentTokens()).toEqual([`Bearer ${tokens.accessToken}`]);
+		expect(interceptor.renew).not.toHaveBeenCalled();
+	});
+
+	it("fails with the original error when the token cannot be renewed", async () => {
+		createInterceptor(async () => null);
+
+		await expect(apiRequest("/auth/me", { accessToken: "expired-token" })).rejects.toMatchObject({
+			status: 401,
+			code: "TOKEN_INVALID",
+		});
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+	});
+
+	it("does not replay a request twice", async () => {
+		const interceptor = createInterceptor(async () => "another-bad-token");
+
+		await expect(apiRequest("/auth/me", { accessToken: "expired-token" })).rejects.toBeInstanceOf(
+			ApiError
+		);
+		expect(interceptor.renew).toHaveBeenCalledTimes(1);
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it("does not renew a token whose session has ended", async () => {
+		await apiRequest("/auth/logout", {
+			method: "POST",
+			body: { refreshToken: tokens.refreshToken },
+		});
+		const interceptor = createInterceptor(async () => tokens.accessToken);
+
+		await expect(apiRequest("/auth/me", { accessToken: tokens.accessToken })).rejects.toMatchObject(
+			{ status: 401, code: "SESSION_REVOKED" }
+		);
+		expect(interceptor.renew).not.toHaveBeenCalled();
+	});
+
+	it("tells the error listener about failures before the caller", async () => {
+		const listener = vi.fn();
+		setApiErrorListener(listener);
+
+		await expect(
+			apiRequest("/auth/me", { accessToken: "expired-token", notify: true })
+		).rejects.toBeInstanceOf(ApiError);
+		expect(listener).toHaveBeenCalledWith(expect.any(ApiError), {
+			method: "GET",
+			path: "/auth/me",
+			notify: true,
+		});
+	});
+
+	it("sends the CSRF cookie with unsafe requests made without an access token", async () => {
+		await apiRequest("/auth/logout", { method: "POST", body: { refreshToken: "none" } }).catch(
+			() => undefined
+		);
+		await apiRequest("/auth/me").catch(() => undefined);
+
+		const csrf = fetchSpy.mock.calls.map(([, init]) =>
+			new Headers(init?.headers).get("X-XSRF-TOKEN")
+		);
+		expect(csrf).toEqual(["csrf token", null]);
+	});
+});
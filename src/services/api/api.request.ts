@@ -0,0 +1,186 @@
+import { env } from "@utils/env";
+
+import { ApiError } from "./api.errors";
+import { httpRequest, type HttpRequestOptions } from "./http.client";
+
+export { ApiError, NetworkError, TimeoutError } from "./api.errors";
+
+/**
+ * Options accepted by {@link apiRequest}.
+ */
+export interface ApiRequestOptions extends HttpRequestOptions {
+	/** Access token sent as a `Bearer` authorization header. */
+	accessToken?: string;
+	/**
+	 * Whether a failure is shown to the user as a notification: `true` always, `false`
+	 * never. By default only failures a page cannot do much about are (see
+	 * `noticeForError`).
+	 */
+	notify?: boolean;
+}
+
+/**
+ * Lets the session take part in requests made with an access token, without this
+ * module knowing about sessions. Registered by `startAuthInterceptor`.
+ */
+export interface AuthInterceptor {
+	/** Resolves once a token refresh in progress has settled; at once otherwise. */
+	ready: () => Promise<void>;
+	/**
+	 * Returns the token to send instead of `accessToken`: its successor when the session
+	 * was refreshed since the caller read it, `accessToken` itself otherwise.
+	 */
+	resolve: (accessToken: string) => string;
+	/**
+	 * Called when the API rejected `accessToken` as expired or invalid. Resolves with a
+	 * token to replay the request with, or `null` to give up.
+	 */
+	renew: (accessToken: string) => Promise<string | null>;
+}
+
+/**
+ * Told about every request that failed, before the caller is. Registered by
+ * `startNotifications`.
+ */
+export type ApiErrorListener = (
+	error: unknown,
+	request: { method: string; path: string; notify?: boolean }
+) => void;
+
+let interceptor: AuthInterceptor | null = null;
+let errorListener: ApiErrorListener | null = null;
+
+/**
+ * Registers the interceptor of requests made with an access token.
+ *
+ * @param {AuthInterceptor | null} next - The interceptor, `null` to remove it.
+ * @returns {void}
+ */
+export const setAuthInterceptor = (next: AuthInterceptor | null): void => {
+	interceptor = next;
+};
+
+/**
+ * Registers the listener of failed requests.
+ *
+ * @param {ApiErrorListener | null} next - The listener, `null` to remove it.
+ * @returns {void}
+ */
+export const setApiErrorListener = (next: ApiErrorListener | null): void => {
+	errorListener = next;
+};
+
+/**
+ * Codes of the `401` answers a fresh access token can fix. Other ones (wrong password,
+ * revoked session, ...) are returned to the caller as they are.
+ */
+const RENEWABLE_CODES: readonly string[] = [
+	"TOKEN_INVALID",
+	"TOKEN_EXPIRED",
+	"invalid_token",
+	"HTTP_401",
+];
+
+const SAFE_METHODS: readonly string[] = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Reads a cookie of this origin.
+ *
+ * @param {string} name - The cookie name.
+ * @returns {string | undefined} Its decoded value, `undefined` when it is not set.
+ */
+const readCookie = (name: string): string | undefined => {
+	const entry = document.cookie
+		.split(";")
+		.map((cookie) => cookie.trim())
+		.find((cookie) => cookie.startsWith(`${name}=`));
+	return entry === undefined ? undefined : decodeURIComponent(entry.slice(name.length + 1));
+};
+
+/**
+ * Sends a request with its bearer or CSRF token, replaying it once with a renewed token;
+ * see {@link apiRequest}.
+ *
+ * @param {string} path - API path starting with `/`.
+ * @param {Omit<ApiRequestOptions, "notify">} options - The request.
+ * @returns {Promise<T>} The decoded JSON response.
+ */
+const sendRequest = async <T>(
+	path: string,
+	options: Omit<ApiRequestOptions, "notify">
+): Promise<T> => {
+	const { accessToken, headers, ...init } = options;
+	const method = (init.method ?? "GET").toUpperCase();
+
+	const send = (token: string | undefined) => {
+		const requestHeaders = new Headers(headers);
+		if (token) {
+			requestHeaders.set("Authorization", `Bearer ${token}`);
+		} else if (!SAFE_METHODS.includes(method)) {
+			const csrfToken = readCookie(env.http.csrfCookie);
+			if (csrfToken) {
+				requestHeaders.set(env.http.csrfHeader, csrfToken);
+			}
+		}
+		return httpRequest<T>(`${env.apiUrl}${path}`, {
+			credentials: "same-origin",
+			...init,
+			method,
+			headers: requestHeaders,
+		});
+	};
+
+	if (!accessToken || !interceptor) {
+		return send(accessToken);
+	}
+
+	const auth = interceptor;
+	await auth.ready();
+	const token = auth.resolve(accessToken);
+	try {
+		return await send(token);
+	} catch (error) {
+		if (
+			!(error instanceof ApiError && error.status === 401 && RENEWABLE_CODES.includes(error.code))
+		) {
+			throw error;
+		}
+		const renewed = await auth.renew(token);
+		if (!renewed || renewed === token) {
+			throw error;
+		}
+		return send(renewed);
+	}
+};
+
+/**
+ * Sends a request to the InterfaceGuard API and resolves with the parsed body. Every
+ * service goes through it; the transport (JSON, deduplication of identical `GET`s,
+ * cancellation, timeouts, typed errors) is {@link httpRequest}.
+ *
+ * `path` is appended to `env.apiUrl`. Requests with an `accessToken` carry it as a
+ * `Bearer` token; they wait for a token refresh in progress, and one the API rejects as
+ * expired is renewed once and the request replayed. Unsafe requests without one carry
+ * the CSRF token of the `INTERFACE_GUARD_CSRF_COOKIE` cookie, when it is set, in the
+ * `INTERFACE_GUARD_CSRF_HEADER` header. Failures are passed to the listener registered
+ * with {@link setApiErrorListener} before being thrown.
+ *
+ * @param {string} path - API path starting with `/`, e.g. `/auth/login`.
+ * @param {ApiRequestOptions} options - Fetch options plus `body`, `timeout`, `accessToken`
+ * and `notify`.
+ * @returns {Promise<T>} The decoded JSON response.
+ * @throws {ApiError} For any non-2xx status.
+ * @throws {NetworkError | TimeoutError} When no response arrived.
+ *
+ * * Example Usage:
+ * const user = await apiRequest<AuthUser>("/auth/me", { accessToken, signal });
+ */
+export const apiRequest = async <T>(path: string, options: ApiRequestOptions = {}): Promise<T> => {
+	const { notify, ...request } = options;
+	try {
+		return await sendRequest<T>(path, request);
+	} catch (error) {
+		errorListener?.(error, { method: (request.method ?? "GET").toUpperCase(), path, notify });
+		throw error;
+	}
+};
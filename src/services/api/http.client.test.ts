@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { createMockApi } from "../../../webpack/mock/mock.api.mjs";
+import { createMockFetch } from "../../../webpack/mock/mock.fetch.mjs";
+
+import { ApiError, TimeoutError } from "./api.errors";
+import { httpRequest } from "./http.client";
+
+const ORIGIN = "http://localhost";
+
+let fetchSpy: ReturnType<typeof vi.fn<typeof fetch>>;
+let accessToken: string;
+
+/**
+ * Reads the signed-in profile, answered `latency` milliseconds later.
+ */
+const me = (options: { token?: string; latency?: number; signal?: AbortSignal } = {}) =>
+	httpRequest<{ email: string }>("/api/auth/me", {
+		headers: {
+			Authorization: `Bearer ${options.token ?? accessToken}`,
+			"X-Mock-Latency": String(options.latency ?? 50),
+		},
+		signal: options.signal,
+	});
+
+beforeEach(async () => {
+	fetchSpy = vi.fn(createMockFetch({ "/api": createMockApi().router }, { origin: ORIGIN }));
+	vi.stubGlobal("fetch", fetchSpy);
+	vi.stubGlobal("window", { location: new URL(`${ORIGIN}/`) });
+	({ accessToken } = await httpRequest<{ accessToken: string }>("/api/auth/login", {
+		method: "POST",
+		body: { email: "admin@interfaceguard.dev", password: "ChangeMe!2024" },
+	}));
+	fetchSpy.mockClear();
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+});
+
+describe("httpRequest", () => {
+	it("sends identical GETs in flight once, and gives every caller its own body", async () => {
+		const [first, second] = await Promise.all([me(), me()]);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(first).toEqual(second);
+		expect(first).not.toBe(second);
+		expect(first.email).toBe("admin@interfaceguard.dev");
+	});
+
+	it("does not share requests made with other credentials, or after they settled", async () => {
+		await Promise.all([me(), me({ token: "someone-else" }).catch(() => undefined)]);
+		await me();
+
+		expect(fetchSpy).toHaveBeenCalledTimes(3);
+	});
+
+	it("never shares requests with a body", async () => {
+		const logout = () =>
+			httpRequest("/api/auth/logout", { method: "POST", body: { refreshToken: "none" } });
+
+		await Promise.all([logout().catch(() => undefined), logout().catch(() => undefined)]);
+
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it("cancels one caller without cancelling the request the others wait for", async () => {
+		const controller = new AbortController();
+		const cancelled = me({ signal: controller.signal });
+		const kept = me();
+
+		controller.abort();
+
+		await expect(cancelled).rejects.toMatchObject({ name: "AbortError" });
+		await expect(kept).resolves.toMatchObject({ email: "admin@interfaceguard.dev" });
+		expect(fetchSpy).toHaveBeenCalledTimes(1);
+		expect(fetchSpy.mock.calls[0][1]?.signal?.aborted).toBe(false);
+	});
+
+	it("cancels the request once every caller gave up", async () => {
+		const controllers = [new AbortController(), new AbortController()];
+		const requests = controllers.map((controller) => me({ signal: controller.signal }));
+
+		controllers.forEach((controller) => controller.abort());
+
+		await Promise.all(
+			requests.map((request) => expect(request).rejects.toMatchObject({ name: "AbortError" }))
+		);
+		expect(fetchSpy.mock.calls[0][1]?.signal?.aborted).toBe(true);
+		// The next caller starts a request of its own.
+		await expect(me()).resolves.toMatchObject({ email: "admin@interfaceguard.dev" });
+		expect(fetchSpy).toHaveBeenCalledTimes(2);
+	});
+
+	it("gives up on a request that takes longer than the timeout", async () => {
+		const slow = httpRequest("/api/auth/me", {
+			headers: { Authorization: `Bearer ${accessToken}`, "X-Mock-Latency": "500" },
+			timeout: 20,
+		});
+
+		await expect(slow).rejects.toBeInstanceOf(TimeoutError);
+		expect(fetchSpy.mock.calls[0][1]?.signal?.aborted).toBe(true);
+	});
+
+	it("types the failures of the API", async () => {
+		const error = await me({ token: "forged" }).catch((caught: unknown) => caught);
+
+		expect(error).toBeInstanceOf(ApiError);
+		expect(error).toMatchObject({ status: 401, code: "TOKEN_INVALID" });
+	});
+});
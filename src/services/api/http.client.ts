@@ -0,0 +1,264 @@
+import { addBreadcrumb, redactUrl } from "@services/errors/error.breadcrumbs";
+import { env } from "@utils/env";
+
+import { errorFromResponse, NetworkError, TimeoutError } from "./api.errors";
+
+/**
+ * Options accepted by {@link httpRequest}.
+ */
+export interface HttpRequestOptions extends Omit<RequestInit, "body"> {
+	/**
+	 * Request body. Strings, `URLSearchParams`, `FormData` and `Blob`s are sent as they
+	 * are; anything else is serialised as JSON.
+	 */
+	body?: unknown;
+	/**
+	 * Milliseconds to wait for the complete response before failing with a
+	 * {@link TimeoutError}; `0` waits indefinitely. `INTERFACE_GUARD_API_TIMEOUT` by default.
+	 */
+	timeout?: number;
+}
+
+/**
+ * A response read to the end. The body is kept as text so requests shared by
+ * {@link httpRequest} can hand every caller its own decoded copy.
+ */
+interface ReceivedResponse {
+	status: number;
+	statusText: string;
+	ok: boolean;
+	headers: Headers;
+	text: string;
+}
+
+/**
+ * A `GET` or `HEAD` request in flight, shared by every caller asking for the same
+ * resource with the same credentials.
+ */
+interface SharedRequest {
+	response: Promise<ReceivedResponse>;
+	controller: AbortController;
+	/** Callers still waiting; the request is cancelled when the last one gives up. */
+	waiting: number;
+}
+
+const shared = new Map<string, SharedRequest>();
+
+/**
+ * Tells whether `body` is sent as it is rather than as JSON.
+ *
+ * @param {unknown} body - The request body.
+ * @returns {boolean}
+ */
+const isRawBody = (body: unknown): body is BodyInit =>
+	typeof body === "string" ||
+	body instanceof URLSearchParams ||
+	body instanceof FormData ||
+	body instanceof Blob;
+
+/**
+ * Sends a request and reads its body, within `timeout` milliseconds.
+ *
+ * @param {string} url - The URL.
+ * @param {RequestInit} init - Fetch options; `init.signal` cancels the request.
+ * @param {number} timeout - Time limit in milliseconds, `0` for none.
+ * @returns {Promise<ReceivedResponse>} The response.
+ * @throws {DOMException} The `AbortError` of `init.signal` when it is aborted.
+ * @throws {TimeoutError | NetworkError} When no complete response arrived.
+ */
+const send = async (url: string, init: RequestInit, timeout: number): Promise<ReceivedResponse> => {
+	const { signal } = init;
+	const controller = new AbortController();
+	const cancel = () => controller.abort(signal?.reason);
+	let timedOut = false;
+	const timer =
+		timeout > 0 ?
+			setTimeout(() => {
+				timedOut = true;
+				controller.abort();
+			}, timeout)
+		:	undefined;
+
+	if (signal?.aborted) {
+		cancel();
+	}
+	signal?.addEventListener("abort", cancel, { once: true });
+	try {
+		const response = await fetch(url, { ...init, signal: controller.signal });
+		return {
+			status: response.status,
+			statusText: response.statusText,
+			ok: response.ok,
+			headers: response.headers,
+			text: await response.text(),
+		};
+	} catch (error) {
+		if (timedOut) {
+			throw new TimeoutError(timeout);
+		}
+		if (signal?.aborted) {
+			throw signal.reason ?? error;
+		}
+		throw new NetworkError(undefined, { cause: error });
+	} finally {
+		clearTimeout(timer);
+		signal?.removeEventListener("abort", cancel);
+	}
+};
+
+/**
+ * Joins the shared request for `key`, starting it when nobody else waits for it yet.
+ * Cancelling one caller leaves the others waiting; the request itself is only cancelled
+ * when every caller gave up.
+ *
+ * @param {string} key - Identity of the request: method, URL and credentials.
+ * @param {string} url - The URL.
+ * @param {RequestInit} init - Fetch options; `init.signal` only cancels this caller.
+ * @param {number} timeout - Time limit in milliseconds, `0` for none.
+ * @returns {Promise<ReceivedResponse>} The response.
+ */
+const sendShared = (
+	key: string,
+	url: string,
+	{ signal, ...init }: RequestInit,
+	timeout: number
+): Promise<ReceivedResponse> => {
+	let request = shared.get(key);
+	if (!request) {
+		const controller = new AbortController();
+		const started: SharedRequest = {
+			controller,
+			waiting: 0,
+			response: send(url, { ...init, signal: controller.signal }, timeout).finally(() => {
+				if (shared.get(key) === started) {
+					shared.delete(key);
+				}
+			}),
+		};
+		shared.set(key, started);
+		request = started;
+	}
+	const joined = request;
+	joined.waiting += 1;
+
+	return new Promise<ReceivedResponse>((resolve, reject) => {
+		const leave = () => {
+			joined.waiting -= 1;
+			if (joined.waiting === 0) {
+				shared.delete(key);
+				joined.controller.abort();
+			}
+			reject(signal?.reason);
+		};
+		if (signal?.aborted) {
+			leave();
+			return;
+		}
+		signal?.addEventListener("abort", leave, { once: true });
+		joined.response
+			.then(resolve, reject)
+			.finally(() => signal?.removeEventListener("abort", leave));
+	});
+};
+
+/**
+ * Decodes a response body: JSON when the server says so, text otherwise.
+ *
+ * @param {ReceivedResponse} response - The response.
+ * @returns {unknown} The body, `undefined` when there is none.
+ * @throws {ApiError} `INVALID_RESPONSE` for a successful response with malformed JSON.
+ */
+const decode = ({ status, statusText, ok, headers, text }: ReceivedResponse): unknown => {
+	if (status === 204 || text === "") {
+		return undefined;
+	}
+	if (!/[/+]json\b/.test(headers.get("Content-Type") ?? "")) {
+		return text;
+	}
+	try {
+		return JSON.parse(text);
+	} catch {
+		if (ok) {
+			throw errorFromResponse(status, statusText, {
+				code: "INVALID_RESPONSE",
+				message: "The server answered with malformed JSON.",
+			});
+		}
+		return text;
+	}
+};
+
+/**
+ * Sends an HTTP request and resolves with the decoded body. The transport under
+ * `apiRequest`, for servers other than the InterfaceGuard API (e.g. the identity
+ * provider); it knows nothing about sessions.
+ *
+ * - Bodies other than strings, forms and blobs are sent as JSON, and JSON responses are
+ *   decoded. Responses without content resolve with `undefined`.
+ * - Identical `GET` and `HEAD` requests in flight at the same time are sent once, and
+ *   every caller receives its own copy of the body.
+ * - `signal` cancels the request with its `AbortError`; `timeout` bounds its duration.
+ * - Every failure is typed: `ApiError` for non-2xx responses, whatever the shape of
+ *   their body, `TimeoutError` and `NetworkError` when no response arrived.
+ * - Every request leaves a breadcrumb for error reports: method, URL without its query
+ *   string, outcome and duration.
+ *
+ * @param {string} url - The absolute URL, or a path of this origin.
+ * @param {HttpRequestOptions} [options] - Fetch options plus `body` and `timeout`.
+ * @returns {Promise<T>} The decoded body.
+ * @throws {ApiError | NetworkError | TimeoutError | DOMException}
+ *
+ * * Example Usage:
+ * const metadata = await httpRequest<OidcProviderMetadata>(discoveryUrl, { timeout: 5000 });
+ */
+export const httpRequest = async <T>(url: string, options: HttpRequestOptions = {}): Promise<T> => {
+	const { body, headers, timeout = env.http.timeout, ...init } = options;
+	const method = (init.method ?? "GET").toUpperCase();
+
+	const requestHeaders = new Headers(headers);
+	if (!requestHeaders.has("Accept")) {
+		requestHeaders.set("Accept", "application/json");
+	}
+	if (body !== undefined && !isRawBody(body)) {
+		requestHeaders.set("Content-Type", "application/json");
+	}
+	const request: RequestInit = {
+		...init,
+		method,
+		headers: requestHeaders,
+		body:
+			body === undefined ? undefined
+			: isRawBody(body) ? body
+			: JSON.stringify(body),
+	};
+
+	const started = Date.now();
+	const trail = (outcome: number | string) =>
+		addBreadcrumb({
+			category: "http",
+			message: `${method} ${redactUrl(url)}`,
+			data: { status: outcome, duration: Date.now() - started },
+		});
+	let response: ReceivedResponse;
+	try {
+		response =
+			(method === "GET" || method === "HEAD") && body === undefined ?
+				await sendShared(
+					[method, url, requestHeaders.get("Authorization") ?? ""].join(" "),
+					url,
+					request,
+					timeout
+				)
+			:	await send(url, request, timeout);
+	} catch (error) {
+		trail(error instanceof Error ? error.name : "failed");
+		throw error;
+	}
+	trail(response.status);
+
+	const payload = decode(response);
+	if (!response.ok) {
+		throw errorFromResponse(response.status, response.statusText, payload);
+	}
+	return payload as T;
+};
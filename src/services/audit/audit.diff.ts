@@ -0,0 +1,112 @@
+/**
+ * One difference between two JSON values.
+ */
+export interface DiffEntry {
+	/** Where the value sits, e.g. `roles`, `admin.rules[0].actions`; empty for the root. */
+	path: string;
+	kind: "added" | "removed" | "changed";
+	/** Value before, absent for `added`. */
+	before?: unknown;
+	/** Value after, absent for `removed`. */
+	after?: unknown;
+}
+
+/**
+ * Whether a value is a plain JSON object.
+ *
+ * @param {unknown} value - The value.
+ * @returns {boolean} `true` for objects that are neither arrays nor `null`.
+ */
+const isObject = (value: unknown): value is Record<string, unknown> =>
+	typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Whether an array only holds primitives, like a list of role IDs. Such arrays are
+ * compared as a whole: "roles went from [a] to [a, b]" reads better than "roles[1] added".
+ *
+ * @param {unknown[]} value - The array.
+ * @returns {boolean} `true` when no entry is an object or an array.
+ */
+const isFlatArray = (value: unknown[]): boolean =>
+	value.every((entry) => typeof entry !== "object" || entry === null);
+
+/**
+ * Appends a key to a path.
+ *
+ * @param {string} path - The parent path.
+ * @param {string | number} key - Object key or array index.
+ * @returns {string} The child path.
+ */
+const childPath = (path: string, key: string | number): string =>
+	typeof key === "number" ? `${path}[${key}]`
+	: /^[A-Za-z_$][\w$]*$/.test(key) ?
+		path ? `${path}.${key}`
+		:	key
+	:	`${path}[${JSON.stringify(key)}]`;
+
+/**
+ * Compares two JSON values and lists what changed, depth first, in key order of `after`
+ * followed by the keys only `before` has.
+ *
+ * Objects and arrays of objects are compared entry by entry; arrays of primitives and
+ * every other value are compared as a whole. A `null` next to an object counts as an
+ * empty object, so a created target lists each of its fields as added.
+ *
+ * @param {unknown} before - The old value, `null` when there was none.
+ * @param {unknown} after - The new value, `null` when there is none anymore.
+ * @param {string} [path] - Path of the values, used when recursing.
+ * @returns {DiffEntry[]} The differences, empty when the values are equal.
+ *
+ * * Example Usage:
+ * diffJson({ roles: ["user"] }, { roles: ["user", "manager"] });
+ * // [{ path: "roles", kind: "changed", before: ["user"], after: ["user", "manager"] }]
+ */
+export const diffJson = (before: unknown, after: unknown, path = ""): DiffEntry[] => {
+	// A created or deleted object lists its fields one by one rather than as one blob.
+	if (before === null && isObject(after)) {
+		return diffJson({}, after, path);
+	}
+	if (isObject(before) && after === null) {
+		return diffJson(before, {}, path);
+	}
+	if (isObject(before) && isObject(after)) {
+		const keys = [...Object.keys(after), ...Object.keys(before).filter((key) => !(key in after))];
+		return keys.flatMap((key) => {
+			const child = childPath(path, key);
+			if (!(key in before)) {
+				return [{ path: child, kind: "added" as const, after: after[key] }];
+			}
+			if (!(key in after)) {
+				return [{ path: child, kind: "removed" as const, before: before[key] }];
+			}
+			return diffJson(before[key], after[key], child);
+		});
+	}
+	if (
+		Array.isArray(before) &&
+		Array.isArray(after) &&
+		!(isFlatArray(before) && isFlatArray(after))
+	) {
+		const length = Math.max(before.length, after.length);
+		return Array.from({ length }, (_, index) => {
+			const child = childPath(path, index);
+			if (index >= before.length) {
+				return [{ path: child, kind: "added" as const, after: after[index] }];
+			}
+			if (index >= after.length) {
+				return [{ path: child, kind: "removed" as const, before: before[index] }];
+			}
+			return diffJson(before[index], after[index], child);
+		}).flat();
+	}
+	if (JSON.stringify(before) === JSON.stringify(after)) {
+		return [];
+	}
+	if (before === null || before === undefined) {
+		return [{ path, kind: "added", after }];
+	}
+	if (after === null || after === undefined) {
+		return [{ path, kind: "removed", before }];
+	}
+	return [{ path, kind: "changed", before, after }];
+};
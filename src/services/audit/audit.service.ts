@@ -0,0 +1,46 @@
+import type { AuditQuery, AuditSlice } from "@interface/audit.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Loads a slice of the audit log, newest first.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {AuditQuery} query - Time range and actor filters.
+ * @param {{ cursor?: string | null; limit?: number; signal?: AbortSignal }} [options]
+ *        Where to continue (the `nextCursor` of the previous slice), how many events to
+ *        load, and cancellation.
+ * @returns {Promise<AuditSlice>} The slice.
+ * @throws {ApiError} `403` when the caller may not read the audit log.
+ */
+const list = (
+	accessToken: string,
+	query: AuditQuery,
+	{ cursor, limit, signal }: { cursor?: string | null; limit?: number; signal?: AbortSignal } = {}
+): Promise<AuditSlice> => {
+	const params = new URLSearchParams();
+	if (query.from) {
+		params.set("from", query.from);
+	}
+	if (query.to) {
+		params.set("to", query.to);
+	}
+	if (query.actor) {
+		params.set("actor", query.actor);
+	}
+	if (cursor) {
+		params.set("cursor", cursor);
+	}
+	if (limit) {
+		params.set("limit", String(limit));
+	}
+	return apiRequest<AuditSlice>(`/audit/events?${params}`, { accessToken, signal });
+};
+
+/**
+ * @constant auditService
+ * Audit log endpoints of the InterfaceGuard API.
+ *
+ * * Example Usage:
+ * const { items, nextCursor } = await auditService.list(accessToken, { actor: "jane" });
+ */
+export const auditService = Object.freeze({ list });
@@ -0,0 +1,152 @@
+import type {
+	AuthTokens,
+	AuthUser,
+	LoginCredentials,
+	LoginResponse,
+} from "@interface/auth.interface";
+import type { MfaChallenge } from "@interface/mfa.interface";
+import type {
+	AuthenticationResponseJSON,
+	PasskeyRequestOptionsJSON,
+} from "@interface/passkey.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Tells a finished login apart from one waiting for a second factor.
+ *
+ * @param {object} result - The answer of `login`, or anything built from it.
+ * @returns {boolean} `true` when a code must be submitted to `verifyMfa`.
+ */
+export const isMfaChallenge = (result: object): result is MfaChallenge => "mfaRequired" in result;
+
+/**
+ * Exchanges user credentials for a token pair and the signed-in user.
+ *
+ * Accounts with a second factor get an {@link MfaChallenge} instead of tokens; the sign-in
+ * is then completed with {@link verifyMfa}.
+ *
+ * @param {LoginCredentials} credentials - Email and password entered by the user.
+ * @returns {Promise<LoginResponse | MfaChallenge>} The issued tokens together with the
+ * user profile, or the pending challenge.
+ * @throws {ApiError} `401` when the credentials are rejected.
+ */
+const login = (credentials: LoginCredentials): Promise<LoginResponse | MfaChallenge> =>
+	apiRequest<LoginResponse | MfaChallenge>("/auth/login", { method: "POST", body: credentials });
+
+/**
+ * Completes a login that returned an {@link MfaChallenge}.
+ *
+ * @param {string} mfaToken - The token of the challenge.
+ * @param {string} code - A 6-digit TOTP code or an unused recovery code.
+ * @returns {Promise<LoginResponse>} The issued tokens together with the user profile.
+ * @throws {ApiError} `401` with code `MFA_CODE_INVALID` for a wrong code, or
+ * `MFA_CHALLENGE_EXPIRED` when the user has to enter their password again.
+ */
+const verifyMfa = (mfaToken: string, code: string): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/auth/mfa/verify", { method: "POST", body: { mfaToken, code } });
+
+/**
+ * Completes a login that returned an {@link MfaChallenge} with a recovery code, for users
+ * who lost their authenticator. The API turns two-factor authentication off for the
+ * account and ends its other sessions, so the lost device is useless from then on; the
+ * user should enroll a new one right away.
+ *
+ * @param {string} mfaToken - The token of the challenge.
+ * @param {string} code - An unused recovery code.
+ * @returns {Promise<LoginResponse>} The issued tokens together with the user profile.
+ * @throws {ApiError} `401` with code `MFA_CODE_INVALID` for a wrong or used code, or
+ * `MFA_CHALLENGE_EXPIRED` when the user has to enter their password again.
+ */
+const recoverMfa = (mfaToken: string, code: string): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/auth/mfa/recover", { method: "POST", body: { mfaToken, code } });
+
+/**
+ * Exchanges an ID token from the OpenID Connect provider for an InterfaceGuard session.
+ * The API verifies the token again and matches the account by email.
+ *
+ * @param {string} idToken - The ID token, already verified by the client.
+ * @param {string} nonce - The nonce sent in the authorization request.
+ * @returns {Promise<LoginResponse>} The issued tokens together with the user profile.
+ * @throws {ApiError} `401` for an invalid token, `403` when no account matches.
+ */
+const loginWithOidc = (idToken: string, nonce: string): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/auth/oidc", { method: "POST", body: { idToken, nonce } });
+
+/**
+ * Requests the options of a passkey sign-in. No account is named: the user picks one of
+ * the passkeys stored on their authenticator for this site.
+ *
+ * @returns {Promise<PasskeyRequestOptionsJSON>} The options, with a fresh challenge.
+ */
+const passkeyOptions = (): Promise<PasskeyRequestOptionsJSON> =>
+	apiRequest<PasskeyRequestOptionsJSON>("/auth/passkeys/authentication/options", {
+		method: "POST",
+	});
+
+/**
+ * Signs in with an assertion produced by `getPasskey`. A user-verified passkey counts as
+ * both factors, so no {@link MfaChallenge} follows.
+ *
+ * @param {AuthenticationResponseJSON} credential - The signed assertion.
+ * @returns {Promise<LoginResponse>} The issued tokens together with the user profile.
+ * @throws {ApiError} `401` with code `PASSKEY_INVALID` for an unknown passkey or a bad
+ * signature, `400` with code `PASSKEY_CHALLENGE_EXPIRED` when the options are stale.
+ */
+const loginWithPasskey = (credential: AuthenticationResponseJSON): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/auth/passkeys/authentication", {
+		method: "POST",
+		body: { credential },
+	});
+
+/**
+ * Revokes the refresh token on the server, ending the session.
+ *
+ * @param {string} refreshToken - The refresh token of the session to end.
+ * @returns {Promise<void>}
+ */
+const logout = (refreshToken: string): Promise<void> =>
+	apiRequest<void>("/auth/logout", { method: "POST", body: { refreshToken } });
+
+/**
+ * Trades a refresh token for a fresh token pair.
+ *
+ * Refresh tokens are rotated: the token passed in is invalid once this resolves, so the
+ * returned `refreshToken` must replace it.
+ *
+ * @param {string} refreshToken - The current refresh token.
+ * @returns {Promise<AuthTokens>} The new token pair.
+ * @throws {ApiError} `401` when the refresh token is expired, revoked or already used.
+ */
+const refresh = (refreshToken: string): Promise<AuthTokens> =>
+	apiRequest<AuthTokens>("/auth/refresh", { method: "POST", body: { refreshToken } });
+
+/**
+ * Loads the profile of the user the access token belongs to.
+ *
+ * @param {string} accessToken - A valid access token.
+ * @returns {Promise<AuthUser>} The current user.
+ */
+const me = (accessToken: string): Promise<AuthUser> =>
+	apiRequest<AuthUser>("/auth/me", { accessToken });
+
+/**
+ * @constant authService
+ * Authentication endpoints of the InterfaceGuard API.
+ *
+ * The service is stateless: tokens are passed in and returned, and it is up to the
+ * session layer to decide where they are kept.
+ *
+ * * Example Usage:
+ * const { accessToken, refreshToken, user } = await authService.login({ email, password });
+ */
+export const authService = Object.freeze({
+	login,
+	verifyMfa,
+	recoverMfa,
+	loginWithOidc,
+	passkeyOptions,
+	loginWithPasskey,
+	logout,
+	refresh,
+	me,
+});
@@ -0,0 +1,40 @@
+import type { LoginResponse } from "@interface/auth.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Opens a delegated session of another user for the caller. The caller's own session
+ * stays valid, and the delegated one ends with it.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {string} userId - The user to view the application as.
+ * @returns {Promise<LoginResponse>} Tokens of the delegated session, naming the caller in
+ * their `act` claim, and the profile of the user.
+ * @throws {ApiError} `403` without the `create` grant on `impersonation` or when the user
+ * holds roles the caller does not (`IMPERSONATION_FORBIDDEN`), `404` for a user out of
+ * reach, `409` for the caller themselves or a suspended user.
+ */
+const start = (accessToken: string, userId: string): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/auth/impersonation", {
+		method: "POST",
+		accessToken,
+		body: { userId },
+	});
+
+/**
+ * Ends a delegated session.
+ *
+ * @param {string} accessToken - Access token of the delegated session.
+ * @returns {Promise<void>}
+ */
+const stop = (accessToken: string): Promise<void> =>
+	apiRequest<void>("/auth/impersonation", { method: "DELETE", accessToken });
+
+/**
+ * @constant impersonationService
+ * "View as user" endpoints of the InterfaceGuard API. Delegated sessions are read-only:
+ * the API answers every change with `403 IMPERSONATION_READ_ONLY`.
+ *
+ * * Example Usage:
+ * const { user, ...tokens } = await impersonationService.start(accessToken, userId);
+ */
+export const impersonationService = Object.freeze({ start, stop });
@@ -0,0 +1,38 @@
+import type { TotpActivation, TotpEnrollment } from "@interface/mfa.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Starts TOTP enrollment for the signed-in user. Calling it again replaces the pending
+ * secret, so an abandoned enrollment can simply be restarted.
+ *
+ * @param {string} accessToken - Access token of the user enrolling.
+ * @returns {Promise<TotpEnrollment>} The secret and its `otpauth://` URI.
+ * @throws {ApiError} `409` when TOTP is already enabled.
+ */
+const enrollTotp = (accessToken: string): Promise<TotpEnrollment> =>
+	apiRequest<TotpEnrollment>("/auth/mfa/totp/enroll", { method: "POST", accessToken });
+
+/**
+ * Enables TOTP once the user proves their app produces valid codes.
+ *
+ * @param {string} accessToken - Access token of the user enrolling.
+ * @param {string} code - The 6-digit code shown by the authenticator app.
+ * @returns {Promise<TotpActivation>} The recovery codes and the updated user.
+ * @throws {ApiError} `400` with code `MFA_CODE_INVALID` for a wrong code.
+ */
+const activateTotp = (accessToken: string, code: string): Promise<TotpActivation> =>
+	apiRequest<TotpActivation>("/auth/mfa/totp/activate", {
+		method: "POST",
+		accessToken,
+		body: { code },
+	});
+
+/**
+ * @constant mfaService
+ * Second-factor management endpoints of the InterfaceGuard API. Completing a sign-in
+ * with a second factor is part of `authService`.
+ *
+ * * Example Usage:
+ * const { otpauthUri } = await mfaService.enrollTotp(accessToken);
+ */
+export const mfaService = Object.freeze({ enrollTotp, activateTotp });
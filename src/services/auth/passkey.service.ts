@@ -0,0 +1,72 @@
+import type {
+	PasskeyCreationOptionsJSON,
+	PasskeySummary,
+	RegistrationResponseJSON,
+} from "@interface/passkey.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Requests options to register a new passkey for the signed-in user. Passkeys already
+ * registered are listed in `excludeCredentials`, so an authenticator is not enrolled twice.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @returns {Promise<PasskeyCreationOptionsJSON>} The options, with a fresh challenge.
+ */
+const registrationOptions = (accessToken: string): Promise<PasskeyCreationOptionsJSON> =>
+	apiRequest<PasskeyCreationOptionsJSON>("/auth/passkeys/registration/options", {
+		method: "POST",
+		accessToken,
+	});
+
+/**
+ * Sends a newly created credential to the API, which verifies it and stores the passkey.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {RegistrationResponseJSON} credential - The result of `createPasskey`.
+ * @param {string} [name] - Label chosen by the user.
+ * @returns {Promise<PasskeySummary>} The stored passkey.
+ * @throws {ApiError} `400` with code `PASSKEY_VERIFICATION_FAILED` or
+ * `PASSKEY_CHALLENGE_EXPIRED`, `409` when the credential is already registered.
+ */
+const register = (
+	accessToken: string,
+	credential: RegistrationResponseJSON,
+	name?: string
+): Promise<PasskeySummary> =>
+	apiRequest<PasskeySummary>("/auth/passkeys/registration", {
+		method: "POST",
+		accessToken,
+		body: { credential, name },
+	});
+
+/**
+ * Lists the passkeys of the signed-in user.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @returns {Promise<PasskeySummary[]>} The passkeys.
+ */
+const list = (accessToken: string): Promise<PasskeySummary[]> =>
+	apiRequest<PasskeySummary[]>("/auth/passkeys", { accessToken });
+
+/**
+ * Removes a passkey. It stays on the authenticator but can no longer sign in.
+ *
+ * @param {string} accessToken - Access token of the user.
+ * @param {string} id - The credential ID.
+ * @returns {Promise<void>}
+ * @throws {ApiError} `404` when the passkey does not belong to the user.
+ */
+const remove = (accessToken: string, id: string): Promise<void> =>
+	apiRequest<void>(`/auth/passkeys/${encodeURIComponent(id)}`, { method: "DELETE", accessToken });
+
+/**
+ * @constant passkeyService
+ * Passkey management endpoints of the InterfaceGuard API. Signing in with a passkey is
+ * part of `authService`; the browser side of both ceremonies lives in
+ * `@services/webauthn/webauthn.ceremony`.
+ *
+ * * Example Usage:
+ * const options = await passkeyService.registrationOptions(accessToken);
+ * await passkeyService.register(accessToken, await createPasskey(options), "Laptop");
+ */
+export const passkeyService = Object.freeze({ registrationOptions, register, list, remove });
@@ -0,0 +1,70 @@
+import { z } from "zod";
+
+import { NEW_PASSWORD_MESSAGES, newPasswordSchema } from "@services/password/password.schema";
+import { USER_FIELD_MESSAGES, userSchema } from "@services/users/user.schema";
+import type { FieldMessages } from "@utils/fieldErrors";
+
+/**
+ * Values of the forgotten-password form.
+ */
+export interface ForgotPasswordFormValues {
+	email: string;
+}
+
+/**
+ * Values of the reset form. `confirmPassword` never leaves the browser.
+ */
+export interface ResetPasswordFormValues {
+	password: string;
+	confirmPassword: string;
+}
+
+/**
+ * @constant FORGOT_PASSWORD_FIELD_MESSAGES
+ * Messages of the forgotten-password form by field and error code, shared with the API.
+ */
+export const FORGOT_PASSWORD_FIELD_MESSAGES = Object.freeze({
+	email: {
+		required: USER_FIELD_MESSAGES.email.required,
+		invalid: USER_FIELD_MESSAGES.email.invalid,
+		too_long: USER_FIELD_MESSAGES.email.too_long,
+	},
+} satisfies FieldMessages<ForgotPasswordFormValues>);
+
+/**
+ * @constant RESET_PASSWORD_FIELD_MESSAGES
+ * Messages of the reset form by field and error code, shared with the API.
+ */
+export const RESET_PASSWORD_FIELD_MESSAGES = Object.freeze({
+	password: NEW_PASSWORD_MESSAGES,
+	confirmPassword: {
+		mismatch: "The passwords do not match.",
+	},
+} satisfies FieldMessages<ResetPasswordFormValues>);
+
+/**
+ * @constant forgotPasswordSchema
+ * Validation of the forgotten-password form: the address only has to look like one.
+ */
+export const forgotPasswordSchema = userSchema.pick({
+	email: true,
+}) satisfies z.ZodType<ForgotPasswordFormValues>;
+
+/**
+ * Builds the validation of the reset form. The password follows the password policy and
+ * may not contain the address of the account. Whether it was used before is only known
+ * to the API.
+ *
+ * @param {string} email - The address of the account, from the reset link.
+ * @returns {z.ZodType<ResetPasswordFormValues>} The schema, to validate with `parseAsync`.
+ */
+export const createResetPasswordSchema = (email: string) =>
+	z
+		.object({
+			password: newPasswordSchema([email]),
+			confirmPassword: z.string(),
+		})
+		.refine((values) => values.confirmPassword === values.password, {
+			path: ["confirmPassword"],
+			message: RESET_PASSWORD_FIELD_MESSAGES.confirmPassword.mismatch,
+		}) satisfies z.ZodType<ResetPasswordFormValues>;
@@ -0,0 +1,55 @@
+import type { PasswordReset, PasswordResetPreview } from "@interface/recovery.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Asks the API to email a password reset link. The answer is the same whether or not an
+ * account uses the address, so nothing can be learned from it.
+ *
+ * @param {string} email - The address entered by the user.
+ * @returns {Promise<void>}
+ * @throws {ApiError} `400` when the address is missing.
+ */
+const requestPasswordReset = (email: string): Promise<void> =>
+	apiRequest<void>("/auth/password/forgot", { method: "POST", body: { email } });
+
+/**
+ * Checks a reset link before the new password is typed.
+ *
+ * @param {string} token - The token of the link.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<PasswordResetPreview>} The account the link belongs to.
+ * @throws {ApiError} `400` with code `RESET_TOKEN_INVALID` for an unknown, used, replaced
+ * or expired link.
+ */
+const previewPasswordReset = (token: string, signal?: AbortSignal): Promise<PasswordResetPreview> =>
+	apiRequest<PasswordResetPreview>("/auth/password/reset/lookup", {
+		method: "POST",
+		body: { token },
+		signal,
+	});
+
+/**
+ * Sets a new password with the token of a reset link. Every session of the account is
+ * ended; the user signs in again afterwards, second factor included.
+ *
+ * @param {PasswordReset} reset - The token and the new password.
+ * @returns {Promise<void>}
+ * @throws {ApiError} `400` with code `RESET_TOKEN_INVALID`, or `VALIDATION_FAILED` and the
+ * broken password rule in `details.fields.password`.
+ */
+const resetPassword = (reset: PasswordReset): Promise<void> =>
+	apiRequest<void>("/auth/password/reset", { method: "POST", body: reset });
+
+/**
+ * @constant recoveryService
+ * Endpoints of the InterfaceGuard API for users who forgot their password. Signing in
+ * with a recovery code after losing the authenticator is part of `authService`.
+ *
+ * * Example Usage:
+ * await recoveryService.requestPasswordReset("jane@example.com");
+ */
+export const recoveryService = Object.freeze({
+	requestPasswordReset,
+	previewPasswordReset,
+	resetPassword,
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+
+import { CsvParseError, detectDelimiter, parseCsv, toCsv } from "./csv.format";
+
+describe("detectDelimiter", () => {
+	it("picks the delimiter used the most on the first line", () => {
+		expect(detectDelimiter("name;email;roles\nAda;ada@example.com;admin")).toBe(";");
+		expect(detectDelimiter("name\temail\nAda,Lovelace\tada@example.com")).toBe("\t");
+	});
+
+	it("ignores delimiters inside quotes", () => {
+		expect(detectDelimiter('"Lovelace, Ada";"a,b,c";x')).toBe(";");
+	});
+
+	it("falls back to commas", () => {
+		expect(detectDelimiter("name")).toBe(",");
+		expect(detectDelimiter("")).toBe(",");
+	});
+});
+
+describe("parseCsv", () => {
+	it("splits rows and cells, whatever the line endings", () => {
+		expect(parseCsv("a,b\r\nc,d\ne,f\rg,h")).toEqual([
+			["a", "b"],
+			["c", "d"],
+			["e", "f"],
+			["g", "h"],
+		]);
+	});
+
+	it("reads quoted values with delimiters, doubled quotes and line breaks", () => {
+		expect(parseCsv('name,note\n"Lovelace, Ada","said ""hi""\ntwice"')).toEqual([
+			["name", "note"],
+			["Lovelace, Ada", 'said "hi"\ntwice'],
+		]);
+	});
+
+	it("skips the byte order mark and blank lines, and keeps empty cells", () => {
+		expect(parseCsv("\ufeffa,b\n\n,\n c ,\n")).toEqual([
+			["a", "b"],
+			["", ""],
+			[" c ", ""],
+		]);
+	});
+
+	it("detects the delimiter unless one is given", () => {
+		expect(parseCsv("a;b\nc;d")).toEqual([
+			["a", "b"],
+			["c", "d"],
+		]);
+		expect(parseCsv("a;b,c", ",")).toEqual([["a;b", "c"]]);
+	});
+
+	it("reports the line of a quoted value that is never closed", () => {
+		const error = (() => {
+			try {
+				parseCsv('a,b\nc,"d\ne');
+			} catch (caught) {
+				return caught;
+			}
+		})();
+
+		expect(error).toBeInstanceOf(CsvParseError);
+		expect((error as CsvParseError).line).toBe(2);
+	});
+});
+
+describe("toCsv", () => {
+	it("joins cells with commas and rows with CRLF", () => {
+		expect(
+			toCsv([
+				["name", "email"],
+				["Ada", "ada@example.com"],
+			])
+		).toBe("name,email\r\nAda,ada@example.com");
+	});
+
+	it("quotes cells that would not read back as written", () => {
+		expect(toCsv([["Lovelace, Ada", 'say "hi"', "two\nlines", " padded", "plain"]])).toBe(
+			'"Lovelace, Ada","say ""hi""","two\nlines"," padded",plain'
+		);
+	});
+
+	it("neutralises cells read as formulas", () => {
+		expect(toCsv([['=HYPERLINK("x")', "+1", "-1", "@SUM(A1)", "a=b"]])).toBe(
+			'"\'=HYPERLINK(""x"")",\'+1,\'-1,\'@SUM(A1),a=b'
+		);
+	});
+
+	it("reads back what it writes", () => {
+		const rows = [
+			["name", "note"],
+			["Lovelace, Ada", 'said "hi"\r\ntwice'],
+			["", " spaced "],
+		];
+
+		expect(parseCsv(toCsv(rows))).toEqual(rows);
+	});
+});
@@ -0,0 +1,159 @@
+/**
+ * @class CsvParseError
+ * Raised when a CSV document cannot be parsed, e.g. a quoted value is never closed.
+ */
+export class CsvParseError extends Error {
+	/** 1-based line of the document where the problem starts. */
+	readonly line: number;
+
+	constructor(message: string, line: number) {
+		super(message);
+		this.name = "CsvParseError";
+		this.line = line;
+	}
+}
+
+/**
+ * Delimiters recognised by {@link detectDelimiter}: spreadsheet programs use `;` in
+ * locales where `,` is the decimal separator.
+ */
+const DELIMITERS = [",", ";", "\t"] as const;
+
+export type CsvDelimiter = (typeof DELIMITERS)[number];
+
+/**
+ * Guesses the delimiter of a document from its first line: the candidate appearing the
+ * most often outside quotes wins, `,` when none appears.
+ *
+ * @param {string} text - The document.
+ * @returns {CsvDelimiter} The delimiter.
+ */
+export const detectDelimiter = (text: string): CsvDelimiter => {
+	const counts = new Map<string, number>();
+	let quoted = false;
+	for (const char of text) {
+		if (char === '"') {
+			quoted = !quoted;
+		} else if (!quoted && (char === "\n" || char === "\r")) {
+			break;
+		} else if (!quoted) {
+			counts.set(char, (counts.get(char) ?? 0) + 1);
+		}
+	}
+	return DELIMITERS.reduce((best, candidate) =>
+		(counts.get(candidate) ?? 0) > (counts.get(best) ?? 0) ? candidate : best
+	);
+};
+
+/**
+ * Parses a CSV document (RFC 4180) into rows of cells.
+ *
+ * Accepts `\r\n`, `\n` and `\r` line endings, a leading byte order mark, and quoted
+ * values containing delimiters, quotes (doubled) and line breaks. Blank lines are
+ * skipped. Cells are returned as written; nothing is trimmed or converted.
+ *
+ * @param {string} text - The document.
+ * @param {CsvDelimiter} [delimiter] - Detected from the first line by default.
+ * @returns {string[][]} The rows.
+ * @throws {CsvParseError} When a quoted value is not closed.
+ *
+ * * Example Usage:
+ * const [headers, ...rows] = parseCsv(await file.text());
+ */
+export const parseCsv = (
+	text: string,
+	delimiter: CsvDelimiter = detectDelimiter(text)
+): string[][] => {
+	const rows: string[][] = [];
+	let row: string[] = [];
+	let field = "";
+	let quoted = false;
+	let quoteLine = 0;
+	let line = 1;
+
+	const endRow = () => {
+		row.push(field);
+		if (row.length > 1 || row[0] !== "") {
+			rows.push(row);
+		}
+		row = [];
+		field = "";
+	};
+
+	for (let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; index < text.length; index++) {
+		const char = text[index];
+		if (quoted) {
+			if (char === '"' && text[index + 1] === '"') {
+				field += '"';
+				index++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				if (char === "\n") {
+					line++;
+				}
+				field += char;
+			}
+		} else if (char === '"' && field === "") {
+			quoted = true;
+			quoteLine = line;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[index + 1] === "\n") {
+				index++;
+			}
+			line++;
+			endRow();
+		} else {
+			field += char;
+		}
+	}
+
+	if (quoted) {
+		throw new CsvParseError(
+			`The quoted value starting on line ${quoteLine} is never closed.`,
+			quoteLine
+		);
+	}
+	if (field !== "" || row.length > 0) {
+		endRow();
+	}
+	return rows;
+};
+
+/**
+ * Prefixes cells that spreadsheet programs would run as a formula (`=`, `+`, `-`, `@`,
+ * tab, carriage return) with `'`, so an exported name like `=HYPERLINK(...)` stays text
+ * when the file is opened (CSV injection).
+ *
+ * @param {string} value - The cell.
+ * @returns {string} The safe cell.
+ */
+const neutraliseFormula = (value: string): string =>
+	/^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+/**
+ * Serialises rows into a CSV document with `,` delimiters and `\r\n` line endings.
+ *
+ * Cells containing a delimiter, a quote, a line break or surrounding spaces are quoted;
+ * cells that would be read as formulas are neutralised first.
+ *
+ * @param {readonly (readonly string[])[]} rows - The rows, header first.
+ * @returns {string} The document.
+ *
+ * * Example Usage:
+ * downloadFile("users.csv", toCsv([["Name"], ["Ada"]]), "text/csv");
+ */
+export const toCsv = (rows: readonly (readonly string[])[]): string =>
+	rows
+		.map((row) =>
+			row
+				.map((cell) => {
+					const value = neutraliseFormula(cell);
+					return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+				})
+				.join(",")
+		)
+		.join("\r\n");
@@ -0,0 +1,38 @@
+import type { Breadcrumb } from "@interface/error.interface";
+
+/** Breadcrumbs kept; older ones are dropped. */
+const MAX_BREADCRUMBS = 30;
+
+let trail: Breadcrumb[] = [];
+
+/**
+ * Strips the query string and fragment of a URL, which may carry tokens (password reset
+ * links, OAuth callbacks), and the origin when it is the page's own.
+ *
+ * @param {string} url - An absolute URL or a path.
+ * @returns {string} E.g. `/api/users` or `https://idp.example.com/token`.
+ */
+export const redactUrl = (url: string): string => {
+	const parsed = new URL(url, window.location.href);
+	return parsed.origin === window.location.origin ?
+			parsed.pathname
+		:	`${parsed.origin}${parsed.pathname}`;
+};
+
+/**
+ * Records something that happened, to be sent along with the next error report.
+ *
+ * @param {Omit<Breadcrumb, "timestamp">} breadcrumb - What happened.
+ */
+export const addBreadcrumb = (breadcrumb: Omit<Breadcrumb, "timestamp">): void => {
+	trail = [...trail, { ...breadcrumb, timestamp: new Date().toISOString() }].slice(
+		-MAX_BREADCRUMBS
+	);
+};
+
+/**
+ * Returns the breadcrumbs recorded so far, oldest first.
+ *
+ * @returns {Breadcrumb[]}
+ */
+export const getBreadcrumbs = (): Breadcrumb[] => trail;
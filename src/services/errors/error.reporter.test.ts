@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import type { ClientErrorReport } from "@interface/error.interface";
+
+import { flushErrorReports, reportError, startErrorReporting } from "./error.reporter";
+
+vi.mock("@utils/env", () => ({ env: { errors: { endpoint: "/errors" } } }));
+
+/** `keepalive` bodies browsers accept, all requests in flight together. */
+const KEEPALIVE_QUOTA = 64 * 1024;
+
+let fetchSpy: ReturnType<typeof vi.fn<typeof fetch>>;
+let page: EventTarget & { visibilityState: string };
+let stop: () => void;
+
+/**
+ * Requests sent so far: their reports, size and whether they may outlive the page.
+ */
+const sent = () =>
+	fetchSpy.mock.calls.map(([, init]) => ({
+		reports: (JSON.parse(String(init?.body)) as { reports: ClientErrorReport[] }).reports,
+		size: new TextEncoder().encode(String(init?.body)).length,
+		keepalive: init?.keepalive,
+	}));
+
+/**
+ * Reports `count` distinct errors with a long stack, about 5 KB each.
+ */
+const reportErrors = (count: number, prefix: string): string[] =>
+	Array.from({ length: count }, (_, index) => {
+		const error = new Error(`${prefix} ${index}`);
+		error.stack = `${error.message}\n${"    at somewhere (app.js:1:1)\n".repeat(160)}`;
+		return reportError(error)!;
+	});
+
+const hide = () => {
+	page.visibilityState = "hidden";
+	page.dispatchEvent(new Event("visibilitychange"));
+};
+
+/**
+ * Sends every queued report, a batch at a time.
+ */
+const flushAll = async () => {
+	for (let calls = -1; calls !== fetchSpy.mock.calls.length; ) {
+		// Lets a flush already in progress settle first.
+		await new Promise((resolve) => setTimeout(resolve));
+		calls = fetchSpy.mock.calls.length;
+		await flushErrorReports();
+	}
+};
+
+beforeEach(() => {
+	fetchSpy = vi.fn<typeof fetch>(async () => new Response(null, { status: 202 }));
+	page = Object.assign(new EventTarget(), { visibilityState: "visible" });
+	vi.stubGlobal("fetch", fetchSpy);
+	vi.stubGlobal("document", page);
+	vi.stubGlobal("navigator", { userAgent: "vitest" });
+	vi.stubGlobal(
+		"window",
+		Object.assign(new EventTarget(), { location: new URL("http://localhost/users") })
+	);
+	stop = startErrorReporting();
+});
+
+afterEach(async () => {
+	stop();
+	await flushAll();
+	vi.unstubAllGlobals();
+});
+
+describe("startErrorReporting", () => {
+	it("sends what fits in the keepalive quota when the page is hidden, and keeps the rest", async () => {
+		const ids = reportErrors(30, "Hidden");
+		const before = fetchSpy.mock.calls.length;
+
+		hide();
+
+		const onHide = sent().slice(before);
+		expect(onHide.length).toBeGreaterThan(0);
+		expect(onHide.every(({ keepalive }) => keepalive)).toBe(true);
+		expect(onHide.reduce((total, { size }) => total + size, 0)).toBeLessThan(KEEPALIVE_QUOTA);
+
+		await flushAll();
+		const delivered = sent().flatMap(({ reports }) => reports.map(({ id }) => id));
+		expect(delivered.filter((id) => ids.includes(id)).sort()).toEqual([...ids].sort());
+	});
+
+	it("puts the reports of a failed request back in the queue", async () => {
+		const ids = reportErrors(3, "Rejected");
+		fetchSpy.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+		hide();
+		await vi.waitFor(() => expect(fetchSpy).toHaveBeenCalledTimes(1));
+		await Promise.resolve();
+		await flushAll();
+
+		expect(sent().map(({ reports }) => reports.map(({ id }) => id))).toEqual([ids, ids]);
+	});
+});
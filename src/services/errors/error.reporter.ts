@@ -0,0 +1,286 @@
+import type {
+	ClientErrorReport,
+	ErrorBoundaryLevel,
+	ErrorSource,
+} from "@interface/error.interface";
+import { ApiError } from "@services/api/api.errors";
+import { sessionStore } from "@services/session/session.service";
+import { env } from "@utils/env";
+
+import { getBreadcrumbs, redactUrl } from "./error.breadcrumbs";
+
+/** Reports sent in one request at most. */
+const BATCH_SIZE = 10;
+
+/** Milliseconds between two batches. */
+const FLUSH_INTERVAL = 5000;
+
+/** Reports kept while the endpoint cannot be reached; the oldest are dropped first. */
+const MAX_QUEUED = 50;
+
+/** Milliseconds during which the same error is only reported once. */
+const REPEAT_WINDOW = 60 * 1000;
+
+/**
+ * Bytes of request bodies sent with `keepalive`, a little under the 64 KiB browsers allow
+ * for every such request in flight together. Beyond it, `fetch` rejects at once.
+ */
+const KEEPALIVE_LIMIT = 60 * 1024;
+
+/**
+ * What is known about an error besides the error itself.
+ */
+export interface ErrorContext {
+	source: ErrorSource;
+	boundary?: ErrorBoundaryLevel;
+	componentStack?: string;
+}
+
+let queue: ClientErrorReport[] = [];
+let sending = false;
+/** Identifier and date of the last report of every error, by fingerprint. */
+const reported = new Map<string, { id: string; at: number }>();
+
+/**
+ * Tells whether an error is not worth reporting: cancelled requests, and the harmless
+ * `ResizeObserver` warning some browsers raise as an error.
+ *
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+const isNoise = (error: unknown): boolean =>
+	(error instanceof DOMException && error.name === "AbortError") ||
+	(error instanceof Error && error.message.startsWith("ResizeObserver loop"));
+
+/**
+ * Describes any thrown value, `Error` or not.
+ *
+ * @param {unknown} error - The thrown value.
+ * @returns {Pick<ClientErrorReport, "name" | "message" | "stack" | "code">}
+ */
+const describe = (
+	error: unknown
+): Pick<ClientErrorReport, "name" | "message" | "stack" | "code"> => {
+	if (error instanceof Error) {
+		return {
+			name: error.name,
+			message: error.message,
+			stack: error.stack,
+			code: error instanceof ApiError ? error.code : undefined,
+		};
+	}
+	let message: string;
+	try {
+		message = typeof error === "string" ? error : (JSON.stringify(error) ?? String(error));
+	} catch {
+		message = String(error);
+	}
+	return { name: "NonError", message };
+};
+
+/**
+ * Size of the request body carrying a batch of reports.
+ *
+ * @param {ClientErrorReport[]} batch - The reports.
+ * @returns {number} The size in bytes.
+ */
+const bodySize = (batch: ClientErrorReport[]): number =>
+	new TextEncoder().encode(JSON.stringify({ reports: batch })).length;
+
+/**
+ * Puts reports that could not be delivered back at the front of the queue.
+ *
+ * @param {ClientErrorReport[]} batch - The reports.
+ */
+const requeue = (batch: ClientErrorReport[]) => {
+	queue = [...batch, ...queue].slice(-MAX_QUEUED);
+};
+
+/**
+ * Posts a batch of reports to the endpoint, putting it back in the queue when the
+ * endpoint cannot take it for now (network failure, `408`, `429`, `5xx`); other refusals
+ * drop it. `keepalive` lets the request outlive the page when the batch is small enough.
+ * It does not go through `httpRequest`, so reporting never adds breadcrumbs of its own.
+ *
+ * @param {ClientErrorReport[]} batch - The reports.
+ * @returns {Promise<void>}
+ */
+const post = async (batch: ClientErrorReport[]): Promise<void> => {
+	try {
+		const { status } = await fetch(env.errors.endpoint, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ reports: batch }),
+			credentials: "same-origin",
+			keepalive: bodySize(batch) <= KEEPALIVE_LIMIT,
+		});
+		if (status === 408 || status === 429 || status >= 500) {
+			requeue(batch);
+		}
+	} catch {
+		requeue(batch);
+	}
+};
+
+/**
+ * Splits the oldest reports into batches of at most {@link BATCH_SIZE} whose bodies fit
+ * together in `budget` bytes.
+ *
+ * @param {ClientErrorReport[]} reports - The reports, oldest first.
+ * @param {number} budget - Bytes available.
+ * @returns {{ batches: ClientErrorReport[][], rest: ClientErrorReport[] }} The batches, and
+ * the reports left out.
+ */
+const fitInto = (
+	reports: ClientErrorReport[],
+	budget: number
+): { batches: ClientErrorReport[][]; rest: ClientErrorReport[] } => {
+	const batches: ClientErrorReport[][] = [];
+	let left = budget;
+	let index = 0;
+	while (index < reports.length) {
+		const batch: ClientErrorReport[] = [];
+		while (
+			index < reports.length &&
+			batch.length < BATCH_SIZE &&
+			bodySize([...batch, reports[index]]) <= left
+		) {
+			batch.push(reports[index]);
+			index++;
+		}
+		if (batch.length === 0) {
+			break;
+		}
+		left -= bodySize(batch);
+		batches.push(batch);
+	}
+	return { batches, rest: reports.slice(index) };
+};
+
+/**
+ * Queues an error for the next batch sent to `INTERFACE_GUARD_ERROR_ENDPOINT`, with the
+ * recent breadcrumbs, the page and the signed-in user. The same error is only reported
+ * once a minute, and nothing is recorded when no endpoint is configured.
+ *
+ * @param {unknown} error - The error, usually an `Error`.
+ * @param {ErrorContext} [context] - How it was caught.
+ * @returns {string | null} Identifier of the report, to show as a reference; `null` when
+ * the error is not reported.
+ *
+ * * Example Usage:
+ * const reference = reportError(error, { source: "boundary", boundary: "route" });
+ */
+export const reportError = (
+	error: unknown,
+	context: ErrorContext = { source: "manual" }
+): string | null => {
+	if (!env.errors.endpoint || isNoise(error)) {
+		return null;
+	}
+	const report: ClientErrorReport = {
+		id: crypto.randomUUID(),
+		occurredAt: new Date().toISOString(),
+		...context,
+		...describe(error),
+		path: redactUrl(window.location.href),
+		userAgent: navigator.userAgent,
+		userId: sessionStore.getState().claims?.userId,
+		breadcrumbs: getBreadcrumbs(),
+	};
+
+	const fingerprint = [report.name, report.message, report.stack ?? report.path].join("\n");
+	const now = Date.now();
+	const previous = reported.get(fingerprint);
+	if (previous && now - previous.at < REPEAT_WINDOW) {
+		return previous.id;
+	}
+	reported.set(fingerprint, { id: report.id, at: now });
+
+	queue = [...queue, report].slice(-MAX_QUEUED);
+	if (queue.length >= BATCH_SIZE) {
+		void flushErrorReports();
+	}
+	return report.id;
+};
+
+/**
+ * Sends the oldest queued reports. Reports the endpoint could not take for now (network
+ * failure, `408`, `429`, `5xx`) are kept for the next attempt; other refusals drop them.
+ *
+ * @returns {Promise<void>}
+ */
+export const flushErrorReports = async (): Promise<void> => {
+	if (sending || queue.length === 0) {
+		return;
+	}
+	const batch = queue.slice(0, BATCH_SIZE);
+	queue = queue.slice(batch.length);
+	sending = true;
+	try {
+		await post(batch);
+	} finally {
+		sending = false;
+	}
+};
+
+/**
+ * Starts capturing errors nothing else handled: uncaught exceptions and promise
+ * rejections without handler. Queued reports are sent every few seconds, and as many as
+ * the browser lets outlive the page when it is hidden or unloaded.
+ *
+ * Call it once, before the first render, so errors thrown while starting are captured too.
+ *
+ * @returns {() => void} Stops capturing and sending.
+ *
+ * * Example Usage:
+ * const stop = startErrorReporting();
+ */
+export const startErrorReporting = (): (() => void) => {
+	if (!env.errors.endpoint) {
+		return () => undefined;
+	}
+
+	const onError = (event: ErrorEvent) => {
+		// Cross-origin scripts only tell "Script error." without the error itself.
+		if (event.error != null) {
+			reportError(event.error, { source: "error" });
+		}
+	};
+	const onRejection = (event: PromiseRejectionEvent) => {
+		reportError(event.reason, { source: "unhandledrejection" });
+	};
+	const onHide = () => {
+		if (document.visibilityState !== "hidden") {
+			return;
+		}
+		// Only what fits in the keepalive budget can outlive the page; the rest waits in the
+		// queue in case the page is shown again.
+		const { batches, rest } = fitInto(queue, KEEPALIVE_LIMIT);
+		queue = rest;
+		batches.forEach((batch) => void post(batch));
+	};
+	const prune = () => {
+		const now = Date.now();
+		reported.forEach(({ at }, fingerprint) => {
+			if (now - at >= REPEAT_WINDOW) {
+				reported.delete(fingerprint);
+			}
+		});
+	};
+	const timer = setInterval(() => {
+		prune();
+		void flushErrorReports();
+	}, FLUSH_INTERVAL);
+
+	window.addEventListener("error", onError);
+	window.addEventListener("unhandledrejection", onRejection);
+	window.addEventListener("pagehide", onHide);
+	document.addEventListener("visibilitychange", onHide);
+	return () => {
+		clearInterval(timer);
+		window.removeEventListener("error", onError);
+		window.removeEventListener("unhandledrejection", onRejection);
+		window.removeEventListener("pagehide", onHide);
+		document.removeEventListener("visibilitychange", onHide);
+	};
+};
@@ -0,0 +1,29 @@
+import { ApiError } from "@services/api/api.request";
+
+/**
+ * @constant INVITATION_ERROR_MESSAGES
+ * What the invitee is told when an invitation cannot be used, by API error code. Each
+ * case says what to do next, since the remedy differs.
+ */
+export const INVITATION_ERROR_MESSAGES: Readonly<Record<string, string>> = Object.freeze({
+	INVITATION_INVALID:
+		"This invitation link is not valid. It may have been replaced by a newer one or revoked. Use the latest link you received, or ask the person who invited you for a new one.",
+	INVITATION_USED: "This invitation was already accepted. Sign in with the account it created.",
+	INVITATION_EXPIRED:
+		"This invitation has expired. Ask the person who invited you to send it again.",
+	SSO_EMAIL_MISMATCH:
+		"The account you signed in with does not use the invited email address. Sign in to the identity provider with the invited address, or set a password instead.",
+	EMAIL_TAKEN: "An account already exists for this email address. Sign in instead.",
+});
+
+/**
+ * Turns a rejected invitation lookup or acceptance into a message.
+ *
+ * @param {unknown} error - The rejection.
+ * @returns {string | null} The message, `null` when the error is not about the invitation.
+ *
+ * * Example Usage:
+ * setError(invitationErrorMessage(error) ?? "Something went wrong. Please try again.");
+ */
+export const invitationErrorMessage = (error: unknown): string | null =>
+	error instanceof ApiError ? (INVITATION_ERROR_MESSAGES[error.code] ?? null) : null;
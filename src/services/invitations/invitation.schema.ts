@@ -0,0 +1,104 @@
+import { z } from "zod";
+
+import type { InvitationInput } from "@interface/invitation.interface";
+import { PROFILE_FIELD_MESSAGES, profileSchema } from "@services/account/account.schema";
+import { NEW_PASSWORD_MESSAGES, newPasswordSchema } from "@services/password/password.schema";
+import { checkPassword, passwordPolicy } from "@services/password/password.policy";
+import { USER_FIELD_MESSAGES, userSchema } from "@services/users/user.schema";
+import type { FieldMessages } from "@utils/fieldErrors";
+
+/**
+ * @constant INVITATION_VALIDITY_DAYS
+ * How long an invitation link may stay valid, as offered by the invite form.
+ */
+export const INVITATION_VALIDITY_DAYS = Object.freeze([1, 3, 7, 14, 30]);
+
+/**
+ * Values of the invite form.
+ */
+export type InvitationFormValues = InvitationInput;
+
+/**
+ * Values of the form accepting an invitation with a password. `confirmPassword` never
+ * leaves the browser.
+ */
+export interface AcceptInvitationFormValues {
+	name: string;
+	password: string;
+	confirmPassword: string;
+}
+
+/**
+ * @constant INVITATION_FIELD_MESSAGES
+ * Messages of the invite form by field and error code, shared with the API. Email and
+ * roles follow the rules of the user form.
+ */
+export const INVITATION_FIELD_MESSAGES = Object.freeze({
+	email: {
+		...USER_FIELD_MESSAGES.email,
+		taken: "This person already has an account.",
+		invited: "This address already has an open invitation. Resend it from the list below.",
+	},
+	roles: USER_FIELD_MESSAGES.roles,
+	expiresInDays: {
+		invalid: `Choose between 1 and ${INVITATION_VALIDITY_DAYS.at(-1)} days.`,
+	},
+} satisfies FieldMessages<InvitationFormValues>);
+
+/**
+ * @constant ACCEPT_INVITATION_FIELD_MESSAGES
+ * Messages of the accept form by field and error code, shared with the API.
+ */
+export const ACCEPT_INVITATION_FIELD_MESSAGES = Object.freeze({
+	name: PROFILE_FIELD_MESSAGES.name,
+	password: NEW_PASSWORD_MESSAGES,
+	confirmPassword: {
+		mismatch: "The passwords do not match.",
+	},
+} satisfies FieldMessages<AcceptInvitationFormValues>);
+
+/**
+ * @constant invitationSchema
+ * Validation of the invite form, mirroring the rules of the API.
+ */
+export const invitationSchema = userSchema.pick({ email: true, roles: true }).extend({
+	expiresInDays: z
+		.number(INVITATION_FIELD_MESSAGES.expiresInDays.invalid)
+		.int(INVITATION_FIELD_MESSAGES.expiresInDays.invalid)
+		.min(1, INVITATION_FIELD_MESSAGES.expiresInDays.invalid)
+		.max(INVITATION_VALIDITY_DAYS.at(-1)!, INVITATION_FIELD_MESSAGES.expiresInDays.invalid),
+}) satisfies z.ZodType<InvitationFormValues>;
+
+/**
+ * Builds the validation of the accept form. The password follows the password policy
+ * and may contain neither the invited address nor the name typed next to it.
+ *
+ * @param {string} email - The invited address.
+ * @returns {z.ZodType<AcceptInvitationFormValues>} The schema, to validate with `parseAsync`.
+ */
+export const createAcceptInvitationSchema = (email: string) =>
+	z
+		.object({
+			name: profileSchema.shape.name,
+			password: newPasswordSchema([email]),
+			confirmPassword: z.string(),
+		})
+		.superRefine((values, context) => {
+			const personal = checkPassword(values.password, passwordPolicy, [values.name]).find(
+				(rule) => rule.code === "personal_info"
+			);
+			if (personal?.passed === false) {
+				context.addIssue({
+					code: "custom",
+					path: ["password"],
+					message: ACCEPT_INVITATION_FIELD_MESSAGES.password.personal_info,
+				});
+			}
+			if (values.confirmPassword !== values.password) {
+				context.addIssue({
+					code: "custom",
+					path: ["confirmPassword"],
+					message: ACCEPT_INVITATION_FIELD_MESSAGES.confirmPassword.mismatch,
+				});
+			}
+		}) satisfies z.ZodType<AcceptInvitationFormValues>;
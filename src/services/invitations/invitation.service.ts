@@ -0,0 +1,97 @@
+import type { LoginResponse } from "@interface/auth.interface";
+import type {
+	Invitation,
+	InvitationAcceptance,
+	InvitationInput,
+	InvitationPreview,
+} from "@interface/invitation.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Lists the invitations the caller may manage, newest first.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<Invitation[]>} The invitations, whatever their status.
+ * @throws {ApiError} `403` when the caller may not create users.
+ */
+const list = (accessToken: string, signal?: AbortSignal): Promise<Invitation[]> =>
+	apiRequest<Invitation[]>("/invitations", { accessToken, signal });
+
+/**
+ * Invites someone to the caller's tenant. The API emails them a link.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {InvitationInput} input - Address, roles and validity of the link.
+ * @returns {Promise<Invitation>} The sent invitation.
+ * @throws {ApiError} `400 VALIDATION_FAILED`, `409 EMAIL_TAKEN` or `409 INVITATION_PENDING`,
+ * with `details.fields`.
+ */
+const create = (accessToken: string, input: InvitationInput): Promise<Invitation> =>
+	apiRequest<Invitation>("/invitations", { method: "POST", accessToken, body: input });
+
+/**
+ * Emails a new link, valid as long as the first one was. Earlier links stop working.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {string} id - The invitation ID.
+ * @returns {Promise<Invitation>} The invitation, with its new expiry.
+ * @throws {ApiError} `409 INVITATION_CLOSED` when it was accepted or revoked meanwhile.
+ */
+const resend = (accessToken: string, id: string): Promise<Invitation> =>
+	apiRequest<Invitation>(`/invitations/${encodeURIComponent(id)}/resend`, {
+		method: "POST",
+		accessToken,
+	});
+
+/**
+ * Revokes an invitation: its link stops working.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {string} id - The invitation ID.
+ * @returns {Promise<Invitation>} The revoked invitation.
+ * @throws {ApiError} `409 INVITATION_CLOSED` when it was accepted or revoked meanwhile.
+ */
+const revoke = (accessToken: string, id: string): Promise<Invitation> =>
+	apiRequest<Invitation>(`/invitations/${encodeURIComponent(id)}`, {
+		method: "DELETE",
+		accessToken,
+	});
+
+/**
+ * Reads the invitation behind a link, without accepting it. Needs no session.
+ *
+ * @param {string} token - The `token` parameter of the link.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<InvitationPreview>} Who is invited, to what, and until when.
+ * @throws {ApiError} `404 INVITATION_INVALID`, `409 INVITATION_USED` or
+ * `410 INVITATION_EXPIRED`.
+ */
+const preview = (token: string, signal?: AbortSignal): Promise<InvitationPreview> =>
+	apiRequest<InvitationPreview>("/invitations/lookup", {
+		method: "POST",
+		body: { token },
+		signal,
+	});
+
+/**
+ * Accepts an invitation: creates the account, with a password or linked to single
+ * sign-on, and signs it in.
+ *
+ * @param {InvitationAcceptance} acceptance - The token and the chosen credentials.
+ * @returns {Promise<LoginResponse>} The tokens of the new session and the new user.
+ * @throws {ApiError} The errors of {@link preview}; `400` with `details.fields` for the
+ * name or a password breaking the policy; `403 SSO_EMAIL_MISMATCH` when the identity
+ * belongs to another address.
+ */
+const accept = (acceptance: InvitationAcceptance): Promise<LoginResponse> =>
+	apiRequest<LoginResponse>("/invitations/accept", { method: "POST", body: acceptance });
+
+/**
+ * @constant invitationService
+ * Invitation endpoints of the InterfaceGuard API.
+ *
+ * * Example Usage:
+ * await invitationService.create(accessToken, { email, roles: ["user"], expiresInDays: 7 });
+ */
+export const invitationService = Object.freeze({ list, create, resend, revoke, preview, accept });
@@ -0,0 +1,82 @@
+import type { NotificationKind } from "@interface/notification.interface";
+import { ApiError, NetworkError, TimeoutError } from "@services/api/api.errors";
+
+/**
+ * What to tell the user about a failed request.
+ */
+export interface Notice {
+	kind: NotificationKind;
+	message: string;
+	/** Failures with the same key are shown once. */
+	key: string;
+}
+
+/**
+ * Messages of the API error codes worth a notification whatever the page, by code.
+ */
+const CODE_MESSAGES: Readonly<Record<string, Notice>> = Object.freeze({
+	IMPERSONATION_READ_ONLY: {
+		kind: "warning",
+		message: "Changes are disabled while you view the application as another user.",
+		key: "api:read-only",
+	},
+});
+
+/**
+ * Maps a failed request to a message for the user.
+ *
+ * By default only failures a page cannot do much about are notified: no connection,
+ * timeouts, rate limiting, server errors and changes refused in a delegated session.
+ * Others (validation, conflicts, wrong passwords, ...) are left to the page, which
+ * explains them next to the form; `notify: true` notifies them too, with the message of
+ * the API.
+ *
+ * @param {unknown} error - The rejection of `apiRequest`.
+ * @param {boolean} [notify] - The `notify` option of the request.
+ * @returns {Notice | null} The notice, `null` when the user is not to be told.
+ *
+ * * Example Usage:
+ * const notice = noticeForError(error);
+ */
+export const noticeForError = (error: unknown, notify?: boolean): Notice | null => {
+	if (notify === false || (error instanceof DOMException && error.name === "AbortError")) {
+		return null;
+	}
+	if (error instanceof TimeoutError) {
+		return {
+			kind: "warning",
+			message: "The server is taking too long to answer. Please try again.",
+			key: "api:timeout",
+		};
+	}
+	if (error instanceof NetworkError) {
+		return {
+			kind: "error",
+			message: "We cannot reach the server. Check your connection and try again.",
+			key: "api:network",
+		};
+	}
+	if (!(error instanceof ApiError)) {
+		return notify ?
+				{ kind: "error", message: "Something went wrong. Please try again.", key: "api:unknown" }
+			:	null;
+	}
+	if (CODE_MESSAGES[error.code]) {
+		return CODE_MESSAGES[error.code];
+	}
+	if (error.status === 429) {
+		return {
+			kind: "warning",
+			message: "Too many requests. Please wait a moment and try again.",
+			key: "api:rate-limited",
+		};
+	}
+	if (error.status >= 500) {
+		return {
+			kind: "error",
+			message: "Something went wrong on our side. Please try again in a moment.",
+			key: "api:server",
+		};
+	}
+	return notify ? { kind: "error", message: error.message, key: `api:${error.code}` } : null;
+};
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { notificationService, notificationStore } from "./notification.service";
+
+const { toast } = vi.hoisted(() => {
+	/** Toasts on screen, by id, and the listeners of their changes. */
+	const shown = new Map<string, string>();
+	const listeners = new Set<(item: { id: string; status: string }) => void>();
+	const emit = (id: string, status: string) =>
+		listeners.forEach((listener) => listener({ id, status }));
+
+	const fake = Object.assign(
+		vi.fn((text: string, { toastId }: { toastId: string }) => {
+			shown.set(toastId, text);
+			emit(toastId, "added");
+		}),
+		{
+			shown,
+			isActive: (id: string) => shown.has(id),
+			update: vi.fn((id: string, { render }: { render: string }) => {
+				shown.set(id, render);
+				emit(id, "updated");
+			}),
+			dismiss: (id?: string) => {
+				[...shown.keys()]
+					.filter((key) => id === undefined || key === id)
+					.forEach((key) => {
+						shown.delete(key);
+						emit(key, "removed");
+					});
+			},
+			onChange: (listener: (item: { id: string; status: string }) => void) => {
+				listeners.add(listener);
+				return () => listeners.delete(listener);
+			},
+		}
+	);
+	return { toast: fake };
+});
+
+vi.mock("react-toastify", () => ({ toast }));
+
+/**
+ * Lets react-toastify load and the toast operations run.
+ */
+const settle = () => vi.advanceTimersByTimeAsync(0);
+
+beforeEach(() => {
+	vi.useFakeTimers();
+});
+
+afterEach(async () => {
+	notificationService.clear();
+	await settle();
+	vi.useRealTimers();
+});
+
+describe("notificationService", () => {
+	it("counts a notification raised again on its entry and its toast", async () => {
+		notificationService.error("The server is down.");
+		await settle();
+		vi.advanceTimersByTime(1000);
+		notificationService.error("The server is down.");
+		await settle();
+
+		expect(notificationStore.getState().items).toMatchObject([{ count: 2 }]);
+		expect(toast.shown.get("error:The server is down.")).toBe("The server is down. (2 times)");
+	});
+
+	it("keeps counting while the toast is on screen, however long ago it was raised", async () => {
+		notificationService.error("The server is down.");
+		await settle();
+		vi.advanceTimersByTime(60 * 1000);
+		notificationService.error("The server is down.");
+		await settle();
+
+		expect(notificationStore.getState().items).toMatchObject([{ count: 2 }]);
+		expect(toast.shown.get("error:The server is down.")).toBe("The server is down. (2 times)");
+	});
+
+	it("starts a new entry once the toast closed and a while passed", async () => {
+		notificationService.warning("Too many requests.");
+		await settle();
+		toast.dismiss("warning:Too many requests.");
+		vi.advanceTimersByTime(60 * 1000);
+		notificationService.warning("Too many requests.");
+		await settle();
+
+		expect(notificationStore.getState().items).toMatchObject([{ count: 1 }, { count: 1 }]);
+		expect(toast.shown.get("warning:Too many requests.")).toBe("Too many requests.");
+	});
+
+	it("merges quick repeats even before the toast is shown", async () => {
+		notificationService.info("Saved.");
+		notificationService.info("Saved.");
+		await settle();
+
+		expect(notificationStore.getState().items).toMatchObject([{ count: 2 }]);
+	});
+});
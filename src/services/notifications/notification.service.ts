@@ -0,0 +1,213 @@
+import type { toast } from "react-toastify";
+
+import type {
+	AppNotification,
+	NotificationKind,
+	NotificationState,
+} from "@interface/notification.interface";
+import { setApiErrorListener } from "@services/api/api.request";
+import { sessionStore } from "@services/session/session.service";
+import { createStore } from "@utils/createStore";
+
+import { noticeForError } from "./notification.messages";
+
+/**
+ * Milliseconds during which a notification raised again is merged with the previous one,
+ * even when its toast is not on screen (yet, or any more).
+ */
+const REPEAT_WINDOW = 10 * 1000;
+
+/** Entries kept in the tray; the oldest are dropped. */
+const MAX_ITEMS = 50;
+
+/** Milliseconds a toast stays on screen, by kind. Errors stay until dismissed. */
+const AUTO_CLOSE: Readonly<Record<NotificationKind, number | false>> = Object.freeze({
+	success: 4000,
+	info: 5000,
+	warning: 8000,
+	error: false,
+});
+
+/** react-toastify, once loaded by {@link withToast}. */
+let toastLoader: Promise<typeof toast> | null = null;
+
+/** Keys of the toasts on screen, as react-toastify reports them. */
+const onScreen = new Set<string>();
+
+/**
+ * Options accepted by the `notificationService` methods.
+ */
+export interface NotifyOptions {
+	/** What identifies repeats; the kind and message by default. */
+	key?: string;
+}
+
+/**
+ * @constant notificationStore
+ * Entries of the notification tray, newest first.
+ */
+export const notificationStore = createStore<NotificationState>({ items: [] });
+
+/**
+ * Runs a toast operation once react-toastify is loaded. It is imported on first use, with
+ * the styles it injects, so it stays out of the initial bundle.
+ *
+ * @param {(api: typeof toast) => void} operation - What to do with the toasts.
+ */
+const withToast = (operation: (api: typeof toast) => void): void => {
+	toastLoader ??= import("react-toastify").then((module) => {
+		module.toast.onChange(({ id, status }) => {
+			if (status === "removed") {
+				onScreen.delete(String(id));
+			} else {
+				onScreen.add(String(id));
+			}
+		});
+		return module.toast;
+	});
+	toastLoader.then(operation).catch(() => {
+		// The tray still lists the notification; the next one tries to load the toasts again.
+		toastLoader = null;
+	});
+};
+
+/**
+ * Text of a toast, with the number of times it was raised.
+ *
+ * @param {AppNotification} notification - The notification.
+ * @returns {string}
+ */
+const toastText = ({ message, count }: AppNotification): string =>
+	count > 1 ? `${message} (${count} times)` : message;
+
+/**
+ * Shows a toast and records the notification in the tray. Raised again while its toast
+ * is on screen, or within a few seconds, the same notification is counted on the entry
+ * and the toast already shown instead of being repeated; errors stay until dismissed, so
+ * their count keeps growing until then.
+ *
+ * @param {NotificationKind} kind - The severity.
+ * @param {string} message - What to tell the user.
+ * @param {NotifyOptions} [options] - How to recognise repeats.
+ * @returns {string} Identifier of the tray entry.
+ */
+const notify = (kind: NotificationKind, message: string, options: NotifyOptions = {}): string => {
+	const key = options.key ?? `${kind}:${message}`;
+	const now = new Date();
+	const { items } = notificationStore.getState();
+	const latest = items.find((item) => item.key === key);
+	const repeated =
+		latest && (onScreen.has(key) || now.getTime() - Date.parse(latest.updatedAt) < REPEAT_WINDOW) ?
+			latest
+		:	undefined;
+	const notification: AppNotification =
+		repeated ?
+			{ ...repeated, count: repeated.count + 1, updatedAt: now.toISOString(), read: false }
+		:	{
+				id: crypto.randomUUID(),
+				key,
+				kind,
+				message,
+				count: 1,
+				createdAt: now.toISOString(),
+				updatedAt: now.toISOString(),
+				read: false,
+			};
+	notificationStore.setState({
+		items: [notification, ...items.filter(({ id }) => id !== notification.id)].slice(0, MAX_ITEMS),
+	});
+
+	withToast((api) => {
+		if (api.isActive(key)) {
+			api.update(key, { render: toastText(notification) });
+		} else {
+			api(toastText(notification), {
+				toastId: key,
+				type: kind,
+				// Errors interrupt screen readers; anything else waits for a pause.
+				role: kind === "error" ? "alert" : "status",
+				autoClose: AUTO_CLOSE[kind],
+			});
+		}
+	});
+	return notification.id;
+};
+
+/**
+ * Removes an entry from the tray, and its toast from the screen.
+ *
+ * @param {string} id - Identifier of the entry.
+ */
+const dismiss = (id: string): void => {
+	const { items } = notificationStore.getState();
+	const notification = items.find((item) => item.id === id);
+	if (notification) {
+		withToast((api) => api.dismiss(notification.key));
+		notificationStore.setState({ items: items.filter((item) => item.id !== id) });
+	}
+};
+
+/**
+ * Marks every entry of the tray as read.
+ */
+const markAllRead = (): void => {
+	notificationStore.setState(({ items }) => ({
+		items: items.map((item) => (item.read ? item : { ...item, read: true })),
+	}));
+};
+
+/**
+ * Empties the tray and removes every toast.
+ */
+const clear = (): void => {
+	withToast((api) => api.dismiss());
+	notificationStore.setState({ items: [] });
+};
+
+/**
+ * @constant notificationService
+ * Toasts, and the tray that keeps them after they disappear. Failed API requests are
+ * notified on their own once {@link startNotifications} runs; pages notify outcomes the
+ * user would otherwise not see, such as a success followed by a redirect.
+ *
+ * * Example Usage:
+ * notificationService.success(`${user.name} was created.`);
+ */
+export const notificationService = Object.freeze({
+	success: (message: string, options?: NotifyOptions) => notify("success", message, options),
+	info: (message: string, options?: NotifyOptions) => notify("info", message, options),
+	warning: (message: string, options?: NotifyOptions) => notify("warning", message, options),
+	error: (message: string, options?: NotifyOptions) => notify("error", message, options),
+	dismiss,
+	markAllRead,
+	clear,
+});
+
+/**
+ * Notifies the failures of API requests the user should hear about (see
+ * `noticeForError`); five requests failing for the same reason make one toast. The tray
+ * is emptied when another user signs in, so nobody reads the notifications of the
+ * previous one.
+ *
+ * @returns {() => void} Stops notifying.
+ *
+ * * Example Usage:
+ * useEffect(() => startNotifications(), []);
+ */
+export const startNotifications = (): (() => void) => {
+	setApiErrorListener((error, { notify: requested }) => {
+		const notice = noticeForError(error, requested);
+		if (notice) {
+			notify(notice.kind, notice.message, { key: notice.key });
+		}
+	});
+	const unsubscribe = sessionStore.subscribe((state, previous) => {
+		if (state.claims?.userId !== previous.claims?.userId) {
+			clear();
+		}
+	});
+	return () => {
+		setApiErrorListener(null);
+		unsubscribe();
+	};
+};
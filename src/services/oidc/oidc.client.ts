@@ -0,0 +1,347 @@
+import { createRemoteJWKSet, errors, type JWTVerifyGetKey, jwtVerify } from "jose";
+
+import type {
+	IdTokenClaims,
+	OidcLoginResult,
+	OidcProviderMetadata,
+	OidcTokenResponse,
+	OidcTransaction,
+} from "@interface/oidc.interface";
+import { ROUTES } from "@routes/paths";
+import { ApiError } from "@services/api/api.request";
+import { httpRequest } from "@services/api/http.client";
+import { env } from "@utils/env";
+
+import { codeChallengeFor, randomUrlSafeString } from "./oidc.pkce";
+
+/**
+ * Prefix of the `sessionStorage` keys holding pending authorization requests.
+ */
+const TRANSACTION_PREFIX = "interface-guard:oidc:";
+
+/**
+ * Pending authorization requests older than this are discarded, in milliseconds.
+ */
+const TRANSACTION_TTL = 10 * 60 * 1000;
+
+/**
+ * Reason an OIDC sign-in failed.
+ *
+ * - OAuth error codes returned by the provider (`access_denied`, `invalid_request`, ...).
+ * - `discovery_failed`: the provider metadata could not be loaded or is inconsistent.
+ * - `invalid_state`: the callback does not match a pending request of this tab.
+ * - `token_exchange_failed`: the token endpoint rejected the code.
+ * - `id_token_invalid`: the ID token failed validation.
+ */
+export type OidcErrorCode =
+	| "discovery_failed"
+	| "invalid_state"
+	| "token_exchange_failed"
+	| "id_token_invalid"
+	| (string & {});
+
+/**
+ * @class OidcError
+ * Raised when the OpenID Connect flow cannot complete.
+ */
+export class OidcError extends Error {
+	readonly code: OidcErrorCode;
+
+	constructor(code: OidcErrorCode, message: string, options?: { cause?: unknown }) {
+		super(message, options);
+		this.name = "OidcError";
+		this.code = code;
+	}
+}
+
+/**
+ * Options of {@link createOidcClient}.
+ */
+export interface OidcClientOptions {
+	/** Issuer URL; discovery metadata is read from `<issuer>/.well-known/openid-configuration`. */
+	issuer: string;
+	clientId: string;
+	scope: string;
+	redirectUri: string;
+	/** Allowed clock skew, in seconds, when checking the ID token. */
+	clockTolerance?: number;
+	/** Where pending requests are kept across the redirect; `sessionStorage` by default. */
+	storage?: Storage;
+}
+
+/**
+ * OpenID Connect client returned by {@link createOidcClient}.
+ */
+export interface OidcClient {
+	/**
+	 * Redirects the browser to the provider. Resolves only if the redirect fails. With an
+	 * `invitationToken`, the identity is used to accept that invitation instead of signing
+	 * in to an existing account.
+	 */
+	beginLogin: (returnTo: string, options?: { invitationToken?: string }) => Promise<void>;
+	/** Validates the callback URL and returns the verified ID token. */
+	completeLogin: (callbackUrl: string | URL) => Promise<OidcLoginResult>;
+}
+
+/**
+ * Reads a stored transaction, dropping it when it is unreadable.
+ *
+ * @param {Storage} storage - The transaction storage.
+ * @param {string} key - The storage key.
+ * @returns {OidcTransaction | null} The transaction.
+ */
+const readTransaction = (storage: Storage, key: string): OidcTransaction | null => {
+	try {
+		return JSON.parse(storage.getItem(key) ?? "null") as OidcTransaction | null;
+	} catch {
+		storage.removeItem(key);
+		return null;
+	}
+};
+
+/**
+ * Removes expired transactions left behind by abandoned sign-ins.
+ *
+ * @param {Storage} storage - The transaction storage.
+ */
+const pruneTransactions = (storage: Storage): void => {
+	Object.keys(storage)
+		.filter((key) => key.startsWith(TRANSACTION_PREFIX))
+		.forEach((key) => {
+			const transaction = readTransaction(storage, key);
+			if (!transaction || Date.now() - transaction.createdAt > TRANSACTION_TTL) {
+				storage.removeItem(key);
+			}
+		});
+};
+
+/**
+ * Creates an OpenID Connect client for the authorization code flow with PKCE.
+ *
+ * The client is public (no secret): the PKCE verifier proves the code is redeemed by
+ * the tab that started the flow, `state` ties the callback to that tab's request, and
+ * `nonce` ties the ID token to it. The ID token is verified with `jose` against the
+ * provider's JWKS.
+ *
+ * @param {OidcClientOptions} options - Provider and client settings.
+ * @returns {OidcClient} The client.
+ *
+ * * Example Usage:
+ * const client = createOidcClient({ issuer, clientId, scope: "openid email", redirectUri });
+ * await client.beginLogin("/users");
+ */
+export const createOidcClient = ({
+	issuer,
+	clientId,
+	scope,
+	redirectUri,
+	clockTolerance = 0,
+	storage = window.sessionStorage,
+}: OidcClientOptions): OidcClient => {
+	let metadata: Promise<OidcProviderMetadata> | undefined;
+	let keySet: JWTVerifyGetKey | undefined;
+
+	const discover = (): Promise<OidcProviderMetadata> => {
+		metadata ??= httpRequest<OidcProviderMetadata>(`${issuer}/.well-known/openid-configuration`)
+			.catch((error: unknown) => {
+				throw error instanceof ApiError ?
+						new OidcError("discovery_failed", `Discovery failed with HTTP ${error.status}.`)
+					:	error;
+			})
+			.then((document) => {
+				// OpenID Connect Discovery 1.0, section 4.3.
+				if (document.issuer !== issuer) {
+					throw new OidcError("discovery_failed", "The provider metadata names another issuer.");
+				}
+				return document;
+			})
+			.catch((error: unknown) => {
+				metadata = undefined;
+				throw error instanceof OidcError ? error : (
+						new OidcError("discovery_failed", "The identity provider is unreachable.", {
+							cause: error,
+						})
+					);
+			});
+		return metadata;
+	};
+
+	const beginLogin = async (
+		returnTo: string,
+		{ invitationToken }: { invitationToken?: string } = {}
+	): Promise<void> => {
+		const { authorization_endpoint } = await discover();
+		pruneTransactions(storage);
+
+		const state = randomUrlSafeString();
+		const transaction: OidcTransaction = {
+			codeVerifier: randomUrlSafeString(),
+			nonce: randomUrlSafeString(),
+			redirectUri,
+			returnTo,
+			...(invitationToken ? { invitationToken } : {}),
+			createdAt: Date.now(),
+		};
+		storage.setItem(`${TRANSACTION_PREFIX}${state}`, JSON.stringify(transaction));
+
+		const url = new URL(authorization_endpoint);
+		url.search = new URLSearchParams({
+			response_type: "code",
+			client_id: clientId,
+			redirect_uri: redirectUri,
+			scope,
+			state,
+			nonce: transaction.nonce,
+			code_challenge: await codeChallengeFor(transaction.codeVerifier),
+			code_challenge_method: "S256",
+		}).toString();
+		window.location.assign(url);
+	};
+
+	const exchangeCode = async (
+		{ token_endpoint }: OidcProviderMetadata,
+		code: string,
+		transaction: OidcTransaction
+	): Promise<OidcTokenResponse> => {
+		const body = await httpRequest<Partial<OidcTokenResponse> | undefined>(token_endpoint, {
+			method: "POST",
+			body: new URLSearchParams({
+				grant_type: "authorization_code",
+				code,
+				redirect_uri: transaction.redirectUri,
+				client_id: clientId,
+				code_verifier: transaction.codeVerifier,
+			}),
+		}).catch((error: unknown) => {
+			throw error instanceof ApiError ?
+					new OidcError("token_exchange_failed", error.message, { cause: error })
+				:	new OidcError("token_exchange_failed", "The identity provider is unreachable.", {
+						cause: error,
+					});
+		});
+		if (typeof body?.id_token !== "string") {
+			throw new OidcError("token_exchange_failed", "The authorization code was rejected.");
+		}
+		return body as OidcTokenResponse;
+	};
+
+	const verifyIdToken = async (
+		provider: OidcProviderMetadata,
+		idToken: string,
+		nonce: string
+	): Promise<IdTokenClaims> => {
+		keySet ??= createRemoteJWKSet(new URL(provider.jwks_uri));
+		let claims: IdTokenClaims;
+		try {
+			({ payload: claims } = await jwtVerify<IdTokenClaims>(idToken, keySet, {
+				issuer: provider.issuer,
+				audience: clientId,
+				clockTolerance,
+				algorithms: provider.id_token_signing_alg_values_supported?.filter(
+					(alg) => alg !== "none"
+				) ?? ["RS256"],
+				requiredClaims: ["sub", "iat", "exp"],
+			}));
+		} catch (error) {
+			const reason =
+				error instanceof errors.JWTExpired ? "The ID token has expired."
+				: error instanceof errors.JWTClaimValidationFailed ?
+					`The ID token has an invalid "${error.claim}" claim.`
+				:	"The ID token signature is invalid.";
+			throw new OidcError("id_token_invalid", reason, { cause: error });
+		}
+
+		// OpenID Connect Core 1.0, section 3.1.3.7: replay protection and authorized party.
+		if (claims.nonce !== nonce) {
+			throw new OidcError("id_token_invalid", "The ID token nonce does not match the request.");
+		}
+		if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+			throw new OidcError("id_token_invalid", "The ID token was issued to another client.");
+		}
+		return claims;
+	};
+
+	const completeLogin = async (callbackUrl: string | URL): Promise<OidcLoginResult> => {
+		const params = new URL(callbackUrl).searchParams;
+		const state = params.get("state");
+		const key = `${TRANSACTION_PREFIX}${state}`;
+		const transaction = state ? readTransaction(storage, key) : null;
+		// A state is single use, whatever the outcome.
+		storage.removeItem(key);
+
+		if (!transaction || Date.now() - transaction.createdAt > TRANSACTION_TTL) {
+			throw new OidcError("invalid_state", "This sign-in link is invalid or has expired.");
+		}
+
+		const error = params.get("error");
+		if (error) {
+			throw new OidcError(error, params.get("error_description") ?? error);
+		}
+
+		const provider = await discover();
+		// RFC 9207: reject responses naming another issuer (mix-up attacks).
+		const responseIssuer = params.get("iss");
+		if (responseIssuer !== null && responseIssuer !== provider.issuer) {
+			throw new OidcError("invalid_state", "The response comes from another identity provider.");
+		}
+
+		const code = params.get("code");
+		if (!code) {
+			throw new OidcError("invalid_request", "The identity provider did not return a code.");
+		}
+
+		const { id_token: idToken } = await exchangeCode(provider, code, transaction);
+		const claims = await verifyIdToken(provider, idToken, transaction.nonce);
+		return {
+			idToken,
+			claims,
+			nonce: transaction.nonce,
+			returnTo: transaction.returnTo,
+			invitationToken: transaction.invitationToken,
+		};
+	};
+
+	return { beginLogin, completeLogin };
+};
+
+/**
+ * Client configured from `INTERFACE_GUARD_OIDC_*`, created on first use.
+ */
+let defaultClient: OidcClient | undefined;
+
+/**
+ * Returns the client configured from the environment.
+ *
+ * @returns {OidcClient} The client.
+ * @throws {OidcError} When no issuer is configured.
+ */
+const getDefaultClient = (): OidcClient => {
+	if (!env.oidc.issuer) {
+		throw new OidcError("discovery_failed", "Single sign-on is not configured.");
+	}
+	defaultClient ??= createOidcClient({
+		issuer: new URL(env.oidc.issuer, window.location.origin).href.replace(/\/+$/, ""),
+		clientId: env.oidc.clientId,
+		scope: env.oidc.scope,
+		redirectUri: new URL(
+			`${env.publicUrl.replace(/\/+$/, "")}${ROUTES.oidcCallback}`,
+			window.location.origin
+		).href,
+		clockTolerance: env.jwt.clockTolerance,
+	});
+	return defaultClient;
+};
+
+/**
+ * @constant oidcService
+ * Single sign-on through the OpenID Connect provider in `INTERFACE_GUARD_OIDC_ISSUER`.
+ *
+ * * Example Usage:
+ * if (oidcService.enabled) await oidcService.beginLogin(returnTo);
+ */
+export const oidcService = Object.freeze({
+	enabled: Boolean(env.oidc.issuer),
+	beginLogin: (returnTo: string, options?: { invitationToken?: string }) =>
+		getDefaultClient().beginLogin(returnTo, options),
+	completeLogin: (callbackUrl: string | URL) => getDefaultClient().completeLogin(callbackUrl),
+});
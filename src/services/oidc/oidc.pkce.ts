@@ -0,0 +1,24 @@
+import { base64url } from "jose";
+
+/**
+ * Returns `size` random bytes, base64url encoded.
+ *
+ * 32 bytes give a 43-character string, the minimum length RFC 7636 allows for a code
+ * verifier, and plenty of entropy for `state` and `nonce`.
+ *
+ * @param {number} [size] - Number of random bytes.
+ * @returns {string} The encoded value.
+ */
+export const randomUrlSafeString = (size = 32): string =>
+	base64url.encode(crypto.getRandomValues(new Uint8Array(size)));
+
+/**
+ * Derives the S256 code challenge of a PKCE code verifier (RFC 7636, section 4.2).
+ *
+ * @param {string} codeVerifier - The code verifier.
+ * @returns {Promise<string>} `BASE64URL(SHA256(codeVerifier))`.
+ */
+export const codeChallengeFor = async (codeVerifier: string): Promise<string> => {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(codeVerifier));
+	return base64url.encode(new Uint8Array(digest));
+};
@@ -0,0 +1,61 @@
+/**
+ * Shape of `@assets/data/breached-passwords.json`, generated by
+ * `webpack/scripts/breached-passwords.mjs`.
+ */
+interface BreachedPasswordList {
+	algorithm: "SHA-256";
+	/** Number of hex digits kept of each digest. */
+	digestLength: number;
+	hashes: string[];
+}
+
+let list: Promise<{ digestLength: number; hashes: Set<string> }> | null = null;
+
+/**
+ * Loads the breached-password list once. It ships as its own chunk, fetched the first
+ * time a password is checked, so pages without a password field never download it.
+ *
+ * @returns {Promise<{ digestLength: number; hashes: Set<string> }>} The list.
+ */
+const loadList = (): Promise<{ digestLength: number; hashes: Set<string> }> => {
+	list ??= import(
+		/* webpackChunkName: "breached-passwords" */ "@assets/data/breached-passwords.json"
+	).then(({ default: data }) => {
+		const { digestLength, hashes } = data as BreachedPasswordList;
+		return { digestLength, hashes: new Set(hashes) };
+	});
+	// A failed download (e.g. a deployment replaced the chunk) is retried next time.
+	list.catch(() => {
+		list = null;
+	});
+	return list;
+};
+
+/**
+ * Tells whether a password appears in the bundled list of the most common breached
+ * passwords. Everything happens in the browser: the password, or its hash, is never
+ * sent anywhere.
+ *
+ * The comparison ignores case, like the list, which is stored as truncated SHA-256
+ * digests of lower-cased passwords.
+ *
+ * @param {string} password - The candidate.
+ * @returns {Promise<boolean>} Whether the password is listed.
+ *
+ * * Example Usage:
+ * if (await isBreachedPassword(value)) setError("newPassword", { message: "Choose another password." });
+ */
+export const isBreachedPassword = async (password: string): Promise<boolean> => {
+	if (password === "") {
+		return false;
+	}
+	const { digestLength, hashes } = await loadList();
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(password.toLowerCase())
+	);
+	const hex = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0"))
+		.join("")
+		.slice(0, digestLength);
+	return hashes.has(hex);
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+
+import type { PasswordPolicy, PasswordRuleCode } from "@interface/password.interface";
+
+import {
+	checkPassword,
+	passwordRuleLabels,
+	passwordRuleMessages,
+	passwordScore,
+} from "./password.policy";
+
+const policy: PasswordPolicy = {
+	minLength: 12,
+	maxLength: 20,
+	requiredClasses: ["upper", "digit"],
+	history: 5,
+	blockedWords: ["interfaceguard", "password"],
+	breachCheck: true,
+};
+
+/**
+ * Codes of the rules a password breaks.
+ */
+const failures = (password: string, userInputs?: string[], rules = policy): PasswordRuleCode[] =>
+	checkPassword(password, rules, userInputs)
+		.filter(({ passed }) => passed === false)
+		.map(({ code }) => code);
+
+describe("checkPassword", () => {
+	it("lists every rule of the policy, in order, with its label", () => {
+		const results = checkPassword("Correct horse 42", policy);
+
+		expect(results.map(({ code }) => code)).toEqual([
+			"too_short",
+			"too_long",
+			"missing_upper",
+			"missing_digit",
+			"blocked_word",
+			"personal_info",
+			"breached",
+			"reused",
+		]);
+		expect(results[0].label).toBe(passwordRuleLabels(policy).too_short);
+	});
+
+	it("passes a password following every rule", () => {
+		expect(failures("Correct horse 42")).toEqual([]);
+	});
+
+	it("leaves the breach and history rules to later checks", () => {
+		const results = checkPassword("Correct horse 42", policy);
+
+		expect(results.find(({ code }) => code === "breached")?.passed).toBeNull();
+		expect(results.find(({ code }) => code === "reused")?.passed).toBeNull();
+		expect(
+			checkPassword("x", { ...policy, breachCheck: false, history: 0 }).map(({ code }) => code)
+		).not.toContain("breached");
+	});
+
+	it("counts characters, not UTF-16 code units", () => {
+		expect(failures("Ünïcödé 1 😀😀😀")).not.toContain("too_short");
+		expect(failures("A1😀😀😀😀😀😀😀😀😀")).toContain("too_short");
+	});
+
+	it("enforces the length bounds and required classes", () => {
+		expect(failures("Short 1")).toEqual(["too_short"]);
+		expect(failures("Far too long for this policy 1")).toEqual(["too_long"]);
+		expect(failures("no capitals 12")).toEqual(["missing_upper"]);
+		expect(failures("No digits here!")).toEqual(["missing_digit"]);
+	});
+
+	it("refuses blocked words, even with letters swapped for digits", () => {
+		expect(failures("My Password 2024")).toEqual(["blocked_word"]);
+		expect(failures("My P4ssw0rd 2024")).toEqual(["blocked_word"]);
+		expect(failures("InterfaceGuard 9")).toEqual(["blocked_word"]);
+	});
+
+	it("refuses the user's name and the local part of their email address", () => {
+		const user = ["Ada Lovelace", "ada.lovelace@example.com"];
+
+		expect(failures("Lovelace Rocks 1", user)).toEqual(["personal_info"]);
+		expect(failures("L0velace Rocks 1", user)).toEqual(["personal_info"]);
+		expect(failures("Example Rocks 1", user)).toEqual([]);
+		// Parts shorter than three characters are too common to matter.
+		expect(failures("Bo jumps high 1", ["Bo Li"])).toEqual([]);
+	});
+});
+
+describe("passwordRuleLabels", () => {
+	it("follows the limits of the policy", () => {
+		expect(passwordRuleLabels(policy).too_short).toContain("12");
+		expect(passwordRuleMessages(policy).too_long).toContain("20");
+		expect(passwordRuleMessages({ ...policy, history: 3 }).reused).toContain("3");
+	});
+});
+
+describe("passwordScore", () => {
+	it("rates short and single-class passwords low", () => {
+		expect(passwordScore("")).toBe(0);
+		expect(passwordScore("hello")).toBe(0);
+	});
+
+	it("does not reward runs and repeated characters", () => {
+		expect(passwordScore("abcdefghijklmnop")).toBe(0);
+		expect(passwordScore("aaaaaaaaaaaaaaaa")).toBe(0);
+	});
+
+	it("rates long and varied passwords high", () => {
+		expect(passwordScore("Correct horse 42")).toBeGreaterThanOrEqual(3);
+		expect(passwordScore("c0rrect-H0rse_battery-Staple!")).toBe(4);
+	});
+});
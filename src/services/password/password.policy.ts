@@ -0,0 +1,202 @@
+import type {
+	CharacterClass,
+	PasswordPolicy,
+	PasswordRuleCode,
+	PasswordRuleResult,
+} from "@interface/password.interface";
+import { env } from "@utils/env";
+
+const CHARACTER_CLASSES: Record<CharacterClass, { pattern: RegExp; label: string; size: number }> =
+	{
+		lower: { pattern: /\p{Ll}/u, label: "a lower-case letter", size: 26 },
+		upper: { pattern: /\p{Lu}/u, label: "an upper-case letter", size: 26 },
+		digit: { pattern: /\p{Nd}/u, label: "a digit", size: 10 },
+		symbol: { pattern: /[^\p{L}\p{Nd}]/u, label: "a symbol or a space", size: 33 },
+	};
+
+/**
+ * Digits and symbols commonly typed in place of letters, so `p4ssw0rd` still counts as
+ * containing `password`.
+ */
+const SUBSTITUTIONS: Record<string, string> = {
+	"0": "o",
+	"1": "l",
+	"3": "e",
+	"4": "a",
+	"5": "s",
+	"7": "t",
+	"8": "b",
+	"@": "a",
+	$: "s",
+	"!": "i",
+	"|": "l",
+};
+
+/** Shortest part of a name or email address treated as personal information. */
+const MIN_PERSONAL_PART = 3;
+
+/**
+ * @constant passwordPolicy
+ * The policy configured for this build, see `INTERFACE_GUARD_PASSWORD_*`.
+ */
+export const passwordPolicy: PasswordPolicy = Object.freeze({
+	minLength: env.password.minLength,
+	maxLength: env.password.maxLength,
+	requiredClasses: env.password.requiredClasses.filter(
+		(value): value is CharacterClass => value in CHARACTER_CLASSES
+	),
+	history: env.password.history,
+	blockedWords: env.password.blockedWords.map((word) => word.toLowerCase()),
+	breachCheck: env.password.breachCheck,
+});
+
+/**
+ * Lower-cases a text and undoes letter-for-digit swaps.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The normalised text.
+ */
+const normalise = (text: string): string =>
+	[...text.toLowerCase()].map((character) => SUBSTITUTIONS[character] ?? character).join("");
+
+/**
+ * Parts of the user's name and email address a password should not contain. Only the
+ * local part of an email address counts: the domain is shared with colleagues.
+ *
+ * @param {string[]} userInputs - Name, email address and the like.
+ * @returns {string[]} The lower-cased parts, long enough to matter.
+ */
+const personalParts = (userInputs: string[]): string[] =>
+	userInputs
+		.flatMap((input) =>
+			input
+				.toLowerCase()
+				.split("@")[0]
+				.split(/[\s._+-]+/)
+		)
+		.filter((part) => part.length >= MIN_PERSONAL_PART);
+
+/**
+ * Describes the rules of a policy, in the order they are checked.
+ *
+ * @param {PasswordPolicy} policy - The policy.
+ * @returns {Record<PasswordRuleCode, string>} One requirement per rule, e.g. "At least 12 characters".
+ */
+export const passwordRuleLabels = (policy: PasswordPolicy): Record<PasswordRuleCode, string> => ({
+	too_short: `At least ${policy.minLength} characters`,
+	too_long: `At most ${policy.maxLength} characters`,
+	missing_lower: `Contains ${CHARACTER_CLASSES.lower.label}`,
+	missing_upper: `Contains ${CHARACTER_CLASSES.upper.label}`,
+	missing_digit: `Contains ${CHARACTER_CLASSES.digit.label}`,
+	missing_symbol: `Contains ${CHARACTER_CLASSES.symbol.label}`,
+	blocked_word: "No easily guessed words, such as the name of this service",
+	personal_info: "Does not contain your name or email address",
+	breached: "Not found in known data breaches",
+	reused: `Not one of your last ${policy.history} passwords`,
+});
+
+/**
+ * Error messages of the rules, as shown under a password field.
+ *
+ * @param {PasswordPolicy} policy - The policy.
+ * @returns {Record<PasswordRuleCode, string>} One message per rule.
+ */
+export const passwordRuleMessages = (policy: PasswordPolicy): Record<PasswordRuleCode, string> => ({
+	too_short: `Use at least ${policy.minLength} characters.`,
+	too_long: `Use at most ${policy.maxLength} characters.`,
+	missing_lower: `Add ${CHARACTER_CLASSES.lower.label}.`,
+	missing_upper: `Add ${CHARACTER_CLASSES.upper.label}.`,
+	missing_digit: `Add ${CHARACTER_CLASSES.digit.label}.`,
+	missing_symbol: `Add ${CHARACTER_CLASSES.symbol.label}.`,
+	blocked_word: "Avoid words that are easy to guess, such as the name of this service.",
+	personal_info: "Do not use your name or email address.",
+	breached:
+		"This password appeared in a data breach, so attackers try it first. Choose another one.",
+	reused: `Choose a password you did not use for your last ${policy.history} changes.`,
+});
+
+/**
+ * Checks a candidate password against every rule the browser can verify on its own.
+ *
+ * The breached-password rule needs the lazily loaded list and is left to
+ * `isBreachedPassword`; the history rule is only known to the API. Both are listed with
+ * `passed: null` so the user still sees them.
+ *
+ * @param {string} password - The candidate.
+ * @param {PasswordPolicy} policy - The policy.
+ * @param {string[]} [userInputs] - Name and email address of the user.
+ * @returns {PasswordRuleResult[]} Every rule of the policy, in order.
+ *
+ * * Example Usage:
+ * const failed = checkPassword(value, passwordPolicy, [user.name, user.email]).filter((rule) => rule.passed === false);
+ */
+export const checkPassword = (
+	password: string,
+	policy: PasswordPolicy,
+	userInputs: string[] = []
+): PasswordRuleResult[] => {
+	const labels = passwordRuleLabels(policy);
+	const length = [...password].length;
+	const normalised = normalise(password);
+	const lower = password.toLowerCase();
+
+	const results: [PasswordRuleCode, boolean | null][] = [
+		["too_short", length >= policy.minLength],
+		["too_long", length <= policy.maxLength],
+		...policy.requiredClasses.map((name): [PasswordRuleCode, boolean] => [
+			`missing_${name}`,
+			CHARACTER_CLASSES[name].pattern.test(password),
+		]),
+		[
+			"blocked_word",
+			!policy.blockedWords.some(
+				(word) => word && (lower.includes(word) || normalised.includes(word))
+			),
+		],
+		[
+			"personal_info",
+			!personalParts(userInputs).some((part) => lower.includes(part) || normalised.includes(part)),
+		],
+	];
+	if (policy.breachCheck) {
+		results.push(["breached", null]);
+	}
+	if (policy.history > 0) {
+		results.push(["reused", null]);
+	}
+	return results.map(([code, passed]) => ({ code, label: labels[code], passed }));
+};
+
+/**
+ * Scores how hard a password is to guess, from 0 (trivial) to 4 (very strong), from its
+ * length and the variety of its characters. Repeated characters and runs such as `abc`
+ * or `321` only count once, since guessing tools try them first.
+ *
+ * This is an estimate meant to encourage longer passwords; the rules decide what is
+ * accepted.
+ *
+ * @param {string} password - The candidate.
+ * @returns {0 | 1 | 2 | 3 | 4} The score.
+ */
+export const passwordScore = (password: string): 0 | 1 | 2 | 3 | 4 => {
+	const characters = [...password];
+	const effective = characters.filter((character, index) => {
+		if (index === 0) {
+			return true;
+		}
+		const step = character.codePointAt(0)! - characters[index - 1].codePointAt(0)!;
+		return Math.abs(step) > 1;
+	}).length;
+	const alphabet = Object.values(CHARACTER_CLASSES)
+		.filter(({ pattern }) => pattern.test(password))
+		.reduce((size, { size: classSize }) => size + classSize, 0);
+	const bits = effective * Math.log2(Math.max(alphabet, 1));
+
+	return (
+		bits < 28 ? 0
+		: bits < 40 ? 1
+		: bits < 60 ? 2
+		: bits < 80 ? 3
+		: 4
+	);
+};
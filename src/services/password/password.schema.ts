@@ -0,0 +1,48 @@
+import { z } from "zod";
+
+import type { PasswordPolicy, PasswordRuleCode } from "@interface/password.interface";
+
+import { isBreachedPassword } from "./password.breach";
+import { checkPassword, passwordPolicy, passwordRuleMessages } from "./password.policy";
+
+/**
+ * @constant NEW_PASSWORD_MESSAGES
+ * Messages of a new-password field by error code: one per policy rule, plus `required`.
+ * The API answers with the same codes.
+ */
+export const NEW_PASSWORD_MESSAGES: Readonly<Record<PasswordRuleCode | "required", string>> =
+	Object.freeze({
+		required: "Enter a new password.",
+		...passwordRuleMessages(passwordPolicy),
+	});
+
+/**
+ * Builds the validation of a field choosing a new password, for every form that sets
+ * one. The first broken rule is reported; the breached-password list is only consulted
+ * once every other rule passes, so it is not downloaded for a half-typed password.
+ *
+ * Validation is asynchronous because of that lookup: parse with `parseAsync`, which
+ * `zodResolver` does by default.
+ *
+ * @param {string[]} [userInputs] - Name and email address of the user, which the password
+ *        may not contain.
+ * @param {PasswordPolicy} [policy] - The policy, {@link passwordPolicy} by default.
+ * @returns {z.ZodString} The field schema.
+ *
+ * * Example Usage:
+ * z.object({ newPassword: newPasswordSchema([user.name, user.email]) });
+ */
+export const newPasswordSchema = (userInputs: string[] = [], policy = passwordPolicy) =>
+	z
+		.string()
+		.min(1, NEW_PASSWORD_MESSAGES.required)
+		.superRefine(async (password, context) => {
+			const failed = checkPassword(password, policy, userInputs).find(
+				(rule) => rule.passed === false
+			);
+			if (failed) {
+				context.addIssue({ code: "custom", message: NEW_PASSWORD_MESSAGES[failed.code] });
+			} else if (policy.breachCheck && (await isBreachedPassword(password))) {
+				context.addIssue({ code: "custom", message: NEW_PASSWORD_MESSAGES.breached });
+			}
+		});
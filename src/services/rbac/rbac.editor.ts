@@ -0,0 +1,234 @@
+import type {
+	AccessScope,
+	AccessSubject,
+	Action,
+	PermissionRule,
+	Policy,
+	Resource,
+	RoleDefinition,
+} from "@interface/rbac.interface";
+
+import { createAccessControl } from "./rbac.engine";
+import { ACTIONS, RESOURCES } from "./rbac.policy";
+
+/**
+ * Scopes offered by the role editor, widest last.
+ */
+export const SCOPES: readonly AccessScope[] = Object.freeze(["own", "tenant", "all"]);
+
+/**
+ * @constant SCOPE_LABELS
+ * Readable names of the scopes.
+ */
+export const SCOPE_LABELS: Record<AccessScope, string> = Object.freeze({
+	own: "Own",
+	tenant: "Tenant",
+	all: "All",
+});
+
+export const MAX_ROLE_LABEL_LENGTH = 60;
+export const MAX_ROLE_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Role IDs are stored in tokens and URLs: lowercase letters, digits and dashes.
+ */
+export const ROLE_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+/**
+ * @constant ROLE_FIELD_MESSAGES
+ * Messages of the role editor by field and error code. The codes are those the API
+ * returns in `details.fields`, keyed `<role>` or `<role>.<field>`.
+ */
+export const ROLE_FIELD_MESSAGES = Object.freeze({
+	id: {
+		required: "Enter an ID.",
+		invalid: "Use 2 to 32 lowercase letters, digits or dashes, starting with a letter.",
+		taken: "Another role already has this ID.",
+		in_use: "This role is still held by some users. Remove it from them first.",
+		locked: "This role cannot be removed.",
+	},
+	label: {
+		required: "Enter a name.",
+		too_long: `Use at most ${MAX_ROLE_LABEL_LENGTH} characters.`,
+	},
+	description: {
+		too_long: `Use at most ${MAX_ROLE_DESCRIPTION_LENGTH} characters.`,
+	},
+	inherits: {
+		unknown: "One of the inherited roles does not exist.",
+		cycle: "Roles cannot inherit from each other in a loop.",
+	},
+	rules: {
+		invalid: "One of the permissions is not valid.",
+		locked: "The permissions of this role cannot change.",
+	},
+} satisfies Record<string, Record<string, string>>);
+
+/**
+ * Field of a role the editor reports errors on.
+ */
+export type RoleField = keyof typeof ROLE_FIELD_MESSAGES;
+
+/**
+ * Turns the `details.fields` of an API error into messages, by role and field.
+ *
+ * @param {Record<string, string>} fields - Codes keyed `<role>` or `<role>.<field>`.
+ * @returns {Record<string, Partial<Record<RoleField, string>>>} The messages.
+ */
+export const roleErrorsFrom = (
+	fields: Record<string, string>
+): Record<string, Partial<Record<RoleField, string>>> => {
+	const errors: Record<string, Partial<Record<RoleField, string>>> = {};
+	for (const [key, code] of Object.entries(fields)) {
+		const [role, field = "id"] = key.split(".") as [string, RoleField?];
+		const messages: Record<string, string> | undefined = ROLE_FIELD_MESSAGES[field];
+		errors[role] = { ...errors[role], [field]: messages?.[code] ?? "This value was rejected." };
+	}
+	return errors;
+};
+
+/**
+ * Grants of a role, by resource and action.
+ */
+export type RoleGrants = Record<Resource, Partial<Record<Action, AccessScope>>>;
+
+/**
+ * Effective scope of every resource and action for a subject.
+ *
+ * @param {Policy} policy - The policy.
+ * @param {AccessSubject} subject - The subject.
+ * @returns {RoleGrants} The scopes; missing entries are not allowed.
+ */
+export const effectiveGrants = (policy: Policy, subject: AccessSubject): RoleGrants => {
+	const engine = createAccessControl(policy);
+	return Object.fromEntries(
+		RESOURCES.map((resource) => [
+			resource,
+			Object.fromEntries(
+				ACTIONS.flatMap((action) => {
+					const scope = engine.scopeFor(subject, action, resource);
+					return scope ? [[action, scope]] : [];
+				})
+			),
+		])
+	);
+};
+
+/**
+ * Reads the grants a role defines itself, without the inherited ones. Wildcard rules
+ * are spread over every known resource and action.
+ *
+ * @param {RoleDefinition} role - The role.
+ * @returns {RoleGrants} The grants.
+ */
+export const grantsOf = (role: RoleDefinition): RoleGrants =>
+	effectiveGrants({ roles: { role: { ...role, inherits: [] } } }, { userId: "", roles: ["role"] });
+
+/**
+ * Writes grants back as rules: one rule per resource and scope.
+ *
+ * @param {RoleGrants} grants - The grants.
+ * @returns {PermissionRule[]} The rules.
+ */
+const rulesOf = (grants: RoleGrants): PermissionRule[] =>
+	RESOURCES.flatMap((resource) =>
+		[...SCOPES].reverse().flatMap((scope) => {
+			const actions = ACTIONS.filter((action) => grants[resource]?.[action] === scope);
+			if (actions.length === 0) {
+				return [];
+			}
+			return [scope === "all" ? { resource, actions } : { resource, actions, condition: scope }];
+		})
+	);
+
+/**
+ * Returns a copy of a role with one grant changed.
+ *
+ * @param {RoleDefinition} role - The role.
+ * @param {Resource} resource - The resource.
+ * @param {Action} action - The action.
+ * @param {AccessScope | null} scope - The new scope, `null` to revoke the grant.
+ * @returns {RoleDefinition} The updated role.
+ */
+export const withGrant = (
+	role: RoleDefinition,
+	resource: Resource,
+	action: Action,
+	scope: AccessScope | null
+): RoleDefinition => {
+	const grants = grantsOf(role);
+	const { [action]: _previous, ...others } = grants[resource] ?? {};
+	grants[resource] = scope ? { ...others, [action]: scope } : others;
+	return { ...role, rules: rulesOf(grants) };
+};
+
+/**
+ * Tells how far the roles a role inherits reach for an action.
+ *
+ * @param {Policy} policy - The policy.
+ * @param {string} roleId - The role.
+ * @param {Resource} resource - The resource.
+ * @param {Action} action - The action.
+ * @returns {AccessScope | null} The inherited scope, `null` when nothing is inherited.
+ */
+export const inheritedScope = (
+	policy: Policy,
+	roleId: string,
+	resource: Resource,
+	action: Action
+): AccessScope | null =>
+	createAccessControl(policy).scopeFor(
+		{ userId: "", roles: policy.roles[roleId]?.inherits ?? [] },
+		action,
+		resource
+	);
+
+/**
+ * Roles a role may inherit from: every other role that does not already inherit from
+ * it, so the editor never offers a loop.
+ *
+ * @param {Policy} policy - The policy.
+ * @param {string} roleId - The role being edited.
+ * @returns {string[]} The candidate role IDs.
+ */
+export const inheritableRoles = (policy: Policy, roleId: string): string[] => {
+	const reaches = (from: string, seen = new Set<string>()): boolean => {
+		if (from === roleId) {
+			return true;
+		}
+		if (seen.has(from)) {
+			return false;
+		}
+		seen.add(from);
+		return (policy.roles[from]?.inherits ?? []).some((parent) => reaches(parent, seen));
+	};
+	return Object.keys(policy.roles).filter((id) => !reaches(id));
+};
+
+/**
+ * Checks the ID and name of a new role.
+ *
+ * @param {Policy} policy - The policy it is added to.
+ * @param {{ id: string; label: string }} role - The new role.
+ * @returns {Partial<Record<"id" | "label", string>>} One message per invalid field.
+ */
+export const checkNewRole = (
+	policy: Policy,
+	{ id, label }: { id: string; label: string }
+): Partial<Record<"id" | "label", string>> => {
+	const errors: Partial<Record<"id" | "label", string>> = {};
+	if (id === "") {
+		errors.id = ROLE_FIELD_MESSAGES.id.required;
+	} else if (!ROLE_ID_PATTERN.test(id)) {
+		errors.id = ROLE_FIELD_MESSAGES.id.invalid;
+	} else if (Object.hasOwn(policy.roles, id)) {
+		errors.id = ROLE_FIELD_MESSAGES.id.taken;
+	}
+
+	if (label.trim() === "") {
+		errors.label = ROLE_FIELD_MESSAGES.label.required;
+	} else if (label.trim().length > MAX_ROLE_LABEL_LENGTH) {
+		errors.label = ROLE_FIELD_MESSAGES.label.too_long;
+	}
+	return errors;
+};
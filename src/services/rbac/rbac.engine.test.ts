@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+
+import type { AccessSubject, Policy } from "@interface/rbac.interface";
+import type { SessionClaims } from "@interface/session.interface";
+
+import { createAccessControl, subjectFromClaims } from "./rbac.engine";
+
+const policy: Policy = {
+	roles: {
+		user: {
+			label: "User",
+			rules: [{ resource: "users", actions: ["read", "update"], condition: "own" }],
+		},
+		support: {
+			label: "Support",
+			inherits: ["user"],
+			rules: [{ resource: "users", actions: ["read"], condition: "tenant" }],
+		},
+		manager: {
+			label: "Manager",
+			inherits: ["support"],
+			rules: [{ resource: "users", actions: ["create", "update"], condition: "tenant" }],
+		},
+		auditor: { label: "Auditor", rules: [{ resource: "audit", actions: ["read"] }] },
+		admin: { label: "Administrator", rules: [{ resource: "*", actions: ["*"] }] },
+		loopA: { label: "Loop A", inherits: ["loopB"], rules: [] },
+		loopB: {
+			label: "Loop B",
+			inherits: ["loopA"],
+			rules: [{ resource: "sessions", actions: ["read"] }],
+		},
+	},
+};
+
+const ac = createAccessControl(policy);
+
+const subject = (roles: string[], extra: Partial<AccessSubject> = {}): AccessSubject => ({
+	userId: "u1",
+	tenantId: "t1",
+	roles,
+	...extra,
+});
+
+describe("createAccessControl", () => {
+	it("grants the rules of inherited roles", () => {
+		const manager = subject(["manager"]);
+
+		expect(ac.can(manager, "create", "users")).toBe(true);
+		expect(ac.can(manager, "read", "users", { ownerId: "u2", tenantId: "t1" })).toBe(true);
+		expect(ac.can(manager, "delete", "users")).toBe(false);
+		expect(ac.can(manager, "read", "audit")).toBe(false);
+	});
+
+	it("checks ownership and tenant conditions against the target", () => {
+		const user = subject(["user"]);
+		const support = subject(["support"]);
+
+		expect(ac.can(user, "update", "users", { ownerId: "u1" })).toBe(true);
+		expect(ac.can(user, "update", "users", { ownerId: "u2" })).toBe(false);
+		expect(ac.can(support, "read", "users", { ownerId: "u2", tenantId: "t1" })).toBe(true);
+		expect(ac.can(support, "read", "users", { ownerId: "u2", tenantId: "t2" })).toBe(false);
+		expect(ac.can(subject(["support"], { tenantId: undefined }), "read", "users", {})).toBe(false);
+	});
+
+	it("matches conditional rules when no target is given", () => {
+		expect(ac.can(subject(["user"]), "update", "users")).toBe(true);
+	});
+
+	it("matches every resource and action with the wildcard", () => {
+		const admin = subject(["admin"]);
+
+		expect(ac.can(admin, "delete", "roles")).toBe(true);
+		expect(ac.can(admin, "update", "users", { ownerId: "u2", tenantId: "t2" })).toBe(true);
+	});
+
+	it("grants nothing for unknown roles", () => {
+		expect(ac.rulesFor(subject(["ghost"]))).toEqual([]);
+		expect(ac.can(subject(["ghost"]), "read", "users")).toBe(false);
+	});
+
+	it("survives inheritance cycles", () => {
+		expect(ac.can(subject(["loopA"]), "read", "sessions")).toBe(true);
+		expect(ac.rulesFor(subject(["loopA"]))).toHaveLength(1);
+	});
+
+	it("adds direct permissions and ignores malformed ones", () => {
+		const auditor = subject([], { permissions: ["audit:*", "broken", ":read"] });
+
+		expect(ac.can(auditor, "export", "audit")).toBe(true);
+		expect(ac.rulesFor(auditor)).toEqual([{ resource: "audit", actions: ["*"] }]);
+	});
+
+	it("only grants reading to read-only subjects", () => {
+		const admin = subject(["admin"], { readOnly: true });
+
+		expect(ac.can(admin, "read", "users")).toBe(true);
+		expect(ac.can(admin, "update", "users")).toBe(false);
+		expect(ac.can(subject(["manager"], { readOnly: true }), "create", "users")).toBe(false);
+	});
+
+	it("reports the widest scope of the matching grants", () => {
+		expect(ac.scopeFor(subject(["user"]), "read", "users")).toBe("own");
+		expect(ac.scopeFor(subject(["support"]), "read", "users")).toBe("tenant");
+		expect(ac.scopeFor(subject(["support", "admin"]), "read", "users")).toBe("all");
+		expect(ac.scopeFor(subject(["auditor"]), "read", "users")).toBeNull();
+	});
+
+	it("lists the permissions of a subject", () => {
+		expect(
+			ac.permissionsFor(subject(["manager"]), ["users", "audit"], ["read", "create", "delete"])
+		).toEqual(["users:read", "users:create"]);
+	});
+});
+
+describe("subjectFromClaims", () => {
+	const claims: SessionClaims = {
+		userId: "u1",
+		roles: ["manager"],
+		permissions: ["audit:read"],
+		tenantId: "t1",
+		expiresAt: 0,
+	};
+
+	it("maps the session claims", () => {
+		expect(subjectFromClaims(claims)).toEqual({
+			userId: "u1",
+			roles: ["manager"],
+			permissions: ["audit:read"],
+			tenantId: "t1",
+			readOnly: false,
+		});
+	});
+
+	it("makes a delegated session read-only", () => {
+		expect(subjectFromClaims({ ...claims, actor: { userId: "staff" } }).readOnly).toBe(true);
+	});
+});
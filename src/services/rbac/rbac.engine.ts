@@ -0,0 +1,192 @@
+import type {
+	AccessScope,
+	AccessSubject,
+	AccessTarget,
+	Action,
+	PermissionRule,
+	Policy,
+	Resource,
+	RuleCondition,
+} from "@interface/rbac.interface";
+import type { SessionClaims } from "@interface/session.interface";
+
+/**
+ * Wildcard matching every resource or action.
+ */
+const ANY = "*";
+
+/**
+ * The only action left to read-only subjects.
+ */
+const READ = "read";
+
+/**
+ * Parses a direct `resource:action` grant into a rule. Malformed entries are ignored.
+ *
+ * @param {string} permission - The grant, e.g. `users:read` or `audit:*`.
+ * @returns {PermissionRule | null} The equivalent rule.
+ */
+const parsePermission = (permission: string): PermissionRule | null => {
+	const [resource, action] = permission.split(":");
+	return resource && action ? { resource, actions: [action] } : null;
+};
+
+/**
+ * Width of each scope, to keep the widest of several grants.
+ */
+const SCOPE_RANK: Record<AccessScope, number> = { own: 1, tenant: 2, all: 3 };
+
+/**
+ * Evaluates a rule condition for a subject and target.
+ *
+ * @param {RuleCondition} condition - The condition to check.
+ * @param {AccessSubject} subject - Who asks.
+ * @param {AccessTarget} target - The targeted instance.
+ * @returns {boolean}
+ */
+const meetsCondition = (
+	condition: RuleCondition,
+	subject: AccessSubject,
+	target: AccessTarget
+): boolean => {
+	switch (condition) {
+		case "own":
+			return target.ownerId !== undefined && target.ownerId === subject.userId;
+		case "tenant":
+			return target.tenantId !== undefined && target.tenantId === subject.tenantId;
+		default:
+			return false;
+	}
+};
+
+/**
+ * Access-control engine bound to one {@link Policy}.
+ */
+export interface AccessControl {
+	readonly policy: Policy;
+	rulesFor: (subject: AccessSubject) => PermissionRule[];
+	can: (
+		subject: AccessSubject,
+		action: Action,
+		resource: Resource,
+		target?: AccessTarget
+	) => boolean;
+	scopeFor: (subject: AccessSubject, action: Action, resource: Resource) => AccessScope | null;
+	permissionsFor: (
+		subject: AccessSubject,
+		resources: readonly Resource[],
+		actions: readonly Action[]
+	) => string[];
+}
+
+/**
+ * Creates an access-control engine for a policy.
+ *
+ * The engine is pure: it never reads the session or the DOM, so every decision can be
+ * unit-tested with plain objects.
+ *
+ * Decision rules:
+ * - A subject gets the rules of each of its roles, including inherited roles, plus its
+ *   direct `resource:action` permissions. Unknown roles grant nothing.
+ * - `*` matches any resource or action.
+ * - A rule with a condition only matches when a `target` is given and satisfies it.
+ *   Without a target the question is "may the subject do this to *some* instance", so
+ *   conditional rules match; check again with the instance before acting on it.
+ * - `scopeFor` tells how far the grants reach: `all` when one rule is unconditional,
+ *   otherwise the widest condition (`tenant` covers more than `own`).
+ *
+ * @param {Policy} policy - The roles to enforce.
+ * @returns {AccessControl} The engine.
+ *
+ * * Example Usage:
+ * const ac = createAccessControl(defaultPolicy);
+ * ac.can({ userId: "u1", roles: ["user"] }, "update", "users", { ownerId: "u1" }); // true
+ */
+export const createAccessControl = (policy: Policy): AccessControl => {
+	/**
+	 * Collects the rules of a role and of the roles it inherits, ignoring cycles.
+	 */
+	const collectRoleRules = (role: string, seen: Set<string>): PermissionRule[] => {
+		const definition = policy.roles[role];
+		if (!definition || seen.has(role)) {
+			return [];
+		}
+		seen.add(role);
+		return [
+			...definition.rules,
+			...(definition.inherits ?? []).flatMap((parent) => collectRoleRules(parent, seen)),
+		];
+	};
+
+	const rulesFor = (subject: AccessSubject): PermissionRule[] => {
+		const seen = new Set<string>();
+		const rules = [
+			...subject.roles.flatMap((role) => collectRoleRules(role, seen)),
+			...(subject.permissions ?? [])
+				.map(parsePermission)
+				.filter((rule): rule is PermissionRule => rule !== null),
+		];
+		return subject.readOnly ?
+				rules
+					.filter((rule) => rule.actions.includes(ANY) || rule.actions.includes(READ))
+					.map((rule) => ({ ...rule, actions: [READ] }))
+			:	rules;
+	};
+
+	const can = (
+		subject: AccessSubject,
+		action: Action,
+		resource: Resource,
+		target?: AccessTarget
+	): boolean =>
+		rulesFor(subject).some(
+			(rule) =>
+				(rule.resource === ANY || rule.resource === resource) &&
+				(rule.actions.includes(ANY) || rule.actions.includes(action)) &&
+				(!rule.condition || !target || meetsCondition(rule.condition, subject, target))
+		);
+
+	const scopeFor = (
+		subject: AccessSubject,
+		action: Action,
+		resource: Resource
+	): AccessScope | null =>
+		rulesFor(subject)
+			.filter(
+				(rule) =>
+					(rule.resource === ANY || rule.resource === resource) &&
+					(rule.actions.includes(ANY) || rule.actions.includes(action))
+			)
+			.map((rule): AccessScope => rule.condition ?? "all")
+			.reduce<AccessScope | null>(
+				(widest, scope) => (!widest || SCOPE_RANK[scope] > SCOPE_RANK[widest] ? scope : widest),
+				null
+			);
+
+	const permissionsFor = (
+		subject: AccessSubject,
+		resources: readonly Resource[],
+		actions: readonly Action[]
+	): string[] =>
+		resources.flatMap((resource) =>
+			actions
+				.filter((action) => can(subject, action, resource))
+				.map((action) => `${resource}:${action}`)
+		);
+
+	return { policy, rulesFor, can, scopeFor, permissionsFor };
+};
+
+/**
+ * Builds the access subject of a verified session. A delegated session is read-only.
+ *
+ * @param {SessionClaims} claims - The session claims.
+ * @returns {AccessSubject} The subject.
+ */
+export const subjectFromClaims = (claims: SessionClaims): AccessSubject => ({
+	userId: claims.userId,
+	roles: claims.roles,
+	permissions: claims.permissions,
+	tenantId: claims.tenantId,
+	readOnly: claims.actor !== undefined,
+});
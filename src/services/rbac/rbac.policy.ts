@@ -0,0 +1,125 @@
+import type { Policy } from "@interface/rbac.interface";
+
+/**
+ * @constant RESOURCES
+ * Resources the application protects, in display order.
+ */
+export const RESOURCES = [
+	"users",
+	"roles",
+	"sessions",
+	"audit",
+	"impersonation",
+	"settings",
+] as const;
+
+/**
+ * @constant ACTIONS
+ * Actions that can be granted on a resource, in display order.
+ */
+export const ACTIONS = ["create", "read", "update", "delete"] as const;
+
+/**
+ * @constant RESOURCE_LABELS
+ * Readable names of the resources.
+ */
+export const RESOURCE_LABELS: Record<(typeof RESOURCES)[number], string> = Object.freeze({
+	users: "Users",
+	roles: "Roles",
+	sessions: "Sessions",
+	audit: "Audit log",
+	impersonation: "View as user",
+	settings: "Account settings",
+});
+
+/**
+ * @constant ACTION_LABELS
+ * Readable names of the actions.
+ */
+export const ACTION_LABELS: Record<(typeof ACTIONS)[number], string> = Object.freeze({
+	create: "Create",
+	read: "Read",
+	update: "Update",
+	delete: "Delete",
+});
+
+/**
+ * @constant RESOURCE_GROUPS
+ * Resources grouped by area, as the role editor shows them.
+ */
+export const RESOURCE_GROUPS: readonly {
+	label: string;
+	resources: readonly (typeof RESOURCES)[number][];
+}[] = Object.freeze([
+	{ label: "Identity", resources: ["users", "roles"] },
+	{ label: "Security", resources: ["sessions", "audit", "impersonation"] },
+	{ label: "Account", resources: ["settings"] },
+]);
+
+/**
+ * @constant LOCKED_ROLE
+ * Role that always keeps full access: the API refuses to change its rules or remove
+ * it, so there is always someone able to repair the other roles.
+ */
+export const LOCKED_ROLE = "admin";
+
+/**
+ * @constant defaultPolicy
+ * Built-in roles of InterfaceGuard. They apply until the roles stored by the API are
+ * loaded, and again after signing out.
+ *
+ * - `user`: manages their own profile and sessions.
+ * - `support`: reads users and sessions of their tenant, and may view the application as
+ *   one of those users (`create` on `impersonation`).
+ * - `manager`: manages users of their tenant.
+ * - `auditor`: reads the audit log.
+ * - `admin`: everything.
+ */
+export const defaultPolicy: Policy = {
+	roles: {
+		user: {
+			label: "User",
+			description: "Signed-in end user.",
+			rules: [
+				{ resource: "users", actions: ["read", "update"], condition: "own" },
+				{ resource: "sessions", actions: ["read", "delete"], condition: "own" },
+				{ resource: "settings", actions: ["read", "update"], condition: "own" },
+			],
+		},
+		support: {
+			label: "Support",
+			description: "Helps users of their tenant.",
+			inherits: ["user"],
+			rules: [
+				{ resource: "users", actions: ["read"], condition: "tenant" },
+				{ resource: "sessions", actions: ["read"], condition: "tenant" },
+				{ resource: "impersonation", actions: ["create"], condition: "tenant" },
+			],
+		},
+		manager: {
+			label: "Manager",
+			description: "Administers the users of their tenant.",
+			inherits: ["support"],
+			rules: [
+				{
+					resource: "users",
+					actions: ["create", "read", "update", "delete"],
+					condition: "tenant",
+				},
+				{ resource: "sessions", actions: ["delete"], condition: "tenant" },
+				{ resource: "roles", actions: ["read"] },
+			],
+		},
+		auditor: {
+			label: "Auditor",
+			description: "Reviews security events.",
+			inherits: ["user"],
+			rules: [{ resource: "audit", actions: ["read"] }],
+		},
+		admin: {
+			label: "Administrator",
+			description: "Full access to every resource.",
+			rules: [{ resource: "*", actions: ["*"] }],
+		},
+	},
+};
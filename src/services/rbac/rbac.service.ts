@@ -0,0 +1,43 @@
+import type { Policy, VersionedPolicy } from "@interface/rbac.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Loads the roles the API enforces. Every signed-in user may read them.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<VersionedPolicy>} The policy and its version.
+ */
+const getPolicy = (accessToken: string, signal?: AbortSignal): Promise<VersionedPolicy> =>
+	apiRequest<VersionedPolicy>("/rbac/policy", { accessToken, signal });
+
+/**
+ * Replaces every role at once.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {Policy} policy - The complete set of roles.
+ * @param {number} version - Version the edits started from.
+ * @returns {Promise<VersionedPolicy>} The saved policy, with its new version.
+ * @throws {ApiError} `400 VALIDATION_FAILED` with one code per role field in
+ * `details.fields`; `409 VERSION_CONFLICT` with the current policy in `details.current`;
+ * `409 ROLE_IN_USE` when a removed role is still held by users.
+ */
+const savePolicy = (
+	accessToken: string,
+	policy: Policy,
+	version: number
+): Promise<VersionedPolicy> =>
+	apiRequest<VersionedPolicy>("/rbac/policy", {
+		method: "PUT",
+		accessToken,
+		body: { roles: policy.roles, version },
+	});
+
+/**
+ * @constant rbacService
+ * Role and permission endpoints of the InterfaceGuard API.
+ *
+ * * Example Usage:
+ * const { roles, version } = await rbacService.getPolicy(accessToken);
+ */
+export const rbacService = Object.freeze({ getPolicy, savePolicy });
@@ -0,0 +1,53 @@
+import type { Policy } from "@interface/rbac.interface";
+import { createStore } from "@utils/createStore";
+
+import { type AccessControl, createAccessControl } from "./rbac.engine";
+import { defaultPolicy } from "./rbac.policy";
+
+/**
+ * State of {@link policyStore}.
+ */
+export interface PolicyState {
+	policy: Policy;
+	/** Version of the stored policy, `null` while the built-in one applies. */
+	version: number | null;
+}
+
+/**
+ * @constant policyStore
+ * The roles the application enforces: the built-in {@link defaultPolicy} until the
+ * roles stored by the API are loaded, then those, so the guards and the role editor
+ * always agree with the API.
+ */
+export const policyStore = createStore<PolicyState>({ policy: defaultPolicy, version: null });
+
+let engine = createAccessControl(defaultPolicy);
+
+/**
+ * Returns the engine of the current policy, rebuilding it when the policy changed.
+ *
+ * @returns {AccessControl} The engine.
+ */
+const current = (): AccessControl => {
+	const { policy } = policyStore.getState();
+	if (engine.policy !== policy) {
+		engine = createAccessControl(policy);
+	}
+	return engine;
+};
+
+/**
+ * @constant accessControl
+ * Engine enforcing the policy held in {@link policyStore}. Its answers follow every
+ * change of the store; components should subscribe to the store (see `usePolicy`) to
+ * render again when it changes.
+ */
+export const accessControl: AccessControl = Object.freeze<AccessControl>({
+	get policy() {
+		return current().policy;
+	},
+	rulesFor: (...args) => current().rulesFor(...args),
+	can: (...args) => current().can(...args),
+	scopeFor: (...args) => current().scopeFor(...args),
+	permissionsFor: (...args) => current().permissionsFor(...args),
+});
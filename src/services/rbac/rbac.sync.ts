@@ -0,0 +1,55 @@
+import { sessionStore } from "@services/session/session.service";
+
+import { defaultPolicy } from "./rbac.policy";
+import { rbacService } from "./rbac.service";
+import { policyStore } from "./rbac.store";
+
+/**
+ * Keeps {@link policyStore} in step with the roles stored by the API.
+ *
+ * The policy is loaded on sign-in and again with every new access token, so changes
+ * saved in another tab or by another administrator reach this tab within one token
+ * lifetime. Signing out brings back the built-in policy. A policy that cannot be
+ * loaded leaves the current one in place.
+ *
+ * @returns {() => void} Stops the synchronisation.
+ *
+ * * Example Usage:
+ * useEffect(() => startPolicySync(), []);
+ */
+export const startPolicySync = (): (() => void) => {
+	let controller: AbortController | null = null;
+
+	const load = (accessToken: string) => {
+		controller?.abort();
+		const pending = new AbortController();
+		controller = pending;
+		rbacService
+			.getPolicy(accessToken, pending.signal)
+			.then(({ roles, version }) => policyStore.setState({ policy: { roles }, version }))
+			.catch((error: unknown) => {
+				if (!pending.signal.aborted) {
+					console.warn("The roles could not be loaded; the previous ones still apply.", error);
+				}
+			});
+	};
+
+	const initial = sessionStore.getState();
+	if (initial.status === "authenticated" && initial.tokens) {
+		load(initial.tokens.accessToken);
+	}
+
+	const unsubscribe = sessionStore.subscribe((state, previous) => {
+		if (state.status === "authenticated" && state.tokens && state.tokens !== previous.tokens) {
+			load(state.tokens.accessToken);
+		} else if (previous.status === "authenticated" && state.status === "anonymous") {
+			controller?.abort();
+			policyStore.setState({ policy: defaultPolicy, version: null });
+		}
+	});
+
+	return () => {
+		controller?.abort();
+		unsubscribe();
+	};
+};
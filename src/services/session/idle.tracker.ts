@@ -0,0 +1,164 @@
+/**
+ * `BroadcastChannel` used to share user activity between tabs, so that working in one
+ * tab keeps the session alive in all of them.
+ */
+const CHANNEL_NAME = "interface-guard:activity";
+
+/**
+ * DOM events that count as user activity.
+ */
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+/**
+ * Minimum delay between two activity broadcasts.
+ */
+const BROADCAST_INTERVAL = 5_000;
+
+/**
+ * How often the idle time is evaluated.
+ */
+const TICK_INTERVAL = 1_000;
+
+/**
+ * Messages exchanged between tabs. `explicit` marks a "stay signed in" confirmation,
+ * which also closes the warning in the other tabs.
+ */
+interface ActivityMessage {
+	at: number;
+	explicit: boolean;
+}
+
+/**
+ * Options of {@link startIdleTracker}. Durations are in milliseconds.
+ */
+export interface IdleTrackerOptions {
+	/** Inactivity after which `onTimeout` fires. */
+	timeout: number;
+	/** How long before the timeout `onWarning` fires. */
+	warning: number;
+	/** The warning phase started; `deadline` is the epoch time of the sign-out. */
+	onWarning: (deadline: number) => void;
+	/** The warning phase ended because the user confirmed they are still there. */
+	onActive: () => void;
+	/** The user has been inactive for `timeout`. Fires once. */
+	onTimeout: () => void;
+}
+
+/**
+ * Handle returned by {@link startIdleTracker}.
+ */
+export interface IdleTracker {
+	/** Confirms the user is still there: resets the timer in every tab. */
+	stayActive: () => void;
+	stop: () => void;
+}
+
+/**
+ * Watches pointer, keyboard and visibility events and reports inactivity.
+ *
+ * Activity is shared between tabs, so the user is only considered idle when no tab
+ * saw activity. Once the warning is showing, passive activity such as moving the
+ * pointer no longer counts: the user has to confirm with {@link IdleTracker.stayActive}.
+ * Browsers throttle timers in hidden tabs, so the idle time is re-evaluated as soon as
+ * a tab becomes visible again.
+ *
+ * @param {IdleTrackerOptions} options - Durations and callbacks.
+ * @returns {IdleTracker} The tracker.
+ *
+ * * Example Usage:
+ * const tracker = startIdleTracker({ timeout: 900_000, warning: 60_000, onWarning, onActive, onTimeout });
+ */
+export const startIdleTracker = ({
+	timeout,
+	warning,
+	onWarning,
+	onActive,
+	onTimeout,
+}: IdleTrackerOptions): IdleTracker => {
+	const channel =
+		typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(CHANNEL_NAME);
+
+	let lastActivity = Date.now();
+	let lastBroadcast = 0;
+	let warned = false;
+	let timedOut = false;
+
+	const broadcast = (explicit: boolean) => {
+		lastBroadcast = lastActivity;
+		channel?.postMessage({ at: lastActivity, explicit } satisfies ActivityMessage);
+	};
+
+	const evaluate = () => {
+		if (timedOut) {
+			return;
+		}
+		const idle = Date.now() - lastActivity;
+		if (idle >= timeout) {
+			timedOut = true;
+			onTimeout();
+		} else if (idle >= timeout - warning && !warned) {
+			warned = true;
+			onWarning(lastActivity + timeout);
+		}
+	};
+
+	const markActive = (at: number) => {
+		lastActivity = Math.max(lastActivity, at);
+		if (warned) {
+			warned = false;
+			onActive();
+		}
+	};
+
+	const handleActivity = () => {
+		if (warned || timedOut) {
+			return;
+		}
+		lastActivity = Date.now();
+		if (lastActivity - lastBroadcast >= BROADCAST_INTERVAL) {
+			broadcast(false);
+		}
+	};
+
+	const handleVisibilityChange = () => {
+		if (document.visibilityState === "visible") {
+			evaluate();
+		}
+	};
+
+	const handleMessage = ({ data }: MessageEvent<ActivityMessage>) => {
+		if (timedOut) {
+			return;
+		}
+		if (data.explicit) {
+			markActive(data.at);
+		} else if (!warned) {
+			lastActivity = Math.max(lastActivity, data.at);
+		}
+	};
+
+	ACTIVITY_EVENTS.forEach((type) =>
+		window.addEventListener(type, handleActivity, { capture: true, passive: true })
+	);
+	document.addEventListener("visibilitychange", handleVisibilityChange);
+	channel?.addEventListener("message", handleMessage);
+	const interval = setInterval(evaluate, TICK_INTERVAL);
+
+	return {
+		stayActive: () => {
+			if (timedOut) {
+				return;
+			}
+			markActive(Date.now());
+			broadcast(true);
+		},
+		stop: () => {
+			clearInterval(interval);
+			ACTIVITY_EVENTS.forEach((type) =>
+				window.removeEventListener(type, handleActivity, { capture: true })
+			);
+			document.removeEventListener("visibilitychange", handleVisibilityChange);
+			channel?.close();
+		},
+	};
+};
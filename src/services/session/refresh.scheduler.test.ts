@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import type { AuthTokens } from "@interface/auth.interface";
+import type { SessionClaims } from "@interface/session.interface";
+import { ApiError } from "@services/api/api.errors";
+
+import { refreshSession } from "./refresh.scheduler";
+import type { SessionChannel, SessionMessage } from "./session.channel";
+import { sessionService, sessionStore } from "./session.service";
+import { startSessionSync } from "./session.sync";
+
+const { authService, lifetimes } = vi.hoisted(() => ({
+	authService: { refresh: vi.fn(), logout: vi.fn() },
+	/** Seconds left on each issued access token, by token. */
+	lifetimes: new Map<string, number>(),
+}));
+
+vi.mock("@services/auth/auth.service", () => ({ authService, isMfaChallenge: () => false }));
+
+// Tokens are opaque here: their claims are looked up instead of verified.
+vi.mock("./session.verifier", () => ({
+	verifyAccessToken: async (accessToken: string): Promise<SessionClaims> => {
+		const now = Math.floor(Date.now() / 1000);
+		return {
+			userId: "u1",
+			roles: [],
+			permissions: [],
+			issuedAt: now - 3600,
+			expiresAt: now + (lifetimes.get(accessToken) ?? 300),
+		};
+	},
+}));
+
+let issued = 0;
+
+/**
+ * Issues a token pair whose access token has `lifetime` seconds left; the refresh leeway
+ * is 60 seconds.
+ */
+const issue = (lifetime = 300): AuthTokens => {
+	issued++;
+	lifetimes.set(`access-${issued}`, lifetime);
+	return {
+		accessToken: `access-${issued}`,
+		refreshToken: `refresh-${issued}`,
+		expiresIn: lifetime,
+		tokenType: "Bearer",
+	};
+};
+
+/**
+ * A channel to other tabs; `deliver` plays a message one of them posted.
+ */
+const createFakeChannel = () => {
+	const handlers = new Set<(message: SessionMessage) => void>();
+	const channel: SessionChannel & { deliver: (message: SessionMessage) => void } = {
+		supported: true,
+		post: vi.fn(),
+		subscribe: (handler) => {
+			handlers.add(handler);
+			return () => handlers.delete(handler);
+		},
+		close: () => undefined,
+		deliver: (message) => handlers.forEach((handler) => handler(message)),
+	};
+	return channel;
+};
+
+/**
+ * A Web Lock manager shared by tabs: requests run one after the other.
+ */
+const createFakeLocks = () => {
+	let queue: Promise<unknown> = Promise.resolve();
+	const locks = {
+		names: [] as string[],
+		request: vi.fn((name: string, task: () => Promise<unknown>) => {
+			locks.names.push(name);
+			const result = queue.then(task);
+			queue = result.catch(() => undefined);
+			return result;
+		}),
+	};
+	return locks;
+};
+
+let channel: ReturnType<typeof createFakeChannel>;
+let stopSync: () => void;
+
+beforeEach(async () => {
+	channel = createFakeChannel();
+	await sessionService.establish(issue(30));
+	stopSync = startSessionSync(channel);
+});
+
+afterEach(() => {
+	stopSync();
+	sessionService.clear();
+	vi.unstubAllGlobals();
+	authService.refresh.mockReset();
+});
+
+describe("refreshSession", () => {
+	it("shares one request between concurrent calls", async () => {
+		const rotated = issue();
+		authService.refresh.mockResolvedValue(rotated);
+
+		const [first, second] = await Promise.all([refreshSession(), refreshSession()]);
+
+		expect(authService.refresh).toHaveBeenCalledTimes(1);
+		expect(authService.refresh).toHaveBeenCalledWith("refresh-1");
+		expect(first).toBe(second);
+		expect(sessionStore.getState().tokens).toBe(rotated);
+	});
+
+	it("skips the request while the access token is fresh, unless forced", async () => {
+		await sessionService.establish(issue(300));
+		authService.refresh.mockResolvedValue(issue());
+
+		await refreshSession();
+		expect(authService.refresh).not.toHaveBeenCalled();
+
+		await refreshSession({ force: true });
+		expect(authService.refresh).toHaveBeenCalledTimes(1);
+	});
+
+	it("runs under the refresh lock and adopts what another tab refreshed meanwhile", async () => {
+		const locks = createFakeLocks();
+		vi.stubGlobal("navigator", { locks });
+		let releaseOtherTab!: () => void;
+		const held = new Promise<void>((resolve) => {
+			releaseOtherTab = resolve;
+		});
+		// Another tab holds the lock and broadcasts its tokens before releasing it.
+		const otherTab = locks.request("interface-guard:refresh", () => held);
+
+		const refreshed = refreshSession();
+		const rotated = issue();
+		channel.deliver({ type: "tokens", tokens: rotated, user: null, impersonator: null });
+		releaseOtherTab();
+		await otherTab;
+
+		await expect(refreshed).resolves.toMatchObject({ userId: "u1" });
+		expect(locks.names).toEqual(["interface-guard:refresh", "interface-guard:refresh"]);
+		expect(authService.refresh).not.toHaveBeenCalled();
+		expect(sessionStore.getState().tokens).toBe(rotated);
+	});
+
+	it("adopts the tokens of a tab that rotated the refresh token first", async () => {
+		const rotated = issue();
+		authService.refresh.mockImplementation(async () => {
+			// The other tab redeemed the refresh token just before this one.
+			channel.deliver({ type: "tokens", tokens: rotated, user: null, impersonator: null });
+			throw new ApiError(401, "REFRESH_TOKEN_REUSED", "The refresh token was already used.");
+		});
+
+		await expect(refreshSession()).resolves.toMatchObject({ userId: "u1" });
+		expect(sessionStore.getState()).toMatchObject({ status: "authenticated", tokens: rotated });
+		expect(channel.post).not.toHaveBeenCalledWith({ type: "logout" });
+	});
+
+	it("signs out every tab when the refresh token is rejected", async () => {
+		authService.refresh.mockRejectedValue(
+			new ApiError(401, "INVALID_REFRESH_TOKEN", "The session has ended.")
+		);
+
+		await expect(refreshSession()).resolves.toBeNull();
+		expect(sessionStore.getState().status).toBe("anonymous");
+		expect(channel.post).toHaveBeenCalledWith({ type: "logout" });
+	});
+
+	it("keeps the session when the API cannot be reached", async () => {
+		authService.refresh.mockRejectedValue(new ApiError(503, "UNAVAILABLE", "Try again later."));
+
+		await expect(refreshSession()).rejects.toBeInstanceOf(ApiError);
+		expect(sessionStore.getState().status).toBe("authenticated");
+	});
+});
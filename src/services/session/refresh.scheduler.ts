@@ -0,0 +1,185 @@
+import type { SessionClaims } from "@interface/session.interface";
+import { ApiError } from "@services/api/api.request";
+import { authService } from "@services/auth/auth.service";
+import { env } from "@utils/env";
+
+import { sessionService, sessionStore } from "./session.service";
+import { whenSynced } from "./session.sync";
+
+/**
+ * Web Lock held by the tab that performs a refresh. Rotating refresh tokens can only be
+ * redeemed once, so at most one tab may talk to `/auth/refresh` at a time.
+ */
+const REFRESH_LOCK = "interface-guard:refresh";
+
+/**
+ * Upper bound for `setTimeout` delays (about 24.8 days); larger values fire immediately.
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Random delay added to each scheduled refresh so tabs without Web Locks rarely race.
+ */
+const MAX_JITTER = 5_000;
+
+/**
+ * Delay before retrying a refresh that failed for a reason other than a rejected token.
+ */
+const RETRY_DELAY = 10_000;
+
+/**
+ * Runs `task` while holding the cross-tab refresh lock.
+ *
+ * Without the Web Locks API the task runs directly; in-tab deduplication, jitter and the
+ * rotation check in {@link refreshSession} then keep tabs from tripping over each other.
+ *
+ * @param {() => Promise<T>} task - The work to run exclusively.
+ * @returns {Promise<T>} The task result.
+ */
+export const withRefreshLock = <T>(task: () => Promise<T>): Promise<T> =>
+	typeof navigator !== "undefined" && navigator.locks ?
+		(navigator.locks.request(REFRESH_LOCK, task) as Promise<T>)
+	:	task();
+
+/**
+ * Time, in milliseconds, before `exp` at which the token should be refreshed. Capped at
+ * half the token lifetime so short-lived tokens are not refreshed in a loop.
+ *
+ * @param {SessionClaims} claims - The current claims.
+ * @returns {number}
+ */
+const leewayFor = (claims: SessionClaims): number => {
+	const lifetime = claims.expiresAt - (claims.issuedAt ?? Date.now() / 1000);
+	return Math.min(env.session.refreshLeeway, lifetime / 2) * 1000;
+};
+
+/**
+ * Whether the active access token still has more than the refresh leeway left.
+ *
+ * @param {SessionClaims | null} claims - The current claims.
+ * @returns {boolean}
+ */
+const isFresh = (claims: SessionClaims | null): boolean =>
+	!!claims && claims.expiresAt * 1000 - Date.now() > leewayFor(claims);
+
+/**
+ * Options of {@link refreshSession}.
+ */
+export interface RefreshOptions {
+	/** Refresh even when the current access token is still fresh. */
+	force?: boolean;
+}
+
+let inFlight: Promise<SessionClaims | null> | null = null;
+
+/**
+ * Refreshes the access token, coordinating with the other tabs.
+ *
+ * Concurrent calls in one tab share a single request. Across tabs, the refresh runs
+ * under a Web Lock; once a tab gets the lock it first applies any tokens another tab
+ * broadcast meanwhile and skips the request when they are still fresh (unless `force`).
+ * A `401` caused by a refresh token that another tab already rotated is not treated as
+ * a sign-out. Any other `401`/`400` ends the session in every tab.
+ *
+ * @param {RefreshOptions} [options] - Refresh options.
+ * @returns {Promise<SessionClaims | null>} The claims after the refresh, `null` when signed out.
+ * @throws {ApiError} When the API cannot be reached or fails unexpectedly.
+ */
+export const refreshSession = ({
+	force = false,
+}: RefreshOptions = {}): Promise<SessionClaims | null> => {
+	inFlight ??= withRefreshLock(async () => {
+		await whenSynced();
+		const { tokens, claims } = sessionStore.getState();
+		if (!tokens) {
+			return null;
+		}
+		if (!force && isFresh(claims)) {
+			return claims;
+		}
+
+		try {
+			return await sessionService.establish(await authService.refresh(tokens.refreshToken));
+		} catch (error) {
+			if (error instanceof ApiError && (error.status === 400 || error.status === 401)) {
+				await whenSynced();
+				const current = sessionStore.getState();
+				if (current.tokens && current.tokens.refreshToken !== tokens.refreshToken) {
+					return current.claims;
+				}
+				sessionService.clear();
+				return null;
+			}
+			throw error;
+		}
+	}).finally(() => {
+		inFlight = null;
+	});
+
+	return inFlight;
+};
+
+/**
+ * Waits for the refresh in progress in this tab, if any, to settle.
+ *
+ * @returns {Promise<void>} Resolves once no refresh is in progress, whatever its outcome.
+ */
+export const whenRefreshed = async (): Promise<void> => {
+	await inFlight?.catch(() => undefined);
+};
+
+/**
+ * Schedules silent refreshes for the lifetime of the application.
+ *
+ * A refresh is planned `INTERFACE_GUARD_REFRESH_LEEWAY` seconds (at most half the token
+ * lifetime) before the access token expires and re-planned whenever the session changes.
+ * Browsers throttle timers in background tabs, so the plan is also re-checked when a tab
+ * becomes visible again.
+ *
+ * @returns {() => void} Stops the scheduler.
+ *
+ * * Example Usage:
+ * useEffect(() => startRefreshScheduler(), []);
+ */
+export const startRefreshScheduler = (): (() => void) => {
+	let timer: ReturnType<typeof setTimeout> | undefined;
+
+	const schedule = (delay?: number) => {
+		clearTimeout(timer);
+		const { status, claims } = sessionStore.getState();
+		if (status !== "authenticated" || !claims) {
+			return;
+		}
+
+		const due = claims.expiresAt * 1000 - leewayFor(claims) - Date.now();
+		const jitter = Math.random() * Math.min(MAX_JITTER, leewayFor(claims) / 2);
+		const wait = delay ?? Math.max(0, due) + jitter;
+		timer = setTimeout(
+			() => {
+				refreshSession().catch(() => schedule(RETRY_DELAY));
+			},
+			Math.min(wait, MAX_TIMER_DELAY)
+		);
+	};
+
+	const unsubscribe = sessionStore.subscribe((state, previous) => {
+		if (state.tokens !== previous.tokens || state.status !== previous.status) {
+			schedule();
+		}
+	});
+
+	const onVisibilityChange = () => {
+		if (document.visibilityState === "visible" && !isFresh(sessionStore.getState().claims)) {
+			schedule(0);
+		}
+	};
+	document.addEventListener("visibilitychange", onVisibilityChange);
+
+	schedule();
+
+	return () => {
+		clearTimeout(timer);
+		unsubscribe();
+		document.removeEventListener("visibilitychange", onVisibilityChange);
+	};
+};
@@ -0,0 +1,67 @@
+import type { AuthTokens, AuthUser } from "@interface/auth.interface";
+import type { StoredSession } from "@interface/session.interface";
+
+/**
+ * Name of the `BroadcastChannel` shared by every tab of the application.
+ */
+const CHANNEL_NAME = "interface-guard:session";
+
+/**
+ * Messages exchanged between tabs.
+ *
+ * - `tokens`: a tab signed in or refreshed; receivers adopt the new tokens.
+ * - `logout`: the session ended; receivers sign out locally.
+ * - `request`: a freshly opened tab asks for the current session.
+ */
+export type SessionMessage =
+	| {
+			type: "tokens";
+			tokens: AuthTokens;
+			user: AuthUser | null;
+			impersonator: StoredSession | null;
+	  }
+	| { type: "logout" }
+	| { type: "request" };
+
+/**
+ * Thin wrapper around `BroadcastChannel` for {@link SessionMessage}s.
+ */
+export interface SessionChannel {
+	/** `false` when the browser has no `BroadcastChannel`; every call is then a no-op. */
+	readonly supported: boolean;
+	post: (message: SessionMessage) => void;
+	subscribe: (handler: (message: SessionMessage) => void) => () => void;
+	close: () => void;
+}
+
+/**
+ * Opens the cross-tab session channel.
+ *
+ * Messages posted by a tab are delivered to every other tab of the same origin, never
+ * to the sender itself.
+ *
+ * @returns {SessionChannel} The channel.
+ */
+export const createSessionChannel = (): SessionChannel => {
+	if (typeof BroadcastChannel === "undefined") {
+		return {
+			supported: false,
+			post: () => undefined,
+			subscribe: () => () => undefined,
+			close: () => undefined,
+		};
+	}
+
+	const channel = new BroadcastChannel(CHANNEL_NAME);
+
+	return {
+		supported: true,
+		post: (message) => channel.postMessage(message),
+		subscribe: (handler) => {
+			const listener = (event: MessageEvent<SessionMessage>) => handler(event.data);
+			channel.addEventListener("message", listener);
+			return () => channel.removeEventListener("message", listener);
+		},
+		close: () => channel.close(),
+	};
+};
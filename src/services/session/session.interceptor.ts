@@ -0,0 +1,78 @@
+import { setAuthInterceptor } from "@services/api/api.request";
+
+import { refreshSession, whenRefreshed } from "./refresh.scheduler";
+import { sessionStore } from "./session.service";
+
+/**
+ * Number of refreshed tokens remembered; requests rarely outlive more than one refresh.
+ */
+const MAX_SUCCESSORS = 8;
+
+/**
+ * Connects `apiRequest` to the session, so requests made with its access token survive
+ * the token expiring:
+ *
+ * - requests made while a refresh is in progress wait for it, then use the new token;
+ * - a token the API rejects as expired is refreshed, through the same single-flight
+ *   refresh as the scheduler, and the request replayed once with the new token;
+ * - tokens replaced by a refresh are swapped for their successor, even when the caller
+ *   read the token before the refresh.
+ *
+ * Only refreshes of the same session count: a request made with the impersonator's
+ * token is never replayed with a delegated one, nor the reverse.
+ *
+ * @returns {() => void} Removes the interceptor.
+ *
+ * * Example Usage:
+ * useEffect(() => startAuthInterceptor(), []);
+ */
+export const startAuthInterceptor = (): (() => void) => {
+	const successors = new Map<string, string>();
+
+	const resolve = (accessToken: string): string => {
+		let token = accessToken;
+		for (let next = successors.get(token); next; next = successors.get(token)) {
+			token = next;
+		}
+		return token;
+	};
+
+	const unsubscribe = sessionStore.subscribe((state, previous) => {
+		if (
+			state.tokens &&
+			previous.tokens &&
+			state.tokens !== previous.tokens &&
+			state.claims?.userId === previous.claims?.userId &&
+			state.claims?.sessionId === previous.claims?.sessionId
+		) {
+			successors.set(previous.tokens.accessToken, state.tokens.accessToken);
+			if (successors.size > MAX_SUCCESSORS) {
+				successors.delete(successors.keys().next().value as string);
+			}
+		} else if (state.status === "anonymous") {
+			successors.clear();
+		}
+	});
+
+	setAuthInterceptor({
+		ready: whenRefreshed,
+		resolve,
+		renew: async (accessToken) => {
+			const current = resolve(accessToken);
+			if (current !== accessToken) {
+				return current;
+			}
+			// Tokens of other sessions, e.g. of the impersonator, are not ours to refresh.
+			if (accessToken !== sessionStore.getState().tokens?.accessToken) {
+				return null;
+			}
+			const claims = await refreshSession({ force: true }).catch(() => null);
+			return claims ? resolve(accessToken) : null;
+		},
+	});
+
+	return () => {
+		setAuthInterceptor(null);
+		unsubscribe();
+	};
+};
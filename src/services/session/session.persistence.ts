@@ -0,0 +1,123 @@
+import type { StoredSession } from "@interface/session.interface";
+import { ApiError } from "@services/api/api.request";
+import { authService } from "@services/auth/auth.service";
+import type { TokenStorage } from "@services/storage/token.storage";
+
+import { withRefreshLock } from "./refresh.scheduler";
+import { sessionService, sessionStore } from "./session.service";
+import { TokenVerificationError } from "./session.verifier";
+
+/**
+ * Makes a stored session active again.
+ *
+ * The stored access token is verified like a fresh one. When it has expired, the stored
+ * refresh token is redeemed under the refresh lock; the storage is read again first,
+ * since with a shared backend another tab may have rotated the tokens meanwhile.
+ *
+ * @param {TokenStorage} storage - The backend.
+ * @param {StoredSession} stored - The session read from it.
+ * @returns {Promise<void>}
+ */
+const reinstate = async (storage: TokenStorage, stored: StoredSession): Promise<void> => {
+	try {
+		await sessionService.establish(stored.tokens, stored.user ?? undefined, stored.impersonator);
+		return;
+	} catch {
+		// Expired or otherwise unusable: fall through to a refresh.
+	}
+
+	await withRefreshLock(async () => {
+		const latest = (await storage.load()) ?? stored;
+		if (latest.tokens.refreshToken !== stored.tokens.refreshToken) {
+			try {
+				await sessionService.establish(
+					latest.tokens,
+					latest.user ?? undefined,
+					latest.impersonator
+				);
+				return;
+			} catch {
+				// Rotated but expired as well: refresh it.
+			}
+		}
+		const tokens = await authService.refresh(latest.tokens.refreshToken);
+		await sessionService.establish(tokens, latest.user ?? undefined, latest.impersonator);
+	});
+};
+
+/**
+ * Restores the session kept by `storage` on start-up.
+ *
+ * The store is `loading` while this runs. A stored session the API no longer accepts is
+ * removed from the storage; one that cannot be checked because the API is unreachable
+ * is kept for the next attempt. Either way the tab ends up `anonymous`.
+ *
+ * @param {TokenStorage} storage - The backend.
+ * @returns {Promise<void>} Resolves once the store left the `loading` state.
+ */
+export const restoreSession = async (storage: TokenStorage): Promise<void> => {
+	if (storage.kind === "memory" || sessionStore.getState().status !== "anonymous") {
+		return;
+	}
+
+	sessionStore.setState({ status: "loading" });
+	try {
+		const stored = await storage.load();
+		if (stored) {
+			await reinstate(storage, stored);
+		}
+	} catch (error) {
+		const rejected =
+			error instanceof ApiError ?
+				error.status === 400 || error.status === 401
+			:	error instanceof TokenVerificationError;
+		if (rejected) {
+			await storage.clear().catch(() => undefined);
+		}
+	} finally {
+		if (sessionStore.getState().status === "loading") {
+			sessionStore.setState({ status: "anonymous" });
+		}
+	}
+};
+
+/**
+ * Mirrors the session store into `storage`: every new token pair or profile is saved,
+ * and the stored session is cleared when the tab signs out.
+ *
+ * Writes run one after the other in the order of the store updates, so a slow
+ * encryption never lets an older token pair overwrite a newer one.
+ *
+ * @param {TokenStorage} storage - The backend.
+ * @returns {() => void} Stops mirroring.
+ *
+ * * Example Usage:
+ * useEffect(() => startSessionPersistence(tokenStorage), []);
+ */
+export const startSessionPersistence = (storage: TokenStorage): (() => void) => {
+	let pending: Promise<void> = Promise.resolve();
+	const enqueue = (write: () => Promise<void>) => {
+		pending = pending.then(write).catch((error: unknown) => {
+			console.warn("The session could not be written to the token storage.", error);
+		});
+	};
+
+	return sessionStore.subscribe((state, previous) => {
+		if (state.status === "authenticated" && state.tokens) {
+			if (
+				state.tokens !== previous.tokens ||
+				state.user !== previous.user ||
+				state.impersonator !== previous.impersonator
+			) {
+				const session: StoredSession = {
+					tokens: state.tokens,
+					user: state.user,
+					impersonator: state.impersonator,
+				};
+				enqueue(() => storage.save(session));
+			}
+		} else if (previous.status === "authenticated" && state.status === "anonymous") {
+			enqueue(() => storage.clear());
+		}
+	});
+};
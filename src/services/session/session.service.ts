@@ -0,0 +1,286 @@
+import type { AuthTokens, AuthUser, LoginCredentials } from "@interface/auth.interface";
+import type { InvitationAcceptance } from "@interface/invitation.interface";
+import type { MfaChallenge } from "@interface/mfa.interface";
+import type { SessionClaims, SessionState, StoredSession } from "@interface/session.interface";
+import { authService, isMfaChallenge } from "@services/auth/auth.service";
+import { impersonationService } from "@services/auth/impersonation.service";
+import { invitationService } from "@services/invitations/invitation.service";
+import { type CeremonyOptions, getPasskey } from "@services/webauthn/webauthn.ceremony";
+import { createStore } from "@utils/createStore";
+
+import { verifyAccessToken } from "./session.verifier";
+
+/**
+ * State of a signed-out browser.
+ */
+const ANONYMOUS: SessionState = {
+	status: "anonymous",
+	tokens: null,
+	claims: null,
+	user: null,
+	impersonator: null,
+};
+
+/**
+ * @constant sessionStore
+ * Single source of truth for the current browser session.
+ *
+ * React reads it through `SessionProvider`; non-React code (HTTP calls, schedulers)
+ * can read it directly with `sessionStore.getState()`.
+ */
+export const sessionStore = createStore<SessionState>(ANONYMOUS);
+
+/**
+ * Verifies a freshly issued token pair and makes it the active session.
+ *
+ * The access token is verified before anything is stored, so a forged or expired token
+ * never reaches the store. When `user` is omitted the previous profile is kept if it
+ * belongs to the same subject. Likewise a delegated session keeps the impersonator's
+ * session already set aside unless another one is given; any other session drops it.
+ *
+ * @param {AuthTokens} tokens - The issued tokens.
+ * @param {AuthUser} [user] - The signed-in user, when the API returned it.
+ * @param {StoredSession | null} [impersonator] - The impersonator's own session, for a
+ * delegated one.
+ * @returns {Promise<SessionClaims>} The verified claims.
+ * @throws {TokenVerificationError} When the access token is not trusted.
+ */
+const establish = async (
+	tokens: AuthTokens,
+	user?: AuthUser,
+	impersonator?: StoredSession | null
+): Promise<SessionClaims> => {
+	const claims = await verifyAccessToken(tokens.accessToken);
+	const previous = sessionStore.getState();
+
+	sessionStore.setState({
+		status: "authenticated",
+		tokens,
+		claims,
+		user: user ?? (previous.claims?.userId === claims.userId ? previous.user : null),
+		impersonator: claims.actor ? (impersonator ?? previous.impersonator) : null,
+	});
+	return claims;
+};
+
+/**
+ * Signs in with email and password.
+ *
+ * When the account has a second factor no session is started yet: the challenge is
+ * returned and the sign-in is finished with {@link verifyMfa}.
+ *
+ * @param {LoginCredentials} credentials - The submitted credentials.
+ * @returns {Promise<SessionClaims | MfaChallenge>} The claims of the new session, or the
+ * pending second-factor challenge.
+ * @throws {ApiError} When the credentials are rejected.
+ * @throws {TokenVerificationError} When the issued access token is not trusted.
+ */
+const signIn = async (credentials: LoginCredentials): Promise<SessionClaims | MfaChallenge> => {
+	const response = await authService.login(credentials);
+	if (isMfaChallenge(response)) {
+		return response;
+	}
+	const { user, ...tokens } = response;
+	return establish(tokens, user);
+};
+
+/**
+ * Finishes a sign-in that returned an {@link MfaChallenge}.
+ *
+ * @param {string} mfaToken - The token of the challenge.
+ * @param {string} code - A TOTP code or a recovery code.
+ * @returns {Promise<SessionClaims>} The claims of the new session.
+ * @throws {ApiError} When the code is rejected or the challenge expired.
+ */
+const verifyMfa = async (mfaToken: string, code: string): Promise<SessionClaims> => {
+	const { user, ...tokens } = await authService.verifyMfa(mfaToken, code);
+	return establish(tokens, user);
+};
+
+/**
+ * Finishes a sign-in that returned an {@link MfaChallenge} with a recovery code, turning
+ * off the second factor of the lost authenticator.
+ *
+ * @param {string} mfaToken - The token of the challenge.
+ * @param {string} code - An unused recovery code.
+ * @returns {Promise<SessionClaims>} The claims of the new session.
+ * @throws {ApiError} When the code is rejected or the challenge expired.
+ */
+const recoverMfa = async (mfaToken: string, code: string): Promise<SessionClaims> => {
+	const { user, ...tokens } = await authService.recoverMfa(mfaToken, code);
+	return establish(tokens, user);
+};
+
+/**
+ * Signs in with an ID token obtained through the OpenID Connect flow.
+ *
+ * @param {string} idToken - The verified ID token.
+ * @param {string} nonce - The nonce of the authorization request.
+ * @returns {Promise<SessionClaims>} The claims of the new session.
+ * @throws {ApiError} When the API does not accept the identity.
+ */
+const signInWithOidc = async (idToken: string, nonce: string): Promise<SessionClaims> => {
+	const { user, ...tokens } = await authService.loginWithOidc(idToken, nonce);
+	return establish(tokens, user);
+};
+
+/**
+ * Signs in with a passkey: fetches a challenge, lets the user pick a passkey in the
+ * browser prompt and sends the signed assertion to the API.
+ *
+ * @param {CeremonyOptions} [ceremony] - Abort signal, or a simulated authenticator.
+ * @returns {Promise<SessionClaims>} The claims of the new session.
+ * @throws {PasskeyError} When the browser prompt fails or is dismissed.
+ * @throws {ApiError} When the API rejects the assertion.
+ */
+const signInWithPasskey = async (ceremony?: CeremonyOptions): Promise<SessionClaims> => {
+	const credential = await getPasskey(await authService.passkeyOptions(), ceremony);
+	const { user, ...tokens } = await authService.loginWithPasskey(credential);
+	return establish(tokens, user);
+};
+
+/**
+ * Accepts an invitation and signs the new account in. Whoever was signed in before in
+ * this browser is replaced.
+ *
+ * @param {InvitationAcceptance} acceptance - The token of the link and the credentials.
+ * @returns {Promise<SessionClaims>} The claims of the new session.
+ * @throws {ApiError} When the invitation cannot be used or the credentials are rejected.
+ */
+const acceptInvitation = async (acceptance: InvitationAcceptance): Promise<SessionClaims> => {
+	const { user, ...tokens } = await invitationService.accept(acceptance);
+	return establish(tokens, user);
+};
+
+/**
+ * Views the application as another user: their delegated session replaces the current
+ * one, which is set aside until {@link stopImpersonation}.
+ *
+ * @param {string} userId - The user to view the application as.
+ * @returns {Promise<SessionClaims>} The claims of the delegated session.
+ * @throws {Error} When nobody is signed in, or the session is delegated already.
+ * @throws {ApiError} When the API refuses; see `impersonationService.start`.
+ */
+const startImpersonation = async (userId: string): Promise<SessionClaims> => {
+	const { tokens, user, claims } = sessionStore.getState();
+	if (!tokens || !claims) {
+		throw new Error("You have been signed out. Sign in again to continue.");
+	}
+	if (claims.actor) {
+		throw new Error("Return to your own account before viewing as another user.");
+	}
+	const { user: impersonated, ...delegated } = await impersonationService.start(
+		tokens.accessToken,
+		userId
+	);
+	return establish(delegated, impersonated, { tokens, user });
+};
+
+/**
+ * Returns to the impersonator's own session. The delegated session is ended on the API,
+ * and the set-aside session gets fresh tokens, since its access token has usually expired
+ * meanwhile. When that fails the browser is signed out.
+ *
+ * @returns {Promise<SessionClaims>} The claims of the impersonator's session.
+ * @throws {Error} When the session is not delegated.
+ * @throws {ApiError} When the impersonator's session has ended too.
+ */
+const stopImpersonation = async (): Promise<SessionClaims> => {
+	const { tokens, impersonator } = sessionStore.getState();
+	if (!tokens || !impersonator) {
+		throw new Error("You are not viewing the application as another user.");
+	}
+	await impersonationService.stop(tokens.accessToken).catch(() => undefined);
+	try {
+		const restored = await authService.refresh(impersonator.tokens.refreshToken);
+		return await establish(restored, impersonator.user ?? undefined);
+	} catch (error) {
+		clear();
+		throw error;
+	}
+};
+
+/**
+ * Replaces the profile of the signed-in user after the API returned an updated one.
+ * Ignored when it belongs to another subject or nobody is signed in.
+ *
+ * @param {AuthUser} user - The updated profile.
+ */
+const updateUser = (user: AuthUser): void => {
+	if (sessionStore.getState().claims?.userId === user.id) {
+		sessionStore.setState({ user });
+	}
+};
+
+/**
+ * Drops the session locally without contacting the server.
+ */
+const clear = (): void => {
+	sessionStore.setState(ANONYMOUS);
+};
+
+/**
+ * Signs out: the local session is cleared first, then the refresh token is revoked.
+ * A failed revocation is ignored, the user is signed out of this browser either way.
+ * While viewing as another user, the delegated session is ended and the impersonator is
+ * signed out as well.
+ *
+ * @returns {Promise<void>}
+ */
+const signOut = async (): Promise<void> => {
+	const { tokens, impersonator } = sessionStore.getState();
+	clear();
+	if (tokens && impersonator) {
+		await impersonationService.stop(tokens.accessToken).catch(() => undefined);
+		await authService.logout(impersonator.tokens.refreshToken).catch(() => undefined);
+	} else if (tokens) {
+		await authService.logout(tokens.refreshToken).catch(() => undefined);
+	}
+};
+
+/**
+ * Returns the access token of the active session, if any.
+ *
+ * @returns {string | undefined} The access token.
+ */
+const getAccessToken = (): string | undefined =>
+	sessionStore.getState().tokens?.accessToken ?? undefined;
+
+/**
+ * Returns the access token of the active session, for calls made from pages that are
+ * only reachable when signed in.
+ *
+ * @returns {string} The access token.
+ * @throws {Error} When nobody is signed in, e.g. after a sign-out in another tab.
+ */
+const requireAccessToken = (): string => {
+	const accessToken = getAccessToken();
+	if (!accessToken) {
+		throw new Error("You have been signed out. Sign in again to continue.");
+	}
+	return accessToken;
+};
+
+/**
+ * @constant sessionService
+ * Operations that change the browser session held in {@link sessionStore}.
+ *
+ * * Example Usage:
+ * await sessionService.signIn({ email, password });
+ */
+export const sessionService = Object.freeze({
+	establish,
+	signIn,
+	verifyMfa,
+	recoverMfa,
+	signInWithOidc,
+	signInWithPasskey,
+	acceptInvitation,
+	startImpersonation,
+	stopImpersonation,
+	updateUser,
+	signOut,
+	clear,
+	getAccessToken,
+	requireAccessToken,
+});
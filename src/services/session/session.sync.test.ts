@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import type { AuthTokens } from "@interface/auth.interface";
+import type { SessionClaims } from "@interface/session.interface";
+
+import type { SessionChannel, SessionMessage } from "./session.channel";
+import { sessionService, sessionStore } from "./session.service";
+import { startSessionSync, whenSynced } from "./session.sync";
+
+const { authService, verifications } = vi.hoisted(() => ({
+	authService: { logout: vi.fn() },
+	/** Pending verifications, settled by the tests to control their order. */
+	verifications: [] as (() => void)[],
+}));
+
+vi.mock("@services/auth/auth.service", () => ({ authService, isMfaChallenge: () => false }));
+
+// Tokens are opaque here; verification waits for `verifications` when asked to.
+vi.mock("./session.verifier", () => ({
+	verifyAccessToken: async (accessToken: string): Promise<SessionClaims> => {
+		if (accessToken.startsWith("slow")) {
+			await new Promise<void>((resolve) => verifications.push(resolve));
+		}
+		return {
+			userId: "u1",
+			roles: [],
+			permissions: [],
+			expiresAt: Math.floor(Date.now() / 1000) + 300,
+		};
+	},
+}));
+
+const tokens = (accessToken: string): AuthTokens => ({
+	accessToken,
+	refreshToken: `refresh-of-${accessToken}`,
+	expiresIn: 300,
+	tokenType: "Bearer",
+});
+
+/**
+ * A channel to other tabs; `deliver` plays a message one of them posted.
+ */
+const createFakeChannel = () => {
+	const handlers = new Set<(message: SessionMessage) => void>();
+	const channel: SessionChannel & { deliver: (message: SessionMessage) => void } = {
+		supported: true,
+		post: vi.fn(),
+		subscribe: (handler) => {
+			handlers.add(handler);
+			return () => handlers.delete(handler);
+		},
+		close: () => undefined,
+		deliver: (message) => handlers.forEach((handler) => handler(message)),
+	};
+	return channel;
+};
+
+let channel: ReturnType<typeof createFakeChannel>;
+let stopSync: () => void;
+
+beforeEach(async () => {
+	channel = createFakeChannel();
+	await sessionService.establish(tokens("access-1"));
+	stopSync = startSessionSync(channel);
+});
+
+afterEach(() => {
+	stopSync();
+	sessionService.clear();
+	authService.logout.mockReset();
+});
+
+describe("startSessionSync", () => {
+	it("broadcasts a sign-out once the local session is cleared, before revoking it", async () => {
+		authService.logout.mockResolvedValue(undefined);
+		const seen: unknown[] = [];
+		vi.mocked(channel.post).mockImplementation((message) => {
+			seen.push([message, sessionStore.getState().status, authService.logout.mock.calls.length]);
+		});
+
+		await sessionService.signOut();
+
+		expect(seen).toEqual([[{ type: "logout" }, "anonymous", 0]]);
+		expect(authService.logout).toHaveBeenCalledWith("refresh-of-access-1");
+	});
+
+	it("broadcasts local sign-ins and refreshes", async () => {
+		const refreshed = tokens("access-2");
+		await sessionService.establish(refreshed);
+
+		expect(channel.post).toHaveBeenCalledWith({
+			type: "tokens",
+			tokens: refreshed,
+			user: null,
+			impersonator: null,
+		});
+	});
+
+	it("adopts the tokens of another tab without sending them back", async () => {
+		const shared = tokens("access-2");
+		channel.deliver({ type: "tokens", tokens: shared, user: null, impersonator: null });
+		await whenSynced();
+
+		expect(sessionStore.getState().tokens).toBe(shared);
+		expect(channel.post).not.toHaveBeenCalled();
+	});
+
+	it("does not send back a sign-out received from another tab", async () => {
+		channel.deliver({ type: "logout" });
+		await whenSynced();
+
+		expect(sessionStore.getState().status).toBe("anonymous");
+		expect(channel.post).not.toHaveBeenCalled();
+	});
+
+	it("is not signed back in by tokens verified after a sign-out", async () => {
+		channel.deliver({ type: "tokens", tokens: tokens("slow-2"), user: null, impersonator: null });
+		channel.deliver({ type: "logout" });
+		await vi.waitFor(() => expect(verifications).toHaveLength(1));
+		verifications.shift()!();
+		await whenSynced();
+
+		expect(sessionStore.getState().status).toBe("anonymous");
+	});
+
+	it("answers a new tab asking for the session", () => {
+		channel.deliver({ type: "request" });
+
+		expect(channel.post).toHaveBeenCalledWith({
+			type: "tokens",
+			tokens: tokens("access-1"),
+			user: null,
+			impersonator: null,
+		});
+	});
+});
@@ -0,0 +1,120 @@
+import type { AuthTokens } from "@interface/auth.interface";
+
+import type { SessionChannel } from "./session.channel";
+import { sessionService, sessionStore } from "./session.service";
+
+/**
+ * How long a freshly opened tab waits for another tab to share its session.
+ */
+const HANDSHAKE_TIMEOUT = 250;
+
+/**
+ * Chain of remote updates being applied. Token verification is asynchronous, so the
+ * refresh scheduler waits on it before deciding whether its own refresh is still needed.
+ */
+let applying: Promise<unknown> = Promise.resolve();
+
+/**
+ * Resolves once every session update received from other tabs has been applied.
+ *
+ * @returns {Promise<void>}
+ */
+export const whenSynced = (): Promise<void> => applying.then(() => undefined);
+
+/**
+ * Keeps the session of this tab in step with the other tabs.
+ *
+ * - Local sign-in and refresh are broadcast as `tokens`, local sign-out as `logout`.
+ * - Received `tokens` are verified before they replace the local session, received
+ *   `logout` ends the local session. Both are applied in the order they arrived, so a
+ *   sign-out is not undone by tokens still being verified.
+ * - A tab that starts signed out asks the others for their session and stays in the
+ *   `loading` state until one answers or the handshake times out.
+ *
+ * @param {SessionChannel} channel - The cross-tab channel.
+ * @returns {() => void} Stops the synchronisation.
+ */
+export const startSessionSync = (channel: SessionChannel): (() => void) => {
+	if (!channel.supported) {
+		return () => undefined;
+	}
+
+	// Tokens adopted from another tab; they must not be broadcast back.
+	let received: AuthTokens | null = null;
+	let applyingLogout = false;
+
+	const unsubscribeStore = sessionStore.subscribe((state, previous) => {
+		if (state.status === "authenticated" && state.tokens && state.tokens !== previous.tokens) {
+			if (state.tokens !== received) {
+				channel.post({
+					type: "tokens",
+					tokens: state.tokens,
+					user: state.user,
+					impersonator: state.impersonator,
+				});
+			}
+		} else if (previous.status === "authenticated" && state.status === "anonymous") {
+			if (!applyingLogout) {
+				channel.post({ type: "logout" });
+			}
+		}
+	});
+
+	const unsubscribeChannel = channel.subscribe((message) => {
+		const state = sessionStore.getState();
+
+		switch (message.type) {
+			case "tokens":
+				received = message.tokens;
+				applying = applying
+					.then(() =>
+						sessionService.establish(
+							message.tokens,
+							message.user ?? undefined,
+							message.impersonator
+						)
+					)
+					.catch(() => undefined);
+				break;
+			case "logout":
+				applying = applying.then(() => {
+					if (sessionStore.getState().status !== "anonymous") {
+						applyingLogout = true;
+						sessionService.clear();
+						applyingLogout = false;
+					}
+				});
+				break;
+			case "request":
+				if (state.status === "authenticated" && state.tokens) {
+					channel.post({
+						type: "tokens",
+						tokens: state.tokens,
+						user: state.user,
+						impersonator: state.impersonator,
+					});
+				}
+				break;
+		}
+	});
+
+	let handshake: ReturnType<typeof setTimeout> | undefined;
+	if (sessionStore.getState().status === "anonymous") {
+		sessionStore.setState({ status: "loading" });
+		channel.post({ type: "request" });
+		handshake = setTimeout(() => {
+			if (sessionStore.getState().status === "loading") {
+				sessionStore.setState({ status: "anonymous" });
+			}
+		}, HANDSHAKE_TIMEOUT);
+	}
+
+	return () => {
+		clearTimeout(handshake);
+		if (sessionStore.getState().status === "loading") {
+			sessionStore.setState({ status: "anonymous" });
+		}
+		unsubscribeStore();
+		unsubscribeChannel();
+	};
+};
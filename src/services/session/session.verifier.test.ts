@@ -0,0 +1,144 @@
+import {
+	base64url,
+	exportJWK,
+	generateKeyPair,
+	type JWTPayload,
+	type KeyLike,
+	SignJWT,
+} from "jose";
+import { beforeAll, describe, expect, it } from "vitest";
+
+import {
+	createTokenVerifier,
+	type TokenVerificationCode,
+	TokenVerificationError,
+} from "./session.verifier";
+
+const ISSUER = "interface-guard";
+const AUDIENCE = "interface-guard-web";
+
+let keys: { publicKey: KeyLike; privateKey: KeyLike };
+let verify: (token: string) => Promise<unknown>;
+
+/**
+ * Signs a token the way the API does, with claims that pass by default.
+ */
+const sign = (
+	payload: JWTPayload = {},
+	{
+		key = keys.privateKey,
+		kid = "k1",
+		alg = "ES256",
+	}: { key?: KeyLike | Uint8Array; kid?: string; alg?: string } = {}
+): Promise<string> => {
+	const now = Math.floor(Date.now() / 1000);
+	return new SignJWT({
+		sub: "u1",
+		iss: ISSUER,
+		aud: AUDIENCE,
+		iat: now,
+		exp: now + 300,
+		...payload,
+	})
+		.setProtectedHeader({ alg, kid })
+		.sign(key);
+};
+
+/**
+ * Resolves with the code of the verification error, or fails the test.
+ */
+const codeOf = async (token: string): Promise<TokenVerificationCode> => {
+	const error = await verify(token).catch((caught: unknown) => caught);
+	expect(error).toBeInstanceOf(TokenVerificationError);
+	return (error as TokenVerificationError).code;
+};
+
+beforeAll(async () => {
+	keys = await generateKeyPair("ES256");
+	const jwk = { ...(await exportJWK(keys.publicKey)), kid: "k1", alg: "ES256", use: "sig" };
+	verify = createTokenVerifier({ issuer: ISSUER, audience: AUDIENCE, jwks: { keys: [jwk] } });
+});
+
+describe("createTokenVerifier", () => {
+	it("maps a valid token onto the session claims", async () => {
+		const token = await sign({
+			email: "ada@example.com",
+			name: "Ada",
+			roles: ["admin"],
+			permissions: ["audit:read"],
+			tenant_id: "t1",
+			sid: "s1",
+			act: { sub: "staff", email: "staff@example.com" },
+			exp: 2000000000,
+			iat: 1700000000,
+		});
+
+		await expect(verify(token)).resolves.toEqual({
+			userId: "u1",
+			email: "ada@example.com",
+			name: "Ada",
+			roles: ["admin"],
+			permissions: ["audit:read"],
+			tenantId: "t1",
+			sessionId: "s1",
+			actor: { userId: "staff", email: "staff@example.com", name: undefined },
+			issuedAt: 1700000000,
+			expiresAt: 2000000000,
+		});
+	});
+
+	it("ignores roles and permissions that are not lists", async () => {
+		await expect(
+			verify(await sign({ roles: "admin" as unknown as string[] }))
+		).resolves.toMatchObject({
+			roles: [],
+			permissions: [],
+			actor: undefined,
+		});
+	});
+
+	it("rejects expired tokens", async () => {
+		expect(await codeOf(await sign({ exp: Math.floor(Date.now() / 1000) - 60 }))).toBe(
+			"TOKEN_EXPIRED"
+		);
+	});
+
+	it("rejects tokens that are not valid yet", async () => {
+		expect(await codeOf(await sign({ nbf: Math.floor(Date.now() / 1000) + 600 }))).toBe(
+			"TOKEN_NOT_ACTIVE"
+		);
+	});
+
+	it("rejects another issuer or audience, and tokens without a subject", async () => {
+		expect(await codeOf(await sign({ iss: "someone-else" }))).toBe("TOKEN_CLAIM_INVALID");
+		expect(await codeOf(await sign({ aud: "another-app" }))).toBe("TOKEN_CLAIM_INVALID");
+		expect(await codeOf(await sign({ sub: undefined }))).toBe("TOKEN_CLAIM_INVALID");
+	});
+
+	it("rejects tampered tokens", async () => {
+		const [header, , signature] = (await sign()).split(".");
+		const payload = base64url.encode(
+			JSON.stringify({ sub: "admin", iss: ISSUER, aud: AUDIENCE, exp: 2000000000 })
+		);
+
+		expect(await codeOf(`${header}.${payload}.${signature}`)).toBe("TOKEN_SIGNATURE_INVALID");
+	});
+
+	it("rejects tokens signed with an unknown key", async () => {
+		const { privateKey } = await generateKeyPair("ES256");
+
+		expect(await codeOf(await sign({}, { key: privateKey, kid: "k2" }))).toBe("JWKS_UNAVAILABLE");
+	});
+
+	it("only accepts asymmetric algorithms", async () => {
+		const secret = new TextEncoder().encode("a shared secret of at least thirty-two bytes");
+
+		expect(await codeOf(await sign({}, { key: secret, alg: "HS256" }))).toBe(
+			"TOKEN_SIGNATURE_INVALID"
+		);
+	});
+
+	it("requires a key source", () => {
+		expect(() => createTokenVerifier({ issuer: ISSUER, audience: AUDIENCE })).toThrow(TypeError);
+	});
+});
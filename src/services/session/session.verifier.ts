@@ -0,0 +1,197 @@
+import {
+	createLocalJWKSet,
+	createRemoteJWKSet,
+	errors,
+	type JSONWebKeySet,
+	type JWTVerifyGetKey,
+	jwtVerify,
+} from "jose";
+
+import type { AccessTokenPayload, SessionClaims } from "@interface/session.interface";
+import { env } from "@utils/env";
+
+/**
+ * Signature algorithms accepted for access tokens. Pinning the list prevents
+ * algorithm-confusion attacks such as `alg: none` or HMAC with a public key.
+ */
+const ACCEPTED_ALGORITHMS = ["RS256", "PS256", "ES256", "EdDSA"];
+
+/**
+ * Reason a token failed verification.
+ *
+ * - `TOKEN_EXPIRED`: `exp` is in the past.
+ * - `TOKEN_NOT_ACTIVE`: `nbf` is in the future.
+ * - `TOKEN_CLAIM_INVALID`: `iss`, `aud` or a required claim does not match.
+ * - `TOKEN_SIGNATURE_INVALID`: the token is malformed or its signature does not verify.
+ * - `JWKS_UNAVAILABLE`: the key set could not be loaded or has no matching key.
+ */
+export type TokenVerificationCode =
+	| "TOKEN_EXPIRED"
+	| "TOKEN_NOT_ACTIVE"
+	| "TOKEN_CLAIM_INVALID"
+	| "TOKEN_SIGNATURE_INVALID"
+	| "JWKS_UNAVAILABLE";
+
+/**
+ * @class TokenVerificationError
+ * Raised when an access token must not be trusted.
+ */
+export class TokenVerificationError extends Error {
+	readonly code: TokenVerificationCode;
+
+	constructor(code: TokenVerificationCode, message: string, options?: { cause?: unknown }) {
+		super(message, options);
+		this.name = "TokenVerificationError";
+		this.code = code;
+	}
+}
+
+/**
+ * Options of {@link createTokenVerifier}. Exactly one of `jwks` or `jwksUrl` is used;
+ * a bundled `jwks` wins when both are given.
+ */
+export interface TokenVerifierOptions {
+	issuer: string;
+	audience: string;
+	jwks?: JSONWebKeySet;
+	jwksUrl?: string | URL;
+	clockTolerance?: number;
+}
+
+/**
+ * Maps a verified payload onto {@link SessionClaims}.
+ *
+ * @param {AccessTokenPayload} payload - The verified JWT payload.
+ * @returns {SessionClaims} The claims in UI naming.
+ */
+const toSessionClaims = (payload: AccessTokenPayload): SessionClaims => ({
+	userId: payload.sub as string,
+	email: payload.email,
+	name: payload.name,
+	roles: Array.isArray(payload.roles) ? payload.roles : [],
+	permissions: Array.isArray(payload.permissions) ? payload.permissions : [],
+	tenantId: payload.tenant_id,
+	sessionId: payload.sid,
+	actor:
+		payload.act ?
+			{ userId: payload.act.sub, email: payload.act.email, name: payload.act.name }
+		:	undefined,
+	issuedAt: payload.iat,
+	expiresAt: payload.exp as number,
+});
+
+/**
+ * Translates `jose` errors into {@link TokenVerificationError}s.
+ *
+ * @param {unknown} error - The error thrown by `jwtVerify`.
+ * @returns {TokenVerificationError} The normalised error.
+ */
+const toVerificationError = (error: unknown): TokenVerificationError => {
+	if (error instanceof TokenVerificationError) {
+		return error;
+	}
+	if (error instanceof errors.JWTExpired) {
+		return new TokenVerificationError("TOKEN_EXPIRED", "The access token has expired.", {
+			cause: error,
+		});
+	}
+	if (error instanceof errors.JWTClaimValidationFailed) {
+		return error.claim === "nbf" ?
+				new TokenVerificationError("TOKEN_NOT_ACTIVE", "The access token is not valid yet.", {
+					cause: error,
+				})
+			:	new TokenVerificationError(
+					"TOKEN_CLAIM_INVALID",
+					`The access token has an invalid "${error.claim}" claim.`,
+					{ cause: error }
+				);
+	}
+	if (
+		error instanceof errors.JWKSNoMatchingKey ||
+		error instanceof errors.JWKSTimeout ||
+		error instanceof errors.JWKSInvalid ||
+		error instanceof TypeError
+	) {
+		return new TokenVerificationError("JWKS_UNAVAILABLE", "The signing keys could not be loaded.", {
+			cause: error,
+		});
+	}
+	return new TokenVerificationError(
+		"TOKEN_SIGNATURE_INVALID",
+		"The access token signature is invalid.",
+		{ cause: error }
+	);
+};
+
+/**
+ * Builds a function that verifies access tokens and returns their typed claims.
+ *
+ * The signature is checked against the configured JWKS, then `exp`, `nbf`, `iss` and `aud`
+ * are validated with the given clock tolerance. A `sub` claim is required.
+ *
+ * @param {TokenVerifierOptions} options - Issuer, audience and key source.
+ * @returns {(token: string) => Promise<SessionClaims>} The verifier.
+ * @throws {TokenVerificationError} From the returned function when the token is not trusted.
+ *
+ * * Example Usage:
+ * const verify = createTokenVerifier({ issuer, audience, jwks });
+ * const claims = await verify(accessToken);
+ */
+export const createTokenVerifier = ({
+	issuer,
+	audience,
+	jwks,
+	jwksUrl,
+	clockTolerance = 0,
+}: TokenVerifierOptions): ((token: string) => Promise<SessionClaims>) => {
+	let keySet: JWTVerifyGetKey;
+	if (jwks) {
+		keySet = createLocalJWKSet(jwks);
+	} else if (jwksUrl) {
+		keySet = createRemoteJWKSet(new URL(jwksUrl, window.location.origin));
+	} else {
+		throw new TypeError("createTokenVerifier requires either `jwks` or `jwksUrl`.");
+	}
+
+	return async (token: string): Promise<SessionClaims> => {
+		try {
+			const { payload } = await jwtVerify<AccessTokenPayload>(token, keySet, {
+				issuer,
+				audience,
+				clockTolerance,
+				algorithms: ACCEPTED_ALGORITHMS,
+				requiredClaims: ["sub", "exp"],
+			});
+			return toSessionClaims(payload);
+		} catch (error) {
+			throw toVerificationError(error);
+		}
+	};
+};
+
+/**
+ * Verifier configured from the client environment (`INTERFACE_GUARD_JWT_*` and
+ * `INTERFACE_GUARD_JWKS[_URL]`). Created lazily so that a missing or malformed
+ * bundled key set only fails when a token is actually verified.
+ */
+let defaultVerifier: ((token: string) => Promise<SessionClaims>) | undefined;
+
+/**
+ * Verifies an access token with the environment configuration.
+ *
+ * @param {string} token - The compact JWS access token.
+ * @returns {Promise<SessionClaims>} The verified claims.
+ * @throws {TokenVerificationError} When the token must not be trusted.
+ */
+export const verifyAccessToken = (token: string): Promise<SessionClaims> => {
+	if (!defaultVerifier) {
+		defaultVerifier = createTokenVerifier({
+			issuer: env.jwt.issuer,
+			audience: env.jwt.audience,
+			jwks: env.jwt.jwks ? (JSON.parse(env.jwt.jwks) as JSONWebKeySet) : undefined,
+			jwksUrl: env.jwt.jwksUrl,
+			clockTolerance: env.jwt.clockTolerance,
+		});
+	}
+	return defaultVerifier(token);
+};
@@ -0,0 +1,122 @@
+import type { StoredSession } from "@interface/session.interface";
+import { env } from "@utils/env";
+
+import { createTokenVault } from "./token.vault";
+
+/**
+ * Where the session is kept between page loads.
+ *
+ * - `memory`: nowhere. A reload signs the tab out unless another open tab shares its
+ *   session. Nothing can be read from disk.
+ * - `session`: `sessionStorage`, in clear text. Survives reloads of the same tab and is
+ *   discarded when the tab closes.
+ * - `indexeddb`: IndexedDB, encrypted as a JWE under a non-extractable key. Survives
+ *   browser restarts. The tokens are never on disk in clear text, but the key lives in
+ *   the same browser profile.
+ */
+export type TokenStorageKind = "memory" | "session" | "indexeddb";
+
+/**
+ * A backend keeping the {@link StoredSession}. Every method is asynchronous so backends
+ * can be swapped without touching their callers.
+ */
+export interface TokenStorage {
+	readonly kind: TokenStorageKind;
+	load: () => Promise<StoredSession | null>;
+	save: (session: StoredSession) => Promise<void>;
+	clear: () => Promise<void>;
+}
+
+/**
+ * Key of the session in `sessionStorage`.
+ */
+const SESSION_STORAGE_KEY = "interface-guard:session";
+
+/**
+ * Creates a backend that keeps the session in a variable of this page.
+ *
+ * @returns {TokenStorage} The backend.
+ */
+export const createMemoryStorage = (): TokenStorage => {
+	let stored: StoredSession | null = null;
+	return {
+		kind: "memory",
+		load: async () => stored,
+		save: async (session) => {
+			stored = session;
+		},
+		clear: async () => {
+			stored = null;
+		},
+	};
+};
+
+/**
+ * Creates a backend on top of a Web Storage area.
+ *
+ * @param {Storage} [storage] - `sessionStorage` by default.
+ * @returns {TokenStorage} The backend.
+ */
+export const createSessionStorage = (storage: Storage = window.sessionStorage): TokenStorage => ({
+	kind: "session",
+	load: async () => {
+		try {
+			return JSON.parse(storage.getItem(SESSION_STORAGE_KEY) ?? "null") as StoredSession | null;
+		} catch {
+			storage.removeItem(SESSION_STORAGE_KEY);
+			return null;
+		}
+	},
+	save: async (session) => storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session)),
+	clear: async () => storage.removeItem(SESSION_STORAGE_KEY),
+});
+
+/**
+ * Creates a backend that keeps the session encrypted in IndexedDB.
+ *
+ * @returns {TokenStorage} The backend.
+ */
+export const createEncryptedStorage = (): TokenStorage => {
+	const vault = createTokenVault();
+	return { kind: "indexeddb", load: vault.read, save: vault.write, clear: vault.erase };
+};
+
+/**
+ * Creates the backend named by `kind`, falling back to memory when the browser lacks
+ * the required API (IndexedDB is missing in some private browsing modes).
+ *
+ * @param {string} kind - A {@link TokenStorageKind}.
+ * @returns {TokenStorage} The backend.
+ *
+ * * Example Usage:
+ * const storage = createTokenStorage("indexeddb");
+ */
+export const createTokenStorage = (kind: string): TokenStorage => {
+	switch (kind) {
+		case "memory":
+			return createMemoryStorage();
+		case "session":
+			if (typeof sessionStorage !== "undefined") {
+				return createSessionStorage();
+			}
+			break;
+		case "indexeddb":
+			if (typeof indexedDB !== "undefined" && typeof crypto?.subtle !== "undefined") {
+				return createEncryptedStorage();
+			}
+			break;
+		default:
+			console.warn(`Unknown token storage "${kind}", keeping tokens in memory.`);
+			return createMemoryStorage();
+	}
+	console.warn(
+		`Token storage "${kind}" is not available in this browser, keeping tokens in memory.`
+	);
+	return createMemoryStorage();
+};
+
+/**
+ * @constant tokenStorage
+ * The backend selected by `INTERFACE_GUARD_TOKEN_STORAGE`.
+ */
+export const tokenStorage: TokenStorage = createTokenStorage(env.session.tokenStorage);
@@ -0,0 +1,173 @@
+import { CompactEncrypt, compactDecrypt, errors } from "jose";
+
+import type { StoredSession } from "@interface/session.interface";
+
+/**
+ * IndexedDB database holding the vault. One object store keeps both the key and the
+ * encrypted session, so clearing site data removes them together.
+ */
+const DATABASE_NAME = "interface-guard";
+const STORE_NAME = "vault";
+const KEY_ENTRY = "key";
+const SESSION_ENTRY = "session";
+
+/**
+ * JWE algorithms: the content is encrypted directly with the vault key (`dir`).
+ */
+const JWE_HEADER = { alg: "dir", enc: "A256GCM", cty: "application/json" } as const;
+
+/**
+ * Tells whether decrypted content has the shape of a stored session.
+ *
+ * @param {unknown} value - The parsed plaintext.
+ * @returns {boolean}
+ */
+const isStoredSession = (value: unknown): value is StoredSession => {
+	const tokens = (value as Partial<StoredSession> | null)?.tokens;
+	return typeof tokens?.accessToken === "string" && typeof tokens.refreshToken === "string";
+};
+
+/**
+ * Wraps an `IDBRequest` in a promise.
+ *
+ * @param {IDBRequest<T>} request - The pending request.
+ * @returns {Promise<T>} The request result.
+ */
+const settle = <T>(request: IDBRequest<T>): Promise<T> =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+/**
+ * Opens the vault database, creating its object store on first use.
+ *
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+const openDatabase = (): Promise<IDBDatabase> => {
+	const request = indexedDB.open(DATABASE_NAME, 1);
+	request.onupgradeneeded = () => {
+		request.result.createObjectStore(STORE_NAME);
+	};
+	return settle(request);
+};
+
+/**
+ * Encrypted session store backed by IndexedDB.
+ */
+export interface TokenVault {
+	read: () => Promise<StoredSession | null>;
+	write: (session: StoredSession) => Promise<void>;
+	erase: () => Promise<void>;
+}
+
+/**
+ * Creates a vault that keeps the session in IndexedDB as a compact JWE.
+ *
+ * The content encryption key is an AES-GCM `CryptoKey` generated with
+ * `extractable: false` and stored in IndexedDB as is. What this buys is narrow: the
+ * tokens are never written to disk in clear text, and no script can export the key's
+ * raw bytes. It does not make a copy of the browser profile harmless, since the key is
+ * stored in that profile next to the ciphertext; and code running in the page can still
+ * ask the browser to decrypt, so it is no defence against XSS either.
+ *
+ * A JWE that cannot be decrypted (key lost, data tampered with) or does not hold a
+ * session is discarded. Other failures, such as IndexedDB being unavailable or a
+ * transaction being aborted, are thrown and leave the stored session for the next
+ * attempt.
+ *
+ * @returns {TokenVault} The vault.
+ *
+ * * Example Usage:
+ * const vault = createTokenVault();
+ * await vault.write({ tokens, user });
+ */
+export const createTokenVault = (): TokenVault => {
+	let database: Promise<IDBDatabase> | undefined;
+	let key: Promise<CryptoKey> | undefined;
+
+	const transaction = async <T>(
+		mode: IDBTransactionMode,
+		operation: (store: IDBObjectStore) => IDBRequest<T>
+	): Promise<T> => {
+		database ??= openDatabase().catch((error: unknown) => {
+			database = undefined;
+			throw error;
+		});
+		return settle(
+			operation((await database).transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+		);
+	};
+
+	const loadKey = (): Promise<CryptoKey> => {
+		key ??= (async () => {
+			const stored = await transaction<CryptoKey | undefined>("readonly", (store) =>
+				store.get(KEY_ENTRY)
+			);
+			if (stored) {
+				return stored;
+			}
+			const generated = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+				"encrypt",
+				"decrypt",
+			]);
+			// `add` fails when another tab stored a key meanwhile; that key then wins.
+			try {
+				await transaction("readwrite", (store) => store.add(generated, KEY_ENTRY));
+				return generated;
+			} catch {
+				const winner = await transaction<CryptoKey | undefined>("readonly", (store) =>
+					store.get(KEY_ENTRY)
+				);
+				if (!winner) {
+					throw new Error("The token vault key could not be stored.");
+				}
+				return winner;
+			}
+		})().catch((error: unknown) => {
+			key = undefined;
+			throw error;
+		});
+		return key;
+	};
+
+	const read = async (): Promise<StoredSession | null> => {
+		const jwe = await transaction<string | undefined>("readonly", (store) =>
+			store.get(SESSION_ENTRY)
+		);
+		if (typeof jwe !== "string") {
+			return null;
+		}
+		const vaultKey = await loadKey();
+		let session: unknown = null;
+		try {
+			const { plaintext } = await compactDecrypt(jwe, vaultKey, {
+				keyManagementAlgorithms: [JWE_HEADER.alg],
+				contentEncryptionAlgorithms: [JWE_HEADER.enc],
+			});
+			session = JSON.parse(new TextDecoder().decode(plaintext));
+		} catch (error) {
+			if (!(error instanceof errors.JOSEError || error instanceof SyntaxError)) {
+				throw error;
+			}
+		}
+		if (!isStoredSession(session)) {
+			await erase();
+			return null;
+		}
+		return session;
+	};
+
+	const write = async (session: StoredSession): Promise<void> => {
+		const jwe = await new CompactEncrypt(new TextEncoder().encode(JSON.stringify(session)))
+			.setProtectedHeader(JWE_HEADER)
+			.encrypt(await loadKey());
+		await transaction("readwrite", (store) => store.put(jwe, SESSION_ENTRY));
+	};
+
+	const erase = async (): Promise<void> => {
+		await transaction("readwrite", (store) => store.delete(SESSION_ENTRY));
+	};
+
+	return { read, write, erase };
+};
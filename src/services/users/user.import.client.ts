@@ -0,0 +1,76 @@
+import { policyStore } from "@services/rbac/rbac.store";
+
+import type { ColumnMapping, ImportReport } from "./user.import";
+import type { ImportWorkerRequest, ImportWorkerResponse, ParsedFile } from "./user.import.worker";
+
+/**
+ * Promise-based handle on the import worker.
+ */
+export interface UserImportWorker {
+	/** Parses a CSV file; the rows are kept by the worker for {@link validate}. */
+	parse: (file: Blob) => Promise<ParsedFile>;
+	/** Validates the parsed rows against a column mapping. */
+	validate: (mapping: ColumnMapping) => Promise<ImportReport>;
+	/** Stops the worker and rejects pending calls. */
+	terminate: () => void;
+}
+
+type Pending = { resolve: (result: never) => void; reject: (error: Error) => void };
+
+/** A request before the client assigns its `id`. */
+type Unsent<T> = T extends unknown ? Omit<T, "id"> : never;
+
+/**
+ * Starts a Web Worker that parses and validates user CSV files, so large files never
+ * block the page. One worker handles one file at a time.
+ *
+ * @returns {UserImportWorker} The worker handle.
+ *
+ * * Example Usage:
+ * const worker = createUserImportWorker();
+ * const { headers } = await worker.parse(file);
+ * const report = await worker.validate(guessMapping(headers));
+ */
+export const createUserImportWorker = (): UserImportWorker => {
+	const worker = new Worker(new URL("./user.import.worker.ts", import.meta.url), {
+		name: "user-import",
+	});
+	const pending = new Map<number, Pending>();
+	let nextId = 0;
+
+	const rejectAll = (error: Error) => {
+		pending.forEach(({ reject }) => reject(error));
+		pending.clear();
+	};
+
+	worker.addEventListener("message", ({ data }: MessageEvent<ImportWorkerResponse>) => {
+		const call = pending.get(data.id);
+		pending.delete(data.id);
+		if (data.type === "error") {
+			call?.reject(new Error(data.message));
+		} else {
+			call?.resolve(data.result as never);
+		}
+	});
+	worker.addEventListener("error", (event) => {
+		event.preventDefault();
+		rejectAll(new Error("The import worker stopped unexpectedly."));
+	});
+
+	const send = <T>(request: Unsent<ImportWorkerRequest>): Promise<T> =>
+		new Promise<T>((resolve, reject) => {
+			const id = ++nextId;
+			pending.set(id, { resolve: resolve as Pending["resolve"], reject });
+			worker.postMessage({ ...request, id });
+		});
+
+	return {
+		parse: (file) => send<ParsedFile>({ type: "parse", file }),
+		validate: (mapping) =>
+			send<ImportReport>({ type: "validate", mapping, policy: policyStore.getState().policy }),
+		terminate: () => {
+			worker.terminate();
+			rejectAll(new Error("The import was cancelled."));
+		},
+	};
+};
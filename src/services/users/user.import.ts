@@ -0,0 +1,213 @@
+import type { BulkUserResult, UserInput } from "@interface/user.interface";
+import { policyStore } from "@services/rbac/rbac.store";
+
+import { EMPTY_USER, USER_FIELD_MESSAGES, userSchema } from "./user.schema";
+
+/**
+ * Fields of a user that can be read from a CSV column.
+ */
+export type ImportField = keyof UserInput;
+
+/**
+ * Which CSV column (0-based index) feeds each field; `null` when the file has none.
+ */
+export type ColumnMapping = Record<ImportField, number | null>;
+
+/**
+ * @constant IMPORT_FIELDS
+ * Importable fields, in display order. Optional fields fall back to the defaults of the
+ * create form when unmapped or empty. `headers` are the column names recognised by
+ * {@link guessMapping}, normalised.
+ */
+export const IMPORT_FIELDS: readonly {
+	field: ImportField;
+	label: string;
+	required: boolean;
+	headers: readonly string[];
+}[] = [
+	{ field: "name", label: "Name", required: true, headers: ["name", "fullname", "displayname"] },
+	{ field: "email", label: "Email", required: true, headers: ["email", "emailaddress", "mail"] },
+	{ field: "roles", label: "Roles", required: false, headers: ["roles", "role"] },
+	{ field: "status", label: "Status", required: false, headers: ["status", "state"] },
+	{ field: "locale", label: "Language", required: false, headers: ["locale", "language", "lang"] },
+];
+
+/**
+ * A data row that passed validation.
+ */
+export interface ImportRow {
+	/** Spreadsheet row number: the header is row 1, the first user row 2. */
+	row: number;
+	cells: string[];
+	input: UserInput;
+}
+
+/**
+ * A data row that cannot be imported, with one message per problem.
+ */
+export interface ImportIssue {
+	row: number;
+	cells: string[];
+	messages: string[];
+}
+
+/**
+ * Outcome of validating a file.
+ */
+export interface ImportReport {
+	valid: ImportRow[];
+	invalid: ImportIssue[];
+}
+
+/**
+ * Separators accepted between several roles in one cell.
+ */
+const ROLE_SEPARATOR = /[;|,]/;
+
+/**
+ * Lower-cases a column name and drops everything but letters and digits, so `E-mail
+ * address` and `email_address` match the same field.
+ *
+ * @param {string} header - The column name.
+ * @returns {string} The normalised name.
+ */
+const normaliseHeader = (header: string): string => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Maps the columns of a file to fields by their names.
+ *
+ * @param {string[]} headers - The first row of the file.
+ * @returns {ColumnMapping} The mapping; fields without a recognised column are `null`.
+ */
+export const guessMapping = (headers: string[]): ColumnMapping => {
+	const normalised = headers.map(normaliseHeader);
+	return Object.fromEntries(
+		IMPORT_FIELDS.map(({ field, headers: names }) => {
+			const index = normalised.findIndex((header) => names.includes(header));
+			return [field, index === -1 ? null : index];
+		})
+	) as ColumnMapping;
+};
+
+/**
+ * Resolves a role written in a cell, by ID (`admin`) or label (`Administrator`).
+ *
+ * @param {string} value - The cell part.
+ * @returns {string} The role ID, or the value as is when it names no role.
+ */
+const toRoleId = (value: string): string => {
+	const wanted = value.trim().toLowerCase();
+	const match = Object.entries(policyStore.getState().policy.roles).find(
+		([id, { label }]) => id === wanted || label.toLowerCase() === wanted
+	);
+	return match ? match[0] : value.trim();
+};
+
+/**
+ * Builds the candidate user of a row, before validation.
+ *
+ * @param {string[]} cells - The row.
+ * @param {ColumnMapping} mapping - The column mapping.
+ * @returns {Record<ImportField, unknown>} The raw values.
+ */
+const toCandidate = (cells: string[], mapping: ColumnMapping): Record<ImportField, unknown> => {
+	const cell = (field: ImportField) => {
+		const index = mapping[field];
+		return index === null ? "" : (cells[index] ?? "").trim();
+	};
+	const roles = cell("roles")
+		.split(ROLE_SEPARATOR)
+		.filter((role) => role.trim() !== "");
+	return {
+		name: cell("name"),
+		email: cell("email"),
+		roles: roles.length > 0 ? roles.map(toRoleId) : EMPTY_USER.roles,
+		status: cell("status").toLowerCase() || EMPTY_USER.status,
+		locale: cell("locale") || EMPTY_USER.locale,
+	};
+};
+
+/**
+ * Label of a field, for messages.
+ *
+ * @param {PropertyKey} field - The field.
+ * @returns {string} The label.
+ */
+const labelOf = (field: PropertyKey): string =>
+	IMPORT_FIELDS.find((entry) => entry.field === field)?.label ?? String(field);
+
+/**
+ * Validates the data rows of a file with the schema of the user form. Emails used by an
+ * earlier row of the same file are reported too, since the API would refuse them.
+ *
+ * @param {string[][]} rows - The data rows, without the header.
+ * @param {ColumnMapping} mapping - The column mapping.
+ * @returns {ImportReport} The valid rows and the problems of the others.
+ */
+export const validateRows = (rows: string[][], mapping: ColumnMapping): ImportReport => {
+	const report: ImportReport = { valid: [], invalid: [] };
+	const firstRowOf = new Map<string, number>();
+
+	rows.forEach((cells, index) => {
+		const row = index + 2;
+		const candidate = toCandidate(cells, mapping);
+		const result = userSchema.safeParse(candidate);
+		const messages =
+			result.success ?
+				[]
+			:	result.error.issues.map((issue) =>
+					issue.path[0] === "roles" && issue.message === USER_FIELD_MESSAGES.roles.invalid ?
+						`Roles: unknown role in "${cells[mapping.roles ?? -1] ?? ""}".`
+					:	`${labelOf(issue.path[0])}: ${issue.message}`
+				);
+
+		const email = result.success ? result.data.email : String(candidate.email).toLowerCase();
+		const duplicateOf = email && firstRowOf.get(email);
+		if (duplicateOf) {
+			messages.push(`Email: already used on row ${duplicateOf}.`);
+		} else if (email) {
+			firstRowOf.set(email, row);
+		}
+
+		if (result.success && messages.length === 0) {
+			report.valid.push({ row, cells, input: result.data });
+		} else {
+			report.invalid.push({ row, cells, messages });
+		}
+	});
+	return report;
+};
+
+/**
+ * Turns a `failed` result of `POST /users/bulk` into an issue of its row.
+ *
+ * @param {ImportRow} row - The row that was sent.
+ * @param {BulkUserResult} result - Its result.
+ * @returns {ImportIssue} The issue.
+ */
+export const toServerIssue = ({ row, cells }: ImportRow, result: BulkUserResult): ImportIssue => ({
+	row,
+	cells,
+	messages: Object.entries(result.fields ?? {}).map(([field, code]) => {
+		const messages: Record<string, string> | undefined = USER_FIELD_MESSAGES[field as ImportField];
+		return `${labelOf(field)}: ${messages?.[code] ?? "rejected by the server."}`;
+	}),
+});
+
+/**
+ * Builds the error file of an import: the rejected rows as they were in the file, with
+ * the row number and the problems in two extra columns, ready to be fixed and imported
+ * again.
+ *
+ * @param {string[]} headers - The header row of the file.
+ * @param {ImportIssue[]} issues - The rejected rows.
+ * @returns {string[][]} The rows of the error file, header first.
+ */
+export const errorFileRows = (headers: string[], issues: ImportIssue[]): string[][] => [
+	[...headers, "Row", "Errors"],
+	...issues.map(({ row, cells, messages }) => [
+		...headers.map((_, index) => cells[index] ?? ""),
+		String(row),
+		messages.join(" "),
+	]),
+];
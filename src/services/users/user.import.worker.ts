@@ -0,0 +1,65 @@
+import type { Policy } from "@interface/rbac.interface";
+import { parseCsv } from "@services/csv/csv.format";
+import { policyStore } from "@services/rbac/rbac.store";
+
+import { type ColumnMapping, type ImportReport, validateRows } from "./user.import";
+
+/**
+ * Messages understood by the import worker. Every message carries an `id` echoed in
+ * the answer.
+ *
+ * - `parse`: reads and parses a file; the rows stay in the worker.
+ * - `validate`: validates the parsed rows against a column mapping. The worker does not
+ *   share the page's modules, so the message carries the roles the page knows.
+ */
+export type ImportWorkerRequest =
+	| { id: number; type: "parse"; file: Blob }
+	| { id: number; type: "validate"; mapping: ColumnMapping; policy: Policy };
+
+/**
+ * Summary of a parsed file.
+ */
+export interface ParsedFile {
+	headers: string[];
+	/** Number of data rows, header excluded. */
+	rowCount: number;
+	/** The first data rows, to help mapping the columns. */
+	preview: string[][];
+}
+
+/**
+ * Answers of the import worker.
+ */
+export type ImportWorkerResponse =
+	| { id: number; type: "parsed"; result: ParsedFile }
+	| { id: number; type: "validated"; result: ImportReport }
+	| { id: number; type: "error"; message: string };
+
+const PREVIEW_ROWS = 3;
+
+let rows: string[][] = [];
+
+const reply = (response: ImportWorkerResponse) => self.postMessage(response);
+
+self.addEventListener("message", async ({ data }: MessageEvent<ImportWorkerRequest>) => {
+	try {
+		if (data.type === "parse") {
+			const [headers = [], ...body] = parseCsv(await data.file.text());
+			rows = body;
+			reply({
+				id: data.id,
+				type: "parsed",
+				result: { headers, rowCount: rows.length, preview: rows.slice(0, PREVIEW_ROWS) },
+			});
+		} else {
+			policyStore.setState({ policy: data.policy });
+			reply({ id: data.id, type: "validated", result: validateRows(rows, data.mapping) });
+		}
+	} catch (error) {
+		reply({
+			id: data.id,
+			type: "error",
+			message: error instanceof Error ? error.message : "The file could not be read.",
+		});
+	}
+});
@@ -0,0 +1,107 @@
+import { z } from "zod";
+
+import type { UserInput } from "@interface/user.interface";
+import { policyStore } from "@services/rbac/rbac.store";
+import type { FieldMessages } from "@utils/fieldErrors";
+
+/**
+ * @constant SUPPORTED_LOCALES
+ * Languages a user may pick, with their names in that language.
+ */
+export const SUPPORTED_LOCALES = Object.freeze({
+	"en-US": "English (United States)",
+	"en-GB": "English (United Kingdom)",
+	"fr-FR": "Français",
+	"de-DE": "Deutsch",
+	"es-ES": "Español",
+	"ja-JP": "日本語",
+});
+
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Deliberately loose: the API decides what it accepts, this only catches typos.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @constant USER_FIELD_MESSAGES
+ * Messages of the user form by field and error code. The codes are those the API
+ * returns in `details.fields`, so server-side errors read like client-side ones.
+ */
+export const USER_FIELD_MESSAGES = Object.freeze({
+	name: {
+		required: "Enter a name.",
+		too_long: `Use at most ${MAX_NAME_LENGTH} characters.`,
+	},
+	email: {
+		required: "Enter an email address.",
+		invalid: "Enter a valid email address, e.g. name@example.com.",
+		too_long: `Use at most ${MAX_EMAIL_LENGTH} characters.`,
+		taken: "Another user already has this email address.",
+	},
+	roles: {
+		required: "Select at least one role.",
+		invalid: "One of the roles does not exist.",
+		forbidden: "You are not allowed to grant or remove one of these roles.",
+		self: "You cannot change your own roles.",
+	},
+	status: {
+		invalid: "Choose a status.",
+	},
+	locale: {
+		invalid: "Choose a language.",
+	},
+} satisfies FieldMessages<UserInput>);
+
+const messages = USER_FIELD_MESSAGES;
+
+/**
+ * @constant userSchema
+ * Validation of the user create and edit forms, mirroring the rules of the API. Roles
+ * are checked against the current policy, so roles added in the role editor are valid.
+ */
+export const userSchema = z.object({
+	name: z
+		.string()
+		.trim()
+		.min(1, messages.name.required)
+		.max(MAX_NAME_LENGTH, messages.name.too_long),
+	email: z
+		.string()
+		.trim()
+		.toLowerCase()
+		.min(1, messages.email.required)
+		.max(MAX_EMAIL_LENGTH, messages.email.too_long)
+		.regex(EMAIL_PATTERN, messages.email.invalid),
+	roles: z
+		.array(z.string())
+		.min(1, messages.roles.required)
+		.refine(
+			(roles) => roles.every((role) => Object.hasOwn(policyStore.getState().policy.roles, role)),
+			messages.roles.invalid
+		),
+	status: z.enum(["active", "suspended"], messages.status.invalid),
+	locale: z.enum(
+		Object.keys(SUPPORTED_LOCALES) as [keyof typeof SUPPORTED_LOCALES],
+		messages.locale.invalid
+	),
+}) satisfies z.ZodType<UserInput>;
+
+/**
+ * Values of the user form.
+ */
+export type UserFormValues = z.infer<typeof userSchema>;
+
+/**
+ * @constant EMPTY_USER
+ * Initial values of the create form.
+ */
+export const EMPTY_USER: UserFormValues = Object.freeze({
+	name: "",
+	email: "",
+	roles: ["user"],
+	status: "active",
+	locale: "en-US",
+});
@@ -0,0 +1,141 @@
+import type {
+	BulkUserResult,
+	DirectoryUser,
+	Page,
+	UserDetails,
+	UserInput,
+	UserListQuery,
+} from "@interface/user.interface";
+import { apiRequest } from "@services/api/api.request";
+
+/**
+ * Serialises a {@link UserListQuery} into the query string of `GET /users`.
+ *
+ * @param {UserListQuery} query - The query.
+ * @returns {URLSearchParams} The parameters; empty filters are left out.
+ */
+const toSearchParams = ({
+	page,
+	pageSize,
+	sort,
+	roles,
+	statuses,
+	lastLogin,
+	search,
+}: UserListQuery): URLSearchParams => {
+	const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize) });
+	if (sort.length > 0) {
+		params.set(
+			"sort",
+			sort.map(({ field, desc }) => `${field}:${desc ? "desc" : "asc"}`).join(",")
+		);
+	}
+	if (roles.length > 0) {
+		params.set("role", roles.join(","));
+	}
+	if (statuses.length > 0) {
+		params.set("status", statuses.join(","));
+	}
+	if (lastLogin) {
+		params.set("lastLogin", lastLogin);
+	}
+	if (search) {
+		params.set("q", search);
+	}
+	return params;
+};
+
+/**
+ * Loads one page of the user directory. Paging, sorting and filtering happen on the
+ * server; the caller only sees the users their role may read.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {UserListQuery} query - Page, sort and filters.
+ * @param {AbortSignal} [signal] - Cancels the request when the query changes.
+ * @returns {Promise<Page<DirectoryUser>>} The page.
+ * @throws {ApiError} `403` when the caller may not list users.
+ */
+const list = (
+	accessToken: string,
+	query: UserListQuery,
+	signal?: AbortSignal
+): Promise<Page<DirectoryUser>> =>
+	apiRequest<Page<DirectoryUser>>(`/users?${toSearchParams(query)}`, { accessToken, signal });
+
+/**
+ * Loads one user for editing.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {string} id - The user ID.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<UserDetails>} The user and their current `version`.
+ * @throws {ApiError} `404` when the user does not exist or is out of the caller's reach.
+ */
+const get = (accessToken: string, id: string, signal?: AbortSignal): Promise<UserDetails> =>
+	apiRequest<UserDetails>(`/users/${encodeURIComponent(id)}`, { accessToken, signal });
+
+/**
+ * Creates a user in the caller's tenant.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {UserInput} input - The new user.
+ * @returns {Promise<UserDetails>} The created user.
+ * @throws {ApiError} `400 VALIDATION_FAILED` or `409 EMAIL_TAKEN`, with `details.fields`.
+ */
+const create = (accessToken: string, input: UserInput): Promise<UserDetails> =>
+	apiRequest<UserDetails>("/users", { method: "POST", accessToken, body: input });
+
+/**
+ * Creates several users at once, each succeeding or failing on its own. With `dryRun`
+ * the API only validates them, including the uniqueness of their emails.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {UserInput[]} users - At most 100 users.
+ * @param {{ dryRun?: boolean; signal?: AbortSignal }} [options] - Dry run and cancellation.
+ * @returns {Promise<BulkUserResult[]>} One result per user, in order.
+ */
+const bulkCreate = async (
+	accessToken: string,
+	users: UserInput[],
+	{ dryRun = false, signal }: { dryRun?: boolean; signal?: AbortSignal } = {}
+): Promise<BulkUserResult[]> => {
+	const { results } = await apiRequest<{ results: BulkUserResult[] }>("/users/bulk", {
+		method: "POST",
+		accessToken,
+		body: { users, dryRun },
+		signal,
+	});
+	return results;
+};
+
+/**
+ * Saves changes to a user.
+ *
+ * @param {string} accessToken - Access token of the caller.
+ * @param {string} id - The user ID.
+ * @param {UserInput} input - The edited fields.
+ * @param {number} version - The `version` of the user the changes were made to.
+ * @returns {Promise<UserDetails>} The saved user, with its new `version`.
+ * @throws {ApiError} `409 VERSION_CONFLICT` with the current user in `details.current` when
+ * someone saved it in the meantime; `400`/`409 EMAIL_TAKEN` with `details.fields`.
+ */
+const update = (
+	accessToken: string,
+	id: string,
+	input: UserInput,
+	version: number
+): Promise<UserDetails> =>
+	apiRequest<UserDetails>(`/users/${encodeURIComponent(id)}`, {
+		method: "PATCH",
+		accessToken,
+		body: { ...input, version },
+	});
+
+/**
+ * @constant userService
+ * User management endpoints of the InterfaceGuard API.
+ *
+ * * Example Usage:
+ * const { items, total } = await userService.list(accessToken, query);
+ */
+export const userService = Object.freeze({ list, get, create, bulkCreate, update });
@@ -0,0 +1,313 @@
+// @vitest-environment jsdom
+import { base64url } from "jose";
+import { beforeEach, describe, expect, it } from "vitest";
+
+import type {
+	PasskeyCreationOptionsJSON,
+	PasskeyRequestOptionsJSON,
+} from "@interface/passkey.interface";
+
+import { createMockApi } from "../../../webpack/mock/mock.api.mjs";
+import { createMockFetch } from "../../../webpack/mock/mock.fetch.mjs";
+
+import { type CredentialsApi, createPasskey, getPasskey, PasskeyError } from "./webauthn.ceremony";
+
+const ORIGIN = "http://localhost";
+
+type CborValue = number | string | Uint8Array | Map<CborValue, CborValue>;
+
+/**
+ * Encodes the CBOR subset of attestation objects and COSE keys.
+ */
+const cbor = (value: CborValue): Uint8Array<ArrayBuffer> => {
+	const head = (major: number, length: number): number[] =>
+		length < 24 ? [(major << 5) | length]
+		: length < 256 ? [(major << 5) | 24, length]
+		: [(major << 5) | 25, length >> 8, length & 0xff];
+	const concat = (...parts: (number[] | Uint8Array)[]): Uint8Array<ArrayBuffer> =>
+		new Uint8Array(parts.flatMap((part) => [...part]));
+
+	if (typeof value === "number") {
+		return new Uint8Array(value < 0 ? head(1, -1 - value) : head(0, value));
+	}
+	if (typeof value === "string") {
+		const bytes = new TextEncoder().encode(value);
+		return concat(head(3, bytes.length), bytes);
+	}
+	if (value instanceof Uint8Array) {
+		return concat(head(2, value.length), value);
+	}
+	return concat(
+		head(5, value.size),
+		...[...value].flatMap(([key, item]) => [cbor(key), cbor(item)])
+	);
+};
+
+const sha256 = async (data: Uint8Array<ArrayBuffer> | string): Promise<Uint8Array> =>
+	new Uint8Array(
+		await crypto.subtle.digest(
+			"SHA-256",
+			typeof data === "string" ? new TextEncoder().encode(data) : data
+		)
+	);
+
+const bytesOf = (source: BufferSource): Uint8Array =>
+	ArrayBuffer.isView(source) ?
+		new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+	:	new Uint8Array(source);
+
+const bufferOf = (bytes: Uint8Array): ArrayBuffer => new Uint8Array(bytes).buffer;
+
+/**
+ * A platform authenticator holding Ed25519 passkeys, answering like
+ * `navigator.credentials` does.
+ */
+const createAuthenticator = ({ origin = ORIGIN } = {}) => {
+	const passkeys = new Map<string, { keys: CryptoKeyPair; userHandle: Uint8Array }>();
+	let signCount = 0;
+
+	const authenticatorData = async (rpId: string, attested?: Uint8Array): Promise<Uint8Array> => {
+		const flags = 0x01 | 0x04 | (attested ? 0x40 : 0);
+		const counter = [
+			signCount >>> 24,
+			(signCount >> 16) & 0xff,
+			(signCount >> 8) & 0xff,
+			signCount & 0xff,
+		];
+		return new Uint8Array([...(await sha256(rpId)), flags, ...counter, ...(attested ?? [])]);
+	};
+
+	const clientData = (type: string, challenge: BufferSource): Uint8Array<ArrayBuffer> =>
+		new TextEncoder().encode(
+			JSON.stringify({ type, challenge: base64url.encode(bytesOf(challenge)), origin })
+		);
+
+	const credentials: CredentialsApi = {
+		create: async (options) => {
+			const publicKey = options!.publicKey!;
+			const keys = (await crypto.subtle.generateKey("Ed25519", true, [
+				"sign",
+				"verify",
+			])) as CryptoKeyPair;
+			const rawId = crypto.getRandomValues(new Uint8Array(16));
+			const x = new Uint8Array(await crypto.subtle.exportKey("raw", keys.publicKey));
+			const coseKey = cbor(
+				new Map<CborValue, CborValue>([
+					[1, 1],
+					[3, -8],
+					[-1, 6],
+					[-2, x],
+				])
+			);
+			const attested = new Uint8Array([
+				...new Uint8Array(16),
+				0,
+				rawId.length,
+				...rawId,
+				...coseKey,
+			]);
+			passkeys.set(base64url.encode(rawId), { keys, userHandle: bytesOf(publicKey.user.id) });
+
+			const attestationObject = cbor(
+				new Map<CborValue, CborValue>([
+					["fmt", "none"],
+					["attStmt", new Map()],
+					["authData", await authenticatorData(publicKey.rp.id!, attested)],
+				])
+			);
+			return {
+				id: base64url.encode(rawId),
+				rawId: bufferOf(rawId),
+				type: "public-key",
+				authenticatorAttachment: "platform",
+				response: {
+					clientDataJSON: bufferOf(clientData("webauthn.create", publicKey.challenge)),
+					attestationObject: bufferOf(attestationObject),
+					getTransports: () => ["internal"],
+				},
+				getClientExtensionResults: () => ({}),
+			} as unknown as Credential;
+		},
+
+		get: async (options) => {
+			const publicKey = options!.publicKey!;
+			const [id, passkey] = [...passkeys][0] ?? [];
+			if (!id || !passkey) {
+				throw new DOMException("No passkey for this site.", "NotAllowedError");
+			}
+			signCount++;
+			const data = await authenticatorData(publicKey.rpId!);
+			const client = clientData("webauthn.get", publicKey.challenge);
+			const signed = new Uint8Array([...data, ...(await sha256(client))]);
+			const signature = await crypto.subtle.sign("Ed25519", passkey.keys.privateKey, signed);
+			return {
+				id,
+				rawId: bufferOf(base64url.decode(id)),
+				type: "public-key",
+				authenticatorAttachment: "platform",
+				response: {
+					clientDataJSON: bufferOf(client),
+					authenticatorData: bufferOf(data),
+					signature,
+					userHandle: bufferOf(passkey.userHandle),
+				},
+				getClientExtensionResults: () => ({}),
+			} as unknown as Credential;
+		},
+	};
+
+	return { credentials, passkeys };
+};
+
+let mockFetch: ReturnType<typeof createMockFetch>;
+let accessToken: string;
+
+/**
+ * Calls the mock API as the signed-in administrator.
+ */
+const post = async (path: string, body: unknown = {}) => {
+	const response = await mockFetch(`/api${path}`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+		body: JSON.stringify(body),
+	});
+	return { status: response.status, body: await response.json() };
+};
+
+beforeEach(async () => {
+	mockFetch = createMockFetch({ "/api": createMockApi().router }, { origin: ORIGIN });
+	({ accessToken } = (
+		await post("/auth/login", { email: "admin@interfaceguard.dev", password: "ChangeMe!2024" })
+	).body);
+});
+
+/**
+ * Registers a passkey on the authenticator and with the API.
+ */
+const register = async (authenticator: ReturnType<typeof createAuthenticator>) => {
+	const options = (await post("/auth/passkeys/registration/options"))
+		.body as PasskeyCreationOptionsJSON;
+	const credential = await createPasskey(options, { credentials: authenticator.credentials });
+	return post("/auth/passkeys/registration", { credential, name: "Laptop" });
+};
+
+const signIn = async (authenticator: ReturnType<typeof createAuthenticator>) => {
+	const options = (await post("/auth/passkeys/authentication/options"))
+		.body as PasskeyRequestOptionsJSON;
+	const credential = await getPasskey(options, { credentials: authenticator.credentials });
+	return post("/auth/passkeys/authentication", { credential });
+};
+
+describe("createPasskey", () => {
+	it("registers a passkey the API accepts", async () => {
+		const { status, body } = await register(createAuthenticator());
+
+		expect(status).toBe(201);
+		expect(body).toMatchObject({ name: "Laptop", transports: ["internal"] });
+	});
+
+	it("is refused when the challenge was already used", async () => {
+		const authenticator = createAuthenticator();
+		const options = (await post("/auth/passkeys/registration/options"))
+			.body as PasskeyCreationOptionsJSON;
+		const credential = await createPasskey(options, { credentials: authenticator.credentials });
+		await post("/auth/passkeys/registration", { credential });
+
+		const replayed = await post("/auth/passkeys/registration", { credential });
+
+		expect(replayed.status).toBe(400);
+		expect(replayed.body.code).toBe("PASSKEY_CHALLENGE_EXPIRED");
+	});
+
+	it("is refused when signed for another origin", async () => {
+		const { status, body } = await register(
+			createAuthenticator({ origin: "https://phishing.example" })
+		);
+
+		expect(status).toBe(400);
+		expect(body.code).toBe("PASSKEY_VERIFICATION_FAILED");
+	});
+
+	it("reports a dismissed prompt as cancelled", async () => {
+		const credentials: CredentialsApi = {
+			create: () => Promise.reject(new DOMException("Dismissed.", "NotAllowedError")),
+			get: () => Promise.reject(new DOMException("Dismissed.", "NotAllowedError")),
+		};
+		const options = (await post("/auth/passkeys/registration/options"))
+			.body as PasskeyCreationOptionsJSON;
+
+		await expect(createPasskey(options, { credentials })).rejects.toMatchObject({
+			code: "cancelled",
+		});
+	});
+
+	it("fails early without WebAuthn", async () => {
+		const options = (await post("/auth/passkeys/registration/options"))
+			.body as PasskeyCreationOptionsJSON;
+
+		const error = await createPasskey(options).catch((caught: unknown) => caught);
+
+		expect(error).toBeInstanceOf(PasskeyError);
+		expect((error as PasskeyError).code).toBe("unsupported");
+	});
+});
+
+describe("getPasskey", () => {
+	it("signs in with a registered passkey", async () => {
+		const authenticator = createAuthenticator();
+		await register(authenticator);
+
+		const first = await signIn(authenticator);
+		const second = await signIn(authenticator);
+
+		expect(first.status).toBe(200);
+		expect(first.body.user.email).toBe("admin@interfaceguard.dev");
+		expect(second.status).toBe(200);
+	});
+
+	it("is refused when the challenge does not match", async () => {
+		const authenticator = createAuthenticator();
+		await register(authenticator);
+		const issued = (await post("/auth/passkeys/authentication/options"))
+			.body as PasskeyRequestOptionsJSON;
+		const other = (await post("/auth/passkeys/authentication/options"))
+			.body as PasskeyRequestOptionsJSON;
+		const credential = await getPasskey(issued, { credentials: authenticator.credentials });
+		// Claims the signature answers the other challenge.
+		const clientData = JSON.parse(
+			new TextDecoder().decode(base64url.decode(credential.response.clientDataJSON))
+		);
+		credential.response.clientDataJSON = base64url.encode(
+			JSON.stringify({ ...clientData, challenge: other.challenge })
+		);
+
+		const { status, body } = await post("/auth/passkeys/authentication", { credential });
+
+		expect(status).toBe(401);
+		expect(body.code).toBe("PASSKEY_INVALID");
+	});
+
+	it("is refused for a passkey signed with another key", async () => {
+		const authenticator = createAuthenticator();
+		await register(authenticator);
+		const [passkey] = authenticator.passkeys.values();
+		passkey.keys = (await crypto.subtle.generateKey("Ed25519", true, [
+			"sign",
+			"verify",
+		])) as CryptoKeyPair;
+
+		const { status, body } = await signIn(authenticator);
+
+		expect(status).toBe(401);
+		expect(body.code).toBe("PASSKEY_INVALID");
+	});
+
+	it("reports the absence of passkeys as cancelled", async () => {
+		const options = (await post("/auth/passkeys/authentication/options"))
+			.body as PasskeyRequestOptionsJSON;
+
+		await expect(
+			getPasskey(options, { credentials: createAuthenticator().credentials })
+		).rejects.toMatchObject({ code: "cancelled" });
+	});
+});
@@ -0,0 +1,300 @@
+import { base64url } from "jose";
+
+import type {
+	AuthenticationResponseJSON,
+	PasskeyCreationOptionsJSON,
+	PasskeyRequestOptionsJSON,
+	RegistrationResponseJSON,
+} from "@interface/passkey.interface";
+
+/**
+ * Reason a passkey ceremony failed.
+ *
+ * - `unsupported`: the browser has no WebAuthn support.
+ * - `cancelled`: the user dismissed the prompt, or it timed out. Browsers do not tell
+ *   these apart, on purpose.
+ * - `already_registered`: the authenticator already holds a passkey for this account.
+ * - `security`: the page origin does not match the relying party ID.
+ * - `failed`: anything else.
+ */
+export type PasskeyErrorCode =
+	| "unsupported"
+	| "cancelled"
+	| "already_registered"
+	| "security"
+	| "failed";
+
+/**
+ * @class PasskeyError
+ * Raised when `navigator.credentials.create` or `get` does not produce a credential.
+ */
+export class PasskeyError extends Error {
+	readonly code: PasskeyErrorCode;
+
+	constructor(code: PasskeyErrorCode, message: string, options?: { cause?: unknown }) {
+		super(message, options);
+		this.name = "PasskeyError";
+		this.code = code;
+	}
+}
+
+/**
+ * The part of `navigator.credentials` the ceremonies use. Tests pass a simulated
+ * authenticator implementing it.
+ */
+export type CredentialsApi = Pick<CredentialsContainer, "create" | "get">;
+
+/**
+ * Options shared by {@link createPasskey} and {@link getPasskey}.
+ */
+export interface CeremonyOptions {
+	/** Defaults to `navigator.credentials`. */
+	credentials?: CredentialsApi;
+	/** Aborts the browser prompt, e.g. when the page unmounts. */
+	signal?: AbortSignal;
+}
+
+/**
+ * Tells whether the browser can run WebAuthn ceremonies at all.
+ *
+ * @returns {boolean} `false` on old browsers and on insecure (non-HTTPS, non-localhost)
+ * origins, where `PublicKeyCredential` is not exposed.
+ */
+export const isWebAuthnSupported = (): boolean =>
+	typeof window !== "undefined" &&
+	typeof window.PublicKeyCredential === "function" &&
+	typeof navigator.credentials?.create === "function";
+
+/**
+ * Tells whether the device has a built-in authenticator (Touch ID, Windows Hello, ...).
+ * Security keys and phones may still be usable when it resolves to `false`.
+ *
+ * @returns {Promise<boolean>} Whether a user-verifying platform authenticator exists.
+ */
+export const isPlatformAuthenticatorAvailable = async (): Promise<boolean> =>
+	isWebAuthnSupported() &&
+	PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable().catch(() => false);
+
+/**
+ * Decodes a base64url field of the options into the `BufferSource` WebAuthn expects.
+ *
+ * @param {string} value - The encoded value.
+ * @returns {Uint8Array<ArrayBuffer>} The bytes.
+ */
+const toBytes = (value: string): Uint8Array<ArrayBuffer> => new Uint8Array(base64url.decode(value));
+
+/**
+ * Encodes a binary field of a credential for the API.
+ *
+ * @param {ArrayBuffer | null} value - The bytes.
+ * @returns {string} The base64url encoded value; empty for `null`.
+ */
+const toBase64url = (value: ArrayBuffer | null): string =>
+	value ? base64url.encode(new Uint8Array(value)) : "";
+
+/**
+ * Converts the descriptors of `excludeCredentials` and `allowCredentials`.
+ *
+ * @param {PublicKeyCredentialDescriptorJSON[]} [descriptors] - The JSON descriptors.
+ * @returns {PublicKeyCredentialDescriptor[] | undefined} The binary descriptors.
+ */
+const toDescriptors = (
+	descriptors?: PublicKeyCredentialDescriptorJSON[]
+): PublicKeyCredentialDescriptor[] | undefined =>
+	descriptors?.map(({ id, transports }) => ({
+		type: "public-key",
+		id: toBytes(id),
+		transports: transports as AuthenticatorTransport[] | undefined,
+	}));
+
+/**
+ * Converts creation options received from the API.
+ *
+ * `PublicKeyCredential.parseCreationOptionsFromJSON` does the same, but only recent
+ * browsers have it.
+ *
+ * @param {PasskeyCreationOptionsJSON} options - The JSON options.
+ * @returns {PublicKeyCredentialCreationOptions} The options for `credentials.create`.
+ */
+export const toCreationOptions = (
+	options: PasskeyCreationOptionsJSON
+): PublicKeyCredentialCreationOptions => ({
+	rp: options.rp,
+	user: { ...options.user, id: toBytes(options.user.id) },
+	challenge: toBytes(options.challenge),
+	pubKeyCredParams: options.pubKeyCredParams,
+	timeout: options.timeout,
+	excludeCredentials: toDescriptors(options.excludeCredentials),
+	authenticatorSelection: options.authenticatorSelection,
+	attestation: options.attestation as AttestationConveyancePreference | undefined,
+});
+
+/**
+ * Converts request options received from the API.
+ *
+ * @param {PasskeyRequestOptionsJSON} options - The JSON options.
+ * @returns {PublicKeyCredentialRequestOptions} The options for `credentials.get`.
+ */
+export const toRequestOptions = (
+	options: PasskeyRequestOptionsJSON
+): PublicKeyCredentialRequestOptions => ({
+	challenge: toBytes(options.challenge),
+	rpId: options.rpId,
+	timeout: options.timeout,
+	allowCredentials: toDescriptors(options.allowCredentials),
+	userVerification: options.userVerification as UserVerificationRequirement | undefined,
+});
+
+/**
+ * Maps the `DOMException` thrown by the browser to a {@link PasskeyError}.
+ *
+ * @param {unknown} error - The rejection of `credentials.create` or `get`.
+ * @returns {PasskeyError} The error.
+ */
+const toPasskeyError = (error: unknown): PasskeyError => {
+	if (error instanceof PasskeyError) {
+		return error;
+	}
+	// Not `instanceof Error`: a `DOMException` from another realm (an iframe, jsdom) fails it.
+	const name =
+		typeof error === "object" && error !== null && "name" in error ? String(error.name) : "";
+	switch (name) {
+		case "NotAllowedError":
+		case "AbortError":
+			return new PasskeyError("cancelled", "The passkey request was cancelled.", { cause: error });
+		case "InvalidStateError":
+			return new PasskeyError(
+				"already_registered",
+				"This device already has a passkey for your account.",
+				{ cause: error }
+			);
+		case "SecurityError":
+			return new PasskeyError("security", "Passkeys cannot be used on this address.", {
+				cause: error,
+			});
+		case "NotSupportedError":
+			return new PasskeyError("unsupported", "This device does not support passkeys.", {
+				cause: error,
+			});
+		default:
+			return new PasskeyError("failed", "The passkey request failed.", { cause: error });
+	}
+};
+
+/**
+ * Resolves the credentials API, failing early when the browser has none.
+ *
+ * @param {CredentialsApi} [credentials] - An injected implementation.
+ * @returns {CredentialsApi} The API to call.
+ * @throws {PasskeyError} `unsupported` when WebAuthn is unavailable.
+ */
+const resolveCredentials = (credentials?: CredentialsApi): CredentialsApi => {
+	if (credentials) {
+		return credentials;
+	}
+	if (!isWebAuthnSupported()) {
+		throw new PasskeyError("unsupported", "This browser does not support passkeys.");
+	}
+	return navigator.credentials;
+};
+
+/**
+ * Checks that the browser returned a public key credential with the expected response.
+ *
+ * @param {Credential | null} credential - The result of the ceremony.
+ * @param {string} field - A response field only the expected ceremony produces.
+ * @returns {PublicKeyCredential} The credential.
+ * @throws {PasskeyError} When nothing usable was returned.
+ */
+const requirePublicKeyCredential = (
+	credential: Credential | null,
+	field: "attestationObject" | "signature"
+): PublicKeyCredential => {
+	const candidate = credential as PublicKeyCredential | null;
+	if (candidate?.type !== "public-key" || !(field in (candidate.response ?? {}))) {
+		throw new PasskeyError("failed", "The authenticator did not return a passkey.");
+	}
+	return candidate;
+};
+
+/**
+ * Runs the registration ceremony: the user picks an authenticator, which creates a new
+ * passkey for the options the API issued.
+ *
+ * @param {PasskeyCreationOptionsJSON} options - Options from the API.
+ * @param {CeremonyOptions} [ceremony] - Credentials API and abort signal.
+ * @returns {Promise<RegistrationResponseJSON>} The credential, ready to send to the API.
+ * @throws {PasskeyError} When no passkey was created.
+ *
+ * * Example Usage:
+ * const credential = await createPasskey(await passkeyService.registrationOptions(token));
+ */
+export const createPasskey = async (
+	options: PasskeyCreationOptionsJSON,
+	{ credentials, signal }: CeremonyOptions = {}
+): Promise<RegistrationResponseJSON> => {
+	try {
+		const credential = requirePublicKeyCredential(
+			await resolveCredentials(credentials).create({
+				publicKey: toCreationOptions(options),
+				signal,
+			}),
+			"attestationObject"
+		);
+		const response = credential.response as AuthenticatorAttestationResponse;
+		return {
+			id: credential.id,
+			rawId: toBase64url(credential.rawId),
+			type: "public-key",
+			authenticatorAttachment: credential.authenticatorAttachment,
+			response: {
+				clientDataJSON: toBase64url(response.clientDataJSON),
+				attestationObject: toBase64url(response.attestationObject),
+				transports: response.getTransports?.() ?? [],
+			},
+			clientExtensionResults: credential.getClientExtensionResults?.() ?? {},
+		};
+	} catch (error) {
+		throw toPasskeyError(error);
+	}
+};
+
+/**
+ * Runs the authentication ceremony: the user picks one of their passkeys, which signs
+ * the challenge the API issued.
+ *
+ * @param {PasskeyRequestOptionsJSON} options - Options from the API.
+ * @param {CeremonyOptions} [ceremony] - Credentials API and abort signal.
+ * @returns {Promise<AuthenticationResponseJSON>} The assertion, ready to send to the API.
+ * @throws {PasskeyError} When no assertion was produced.
+ */
+export const getPasskey = async (
+	options: PasskeyRequestOptionsJSON,
+	{ credentials, signal }: CeremonyOptions = {}
+): Promise<AuthenticationResponseJSON> => {
+	try {
+		const credential = requirePublicKeyCredential(
+			await resolveCredentials(credentials).get({
+				publicKey: toRequestOptions(options),
+				signal,
+			}),
+			"signature"
+		);
+		const response = credential.response as AuthenticatorAssertionResponse;
+		return {
+			id: credential.id,
+			rawId: toBase64url(credential.rawId),
+			type: "public-key",
+			authenticatorAttachment: credential.authenticatorAttachment,
+			response: {
+				clientDataJSON: toBase64url(response.clientDataJSON),
+				authenticatorData: toBase64url(response.authenticatorData),
+				signature: toBase64url(response.signature),
+				userHandle: response.userHandle ? toBase64url(response.userHandle) : null,
+			},
+			clientExtensionResults: credential.getClientExtensionResults?.() ?? {},
+		};
+	} catch (error) {
+		throw toPasskeyError(error);
+	}
+};
@@ -0,0 +1,116 @@
+import { setupListeners } from "@reduxjs/toolkit/query";
+import { createApi, fakeBaseQuery } from "@reduxjs/toolkit/query/react";
+
+import { ApiError } from "@services/api/api.request";
+import { sessionService, sessionStore } from "@services/session/session.service";
+import { dynamicMiddleware, rootReducer, store } from "@store/store";
+
+/**
+ * Error of a failed query or mutation. `ApiError` instances cannot be kept in the store,
+ * which only holds serialisable values, so their fields are copied into this shape.
+ * Failures that never reached the API (network, signed out) have a `status` of `0`.
+ */
+export interface ApiQueryError {
+	status: number;
+	code: string;
+	message: string;
+	details?: unknown;
+}
+
+/**
+ * Tells whether the error of a query came from {@link withAccessToken}, rather than from
+ * RTK Query itself (e.g. a failing `transformResponse`).
+ *
+ * @param {unknown} error - The `error` of a query or mutation.
+ * @returns {boolean} `true` for an {@link ApiQueryError}.
+ */
+export const isApiQueryError = (error: unknown): error is ApiQueryError =>
+	typeof error === "object" &&
+	error !== null &&
+	typeof (error as ApiQueryError).status === "number";
+
+/**
+ * Turns whatever a service rejected with into an {@link ApiQueryError}.
+ *
+ * @param {unknown} error - The rejection.
+ * @returns {ApiQueryError} The serialisable error.
+ */
+export const toQueryError = (error: unknown): ApiQueryError =>
+	error instanceof ApiError ?
+		{ status: error.status, code: error.code, message: error.message, details: error.details }
+	:	{
+			status: 0,
+			code: "REQUEST_FAILED",
+			message: error instanceof Error ? error.message : String(error),
+		};
+
+/**
+ * Awaits a mutation and rejects like the services do when it fails, so forms keep
+ * handling the errors of mutations the same way (e.g. `applyFieldErrors`).
+ *
+ * @param {{ unwrap: () => Promise<T> }} mutation - The result of triggering a mutation.
+ * @returns {Promise<T>} The data of the mutation.
+ * @throws {ApiError} When the API refused the mutation.
+ * @throws {Error} When the request did not reach the API.
+ *
+ * * Example Usage:
+ * const user = await unwrapApi(createUser(values));
+ */
+export const unwrapApi = async <T>(mutation: { unwrap: () => Promise<T> }): Promise<T> => {
+	try {
+		return await mutation.unwrap();
+	} catch (error) {
+		const { status, code, message, details } = error as ApiQueryError;
+		throw status === 0 ? new Error(message) : new ApiError(status, code, message, details);
+	}
+};
+
+/**
+ * Runs a service call with the access token of the active session, resolving with the
+ * result shape `queryFn` expects.
+ *
+ * @param {(accessToken: string) => Promise<T>} call - The service call.
+ * @returns {Promise<{ data: T } | { error: ApiQueryError }>} Its data or its error.
+ *
+ * * Example Usage:
+ * queryFn: (id, { signal }) => withAccessToken((token) => userService.get(token, id, signal)),
+ */
+export const withAccessToken = async <T>(
+	call: (accessToken: string) => Promise<T>
+): Promise<{ data: T } | { error: ApiQueryError }> => {
+	try {
+		return { data: await call(sessionService.requireAccessToken()) };
+	} catch (error) {
+		return { error: toQueryError(error) };
+	}
+};
+
+/**
+ * @constant api
+ * RTK Query definition of the InterfaceGuard API. Endpoints are injected by the
+ * `*.api.ts` modules next to this one and call the existing services, so requests are
+ * built in one place whether they go through the cache or not.
+ *
+ * Cached results are tagged with what they contain: `User` (by ID, plus `LIST` for the
+ * directory), `Policy`, and `Audit` (`LIST`). Mutations invalidate the tags they change,
+ * and every change the API records in the audit log invalidates `Audit`.
+ */
+export const api = createApi({
+	reducerPath: "api",
+	baseQuery: fakeBaseQuery<ApiQueryError>(),
+	tagTypes: ["User", "Policy", "Audit"],
+	endpoints: () => ({}),
+});
+
+// The cache joins the store when the first page using it is loaded. From then on, cached
+// queries are refetched when the window regains focus or the network comes back, and the
+// cache is emptied whenever somebody else signs in, including when a staff member starts
+// or stops viewing as a user, so no list loaded for one user is ever shown to another.
+rootReducer.inject(api);
+dynamicMiddleware.addMiddleware(api.middleware);
+setupListeners(store.dispatch);
+sessionStore.subscribe((state, previous) => {
+	if (state.claims?.userId !== previous.claims?.userId) {
+		store.dispatch(api.util.resetApiState());
+	}
+});
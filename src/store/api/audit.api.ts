@@ -0,0 +1,33 @@
+import type { AuditQuery, AuditSlice } from "@interface/audit.interface";
+import { auditService } from "@services/audit/audit.service";
+
+import { api, withAccessToken } from "./api";
+
+/** Events loaded per slice. */
+export const AUDIT_SLICE_SIZE = 50;
+
+/**
+ * Audit log endpoints. The log is loaded slice by slice as an infinite query; when a
+ * mutation invalidates it, the slices loaded so far are fetched again from the newest.
+ */
+export const auditApi = api.injectEndpoints({
+	endpoints: (build) => ({
+		listAuditEvents: build.infiniteQuery<AuditSlice, AuditQuery, string | null>({
+			infiniteQueryOptions: {
+				initialPageParam: null,
+				getNextPageParam: (lastSlice) => lastSlice.nextCursor,
+			},
+			queryFn: ({ queryArg, pageParam }, { signal }) =>
+				withAccessToken((token) =>
+					auditService.list(token, queryArg, {
+						cursor: pageParam,
+						limit: AUDIT_SLICE_SIZE,
+						signal,
+					})
+				),
+			providesTags: [{ type: "Audit", id: "LIST" }],
+		}),
+	}),
+});
+
+export const { useListAuditEventsInfiniteQuery } = auditApi;
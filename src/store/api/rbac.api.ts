@@ -0,0 +1,28 @@
+import type { Policy, VersionedPolicy } from "@interface/rbac.interface";
+import { rbacService } from "@services/rbac/rbac.service";
+
+import { api, withAccessToken } from "./api";
+
+/**
+ * Role endpoints. Saving the roles can change what every user may do, so it refreshes
+ * the directory as well as the policy.
+ */
+export const rbacApi = api.injectEndpoints({
+	endpoints: (build) => ({
+		getPolicy: build.query<VersionedPolicy, void>({
+			queryFn: (_arg, { signal }) =>
+				withAccessToken((token) => rbacService.getPolicy(token, signal)),
+			providesTags: ["Policy"],
+		}),
+		savePolicy: build.mutation<VersionedPolicy, { policy: Policy; version: number }>({
+			queryFn: ({ policy, version }) =>
+				withAccessToken((token) => rbacService.savePolicy(token, policy, version)),
+			invalidatesTags: (saved, error) =>
+				saved || error?.code === "VERSION_CONFLICT" ?
+					["Policy", { type: "User", id: "LIST" }, { type: "Audit", id: "LIST" }]
+				:	[],
+		}),
+	}),
+});
+
+export const { useGetPolicyQuery, useSavePolicyMutation } = rbacApi;
@@ -0,0 +1,60 @@
+import type {
+	DirectoryUser,
+	Page,
+	UserDetails,
+	UserInput,
+	UserListQuery,
+} from "@interface/user.interface";
+import { userService } from "@services/users/user.service";
+
+import { api, withAccessToken } from "./api";
+
+/**
+ * User endpoints. The directory provides the `LIST` tag and one tag per listed user, and
+ * `getUser` the tag of its user, so creating users refreshes every cached page while
+ * saving one also refreshes its record.
+ * The CSV import sends its chunks through `userService.bulkCreate`, which it can cancel
+ * halfway, and invalidates the `LIST` tag once done.
+ */
+export const usersApi = api.injectEndpoints({
+	endpoints: (build) => ({
+		listUsers: build.query<Page<DirectoryUser>, UserListQuery>({
+			queryFn: (query, { signal }) =>
+				withAccessToken((token) => userService.list(token, query, signal)),
+			providesTags: (page) => [
+				{ type: "User", id: "LIST" },
+				...(page?.items.map(({ id }) => ({ type: "User" as const, id })) ?? []),
+			],
+		}),
+		getUser: build.query<UserDetails, string>({
+			queryFn: (id, { signal }) => withAccessToken((token) => userService.get(token, id, signal)),
+			providesTags: (user, error, id) => [{ type: "User", id }],
+		}),
+		createUser: build.mutation<UserDetails, UserInput>({
+			queryFn: (input) => withAccessToken((token) => userService.create(token, input)),
+			invalidatesTags: (user) =>
+				user ?
+					[
+						{ type: "User", id: "LIST" },
+						{ type: "Audit", id: "LIST" },
+					]
+				:	[],
+		}),
+		updateUser: build.mutation<UserDetails, { id: string; input: UserInput; version: number }>({
+			queryFn: ({ id, input, version }) =>
+				withAccessToken((token) => userService.update(token, id, input, version)),
+			// A version conflict means someone else changed the user: refetch it too.
+			invalidatesTags: (user, error, { id }) =>
+				user || error?.code === "VERSION_CONFLICT" ?
+					[
+						{ type: "User", id },
+						{ type: "User", id: "LIST" },
+						{ type: "Audit", id: "LIST" },
+					]
+				:	[],
+		}),
+	}),
+});
+
+export const { useListUsersQuery, useGetUserQuery, useCreateUserMutation, useUpdateUserMutation } =
+	usersApi;
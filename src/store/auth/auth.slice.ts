@@ -0,0 +1,71 @@
+import { createSlice, type PayloadAction } from "@reduxjs/toolkit";
+
+import type { AuthUser } from "@interface/auth.interface";
+import type { SessionClaims, SessionStatus } from "@interface/session.interface";
+
+/**
+ * State of the `auth` slice: the parts of the browser session components render from.
+ * Tokens stay out of the store, where any selector or devtools extension could read
+ * them; they only live in `sessionStore` and the token storage.
+ */
+export interface AuthState {
+	status: SessionStatus;
+	claims: SessionClaims | null;
+	user: AuthUser | null;
+	/** Whether a staff member is viewing the application as the signed-in user. */
+	impersonating: boolean;
+	/** Address the user asked this browser to remember, to fill in the login form. */
+	lastEmail: string | null;
+}
+
+/**
+ * What {@link sessionChanged} carries: a snapshot of `sessionStore` without the tokens.
+ */
+export type SessionSnapshot = Pick<AuthState, "status" | "claims" | "user" | "impersonating">;
+
+const initialState: AuthState = {
+	status: "loading",
+	claims: null,
+	user: null,
+	impersonating: false,
+	lastEmail: null,
+};
+
+/**
+ * @constant authSlice
+ * Mirror of the browser session, kept in step with `sessionStore` by `startAuthSync`.
+ * The session service stays in charge of signing in and out; the slice only lets
+ * components and RTK Query read the session through selectors.
+ */
+export const authSlice = createSlice({
+	name: "auth",
+	initialState,
+	reducers: {
+		sessionChanged: (state, { payload }: PayloadAction<SessionSnapshot>) => {
+			Object.assign(state, payload);
+		},
+		/** Remembers the address typed in the login form, or forgets it with `null`. */
+		emailRemembered: (state, { payload }: PayloadAction<string | null>) => {
+			state.lastEmail = payload;
+		},
+	},
+	selectors: {
+		selectSessionStatus: (state) => state.status,
+		selectIsAuthenticated: (state) => state.status === "authenticated",
+		selectClaims: (state) => state.claims,
+		selectCurrentUser: (state) => state.user,
+		selectIsImpersonating: (state) => state.impersonating,
+		selectLastEmail: (state) => state.lastEmail,
+	},
+});
+
+export const { sessionChanged, emailRemembered } = authSlice.actions;
+
+export const {
+	selectSessionStatus,
+	selectIsAuthenticated,
+	selectClaims,
+	selectCurrentUser,
+	selectIsImpersonating,
+	selectLastEmail,
+} = authSlice.selectors;
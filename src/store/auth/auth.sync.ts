@@ -0,0 +1,42 @@
+import type { SessionState } from "@interface/session.interface";
+import { sessionStore } from "@services/session/session.service";
+import type { AppStore } from "@store/store";
+
+import { sessionChanged, type SessionSnapshot } from "./auth.slice";
+
+/**
+ * Drops the tokens from a session snapshot.
+ *
+ * @param {SessionState} state - The state of `sessionStore`.
+ * @returns {SessionSnapshot} What the `auth` slice keeps of it.
+ */
+const toSnapshot = ({ status, claims, user }: SessionState): SessionSnapshot => ({
+	status,
+	claims,
+	user,
+	impersonating: claims?.actor !== undefined,
+});
+
+/**
+ * Mirrors `sessionStore` into the `auth` slice of `store`. The RTK Query cache follows
+ * the session on its own (see `api.ts`).
+ *
+ * @param {AppStore} store - The Redux store.
+ * @returns {() => void} Stops the mirroring.
+ *
+ * * Example Usage:
+ * useEffect(() => startAuthSync(store), [store]);
+ */
+export const startAuthSync = (store: AppStore): (() => void) => {
+	store.dispatch(sessionChanged(toSnapshot(sessionStore.getState())));
+
+	return sessionStore.subscribe((state, previous) => {
+		if (
+			state.status !== previous.status ||
+			state.claims !== previous.claims ||
+			state.user !== previous.user
+		) {
+			store.dispatch(sessionChanged(toSnapshot(state)));
+		}
+	});
+};
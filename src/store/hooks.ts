@@ -0,0 +1,20 @@
+import { useDispatch, useSelector } from "react-redux";
+
+import type { AppDispatch, RootState } from "./store";
+
+/**
+ * `useDispatch` typed for the application store, so thunks and RTK Query actions can be
+ * dispatched without casts.
+ *
+ * * Example Usage:
+ * const dispatch = useAppDispatch();
+ */
+export const useAppDispatch = useDispatch.withTypes<AppDispatch>();
+
+/**
+ * `useSelector` typed with the state of the application store.
+ *
+ * * Example Usage:
+ * const lastEmail = useAppSelector(selectLastEmail);
+ */
+export const useAppSelector = useSelector.withTypes<RootState>();
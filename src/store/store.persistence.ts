@@ -0,0 +1,90 @@
+import type { AppStore, RootState } from "./store";
+
+/**
+ * Key of the persisted state in `localStorage`.
+ */
+const STATE_STORAGE_KEY = "interface-guard:state";
+
+/**
+ * Bumped whenever the shape or meaning of {@link PersistedState} changes; older copies are
+ * dropped. Version 1 remembered every address without asking.
+ */
+const STATE_VERSION = 2;
+
+/**
+ * The part of the state kept between visits. Only what is harmless to leave on a shared
+ * computer belongs here: no tokens, claims or API data, which are either kept by the
+ * token storage chosen for the deployment or loaded again. The email address is only
+ * there when the user ticked "Remember my email" when signing in.
+ */
+export interface PersistedState {
+	auth: Pick<RootState["auth"], "lastEmail">;
+}
+
+/**
+ * Picks the persisted part of the state.
+ *
+ * @param {RootState} state - The whole state.
+ * @returns {PersistedState} What to keep.
+ */
+const selectPersisted = ({ auth }: RootState): PersistedState => ({
+	auth: { lastEmail: auth.lastEmail },
+});
+
+/**
+ * Reads the state persisted by a previous visit.
+ *
+ * @param {Storage} [storage] - `localStorage` by default.
+ * @returns {PersistedState | undefined} The state, `undefined` when there is none, it is
+ * unreadable, or it was written by another version.
+ */
+export const loadPersistedState = (
+	storage: Storage = window.localStorage
+): PersistedState | undefined => {
+	try {
+		const stored = JSON.parse(storage.getItem(STATE_STORAGE_KEY) ?? "null") as {
+			version: number;
+			state: PersistedState;
+		} | null;
+		return stored?.version === STATE_VERSION ? stored.state : undefined;
+	} catch {
+		storage.removeItem(STATE_STORAGE_KEY);
+		return undefined;
+	}
+};
+
+/**
+ * Saves the persisted part of the state whenever it changes. Changes elsewhere in the
+ * state, e.g. every response cached by RTK Query, are not written.
+ *
+ * @param {AppStore} store - The Redux store.
+ * @param {Storage} [storage] - `localStorage` by default.
+ * @returns {() => void} Stops saving.
+ *
+ * * Example Usage:
+ * useEffect(() => startStatePersistence(store), [store]);
+ */
+export const startStatePersistence = (
+	store: AppStore,
+	storage: Storage = window.localStorage
+): (() => void) => {
+	let saved = JSON.stringify(selectPersisted(store.getState()));
+
+	return store.subscribe(() => {
+		const persisted = selectPersisted(store.getState());
+		const serialised = JSON.stringify(persisted);
+		if (serialised === saved) {
+			return;
+		}
+		saved = serialised;
+		try {
+			storage.setItem(
+				STATE_STORAGE_KEY,
+				JSON.stringify({ version: STATE_VERSION, state: persisted })
+			);
+		} catch (error) {
+			// Full or disabled storage: the state is simply not remembered.
+			console.warn("The application state could not be saved.", error);
+		}
+	});
+};
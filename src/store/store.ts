@@ -0,0 +1,57 @@
+import {
+	combineSlices,
+	configureStore,
+	createDynamicMiddleware,
+	type WithSlice,
+} from "@reduxjs/toolkit";
+
+import { env } from "@utils/env";
+
+import type { api } from "./api/api";
+import { authSlice } from "./auth/auth.slice";
+import { loadPersistedState, type PersistedState } from "./store.persistence";
+
+/**
+ * @constant rootReducer
+ * Root reducer. Only the `auth` slice is there from the start: the RTK Query cache is
+ * injected by `api.ts`, which only the code-split pages load, so RTK Query stays out of
+ * the initial bundle.
+ */
+export const rootReducer = combineSlices(authSlice).withLazyLoadedSlices<WithSlice<typeof api>>();
+
+/**
+ * @constant dynamicMiddleware
+ * Middleware injected along with the slices that need one, like the RTK Query middleware.
+ */
+export const dynamicMiddleware = createDynamicMiddleware();
+
+export type RootState = ReturnType<typeof rootReducer>;
+
+/**
+ * Creates a Redux store with the injected middleware, starting from what a previous
+ * visit persisted. Tests and stories can create as many as they need; the application
+ * uses {@link store}.
+ *
+ * @param {PersistedState} [persisted] - State saved by `startStatePersistence`.
+ * @returns The store.
+ *
+ * * Example Usage:
+ * const store = createAppStore(loadPersistedState());
+ */
+export const createAppStore = (persisted?: PersistedState) =>
+	configureStore({
+		reducer: rootReducer,
+		preloadedState: persisted && { auth: { ...authSlice.getInitialState(), ...persisted.auth } },
+		middleware: (getDefaultMiddleware) =>
+			getDefaultMiddleware().concat(dynamicMiddleware.middleware),
+		devTools: env.mode !== "production",
+	});
+
+export type AppStore = ReturnType<typeof createAppStore>;
+export type AppDispatch = AppStore["dispatch"];
+
+/**
+ * @constant store
+ * The Redux store of the application, provided to components by `StoreProvider`.
+ */
+export const store: AppStore = createAppStore(loadPersistedState());
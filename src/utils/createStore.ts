@@ -0,0 +1,42 @@
+/**
+ * Minimal observable store compatible with React's `useSyncExternalStore`.
+ */
+export interface Store<T> {
+	getState: () => T;
+	setState: (update: Partial<T> | ((state: T) => Partial<T>)) => void;
+	subscribe: (listener: (state: T, previous: T) => void) => () => void;
+}
+
+/**
+ * Creates a {@link Store} holding an immutable state object.
+ *
+ * Every `setState` produces a new object (shallow merge) and notifies the listeners
+ * synchronously, so the store works both from React and from plain services.
+ *
+ * @param {T} initialState - The initial state.
+ * @returns {Store<T>} The store.
+ *
+ * * Example Usage:
+ * const counter = createStore({ count: 0 });
+ * counter.setState((state) => ({ count: state.count + 1 }));
+ */
+export const createStore = <T extends object>(initialState: T): Store<T> => {
+	let state = initialState;
+	const listeners = new Set<(state: T, previous: T) => void>();
+
+	return {
+		getState: () => state,
+		setState: (update) => {
+			const previous = state;
+			const patch = typeof update === "function" ? update(previous) : update;
+			state = { ...previous, ...patch };
+			listeners.forEach((listener) => listener(state, previous));
+		},
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => {
+				listeners.delete(listener);
+			};
+		},
+	};
+};
@@ -0,0 +1,22 @@
+/**
+ * Saves content generated in the browser as a file, through a temporary object URL.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {BlobPart} content - The file content.
+ * @param {string} type - MIME type, e.g. `text/csv;charset=utf-8`.
+ *
+ * * Example Usage:
+ * downloadFile("users.csv", csv, "text/csv;charset=utf-8");
+ */
+export const downloadFile = (filename: string, content: BlobPart, type: string): void => {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.hidden = true;
+	document.body.append(link);
+	link.click();
+	link.remove();
+	// Revoke on the next task: some browsers start the download asynchronously.
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,104 @@
+/**
+ * Removes trailing slashes so paths can always be appended with a leading `/`.
+ *
+ * @param {string} url - The URL or path prefix to normalise.
+ * @returns {string} The URL without trailing slashes.
+ */
+const trimTrailingSlash = (url: string): string => url.replace(/\/+$/, "");
+
+/**
+ * Parses a numeric environment variable, falling back when it is missing or malformed.
+ *
+ * @param {string | undefined} value - The raw variable value.
+ * @param {number} fallback - Value used when `value` is not a finite number.
+ * @returns {number} The parsed number.
+ */
+const toNumber = (value: string | undefined, fallback: number): number => {
+	const parsed = Number(value);
+	return value !== undefined && value !== "" && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Splits a comma-separated environment variable into trimmed, non-empty entries.
+ *
+ * @param {string | undefined} value - The raw variable value.
+ * @returns {string[]} The entries.
+ */
+const toList = (value: string | undefined): string[] =>
+	(value ?? "")
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+
+const apiUrl = trimTrailingSlash(process.env.INTERFACE_GUARD_API_URL || "/api");
+
+/**
+ * @constant env
+ * Typed, read-only view of the client environment injected by webpack.
+ *
+ * Components and services should read configuration from here instead of touching
+ * `process.env` directly, so defaults and normalisation live in a single place.
+ *
+ * * Example Usage:
+ * fetch(`${env.apiUrl}/auth/me`);
+ */
+export const env = Object.freeze({
+	mode: process.env.NODE_ENV,
+	publicUrl: process.env.PUBLIC_URL,
+	apiUrl,
+	http: Object.freeze({
+		/** Milliseconds before a request without a complete response fails; `0` waits forever. */
+		timeout: toNumber(process.env.INTERFACE_GUARD_API_TIMEOUT, 30) * 1000,
+		/** Cookie holding the CSRF token, sent back on unsafe requests without a bearer token. */
+		csrfCookie: process.env.INTERFACE_GUARD_CSRF_COOKIE || "XSRF-TOKEN",
+		/** Header carrying the CSRF token. */
+		csrfHeader: process.env.INTERFACE_GUARD_CSRF_HEADER || "X-XSRF-TOKEN",
+	}),
+	errors: Object.freeze({
+		/** Where error reports are posted in batches; empty disables reporting. */
+		endpoint: process.env.INTERFACE_GUARD_ERROR_ENDPOINT || "",
+	}),
+	jwt: Object.freeze({
+		issuer: process.env.INTERFACE_GUARD_JWT_ISSUER,
+		audience: process.env.INTERFACE_GUARD_JWT_AUDIENCE,
+		/** Inline JWKS document bundled at build time; takes precedence over `jwksUrl`. */
+		jwks: process.env.INTERFACE_GUARD_JWKS,
+		jwksUrl: process.env.INTERFACE_GUARD_JWKS_URL || `${apiUrl}/.well-known/jwks.json`,
+		/** Allowed clock skew, in seconds, when checking `exp` and `nbf`. */
+		clockTolerance: toNumber(process.env.INTERFACE_GUARD_JWT_CLOCK_TOLERANCE, 30),
+	}),
+	session: Object.freeze({
+		/** Seconds before `exp` at which the access token is silently refreshed. */
+		refreshLeeway: toNumber(process.env.INTERFACE_GUARD_REFRESH_LEEWAY, 60),
+		/** Token storage backend: `memory`, `session` or `indexeddb`. */
+		tokenStorage: process.env.INTERFACE_GUARD_TOKEN_STORAGE || "memory",
+	}),
+	idle: Object.freeze({
+		/** Seconds of inactivity before the user is signed out; `0` disables the timeout. */
+		timeout: toNumber(process.env.INTERFACE_GUARD_IDLE_TIMEOUT, 900),
+		/** Seconds before the timeout at which the warning dialog opens. */
+		warning: toNumber(process.env.INTERFACE_GUARD_IDLE_WARNING, 60),
+		/** Roles the timeout applies to; empty means every signed-in user. */
+		roles: toList(process.env.INTERFACE_GUARD_IDLE_ROLES),
+	}),
+	oidc: Object.freeze({
+		/** Issuer URL of the identity provider; a path is relative to the page origin. */
+		issuer: trimTrailingSlash(process.env.INTERFACE_GUARD_OIDC_ISSUER || ""),
+		clientId: process.env.INTERFACE_GUARD_OIDC_CLIENT_ID,
+		scope: process.env.INTERFACE_GUARD_OIDC_SCOPE || "openid",
+		/** Name shown on the sign-in button. */
+		providerName: process.env.INTERFACE_GUARD_OIDC_PROVIDER_NAME || "SSO",
+	}),
+	password: Object.freeze({
+		minLength: toNumber(process.env.INTERFACE_GUARD_PASSWORD_MIN_LENGTH, 12),
+		maxLength: toNumber(process.env.INTERFACE_GUARD_PASSWORD_MAX_LENGTH, 128),
+		/** Character classes every password needs: `lower`, `upper`, `digit`, `symbol`. */
+		requiredClasses: toList(process.env.INTERFACE_GUARD_PASSWORD_REQUIRED_CLASSES),
+		/** Number of previous passwords that cannot be reused; checked by the API only. */
+		history: toNumber(process.env.INTERFACE_GUARD_PASSWORD_HISTORY, 5),
+		/** Words no password may contain, e.g. the product name. */
+		blockedWords: toList(process.env.INTERFACE_GUARD_PASSWORD_BLOCKED_WORDS),
+		/** Whether passwords are looked up in the bundled breached-password list. */
+		breachCheck: process.env.INTERFACE_GUARD_PASSWORD_BREACH_CHECK !== "false",
+	}),
+});
@@ -0,0 +1,58 @@
+import type { FieldValues, Path, UseFormSetError } from "react-hook-form";
+
+import { ApiError } from "@services/api/api.request";
+
+/**
+ * Messages of a form, by field and by error code. The same codes are used by the form
+ * schema and by the API in `details.fields`, so a rule enforced on both sides reads the
+ * same wherever it fails.
+ */
+export type FieldMessages<T extends FieldValues> = {
+	[K in Path<T>]?: Record<string, string>;
+};
+
+/**
+ * Message shown for a server error code the form does not know.
+ */
+const FALLBACK_MESSAGE = "This value was rejected.";
+
+/**
+ * Puts the field errors of an API response (`details.fields`, `{ [field]: code }`) on the
+ * matching inputs of a react-hook-form form. Fields the form does not have are ignored.
+ *
+ * @param {unknown} error - The rejection of the API call.
+ * @param {UseFormSetError<T>} setError - `setError` of the form.
+ * @param {FieldMessages<T>} messages - Messages of the form; its keys are the known fields.
+ * @returns {boolean} `true` when at least one field error was set.
+ *
+ * * Example Usage:
+ * if (!applyFieldErrors(error, setError, USER_FIELD_MESSAGES)) setFormError(error.message);
+ */
+export const applyFieldErrors = <T extends FieldValues>(
+	error: unknown,
+	setError: UseFormSetError<T>,
+	messages: FieldMessages<T>
+): boolean => {
+	const fields =
+		error instanceof ApiError ?
+			(error.details as { fields?: Record<string, string> } | undefined)?.fields
+		:	undefined;
+	if (!fields) {
+		return false;
+	}
+
+	let applied = false;
+	for (const [field, code] of Object.entries(fields)) {
+		const known = messages[field as Path<T>];
+		if (!known) {
+			continue;
+		}
+		setError(
+			field as Path<T>,
+			{ type: "server", message: known[code] ?? FALLBACK_MESSAGE },
+			{ shouldFocus: !applied }
+		);
+		applied = true;
+	}
+	return applied;
+};
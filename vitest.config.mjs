@@ -0,0 +1,59 @@
+/**
+ * @file vitest.config.mjs
+ * @description Vitest configuration for the unit tests of the client and of the mock API.
+ *
+ * @details
+ * Tests sit next to the module they cover: `*.test.ts` under `src`, `*.test.mjs` under
+ * `webpack/mock`. They run in Node, which provides `fetch`, `Request`, `Response` and
+ * WebCrypto; a file needing the DOM starts with `// @vitest-environment jsdom` (see
+ * `vitest.setup.mjs`).
+ *
+ * The aliases mirror the `paths` of `tsconfig.json` (themselves mirroring
+ * `webpack/common/routes/webpack.aliases.mjs`), which cannot be imported here because it
+ * reads the project files relative to the working directory.
+ *
+ * @usage
+ * - `pnpm test` runs every test once.
+ * - `pnpm test src/services/rbac` runs the tests under a directory.
+ *
+ * @see https://vitest.dev/config/
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ALIASES = [
+    'assets',
+    'components',
+    'hooks',
+    'interface',
+    'layout',
+    'pages',
+    'global',
+    'routes',
+    'sections',
+    'services',
+    'store',
+    'styles',
+    'utils',
+];
+
+export default defineConfig({
+    resolve: {
+        alias: [
+            { find: /^@src\//, replacement: `${path.resolve(__dirname, 'src')}/` },
+            ...ALIASES.map((name) => ({
+                find: new RegExp(`^@${name}/`),
+                replacement: `${path.resolve(__dirname, 'src', name)}/`,
+            })),
+        ],
+    },
+    test: {
+        environment: 'node',
+        include: ['src/**/*.test.ts', 'webpack/**/*.test.mjs'],
+        setupFiles: ['./vitest.setup.mjs'],
+    },
+});
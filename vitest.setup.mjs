@@ -0,0 +1,19 @@
+/**
+ * @file vitest.setup.mjs
+ * @description Setup run before every test file
+ *
+ * @details
+ * The `jsdom` environment replaces the global `Uint8Array` and `ArrayBuffer` with those
+ * of the jsdom window, while Node's `TextEncoder`, `crypto` and `Buffer` keep returning
+ * Node's own. `instanceof Uint8Array` checks (in `jose`, among others) then reject
+ * perfectly valid bytes, so the mock API cannot sign tokens in a jsdom test. Browsers
+ * have a single realm, so restoring Node's constructors matches them better.
+ *
+ * @usage
+ * Listed in `setupFiles` of `vitest.config.mjs`; nothing to import.
+ */
+
+if (typeof window !== 'undefined') {
+    globalThis.Uint8Array = Object.getPrototypeOf(Buffer.prototype).constructor;
+    globalThis.ArrayBuffer = Buffer.alloc(0).buffer.constructor;
+}
@@ -87,6 +87,58 @@ function getClientEnvironment(publicUrl) {
                 // Whether or not react-refresh is enabled.
                 // It is defined here so it is available in the webpackHotDevClient.
                 FAST_REFRESH: process.env.FAST_REFRESH !== 'false',
+                // Base URL of the InterfaceGuard API consumed by `src/services`.
+                // Defaults to the same-origin `/api` prefix; any `INTERFACE_GUARD_API_URL`
+                // set in the environment or a `.env*` file overrides it below.
+                INTERFACE_GUARD_API_URL: '/api',
+                // Seconds before a request still waiting for its response is abandoned;
+                // `0` waits indefinitely.
+                INTERFACE_GUARD_API_TIMEOUT: '30',
+                // Double-submit CSRF protection for requests made without a bearer token:
+                // the token the API sets in this cookie is sent back in this header.
+                INTERFACE_GUARD_CSRF_COOKIE: 'XSRF-TOKEN',
+                INTERFACE_GUARD_CSRF_HEADER: 'X-XSRF-TOKEN',
+                // Where uncaught errors are reported, in batches of `{ reports: [...] }`.
+                // Empty disables reporting. Development builds default to the collector
+                // the dev server serves on `/client-errors` (see `webpack/mock`).
+                INTERFACE_GUARD_ERROR_ENDPOINT: process.env.NODE_ENV === 'development' ? '/client-errors' : '',
+                // Expected `iss` and `aud` claims of access tokens verified in the browser.
+                // The key set comes from `INTERFACE_GUARD_JWKS_URL` or, when the keys are
+                // bundled, from the JSON document in `INTERFACE_GUARD_JWKS`.
+                INTERFACE_GUARD_JWT_ISSUER: 'interface-guard',
+                INTERFACE_GUARD_JWT_AUDIENCE: 'interface-guard-web',
+                // Where the session is kept between page loads: `memory` (nowhere),
+                // `session` (sessionStorage, per tab) or `indexeddb` (encrypted with JWE
+                // under a non-extractable WebCrypto key).
+                INTERFACE_GUARD_TOKEN_STORAGE: 'memory',
+                // Idle session timeout, in seconds: users are signed out after
+                // `INTERFACE_GUARD_IDLE_TIMEOUT` seconds without activity and warned
+                // `INTERFACE_GUARD_IDLE_WARNING` seconds before. Set the timeout to `0` to
+                // disable it, and `INTERFACE_GUARD_IDLE_ROLES` (comma separated) to only
+                // apply it to some roles.
+                INTERFACE_GUARD_IDLE_TIMEOUT: '900',
+                INTERFACE_GUARD_IDLE_WARNING: '60',
+                INTERFACE_GUARD_IDLE_ROLES: '',
+                // OpenID Connect single sign-on. An empty issuer hides the SSO button.
+                // Development builds default to the stand-in provider that the dev server
+                // serves on `/oidc` (see `webpack/mock`); a path is resolved against the
+                // page origin.
+                INTERFACE_GUARD_OIDC_ISSUER: process.env.NODE_ENV === 'development' ? '/oidc' : '',
+                INTERFACE_GUARD_OIDC_CLIENT_ID: 'interface-guard-web',
+                INTERFACE_GUARD_OIDC_SCOPE: 'openid profile email',
+                INTERFACE_GUARD_OIDC_PROVIDER_NAME: 'SSO',
+                // Password policy, enforced by the forms and by the mock API alike: length
+                // bounds, character classes every password needs (comma separated among
+                // `lower`, `upper`, `digit`, `symbol`), how many previous passwords cannot
+                // be reused, words no password may contain (comma separated, matched
+                // ignoring case and common letter-for-digit swaps), and whether passwords
+                // are looked up in the bundled breached-password list.
+                INTERFACE_GUARD_PASSWORD_MIN_LENGTH: '12',
+                INTERFACE_GUARD_PASSWORD_MAX_LENGTH: '128',
+                INTERFACE_GUARD_PASSWORD_REQUIRED_CLASSES: '',
+                INTERFACE_GUARD_PASSWORD_HISTORY: '5',
+                INTERFACE_GUARD_PASSWORD_BLOCKED_WORDS: 'interfaceguard,password,qwerty,letmein,welcome',
+                INTERFACE_GUARD_PASSWORD_BREACH_CHECK: 'true',
             }
         );
     // Stringify all values so we can feed into webpack DefinePlugin
@@ -226,6 +226,27 @@ const sassRule = {
     sideEffects: true,
 };
 
+// SASS Module Rule
+const sassModuleRule = {
+    test: sassModuleRegex,
+    include: path.resolve(__dirname, '..', '..', '..', 'src'),
+    use: getStyleLoaders(
+        {
+            importLoaders: 3,
+            sourceMap: shouldUseSourceMap,
+            modules: {
+                mode: 'local',
+                getLocalIdent: getCSSModuleLocalIdent,
+                // css-loader 7 defaults to named exports; components import the class map
+                // as a default export (`import styles from './x.module.scss'`).
+                namedExport: false,
+                exportLocalsConvention: 'as-is',
+            },
+        },
+        'sass-loader'
+    ),
+};
+
 // JavaScript and TypeScript Rules
 const jsTsRule = {
     test: /\.[jt]sx?$/,
@@ -355,7 +376,7 @@ const mdxRule = {
 };
 
 // Add rules to the array
-rules.push(htmlRule, cssRule, cssModuleRule, sassRule, jsTsRule, moduleJsRule, imageRule, svgRule, fontRule, mdRule, mdxRule);
+rules.push(htmlRule, cssRule, cssModuleRule, sassRule, sassModuleRule, jsTsRule, moduleJsRule, imageRule, svgRule, fontRule, mdRule, mdxRule);
 
 // Ensure rules is an array
 if (!Array.isArray(rules)) {
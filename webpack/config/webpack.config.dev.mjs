@@ -44,6 +44,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import paths from '../common/routes/paths.mjs';
+import { setupMockApi } from '../mock/mock.server.mjs';
 
 // Convert the module URL to a file path
 const __filename = fileURLToPath(import.meta.url);
@@ -146,6 +147,9 @@ export default async () => {
             filename: "[name].js",
             chunkFilename: "[id].chunk.js",
             path: paths.appBuild,
+            // Absolute public path so chunks still resolve on deep links such as
+            // `/users/42` served through `historyApiFallback`.
+            publicPath: paths.publicUrlOrPath,
             clean: true,
         },
         plugins,
@@ -156,6 +160,8 @@ export default async () => {
             compress: true,
             webSocketServer: 'ws',
             historyApiFallback: true,
+            // Serves the local mock API (see `webpack/mock`) unless `MOCK_API=false`.
+            setupMiddlewares: setupMockApi,
             open: {
                 target: ['http://localhost:5114'],
                 app: {
@@ -116,6 +116,9 @@ export default async () => {
         },
         output: {
             path: paths.appBuild,
+            // Absolute public path so chunks still resolve on deep links such as
+            // `/users/42` served through `historyApiFallback`.
+            publicPath: paths.publicUrlOrPath,
             filename: "[name].[fullhash].js",
             chunkFilename: "[id].[chunkhash].js",
             clean: true,
@@ -285,7 +288,12 @@ export default async () => {
                             // get the name. E.g. node_modules/packageName/not/this/part.js
                             // or node_modules/packageName
                             // https://gist.github.com/davidgilbertson/838312f0a948423e4c4da30e29600b16
-                            const packageName = module.context.match(/[\\/]node_modules[\\/](.*?)([\\/]|$)/)[1];
+                            // pnpm nests every package as node_modules/.pnpm/<name>@<version>/node_modules/<name>,
+                            // so the name is taken from the last node_modules segment. Otherwise every package
+                            // lands in one `pnpm..pnpm` chunk, and libraries only code-split pages use become
+                            // part of the entry.
+                            const segments = [...module.context.matchAll(/[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/g)];
+                            const packageName = segments[segments.length - 1][1].replace(/[\\/]/, '.');
 
                             // pnpm package names are URL-safe, but some servers don't like @ symbols
                             return `pnpm.${packageName.replace('@', '')}`;
@@ -300,7 +308,7 @@ export default async () => {
                         priority: 30,
                     },
                     react_router: {
-                        test: /[\\/]node_modules[\\/](@react-router-dom|react-router-dom)[\\/]/,
+                        test: /[\\/]node_modules[\\/](@remix-run[\\/]router|react-router|react-router-dom)[\\/]/,
                         name: "pnpm.react-router",
                         enforce: true,
                         chunks: "all",
@@ -348,6 +356,15 @@ export default async () => {
                         chunks: "all",
                         priority: 37,
                     },
+                    // RTK Query is only imported by code-split pages (see `src/store/api/api.ts`).
+                    // Its own chunk keeps it out of `pnpm.reduxToolkit`, which the entry loads.
+                    rtkQuery: {
+                        test: /[\\/]node_modules[\\/]@reduxjs[\\/]toolkit[\\/]dist[\\/]query[\\/]/,
+                        name: "pnpm.rtkQuery",
+                        enforce: true,
+                        chunks: "all",
+                        priority: 38,
+                    },
                     common: {
                         name: "common",
                         minChunks: 2,
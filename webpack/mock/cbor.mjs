@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * @file cbor.mjs
+ * @description Minimal CBOR (RFC 8949) decoder for WebAuthn payloads
+ *
+ * @details
+ * WebAuthn encodes attestation objects and credential public keys (COSE keys) in CBOR.
+ * This decoder supports the subset they use: unsigned and negative integers, byte and
+ * text strings, arrays, maps, booleans and null. Indefinite lengths, tags and floats
+ * are rejected.
+ *
+ * Maps are returned as `Map` instances because COSE keys use integer labels.
+ *
+ * @usage
+ * const { value, length } = decodeCbor(bytes);       // value plus bytes consumed
+ * const attestation = decodeCborFirst(attestationObject);
+ */
+
+/**
+ * Decodes the first CBOR item of `bytes`.
+ *
+ * @param {Uint8Array} bytes - The encoded data.
+ * @param {number} [start] - Offset of the item.
+ * @returns {{ value: unknown, length: number }} The item and the number of bytes it used.
+ * @throws {Error} On malformed or unsupported input.
+ */
+export const decodeCbor = (bytes, start = 0) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = start;
+
+    const need = (count) => {
+        if (offset + count > bytes.length) {
+            throw new Error('CBOR: unexpected end of input.');
+        }
+    };
+
+    const readArgument = (info) => {
+        if (info < 24) {
+            return info;
+        }
+        const sizes = { 24: 1, 25: 2, 26: 4, 27: 8 };
+        const size = sizes[info];
+        if (!size) {
+            throw new Error(`CBOR: unsupported additional information ${info}.`);
+        }
+        need(size);
+        let value;
+        if (size === 1) value = view.getUint8(offset);
+        else if (size === 2) value = view.getUint16(offset);
+        else if (size === 4) value = view.getUint32(offset);
+        else value = Number(view.getBigUint64(offset));
+        offset += size;
+        return value;
+    };
+
+    const readItem = () => {
+        need(1);
+        const initial = bytes[offset];
+        offset += 1;
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        switch (major) {
+            case 0:
+                return readArgument(info);
+            case 1:
+                return -1 - readArgument(info);
+            case 2: {
+                const length = readArgument(info);
+                need(length);
+                const value = bytes.slice(offset, offset + length);
+                offset += length;
+                return value;
+            }
+            case 3: {
+                const length = readArgument(info);
+                need(length);
+                const value = new TextDecoder().decode(bytes.subarray(offset, offset + length));
+                offset += length;
+                return value;
+            }
+            case 4: {
+                const length = readArgument(info);
+                return Array.from({ length }, () => readItem());
+            }
+            case 5: {
+                const length = readArgument(info);
+                const map = new Map();
+                for (let index = 0; index < length; index += 1) {
+                    const key = readItem();
+                    map.set(key, readItem());
+                }
+                return map;
+            }
+            case 7:
+                if (info === 20) return false;
+                if (info === 21) return true;
+                if (info === 22) return null;
+                throw new Error(`CBOR: unsupported simple value ${info}.`);
+            default:
+                throw new Error(`CBOR: unsupported major type ${major}.`);
+        }
+    };
+
+    const value = readItem();
+    return { value, length: offset - start };
+};
+
+/**
+ * Decodes a buffer holding exactly one CBOR item.
+ *
+ * @param {Uint8Array} bytes - The encoded data.
+ * @returns {unknown} The item.
+ * @throws {Error} When the input is malformed or has trailing bytes.
+ */
+export const decodeCborFirst = (bytes) => {
+    const { value, length } = decodeCbor(bytes);
+    if (length !== bytes.length) {
+        throw new Error('CBOR: trailing bytes after the first item.');
+    }
+    return value;
+};
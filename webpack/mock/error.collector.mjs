@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * @file error.collector.mjs
+ * @description Stand-in for the error reporting endpoint of the SPA
+ *
+ * @details
+ * Development builds post their error reports here (`INTERFACE_GUARD_ERROR_ENDPOINT`
+ * defaults to `/client-errors`), so reporting can be tried without a real service. The
+ * collector keeps the latest reports in memory and logs a line per report in the terminal
+ * of the dev server.
+ *
+ * - `POST   /client-errors` `{ reports: [...] }` records a batch -> `202 { accepted }`.
+ * - `GET    /client-errors` lists the recorded reports, newest first -> `{ reports }`.
+ * - `DELETE /client-errors` forgets them.
+ *
+ * @usage
+ * const collector = createErrorCollector({ log: () => {} });
+ * await collector.router.handle({ method: 'POST', path: '/', headers: {}, body: { reports } });
+ * collector.reports; // [{ ...report, receivedAt }]
+ */
+
+import { MockHttpError, json, noContent } from './mock.http.mjs';
+import { createRouter } from './mock.router.mjs';
+
+/** Path the collector is mounted on in development builds. */
+export const ERROR_COLLECTOR_PATH = '/client-errors';
+
+/** Reports kept; older ones are forgotten. */
+export const ERROR_COLLECTOR_LIMIT = 200;
+
+/** Reports accepted in one batch at most. */
+const MAX_BATCH = 50;
+
+/**
+ * Summarises a report on one line.
+ *
+ * @param {object} report - The report.
+ * @returns {string} E.g. `TypeError: x is undefined on /users (route boundary)`.
+ */
+const describeReport = (report) =>
+    `${report.name}: ${report.message} on ${report.path ?? '?'}` +
+    (report.boundary ? ` (${report.boundary} boundary)` : ` (${report.source ?? 'unknown source'})`);
+
+/**
+ * Creates a collector with an empty log.
+ *
+ * @param {{ limit?: number, log?: (line: string) => void }} [options] - How many reports to
+ * keep, and where to print the line logged for each of them.
+ * @returns {{ reports: object[], router: { handle: Function } }} The recorded reports,
+ * oldest first, and the router answering the endpoint.
+ */
+export const createErrorCollector = ({ limit = ERROR_COLLECTOR_LIMIT, log = console.warn } = {}) => {
+    const reports = [];
+
+    const collect = (request) => {
+        const batch = request.body?.reports;
+        if (!Array.isArray(batch) || batch.length === 0 || batch.length > MAX_BATCH) {
+            throw new MockHttpError(
+                400,
+                'VALIDATION_FAILED',
+                `Send { reports: [...] } with 1 to ${MAX_BATCH} reports.`
+            );
+        }
+        if (!batch.every((report) => report && typeof report.name === 'string' && typeof report.message === 'string')) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'Every report needs a name and a message.');
+        }
+        const receivedAt = new Date().toISOString();
+        batch.forEach((report) => {
+            reports.push({ ...report, receivedAt });
+            log(`[error-collector] ${describeReport(report)}`);
+        });
+        reports.splice(0, Math.max(0, reports.length - limit));
+        return json(202, { accepted: batch.length });
+    };
+
+    const list = () => json(200, { reports: [...reports].reverse() });
+
+    const clear = () => {
+        reports.length = 0;
+        return noContent();
+    };
+
+    const router = createRouter([
+        { method: 'POST', path: '/', handler: collect },
+        { method: 'GET', path: '/', handler: list },
+        { method: 'DELETE', path: '/', handler: clear },
+    ]);
+    return { reports, router };
+};
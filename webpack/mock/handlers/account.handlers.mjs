@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * @file account.handlers.mjs
+ * @description Mock implementation of the self-service account endpoints
+ *
+ * @details
+ * Everything here acts on the signed-in user, whatever their roles:
+ * - `PATCH  /account/profile`            changes the name and the avatar -> `AuthUser`. The
+ *                                        avatar is a `data:` URL of a PNG, JPEG or WebP
+ *                                        image, at most `MAX_AVATAR_LENGTH` characters, or
+ *                                        `null` to remove it.
+ * - `POST   /account/password`           `{ currentPassword, newPassword }`. The new password
+ *                                        follows the password policy (`mock.password.mjs`).
+ *                                        Every other session of the user is ended, since
+ *                                        whoever knew the old password may be using one.
+ * - `POST   /account/email/verification` sends a link to verify the email address again
+ *                                        -> `{ sentTo, expiresAt }`. The mock has no mail
+ *                                        server: the link is printed in the dev server log.
+ * - `POST   /account/email/verify`       `{ token }` from that link -> `AuthUser`.
+ * - `GET    /account/sessions`           open sessions of the user, most recently used
+ *                                        first, the caller's own flagged with `current`.
+ * - `DELETE /account/sessions/:id`       ends one of them.
+ * - `DELETE /account/sessions`           ends all of them except the caller's ->
+ *                                        `{ revoked }`.
+ *
+ * Invalid input is answered with `400 VALIDATION_FAILED` and one code per field in
+ * `details.fields`: `required`, `too_long` and `invalid` as for users, `too_large` for
+ * the avatar, `incorrect` for a wrong current password, `unchanged` or the code of the
+ * broken policy rule for the new one. Profile and password changes are recorded in the
+ * audit log.
+ */
+
+import { auditTarget, recordAudit, userSnapshot } from '../mock.audit.mjs';
+import { digest, randomToken, toAuthUser, verifyPassword } from '../mock.db.mjs';
+import { MockHttpError, json, noContent, originFor, requireField } from '../mock.http.mjs';
+import { checkNewPassword, setPassword } from '../mock.password.mjs';
+import { endSessions, requireAuth } from '../mock.session.mjs';
+
+/** Longest accepted avatar `data:` URL, about 150 KB of image. */
+export const MAX_AVATAR_LENGTH = 200_000;
+
+/** Lifetime of an email verification link, in milliseconds. */
+export const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+
+const MAX_NAME_LENGTH = 100;
+const AVATAR_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+/**
+ * Public view of a session.
+ *
+ * @param {object} session - The stored session.
+ * @param {object} current - The session of the caller.
+ * @returns {object} The `ActiveSession`.
+ */
+const toActiveSession = (session, current) => ({
+    id: session.id,
+    current: session === current,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    amr: session.amr,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+});
+
+/**
+ * Validates a profile update. Fields left out of the body keep their value.
+ *
+ * @param {unknown} body - The request body.
+ * @param {object} user - The stored user.
+ * @returns {{ name: string, avatarUrl: string | null }} The new values.
+ * @throws {MockHttpError} `400` listing every invalid field.
+ */
+const validateProfile = (body, user) => {
+    const { name = user.name, avatarUrl = user.avatarUrl } = body ?? {};
+    const fields = {};
+
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed === '') fields.name = 'required';
+    else if (trimmed.length > MAX_NAME_LENGTH) fields.name = 'too_long';
+
+    if (avatarUrl !== null) {
+        if (typeof avatarUrl !== 'string' || !AVATAR_PATTERN.test(avatarUrl)) fields.avatarUrl = 'invalid';
+        else if (avatarUrl.length > MAX_AVATAR_LENGTH) fields.avatarUrl = 'too_large';
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', 'The profile is invalid.', { fields });
+    }
+    return { name: trimmed, avatarUrl };
+};
+
+/**
+ * Builds the `/account` routes.
+ *
+ * @param {{ db: object, tokens: object, passwordPolicy: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const accountRoutes = (context) => {
+    const { db, passwordPolicy } = context;
+
+    const updateProfile = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const input = validateProfile(request.body, user);
+
+        const before = userSnapshot(user);
+        Object.assign(user, input, { version: user.version + 1, updatedAt: new Date().toISOString() });
+        if (before.name !== user.name) {
+            recordAudit(context, request, user, {
+                action: 'user.update',
+                target: auditTarget(user),
+                tenantId: user.tenantId,
+                before,
+                after: userSnapshot(user),
+            });
+        }
+        return json(200, toAuthUser(user));
+    };
+
+    const changePassword = async (request) => {
+        const { user, session } = await requireAuth(context, request);
+        const currentPassword = requireField(request, 'currentPassword');
+        const newPassword = requireField(request, 'newPassword');
+
+        // Accounts created without a password have none to confirm.
+        if (user.passwordHash === null || !verifyPassword(currentPassword, user.passwordHash)) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'The current password is incorrect.', {
+                fields: { currentPassword: 'incorrect' },
+            });
+        }
+        const code =
+            newPassword === currentPassword ?
+                'unchanged'
+            :   checkNewPassword(passwordPolicy, newPassword, { user, userInputs: [user.name, user.email] });
+        if (code) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'The new password is invalid.', {
+                fields: { newPassword: code },
+            });
+        }
+
+        setPassword(passwordPolicy, user, newPassword);
+        endSessions(context, user.id, session);
+        recordAudit(context, request, user, {
+            action: 'user.password_change',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+        });
+        return noContent();
+    };
+
+    const sendVerification = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const token = randomToken();
+        const expiresAt = Date.now() + EMAIL_VERIFICATION_TTL;
+        user.emailVerification = { tokenHash: digest(token), expiresAt };
+
+        const link = `${originFor(request)}/account/verify-email?token=${token}`;
+        console.info(`[mock-api] Email verification link for ${user.email}: ${link}`);
+        return json(202, { sentTo: user.email, expiresAt: new Date(expiresAt).toISOString() });
+    };
+
+    const verifyEmail = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const token = requireField(request, 'token');
+        const pending = user.emailVerification;
+        if (!pending || pending.tokenHash !== digest(token) || pending.expiresAt < Date.now()) {
+            throw new MockHttpError(400, 'VERIFICATION_TOKEN_INVALID', 'This link is invalid or has expired.');
+        }
+        user.emailVerified = true;
+        user.emailVerification = null;
+        return json(200, toAuthUser(user));
+    };
+
+    const listSessions = async (request) => {
+        const { user, session: current } = await requireAuth(context, request);
+        const now = Date.now();
+        const sessions = [...db.sessions.values()]
+            .filter((session) => session.userId === user.id && (session.expiresAt ?? now) >= now)
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+        return json(200, sessions.map((session) => toActiveSession(session, current)));
+    };
+
+    const revokeSession = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const session = db.sessions.get(request.params.id);
+        if (!session || session.userId !== user.id) {
+            throw new MockHttpError(404, 'SESSION_NOT_FOUND', 'This session does not exist.');
+        }
+        db.sessions.delete(session.id);
+        return noContent();
+    };
+
+    const revokeOtherSessions = async (request) => {
+        const { user, session } = await requireAuth(context, request);
+        return json(200, { revoked: endSessions(context, user.id, session) });
+    };
+
+    return [
+        { method: 'PATCH', path: '/account/profile', handler: updateProfile },
+        { method: 'POST', path: '/account/password', handler: changePassword },
+        { method: 'POST', path: '/account/email/verification', handler: sendVerification },
+        { method: 'POST', path: '/account/email/verify', handler: verifyEmail },
+        { method: 'GET', path: '/account/sessions', handler: listSessions },
+        { method: 'DELETE', path: '/account/sessions/:id', handler: revokeSession },
+        { method: 'DELETE', path: '/account/sessions', handler: revokeOtherSessions },
+    ];
+};
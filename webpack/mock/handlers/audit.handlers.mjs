@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * @file audit.handlers.mjs
+ * @description Mock implementation of the audit log
+ *
+ * @details
+ * - `GET /audit/events` events the caller may read, newest first, in slices for infinite
+ *                scrolling: `{ items, total, nextCursor }`. Query parameters:
+ *   - `from`, `to`: ISO 8601 bounds of `occurredAt`, both inclusive;
+ *   - `actor`: case-insensitive search in the actor's name and email, or an exact user ID;
+ *   - `limit`: events per slice, at most `MAX_AUDIT_LIMIT`;
+ *   - `cursor`: the `nextCursor` of the previous slice, `null` after the last one.
+ *
+ * Reading the log takes the `read` grant on `audit`. Auditors and administrators see
+ * every event; a grant limited to a tenant only shows events about that tenant.
+ *
+ * The cursor names the last event returned, so events recorded while scrolling do not
+ * shift the slices; they show up when the list is loaded again.
+ */
+
+import { inScope, requirePermission } from '../mock.access.mjs';
+import { MockHttpError, json } from '../mock.http.mjs';
+import { requireAuth } from '../mock.session.mjs';
+
+export const DEFAULT_AUDIT_LIMIT = 50;
+export const MAX_AUDIT_LIMIT = 200;
+
+/**
+ * Parses an optional date bound.
+ *
+ * @param {unknown} value - The query parameter.
+ * @param {string} name - Its name, for the error message.
+ * @returns {number | null} The time in milliseconds, `null` when absent.
+ * @throws {MockHttpError} `400` when the value is not a date.
+ */
+const toTime = (value, name) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const time = Date.parse(String(value));
+    if (Number.isNaN(time)) {
+        throw new MockHttpError(400, 'INVALID_QUERY', `"${name}" must be an ISO 8601 date.`);
+    }
+    return time;
+};
+
+/**
+ * Builds the `/audit` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const auditRoutes = (context) => {
+    const { db } = context;
+
+    const list = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const scope = requirePermission(db.policy.roles, caller, 'read', 'audit', 'tenant');
+        const { query = {} } = request;
+
+        const from = toTime(query.from, 'from');
+        const to = toTime(query.to, 'to');
+        const actor = String(query.actor ?? '').trim().toLowerCase();
+        const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_AUDIT_LIMIT, 1), MAX_AUDIT_LIMIT);
+
+        const matches = db.auditEvents
+            .filter((event) => inScope(scope, caller, { tenantId: event.tenantId ?? undefined }))
+            .filter((event) => from === null || Date.parse(event.occurredAt) >= from)
+            .filter((event) => to === null || Date.parse(event.occurredAt) <= to)
+            .filter(
+                (event) =>
+                    actor === '' ||
+                    (event.actor !== null &&
+                        (event.actor.id === actor ||
+                            event.actor.email.includes(actor) ||
+                            event.actor.name.toLowerCase().includes(actor)))
+            );
+
+        let start = 0;
+        if (query.cursor) {
+            const index = matches.findIndex((event) => event.id === query.cursor);
+            if (index === -1) {
+                throw new MockHttpError(400, 'INVALID_CURSOR', 'The cursor does not match this query.');
+            }
+            start = index + 1;
+        }
+
+        const items = matches.slice(start, start + limit);
+        const nextCursor = start + limit < matches.length ? items[items.length - 1].id : null;
+        return json(200, { items, total: matches.length, nextCursor });
+    };
+
+    return [{ method: 'GET', path: '/audit/events', handler: list }];
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * @file auth.handlers.mjs
+ * @description Mock implementation of the `/auth` endpoints and the JWKS document
+ *
+ * @details
+ * Mirrors the contract consumed by `src/services/auth/auth.service.ts`:
+ * - `POST /auth/login`   credentials -> `LoginResponse`, or an `MfaChallenge` when the
+ *                        account has a second factor.
+ * - `POST /auth/refresh` rotates the refresh token.
+ * - `POST /auth/logout`  ends the session owning the refresh token.
+ * - `GET  /auth/me`      profile of the bearer.
+ * - `GET  /.well-known/jwks.json` public signing keys.
+ */
+
+import { hashPassword, randomToken, toAuthUser, verifyPassword } from '../mock.db.mjs';
+import { MockHttpError, json, noContent, requireField } from '../mock.http.mjs';
+import { findSessionByRefreshToken, isSessionOpen, issueTokens, requireAuth, startSession } from '../mock.session.mjs';
+
+/** Lifetime of a pending MFA challenge, in milliseconds. */
+export const MFA_CHALLENGE_TTL = 5 * 60 * 1000;
+
+// Compared against when the email is unknown, so both failures take the same time.
+const DUMMY_HASH = hashPassword(randomToken());
+
+/**
+ * Builds the `/auth` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const authRoutes = (context) => {
+    const { db, tokens } = context;
+
+    const login = async (request) => {
+        const email = requireField(request, 'email');
+        const password = requireField(request, 'password');
+        const user = db.findUserByEmail(email);
+
+        const valid = verifyPassword(password, user?.passwordHash ?? DUMMY_HASH);
+        if (!user || !valid || user.status !== 'active') {
+            throw new MockHttpError(401, 'INVALID_CREDENTIALS', 'Invalid email or password.');
+        }
+
+        if (user.mfa.totpSecret) {
+            const mfaToken = randomToken();
+            db.mfaChallenges.set(mfaToken, {
+                userId: user.id,
+                expiresAt: Date.now() + MFA_CHALLENGE_TTL,
+                attempts: 0,
+            });
+            return json(200, { mfaRequired: true, mfaToken, methods: ['totp', 'recovery_code'] });
+        }
+
+        const issued = await startSession(context, user, request, ['pwd']);
+        return json(200, { ...issued, user: toAuthUser(user) });
+    };
+
+    const refresh = async (request) => {
+        const session = findSessionByRefreshToken(context, requireField(request, 'refreshToken'));
+        const user = session && db.users.get(session.userId);
+        if (!session || !user || user.status !== 'active' || !isSessionOpen(context, session)) {
+            throw new MockHttpError(401, 'REFRESH_TOKEN_INVALID', 'The refresh token is invalid or expired.');
+        }
+        session.lastSeenAt = Date.now();
+        return json(200, await issueTokens(context, user, session));
+    };
+
+    const logout = async (request) => {
+        const session = findSessionByRefreshToken(context, requireField(request, 'refreshToken'));
+        if (session) {
+            db.sessions.delete(session.id);
+        }
+        return noContent();
+    };
+
+    const me = async (request) => {
+        const { user } = await requireAuth(context, request);
+        return json(200, toAuthUser(user));
+    };
+
+    const jwks = async () => json(200, await tokens.jwks());
+
+    return [
+        { method: 'POST', path: '/auth/login', handler: login },
+        { method: 'POST', path: '/auth/refresh', handler: refresh },
+        { method: 'POST', path: '/auth/logout', handler: logout },
+        { method: 'GET', path: '/auth/me', handler: me },
+        { method: 'GET', path: '/.well-known/jwks.json', handler: jwks },
+    ];
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * @file impersonation.handlers.mjs
+ * @description Mock implementation of "view as user"
+ *
+ * @details
+ * - `POST   /auth/impersonation` `{ userId }` opens a delegated session of that user for
+ *                                the caller -> `LoginResponse`. Its access tokens name the
+ *                                caller in the `act` claim. The caller's own session stays
+ *                                open, for the browser to return to.
+ * - `DELETE /auth/impersonation` ends the delegated session of the bearer.
+ *
+ * Starting takes the `create` grant on `impersonation`; a grant limited to a tenant only
+ * reaches users of that tenant. Unless the grant is unconditional, the target may only
+ * hold roles the caller holds too, directly or by inheritance, so nobody sees more than
+ * they could already. Nobody can view as themselves, as a suspended user, or from a
+ * delegated session.
+ *
+ * Delegated sessions are read-only (see `mock.session.mjs`) and end with the session they
+ * were opened from. Both ends are recorded in the audit log as `impersonation.start` and
+ * `impersonation.stop`, with the caller as actor and the impersonated user as target.
+ */
+
+import { expandRoles, inScope, requirePermission } from '../mock.access.mjs';
+import { auditActor, auditTarget, recordAudit } from '../mock.audit.mjs';
+import { toAuthUser } from '../mock.db.mjs';
+import { MockHttpError, json, noContent, requireField } from '../mock.http.mjs';
+import { createSession, issueTokens, requireAuth } from '../mock.session.mjs';
+
+/**
+ * Builds the `/auth/impersonation` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const impersonationRoutes = (context) => {
+    const { db } = context;
+
+    const start = async (request) => {
+        const { user: caller, session: parent } = await requireAuth(context, request);
+        const scope = requirePermission(db.policy.roles, caller, 'create', 'impersonation', 'tenant');
+        const target = db.users.get(requireField(request, 'userId'));
+
+        if (!target || !inScope(scope, caller, { tenantId: target.tenantId })) {
+            throw new MockHttpError(404, 'USER_NOT_FOUND', 'User not found.');
+        }
+        if (target.id === caller.id) {
+            throw new MockHttpError(409, 'IMPERSONATION_SELF', 'You cannot view the application as yourself.');
+        }
+        if (target.status !== 'active') {
+            throw new MockHttpError(409, 'USER_SUSPENDED', 'Suspended users cannot be viewed as.');
+        }
+        const callerRoles = expandRoles(db.policy.roles, caller.roles);
+        if (scope !== 'all' && !target.roles.every((role) => callerRoles.has(role))) {
+            throw new MockHttpError(403, 'IMPERSONATION_FORBIDDEN', 'This user has roles you do not hold.');
+        }
+
+        const session = createSession(context, target, request, parent.amr, {
+            actor: auditActor(caller),
+            parentId: parent.id,
+        });
+        recordAudit(context, request, caller, {
+            action: 'impersonation.start',
+            target: auditTarget(target),
+            tenantId: target.tenantId,
+        });
+        const issued = await issueTokens(context, target, session);
+        return json(200, { ...issued, user: toAuthUser(target) });
+    };
+
+    const stop = async (request) => {
+        const { user, session } = await requireAuth(context, request, { delegatedWrite: true });
+        if (!session.actor) {
+            throw new MockHttpError(409, 'NOT_IMPERSONATING', 'This session is not a delegated one.');
+        }
+        db.sessions.delete(session.id);
+        recordAudit(context, request, db.users.get(session.actor.id) ?? null, {
+            action: 'impersonation.stop',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+        });
+        return noContent();
+    };
+
+    return [
+        { method: 'POST', path: '/auth/impersonation', handler: start },
+        { method: 'DELETE', path: '/auth/impersonation', handler: stop },
+    ];
+};
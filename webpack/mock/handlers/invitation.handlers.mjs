@@ -0,0 +1,356 @@
+'use strict';
+
+/**
+ * @file invitation.handlers.mjs
+ * @description Mock implementation of user invitations
+ *
+ * @details
+ * Managing invitations takes the `create` grant on `users`, limited to the caller's
+ * tenant unless it is unconditional:
+ * - `GET    /invitations`            invitations the caller may see, newest first.
+ * - `POST   /invitations`            `{ email, roles, expiresInDays }` invites someone to the
+ *                                    caller's tenant -> `Invitation`. The link is "emailed":
+ *                                    the mock has no mail server, so it is printed in the dev
+ *                                    server log.
+ * - `POST   /invitations/:id/resend` sends a new link, valid as long as the first one was.
+ *                                    The previous link stops working.
+ * - `DELETE /invitations/:id`        revokes the invitation; its link stops working.
+ *
+ * Accepting needs no session, only the token of the link:
+ * - `POST   /invitations/lookup`     `{ token }` -> `InvitationPreview`, what the accept page
+ *                                    shows before the invitee commits.
+ * - `POST   /invitations/accept`     `{ token, name, password }`, or `{ token, idToken, nonce }`
+ *                                    to link single sign-on instead of setting a password
+ *                                    (the name is then optional, taken from the identity).
+ *                                    Creates the account and signs it in -> `LoginResponse`.
+ *
+ * A link that does not match an open invitation is answered with `404 INVITATION_INVALID`
+ * (unknown, replaced by a resend, or revoked), `409 INVITATION_USED` once accepted and
+ * `410 INVITATION_EXPIRED` after `expiresAt`. Invalid input is answered with
+ * `400 VALIDATION_FAILED` and one code per field in `details.fields`: those of the user
+ * form for `email` and `roles`, plus `invited` when an invitation to the address is
+ * already open, and the password policy codes for `password`. An identity whose email
+ * differs from the invitation is refused with `403 SSO_EMAIL_MISMATCH`.
+ */
+
+import { inScope, requirePermission } from '../mock.access.mjs';
+import { auditActor, auditTarget, recordAudit, userSnapshot } from '../mock.audit.mjs';
+import { digest, randomToken, toAuthUser } from '../mock.db.mjs';
+import { MockHttpError, json, originFor, requireField } from '../mock.http.mjs';
+import { checkNewPassword } from '../mock.password.mjs';
+import { requireAuth, startSession } from '../mock.session.mjs';
+import { issuerFor } from '../oidc.provider.mjs';
+import { checkEmail, checkRoles } from './user.handlers.mjs';
+
+export const DEFAULT_INVITATION_DAYS = 7;
+export const MAX_INVITATION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Status of an invitation at `now`.
+ *
+ * @param {object} invitation - The stored invitation.
+ * @param {number} [now] - Reference time, in milliseconds.
+ * @returns {'pending' | 'accepted' | 'revoked' | 'expired'}
+ */
+export const invitationStatus = (invitation, now = Date.now()) =>
+    invitation.acceptedAt ? 'accepted'
+    : invitation.revokedAt ? 'revoked'
+    : Date.parse(invitation.expiresAt) < now ? 'expired'
+    : 'pending';
+
+/**
+ * Public view of an invitation.
+ *
+ * @param {object} invitation - The stored invitation.
+ * @param {object} db - The store, to name who sent it.
+ * @returns {object} The `Invitation`.
+ */
+const toInvitation = (invitation, db) => ({
+    id: invitation.id,
+    email: invitation.email,
+    roles: invitation.roles,
+    tenantId: invitation.tenantId,
+    status: invitationStatus(invitation),
+    invitedBy: auditActor(db.users.get(invitation.invitedBy) ?? null),
+    createdAt: invitation.createdAt,
+    expiresAt: invitation.expiresAt,
+    lastSentAt: invitation.lastSentAt,
+    sendCount: invitation.sendCount,
+    acceptedAt: invitation.acceptedAt,
+    revokedAt: invitation.revokedAt,
+});
+
+/**
+ * Target of an event about an invitation.
+ *
+ * @param {object} invitation - The stored invitation.
+ * @returns {{ type: 'invitation', id: string, label: string }}
+ */
+const invitationTarget = (invitation) => ({ type: 'invitation', id: invitation.id, label: invitation.email });
+
+/**
+ * Fields of an invitation captured in audit snapshots.
+ *
+ * @param {object} invitation - The stored invitation.
+ * @returns {{ email: string, roles: string[], expiresAt: string, status: string }}
+ */
+const invitationSnapshot = (invitation) => ({
+    email: invitation.email,
+    roles: [...invitation.roles],
+    expiresAt: invitation.expiresAt,
+    status: invitationStatus(invitation),
+});
+
+/**
+ * Builds the `/invitations` routes.
+ *
+ * @param {{ db: object, tokens: object, idp: object, passwordPolicy: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const invitationRoutes = (context) => {
+    const { db, idp, passwordPolicy } = context;
+
+    /** Gives the invitation a new token and "emails" its link. */
+    const send = (request, invitation) => {
+        const token = randomToken();
+        const now = Date.now();
+        Object.assign(invitation, {
+            tokenHash: digest(token),
+            expiresAt: new Date(now + invitation.validFor).toISOString(),
+            lastSentAt: new Date(now).toISOString(),
+            sendCount: invitation.sendCount + 1,
+        });
+        const link = `${originFor(request)}/invite?token=${token}`;
+        console.info(`[mock-api] Invitation link for ${invitation.email}: ${link}`);
+    };
+
+    /**
+     * Finds the invitation named in the path among those the caller may manage.
+     * Invitations to other tenants are reported as missing.
+     */
+    const findManaged = (request, caller) => {
+        const scope = requirePermission(db.policy.roles, caller, 'create', 'users', 'tenant');
+        const invitation = db.invitations.get(request.params.id);
+        if (!invitation || !inScope(scope, caller, { tenantId: invitation.tenantId })) {
+            throw new MockHttpError(404, 'INVITATION_NOT_FOUND', 'Invitation not found.');
+        }
+        return invitation;
+    };
+
+    /** Refuses to act on an invitation that was accepted or revoked. */
+    const assertOpen = (invitation) => {
+        const status = invitationStatus(invitation);
+        if (status === 'accepted' || status === 'revoked') {
+            throw new MockHttpError(409, 'INVITATION_CLOSED', `This invitation was already ${status}.`);
+        }
+    };
+
+    /** Finds the invitation of a link, answering with the reason it cannot be used. */
+    const findByToken = (token) => {
+        const tokenHash = digest(token);
+        const invitation = [...db.invitations.values()].find((candidate) => candidate.tokenHash === tokenHash);
+        const status = invitation ? invitationStatus(invitation) : 'revoked';
+        if (status === 'revoked') {
+            throw new MockHttpError(404, 'INVITATION_INVALID', 'This invitation link is not valid.');
+        }
+        if (status === 'accepted') {
+            throw new MockHttpError(409, 'INVITATION_USED', 'This invitation was already accepted.');
+        }
+        if (status === 'expired') {
+            throw new MockHttpError(410, 'INVITATION_EXPIRED', 'This invitation has expired.', {
+                expiresAt: invitation.expiresAt,
+            });
+        }
+        return invitation;
+    };
+
+    const list = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const scope = requirePermission(db.policy.roles, caller, 'create', 'users', 'tenant');
+        const invitations = [...db.invitations.values()]
+            .filter((invitation) => inScope(scope, caller, { tenantId: invitation.tenantId }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return json(200, invitations.map((invitation) => toInvitation(invitation, db)));
+    };
+
+    const create = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        requirePermission(db.policy.roles, caller, 'create', 'users', 'tenant');
+        const body = request.body ?? {};
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+        const roles = Array.isArray(body.roles) ? [...new Set(body.roles)] : [];
+        const days = body.expiresInDays ?? DEFAULT_INVITATION_DAYS;
+
+        const fields = {};
+        const emailError = checkEmail(email);
+        if (emailError) fields.email = emailError;
+        const rolesError = checkRoles(roles, caller, db.policy.roles);
+        if (rolesError) fields.roles = rolesError;
+        if (!Number.isInteger(days) || days < 1 || days > MAX_INVITATION_DAYS) fields.expiresInDays = 'invalid';
+        if (Object.keys(fields).length > 0) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'Some fields are invalid.', { fields });
+        }
+        if (db.findUserByEmail(email)) {
+            throw new MockHttpError(409, 'EMAIL_TAKEN', 'Another user already has this email.', {
+                fields: { email: 'taken' },
+            });
+        }
+        const open = [...db.invitations.values()].some(
+            (invitation) => invitation.email === email && invitationStatus(invitation) === 'pending'
+        );
+        if (open) {
+            throw new MockHttpError(409, 'INVITATION_PENDING', 'This address already has an open invitation.', {
+                fields: { email: 'invited' },
+            });
+        }
+
+        const invitation = db.createInvitation({
+            email,
+            roles,
+            tenantId: caller.tenantId,
+            invitedBy: caller.id,
+            validFor: days * DAY,
+        });
+        send(request, invitation);
+        recordAudit(context, request, caller, {
+            action: 'invitation.create',
+            target: invitationTarget(invitation),
+            tenantId: invitation.tenantId,
+            after: invitationSnapshot(invitation),
+        });
+        return json(201, toInvitation(invitation, db));
+    };
+
+    const resend = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const invitation = findManaged(request, caller);
+        assertOpen(invitation);
+
+        const before = invitationSnapshot(invitation);
+        send(request, invitation);
+        recordAudit(context, request, caller, {
+            action: 'invitation.resend',
+            target: invitationTarget(invitation),
+            tenantId: invitation.tenantId,
+            before,
+            after: invitationSnapshot(invitation),
+        });
+        return json(200, toInvitation(invitation, db));
+    };
+
+    const revoke = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const invitation = findManaged(request, caller);
+        assertOpen(invitation);
+
+        const before = invitationSnapshot(invitation);
+        invitation.revokedAt = new Date().toISOString();
+        recordAudit(context, request, caller, {
+            action: 'invitation.revoke',
+            target: invitationTarget(invitation),
+            tenantId: invitation.tenantId,
+            before,
+            after: invitationSnapshot(invitation),
+        });
+        return json(200, toInvitation(invitation, db));
+    };
+
+    const lookup = async (request) => {
+        const invitation = findByToken(requireField(request, 'token'));
+        const inviter = db.users.get(invitation.invitedBy);
+        return json(200, {
+            email: invitation.email,
+            roles: invitation.roles,
+            tenantId: invitation.tenantId,
+            invitedBy: inviter ? inviter.name : null,
+            expiresAt: invitation.expiresAt,
+        });
+    };
+
+    /** Reads the identity of an ID token, which must belong to the invited address. */
+    const federatedIdentity = async (request, invitation) => {
+        const idToken = requireField(request, 'idToken');
+        const nonce = requireField(request, 'nonce');
+        let payload;
+        try {
+            payload = await idp.verifyIdToken(idToken, issuerFor(request));
+        } catch {
+            throw new MockHttpError(401, 'ID_TOKEN_INVALID', 'The identity provider token is invalid.');
+        }
+        if (payload.nonce !== nonce) {
+            throw new MockHttpError(401, 'ID_TOKEN_INVALID', 'The identity provider token is invalid.');
+        }
+        if (!payload.email_verified || String(payload.email).toLowerCase() !== invitation.email) {
+            throw new MockHttpError(403, 'SSO_EMAIL_MISMATCH', 'This identity does not match the invited address.');
+        }
+        return { name: typeof payload.name === 'string' ? payload.name : '' };
+    };
+
+    const accept = async (request) => {
+        const invitation = findByToken(requireField(request, 'token'));
+        const body = request.body ?? {};
+        const federated = typeof body.idToken === 'string';
+        const identity = federated ? await federatedIdentity(request, invitation) : null;
+
+        const submitted = typeof body.name === 'string' ? body.name.trim() : '';
+        // Single sign-on needs no form: the provider's name, or the address, stands in.
+        const name = submitted || (identity && (identity.name.trim() || invitation.email.split('@')[0])) || '';
+        const fields = {};
+        if (name === '') fields.name = 'required';
+        else if (name.length > MAX_NAME_LENGTH) fields.name = 'too_long';
+        if (!federated) {
+            const password = typeof body.password === 'string' ? body.password : '';
+            const code =
+                password === '' ?
+                    'required'
+                :   checkNewPassword(passwordPolicy, password, { userInputs: [name, invitation.email] });
+            if (code) fields.password = code;
+        }
+        if (Object.keys(fields).length > 0) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'Some fields are invalid.', { fields });
+        }
+        if (db.findUserByEmail(invitation.email)) {
+            throw new MockHttpError(409, 'EMAIL_TAKEN', 'An account already exists for this address.');
+        }
+
+        const user = db.createUser({
+            email: invitation.email,
+            name,
+            roles: invitation.roles,
+            tenantId: invitation.tenantId,
+            emailVerified: true,
+            ...(federated ? { passwordHash: null } : { password: body.password }),
+        });
+        const before = invitationSnapshot(invitation);
+        invitation.acceptedAt = new Date().toISOString();
+        invitation.userId = user.id;
+        recordAudit(context, request, user, {
+            action: 'invitation.accept',
+            target: invitationTarget(invitation),
+            tenantId: invitation.tenantId,
+            before,
+            after: invitationSnapshot(invitation),
+        });
+        recordAudit(context, request, user, {
+            action: 'user.create',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+            after: userSnapshot(user),
+        });
+
+        const issued = await startSession(context, user, request, [federated ? 'fed' : 'pwd']);
+        return json(201, { ...issued, user: toAuthUser(user) });
+    };
+
+    return [
+        { method: 'GET', path: '/invitations', handler: list },
+        { method: 'POST', path: '/invitations', handler: create },
+        { method: 'POST', path: '/invitations/lookup', handler: lookup },
+        { method: 'POST', path: '/invitations/accept', handler: accept },
+        { method: 'POST', path: '/invitations/:id/resend', handler: resend },
+        { method: 'DELETE', path: '/invitations/:id', handler: revoke },
+    ];
+};
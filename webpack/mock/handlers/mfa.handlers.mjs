@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * @file mfa.handlers.mjs
+ * @description Mock implementation of TOTP enrollment and the sign-in challenge
+ *
+ * @details
+ * - `POST /auth/mfa/totp/enroll`   starts enrollment: a new secret and its `otpauth://` URI.
+ * - `POST /auth/mfa/totp/activate` checks a first code, enables TOTP and returns the
+ *                                  one-time recovery codes.
+ * - `POST /auth/mfa/verify`        completes a sign-in started by `POST /auth/login` with
+ *                                  a TOTP code or an unused recovery code.
+ * - `POST /auth/mfa/recover`       completes it with a recovery code when the authenticator
+ *                                  is lost: the factor is turned off (the remaining codes
+ *                                  with it) and every other session of the user is ended.
+ *                                  The user is expected to enroll a new device next.
+ *
+ * Codes are checked with the RFC 6238 implementation in `../totp.mjs`. A TOTP code is
+ * only accepted once: its time step must be newer than the last one used.
+ */
+
+import { randomBytes } from 'crypto';
+
+import { auditTarget, recordAudit } from '../mock.audit.mjs';
+import { recoveryCodeDigest, toAuthUser } from '../mock.db.mjs';
+import { MockHttpError, json, requireField } from '../mock.http.mjs';
+import { endSessions, requireAuth, startSession } from '../mock.session.mjs';
+import { base32Encode, generateSecret, otpauthUri, verifyTotp } from '../totp.mjs';
+
+/** Issuer label shown by authenticator apps. */
+export const TOTP_ISSUER = 'InterfaceGuard';
+
+/** Number of recovery codes handed out on enrollment. */
+export const RECOVERY_CODE_COUNT = 10;
+
+/** Failed codes allowed per sign-in challenge. */
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Generates a fresh set of recovery codes for `user`, replacing any previous set.
+ *
+ * @param {object} user - The stored user.
+ * @returns {string[]} The codes in plain text, formatted as `xxxxx-xxxxx`. Only their
+ * digests are kept.
+ */
+export const generateRecoveryCodes = (user) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    user.mfa.recoveryCodes = codes.map(recoveryCodeDigest);
+    return codes;
+};
+
+/**
+ * Checks a TOTP code for `user` and records its time step to prevent replays.
+ *
+ * @param {object} user - The stored user.
+ * @param {string} secret - The secret to check against.
+ * @param {string} code - The entered code.
+ * @returns {boolean} Whether the code was accepted.
+ */
+const acceptTotp = (user, secret, code) => {
+    const counter = verifyTotp(secret, code);
+    if (counter === null || (user.mfa.lastCounter !== null && counter <= user.mfa.lastCounter)) {
+        return false;
+    }
+    user.mfa.lastCounter = counter;
+    return true;
+};
+
+/**
+ * Consumes a recovery code of `user`.
+ *
+ * @param {object} user - The stored user.
+ * @param {string} code - The entered code.
+ * @returns {boolean} Whether the code was valid and unused.
+ */
+const acceptRecoveryCode = (user, code) => {
+    const hash = recoveryCodeDigest(code);
+    const index = user.mfa.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+        return false;
+    }
+    user.mfa.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+/**
+ * Builds the `/auth/mfa` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const mfaRoutes = (context) => {
+    const { db } = context;
+
+    const enroll = async (request) => {
+        const { user } = await requireAuth(context, request);
+        if (user.mfa.totpSecret) {
+            throw new MockHttpError(409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled.');
+        }
+        const secret = generateSecret();
+        user.mfa.pendingSecret = secret;
+        return json(200, {
+            secret,
+            otpauthUri: otpauthUri({ secret, issuer: TOTP_ISSUER, account: user.email }),
+        });
+    };
+
+    const activate = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const code = requireField(request, 'code');
+        if (!user.mfa.pendingSecret) {
+            throw new MockHttpError(409, 'MFA_ENROLLMENT_NOT_STARTED', 'Start the enrollment first.');
+        }
+        if (!acceptTotp(user, user.mfa.pendingSecret, code)) {
+            throw new MockHttpError(400, 'MFA_CODE_INVALID', 'The code is incorrect or has expired.');
+        }
+        user.mfa.totpSecret = user.mfa.pendingSecret;
+        user.mfa.pendingSecret = null;
+        return json(200, { recoveryCodes: generateRecoveryCodes(user), user: toAuthUser(user) });
+    };
+
+    /**
+     * Finds the pending challenge of `request` and its user.
+     *
+     * @param {object} request - The mock request, with `mfaToken` in the body.
+     * @returns {{ mfaToken: string, challenge: object, user: object }}
+     * @throws {MockHttpError} `401` when the challenge is unknown or expired.
+     */
+    const requireChallenge = (request) => {
+        const mfaToken = requireField(request, 'mfaToken');
+        const challenge = db.mfaChallenges.get(mfaToken);
+        const user = challenge && db.users.get(challenge.userId);
+
+        if (!challenge || !user || challenge.expiresAt <= Date.now()) {
+            db.mfaChallenges.delete(mfaToken);
+            throw new MockHttpError(401, 'MFA_CHALLENGE_EXPIRED', 'Sign in again to continue.');
+        }
+        return { mfaToken, challenge, user };
+    };
+
+    /**
+     * Counts a rejected code against the challenge, which ends after too many.
+     *
+     * @param {string} mfaToken - The challenge token.
+     * @param {object} challenge - The pending challenge.
+     * @throws {MockHttpError} Always: `401` with `MFA_CODE_INVALID`, or `MFA_CHALLENGE_EXPIRED`
+     * once the attempts are used up.
+     */
+    const rejectCode = (mfaToken, challenge) => {
+        challenge.attempts += 1;
+        if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+            db.mfaChallenges.delete(mfaToken);
+            throw new MockHttpError(401, 'MFA_CHALLENGE_EXPIRED', 'Too many incorrect codes. Sign in again.');
+        }
+        throw new MockHttpError(401, 'MFA_CODE_INVALID', 'The code is incorrect or has expired.');
+    };
+
+    const verify = async (request) => {
+        const { mfaToken, challenge, user } = requireChallenge(request);
+        const code = requireField(request, 'code');
+
+        const accepted = /^\d{6}$/.test(code.trim())
+            ? acceptTotp(user, user.mfa.totpSecret, code)
+            : acceptRecoveryCode(user, code);
+
+        if (!accepted) {
+            rejectCode(mfaToken, challenge);
+        }
+
+        db.mfaChallenges.delete(mfaToken);
+        const issued = await startSession(context, user, request, ['pwd', 'otp']);
+        return json(200, { ...issued, user: toAuthUser(user) });
+    };
+
+    const recover = async (request) => {
+        const { mfaToken, challenge, user } = requireChallenge(request);
+        const code = requireField(request, 'code');
+
+        if (!acceptRecoveryCode(user, code)) {
+            rejectCode(mfaToken, challenge);
+        }
+
+        db.mfaChallenges.delete(mfaToken);
+        Object.assign(user.mfa, { totpSecret: null, pendingSecret: null, lastCounter: null, recoveryCodes: [] });
+        endSessions(context, user.id);
+        recordAudit(context, request, user, {
+            action: 'auth.mfa_recovery',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+        });
+        const issued = await startSession(context, user, request, ['pwd', 'otp']);
+        return json(200, { ...issued, user: toAuthUser(user) });
+    };
+
+    return [
+        { method: 'POST', path: '/auth/mfa/totp/enroll', handler: enroll },
+        { method: 'POST', path: '/auth/mfa/totp/activate', handler: activate },
+        { method: 'POST', path: '/auth/mfa/verify', handler: verify },
+        { method: 'POST', path: '/auth/mfa/recover', handler: recover },
+    ];
+};
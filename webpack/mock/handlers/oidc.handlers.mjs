@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * @file oidc.handlers.mjs
+ * @description Routes of the stand-in OIDC provider and the mock API's SSO login
+ *
+ * @details
+ * Provider routes, mounted under `/oidc`:
+ * - `GET  /.well-known/openid-configuration` discovery metadata.
+ * - `GET  /authorize`  account picker for an authorization request.
+ * - `POST /authorize`  approves (or cancels) the request and redirects back with a code.
+ * - `POST /token`      exchanges a code and its PKCE verifier for an ID token.
+ * - `GET  /jwks`       public signing keys.
+ *
+ * API route, mounted with the other `/auth` endpoints:
+ * - `POST /auth/oidc`  trades a verified ID token for an InterfaceGuard session.
+ *
+ * Errors of the authorization endpoint are reported to the client through the redirect
+ * (`error`, `state`) once `redirect_uri` is known to be trustworthy, as RFC 6749
+ * section 4.1.2.1 requires; the token endpoint answers `{ error, error_description }`.
+ */
+
+import { randomToken, toAuthUser } from '../mock.db.mjs';
+import { MockHttpError, escapeHtml, html, json, redirect, requireField } from '../mock.http.mjs';
+import { startSession } from '../mock.session.mjs';
+import { invitationStatus } from './invitation.handlers.mjs';
+import { ID_TOKEN_TTL, issuerFor, s256 } from '../oidc.provider.mjs';
+
+/**
+ * Builds the redirect back to the client.
+ *
+ * @param {string} redirectUri - The validated redirect URI.
+ * @param {Record<string, string | undefined>} params - Query parameters to add.
+ * @returns {object} The redirect response.
+ */
+const redirectToClient = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([name, value]) => url.searchParams.set(name, value));
+    return redirect(url.toString());
+};
+
+/**
+ * Error page shown when the request cannot be sent back to the client safely.
+ *
+ * @param {string} message - What went wrong.
+ * @returns {object} The HTML response.
+ */
+const errorPage = (message) =>
+    html(400, `<!doctype html><title>Sign-in error</title><h1>Sign-in error</h1><p>${escapeHtml(message)}</p>`);
+
+/**
+ * Account picker shown by `GET /authorize`.
+ *
+ * @param {{ id: string, email: string, name: string }[]} users - Identities the user can
+ *        sign in as.
+ * @param {Record<string, string>} params - The authorization request, posted back as is.
+ * @returns {object} The HTML response.
+ */
+const accountPicker = (users, params) => {
+    const hidden = Object.entries(params)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    const accounts = users
+        .map(
+            (user) =>
+                `<button name="user_id" value="${escapeHtml(user.id)}">` +
+                `<strong>${escapeHtml(user.name || 'Invited user')}</strong><br>` +
+                `<small>${escapeHtml(user.email)}</small></button>`
+        )
+        .join('');
+
+    return html(
+        200,
+        `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Stand-in identity provider</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 3rem auto; padding: 0 1rem; color: #24292f; }
+form { display: flex; flex-direction: column; gap: 0.5rem; }
+button { padding: 0.75rem 1rem; border: 1px solid #d0d7de; border-radius: 6px; background: #f6f8fa; text-align: left; font: inherit; cursor: pointer; }
+button:hover { border-color: #0969da; }
+.cancel { margin-top: 1rem; text-align: center; }
+</style>
+</head>
+<body>
+<h1>Choose an account</h1>
+<p>This development identity provider signs you in as any account of the mock API, or anyone with an open
+invitation, without a password.</p>
+<form method="post">${hidden}${accounts}<button class="cancel" name="action" value="cancel">Cancel</button></form>
+</body>
+</html>`
+    );
+};
+
+/**
+ * Builds the routes of the stand-in provider.
+ *
+ * @param {{ db: object, idp: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const oidcProviderRoutes = ({ db, idp }) => {
+    /**
+     * People the provider knows: the active accounts, and whoever has an open invitation,
+     * standing for the colleagues a company directory lists before they first sign in.
+     * Identities are `{ id, email, name }`; invitees have no name yet.
+     */
+    const identities = () => [
+        ...[...db.users.values()]
+            .filter((user) => user.status === 'active')
+            .map(({ id, email, name }) => ({ id, email, name })),
+        ...[...db.invitations.values()]
+            .filter((invitation) => invitationStatus(invitation) === 'pending')
+            .map(({ id, email }) => ({ id: `invitation:${id}`, email, name: '' })),
+    ];
+
+    const discovery = async (request) => {
+        const issuer = issuerFor(request);
+        return json(200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            grant_types_supported: ['authorization_code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            scopes_supported: ['openid', 'profile', 'email'],
+            token_endpoint_auth_methods_supported: ['none'],
+            code_challenge_methods_supported: ['S256'],
+        });
+    };
+
+    /**
+     * Checks an authorization request. Returns either the validated parameters or the
+     * response to send instead.
+     */
+    const validateAuthorization = (request, params) => {
+        const issuer = issuerFor(request);
+        let redirectUri;
+        try {
+            redirectUri = new URL(params.redirect_uri);
+        } catch {
+            return { response: errorPage('The redirect_uri parameter is missing or invalid.') };
+        }
+        if (params.client_id !== idp.clientId) {
+            return { response: errorPage(`Unknown client_id "${params.client_id ?? ''}".`) };
+        }
+        if (redirectUri.origin !== new URL(issuer).origin) {
+            return { response: errorPage('The redirect_uri must be on the same origin as the provider.') };
+        }
+
+        const fail = (error, description) => ({
+            response: redirectToClient(params.redirect_uri, {
+                error,
+                error_description: description,
+                state: params.state,
+                iss: issuer,
+            }),
+        });
+        if (params.response_type !== 'code') {
+            return fail('unsupported_response_type', 'Only response_type=code is supported.');
+        }
+        if (!String(params.scope ?? '').split(' ').includes('openid')) {
+            return fail('invalid_scope', 'The openid scope is required.');
+        }
+        if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+            return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required.');
+        }
+        return { issuer, params };
+    };
+
+    const authorizePage = async (request) => {
+        const result = validateAuthorization(request, request.query ?? {});
+        if (result.response) {
+            return result.response;
+        }
+        return accountPicker(identities(), result.params);
+    };
+
+    const authorize = async (request) => {
+        const { user_id: userId, action, ...params } = request.body ?? {};
+        const result = validateAuthorization(request, params);
+        if (result.response) {
+            return result.response;
+        }
+
+        const identity = identities().find(({ id }) => id === userId);
+        if (action === 'cancel' || !identity) {
+            return redirectToClient(params.redirect_uri, {
+                error: 'access_denied',
+                error_description: 'The user cancelled the sign-in.',
+                state: params.state,
+                iss: result.issuer,
+            });
+        }
+
+        const code = idp.issueCode({
+            identity,
+            redirectUri: params.redirect_uri,
+            codeChallenge: params.code_challenge,
+            nonce: params.nonce,
+            scope: params.scope,
+        });
+        return redirectToClient(params.redirect_uri, { code, state: params.state, iss: result.issuer });
+    };
+
+    const token = async (request) => {
+        const body = request.body ?? {};
+        const tokenError = (error, description) => json(400, { error, error_description: description });
+
+        if (body.grant_type !== 'authorization_code') {
+            return tokenError('unsupported_grant_type', 'Only authorization_code is supported.');
+        }
+        const grant = body.code && idp.redeemCode(body.code);
+        if (!grant) {
+            return tokenError('invalid_grant', 'The code is invalid, expired or already used.');
+        }
+        if (body.client_id !== idp.clientId || body.redirect_uri !== grant.redirectUri) {
+            return tokenError('invalid_grant', 'The client_id or redirect_uri does not match the code.');
+        }
+        if (!body.code_verifier || s256(body.code_verifier) !== grant.codeChallenge) {
+            return tokenError('invalid_grant', 'The PKCE code_verifier does not match the challenge.');
+        }
+
+        return json(200, {
+            access_token: randomToken(),
+            token_type: 'Bearer',
+            expires_in: ID_TOKEN_TTL,
+            scope: grant.scope,
+            id_token: await idp.signIdToken(issuerFor(request), grant.identity, { nonce: grant.nonce }),
+        });
+    };
+
+    const jwks = async () => json(200, await idp.jwks());
+
+    return [
+        { method: 'GET', path: '/.well-known/openid-configuration', handler: discovery },
+        { method: 'GET', path: '/authorize', handler: authorizePage },
+        { method: 'POST', path: '/authorize', handler: authorize },
+        { method: 'POST', path: '/token', handler: token },
+        { method: 'GET', path: '/jwks', handler: jwks },
+    ];
+};
+
+/**
+ * Builds the SSO login route of the mock API.
+ *
+ * The ID token is verified again on the server: the browser's check protects the user,
+ * this one protects the API. Accounts are matched by email and must already exist.
+ *
+ * @param {{ db: object, tokens: object, idp: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const oidcLoginRoutes = (context) => {
+    const { db, idp } = context;
+
+    const login = async (request) => {
+        const idToken = requireField(request, 'idToken');
+        const nonce = requireField(request, 'nonce');
+
+        let payload;
+        try {
+            payload = await idp.verifyIdToken(idToken, issuerFor(request));
+        } catch {
+            throw new MockHttpError(401, 'ID_TOKEN_INVALID', 'The identity provider token is invalid.');
+        }
+        if (payload.nonce !== nonce) {
+            throw new MockHttpError(401, 'ID_TOKEN_INVALID', 'The identity provider token is invalid.');
+        }
+
+        const user = payload.email_verified ? db.findUserByEmail(payload.email) : undefined;
+        if (!user || user.status !== 'active') {
+            throw new MockHttpError(403, 'SSO_ACCOUNT_NOT_FOUND', 'No active account matches this identity.');
+        }
+
+        const issued = await startSession(context, user, request, ['fed']);
+        return json(200, { ...issued, user: toAuthUser(user) });
+    };
+
+    return [{ method: 'POST', path: '/auth/oidc', handler: login }];
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * @file passkey.handlers.mjs
+ * @description Mock implementation of passkey (WebAuthn) registration and sign-in
+ *
+ * @details
+ * Registration, for the signed-in user:
+ * - `POST   /auth/passkeys/registration/options`   `PublicKeyCredentialCreationOptionsJSON`.
+ * - `POST   /auth/passkeys/registration`           verifies the attestation and stores the passkey.
+ * - `GET    /auth/passkeys`                        passkeys of the user.
+ * - `DELETE /auth/passkeys/:id`                    removes one of them.
+ *
+ * Sign-in:
+ * - `POST   /auth/passkeys/authentication/options` `PublicKeyCredentialRequestOptionsJSON`
+ *                                                  for a discoverable credential.
+ * - `POST   /auth/passkeys/authentication`         verifies the assertion -> `LoginResponse`.
+ *
+ * Challenges are single use and expire after `WEBAUTHN_CHALLENGE_TTL`. The relying party
+ * ID is the host name the browser used, so the mock works on `localhost` as on a LAN IP.
+ * Responses are checked by `../webauthn.mjs`.
+ */
+
+import { randomToken, toAuthUser } from '../mock.db.mjs';
+import { MockHttpError, json, noContent, originFor } from '../mock.http.mjs';
+import { requireAuth, startSession } from '../mock.session.mjs';
+import {
+    SUPPORTED_ALGORITHMS,
+    WebAuthnVerificationError,
+    challengeOf,
+    verifyAuthentication,
+    verifyRegistration,
+} from '../webauthn.mjs';
+
+/** Lifetime of a ceremony challenge, in milliseconds. */
+export const WEBAUTHN_CHALLENGE_TTL = 5 * 60 * 1000;
+
+/** Relying party name shown by the browser and the authenticator. */
+export const RP_NAME = 'InterfaceGuard';
+
+/**
+ * Public view of a stored passkey.
+ *
+ * @param {object} passkey - The stored passkey.
+ * @returns {object} The `PasskeySummary`.
+ */
+const toPasskeySummary = (passkey) => ({
+    id: passkey.id,
+    name: passkey.name,
+    transports: passkey.transports,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt,
+});
+
+/**
+ * Reads the `credential` field of the request body.
+ *
+ * @param {{ body?: Record<string, unknown> }} request - The mock request.
+ * @returns {object} The credential JSON.
+ * @throws {MockHttpError} When the field is missing.
+ */
+const requireCredential = (request) => {
+    const credential = request.body?.credential;
+    if (!credential || typeof credential !== 'object') {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', '"credential" is required.', {
+            fields: { credential: 'required' },
+        });
+    }
+    return credential;
+};
+
+/**
+ * Builds the `/auth/passkeys` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const passkeyRoutes = (context) => {
+    const { db } = context;
+
+    const issueChallenge = (type, userId = null) => {
+        const challenge = randomToken();
+        db.webauthnChallenges.set(challenge, { type, userId, expiresAt: Date.now() + WEBAUTHN_CHALLENGE_TTL });
+        return challenge;
+    };
+
+    // Takes the challenge of `credential` out of the store: each one is single use.
+    const consumeChallenge = (credential, type) => {
+        const challenge = challengeOf(credential);
+        const pending = challenge && db.webauthnChallenges.get(challenge);
+        if (challenge) {
+            db.webauthnChallenges.delete(challenge);
+        }
+        if (!pending || pending.type !== type || pending.expiresAt < Date.now()) {
+            throw new MockHttpError(400, 'PASSKEY_CHALLENGE_EXPIRED', 'The passkey request has expired. Try again.');
+        }
+        return { challenge, ...pending };
+    };
+
+    const relyingParty = (request) => {
+        const origin = originFor(request);
+        return { origin, rpId: new URL(origin).hostname };
+    };
+
+    const passkeysOf = (user) => [...db.passkeys.values()].filter((passkey) => passkey.userId === user.id);
+
+    const registrationOptions = async (request) => {
+        const { user } = await requireAuth(context, request);
+        return json(200, {
+            challenge: issueChallenge('registration', user.id),
+            rp: { id: relyingParty(request).rpId, name: RP_NAME },
+            user: {
+                id: Buffer.from(user.id).toString('base64url'),
+                name: user.email,
+                displayName: user.name,
+            },
+            pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+            timeout: WEBAUTHN_CHALLENGE_TTL,
+            excludeCredentials: passkeysOf(user).map(({ id, transports }) => ({
+                type: 'public-key',
+                id,
+                transports,
+            })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+            attestation: 'none',
+        });
+    };
+
+    const register = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const credential = requireCredential(request);
+        const pending = consumeChallenge(credential, 'registration');
+        if (pending.userId !== user.id) {
+            throw new MockHttpError(400, 'PASSKEY_CHALLENGE_EXPIRED', 'The passkey request has expired. Try again.');
+        }
+
+        const { origin, rpId } = relyingParty(request);
+        let verified;
+        try {
+            verified = verifyRegistration({
+                response: credential,
+                expectedChallenge: pending.challenge,
+                expectedOrigin: origin,
+                expectedRpId: rpId,
+            });
+        } catch (error) {
+            if (error instanceof WebAuthnVerificationError) {
+                throw new MockHttpError(400, 'PASSKEY_VERIFICATION_FAILED', error.message);
+            }
+            throw error;
+        }
+        if (db.passkeys.has(verified.credentialId)) {
+            throw new MockHttpError(409, 'PASSKEY_ALREADY_REGISTERED', 'This passkey is already registered.');
+        }
+
+        const name = typeof request.body.name === 'string' && request.body.name.trim();
+        const passkey = {
+            id: verified.credentialId,
+            userId: user.id,
+            name: name || `Passkey ${passkeysOf(user).length + 1}`,
+            publicKeyJwk: verified.publicKeyJwk,
+            alg: verified.alg,
+            signCount: verified.signCount,
+            aaguid: verified.aaguid,
+            transports: verified.transports,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+        };
+        db.passkeys.set(passkey.id, passkey);
+        return json(201, toPasskeySummary(passkey));
+    };
+
+    const list = async (request) => {
+        const { user } = await requireAuth(context, request);
+        return json(200, passkeysOf(user).map(toPasskeySummary));
+    };
+
+    const remove = async (request) => {
+        const { user } = await requireAuth(context, request);
+        const passkey = db.passkeys.get(request.params.id);
+        if (!passkey || passkey.userId !== user.id) {
+            throw new MockHttpError(404, 'PASSKEY_NOT_FOUND', 'This passkey does not exist.');
+        }
+        db.passkeys.delete(passkey.id);
+        return noContent();
+    };
+
+    const authenticationOptions = async (request) =>
+        json(200, {
+            challenge: issueChallenge('authentication'),
+            rpId: relyingParty(request).rpId,
+            timeout: WEBAUTHN_CHALLENGE_TTL,
+            userVerification: 'required',
+        });
+
+    const authenticate = async (request) => {
+        const credential = requireCredential(request);
+        const pending = consumeChallenge(credential, 'authentication');
+
+        // The same answer for unknown passkeys and bad signatures.
+        const rejected = new MockHttpError(401, 'PASSKEY_INVALID', 'This passkey was not recognised.');
+        const passkey = typeof credential.id === 'string' ? db.passkeys.get(credential.id) : undefined;
+        const user = passkey && db.users.get(passkey.userId);
+        if (!passkey || !user || user.status !== 'active') {
+            throw rejected;
+        }
+        const userHandle = credential.response?.userHandle;
+        if (userHandle && Buffer.from(userHandle, 'base64url').toString('utf8') !== user.id) {
+            throw rejected;
+        }
+
+        const { origin, rpId } = relyingParty(request);
+        try {
+            const { signCount } = verifyAuthentication({
+                response: credential,
+                credential: passkey,
+                expectedChallenge: pending.challenge,
+                expectedOrigin: origin,
+                expectedRpId: rpId,
+            });
+            passkey.signCount = signCount;
+        } catch (error) {
+            if (error instanceof WebAuthnVerificationError) {
+                throw rejected;
+            }
+            throw error;
+        }
+        passkey.lastUsedAt = new Date().toISOString();
+
+        // A user-verified passkey is a multi-factor credential on its own (RFC 8176).
+        const issued = await startSession(context, user, request, ['hwk', 'user', 'mfa']);
+        return json(200, { ...issued, user: toAuthUser(user) });
+    };
+
+    return [
+        { method: 'POST', path: '/auth/passkeys/registration/options', handler: registrationOptions },
+        { method: 'POST', path: '/auth/passkeys/registration', handler: register },
+        { method: 'GET', path: '/auth/passkeys', handler: list },
+        { method: 'DELETE', path: '/auth/passkeys/:id', handler: remove },
+        { method: 'POST', path: '/auth/passkeys/authentication/options', handler: authenticationOptions },
+        { method: 'POST', path: '/auth/passkeys/authentication', handler: authenticate },
+    ];
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * @file rbac.handlers.mjs
+ * @description Mock implementation of the role editor API
+ *
+ * @details
+ * - `GET /rbac/policy` the roles the API enforces, `{ roles, version, updatedAt }`, in the
+ *                shape of the client's `Policy`. Every signed-in user may read them, since
+ *                the browser applies the same roles to hide what the user may not do.
+ * - `PUT /rbac/policy` replaces every role at once, `{ roles, version }`. Adding a role
+ *                takes the `create` grant on `roles`, removing one `delete`, and any change
+ *                `update`, all of them unconditional. When someone saved the roles since
+ *                `version` was read, the answer is `409 VERSION_CONFLICT` with the current
+ *                policy in `details.current`.
+ *
+ * The `admin` role is locked: its label and description may change, but it keeps full
+ * access and cannot be removed, so nobody can lock every administrator out. A role still
+ * held by some users cannot be removed either (`409 ROLE_IN_USE`, with the number of
+ * users per role in `details.users`). Every save is recorded in the audit log, with the
+ * roles before and after.
+ *
+ * Invalid input is answered with `400 VALIDATION_FAILED` and one code per field in
+ * `details.fields`, keyed `<role>` or `<role>.<field>` (`invalid`, `required`,
+ * `too_long`, `unknown`, `cycle`, `locked`).
+ */
+
+import { requirePermission } from '../mock.access.mjs';
+import { recordAudit } from '../mock.audit.mjs';
+import { MockHttpError, json } from '../mock.http.mjs';
+import { requireAuth } from '../mock.session.mjs';
+
+/** Resources and actions rules may name, mirroring `RESOURCES` and `ACTIONS` of the client. */
+export const RESOURCES = ['users', 'roles', 'sessions', 'audit', 'impersonation', 'settings'];
+export const ACTIONS = ['create', 'read', 'update', 'delete'];
+
+/** Role that always keeps full access. */
+export const LOCKED_ROLE = 'admin';
+
+const MAX_ROLES = 50;
+const MAX_LABEL_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+const CONDITIONS = ['own', 'tenant'];
+
+/**
+ * Public view of the stored policy.
+ *
+ * @param {{ roles: object, version: number, updatedAt: string }} policy - `db.policy`.
+ * @returns {object} The `VersionedPolicy`.
+ */
+const toPolicy = ({ roles, version, updatedAt }) => ({ roles: structuredClone(roles), version, updatedAt });
+
+/**
+ * Normalises the rules of a role.
+ *
+ * @param {unknown} rules - The submitted rules.
+ * @returns {object[] | null} The rules, `null` when one of them is malformed.
+ */
+const normaliseRules = (rules) => {
+    if (!Array.isArray(rules)) {
+        return null;
+    }
+    const normalised = rules.map((rule) => {
+        const actions = Array.isArray(rule?.actions) ? [...new Set(rule.actions)] : [];
+        const valid =
+            (rule?.resource === '*' || RESOURCES.includes(rule?.resource)) &&
+            actions.length > 0 &&
+            actions.every((action) => action === '*' || ACTIONS.includes(action)) &&
+            (rule.condition === undefined || rule.condition === null || CONDITIONS.includes(rule.condition));
+        if (!valid) {
+            return null;
+        }
+        return rule.condition
+            ? { resource: rule.resource, actions, condition: rule.condition }
+            : { resource: rule.resource, actions };
+    });
+    return normalised.includes(null) ? null : normalised;
+};
+
+/**
+ * Finds the roles whose inheritance loops back to themselves.
+ *
+ * @param {Record<string, { inherits?: string[] }>} roles - The roles.
+ * @returns {string[]} The role IDs taking part in a cycle.
+ */
+const rolesInCycle = (roles) =>
+    Object.keys(roles).filter((start) => {
+        const pending = [...(roles[start].inherits ?? [])];
+        const seen = new Set();
+        while (pending.length > 0) {
+            const role = pending.pop();
+            if (role === start) {
+                return true;
+            }
+            if (!seen.has(role)) {
+                seen.add(role);
+                pending.push(...(roles[role]?.inherits ?? []));
+            }
+        }
+        return false;
+    });
+
+/**
+ * Validates a submitted set of roles.
+ *
+ * @param {unknown} submitted - The `roles` of the request body.
+ * @param {object} current - The stored roles.
+ * @returns {Record<string, object>} The normalised roles.
+ * @throws {MockHttpError} `400` listing every invalid field.
+ */
+const validateRoles = (submitted, current) => {
+    if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', '"roles" must map role IDs to roles.');
+    }
+    const ids = Object.keys(submitted);
+    if (ids.length > MAX_ROLES) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', `There can be at most ${MAX_ROLES} roles.`);
+    }
+
+    const fields = {};
+    const roles = {};
+    for (const id of ids) {
+        const role = submitted[id] ?? {};
+        const label = typeof role.label === 'string' ? role.label.trim() : '';
+        const description = typeof role.description === 'string' ? role.description.trim() : '';
+        const inherits = Array.isArray(role.inherits) ? [...new Set(role.inherits)] : [];
+        const rules = normaliseRules(role.rules);
+
+        if (!ROLE_ID_PATTERN.test(id)) fields[id] = 'invalid';
+
+        if (label === '') fields[`${id}.label`] = 'required';
+        else if (label.length > MAX_LABEL_LENGTH) fields[`${id}.label`] = 'too_long';
+
+        if (description.length > MAX_DESCRIPTION_LENGTH) fields[`${id}.description`] = 'too_long';
+
+        if (!inherits.every((parent) => typeof parent === 'string' && Object.hasOwn(submitted, parent))) {
+            fields[`${id}.inherits`] = 'unknown';
+        }
+        if (rules === null) fields[`${id}.rules`] = 'invalid';
+
+        roles[id] = {
+            label,
+            ...(description ? { description } : {}),
+            ...(inherits.length > 0 ? { inherits } : {}),
+            rules: rules ?? [],
+        };
+    }
+
+    for (const id of rolesInCycle(roles)) {
+        fields[`${id}.inherits`] ??= 'cycle';
+    }
+
+    const locked = roles[LOCKED_ROLE];
+    if (!locked) {
+        fields[LOCKED_ROLE] = 'locked';
+    } else if (
+        JSON.stringify(locked.rules) !== JSON.stringify(current[LOCKED_ROLE].rules) ||
+        JSON.stringify(locked.inherits ?? []) !== JSON.stringify(current[LOCKED_ROLE].inherits ?? [])
+    ) {
+        fields[`${LOCKED_ROLE}.rules`] = 'locked';
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', 'Some roles are invalid.', { fields });
+    }
+    return roles;
+};
+
+/**
+ * Builds the `/rbac` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const rbacRoutes = (context) => {
+    const { db } = context;
+
+    const getPolicy = async (request) => {
+        await requireAuth(context, request);
+        return json(200, toPolicy(db.policy));
+    };
+
+    const savePolicy = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const { roles: submitted, version } = request.body ?? {};
+        const current = db.policy.roles;
+
+        requirePermission(current, caller, 'update', 'roles', 'all');
+        if (version !== db.policy.version) {
+            throw new MockHttpError(409, 'VERSION_CONFLICT', 'Someone else changed the roles meanwhile.', {
+                current: toPolicy(db.policy),
+            });
+        }
+
+        const roles = validateRoles(submitted, current);
+        const added = Object.keys(roles).filter((id) => !Object.hasOwn(current, id));
+        const removed = Object.keys(current).filter((id) => !Object.hasOwn(roles, id));
+        if (added.length > 0) {
+            requirePermission(current, caller, 'create', 'roles', 'all');
+        }
+        if (removed.length > 0) {
+            requirePermission(current, caller, 'delete', 'roles', 'all');
+        }
+
+        const holders = Object.fromEntries(
+            removed
+                .map((id) => [id, [...db.users.values()].filter((user) => user.roles.includes(id)).length])
+                .filter(([, count]) => count > 0)
+        );
+        if (Object.keys(holders).length > 0) {
+            throw new MockHttpError(409, 'ROLE_IN_USE', 'Some removed roles are still held by users.', {
+                fields: Object.fromEntries(Object.keys(holders).map((id) => [id, 'in_use'])),
+                users: holders,
+            });
+        }
+
+        recordAudit(context, request, caller, {
+            action: 'policy.update',
+            target: { type: 'policy', id: 'roles', label: 'Roles' },
+            tenantId: null,
+            before: current,
+            after: roles,
+        });
+        db.policy.roles = roles;
+        db.policy.version += 1;
+        db.policy.updatedAt = new Date().toISOString();
+        return json(200, toPolicy(db.policy));
+    };
+
+    return [
+        { method: 'GET', path: '/rbac/policy', handler: getPolicy },
+        { method: 'PUT', path: '/rbac/policy', handler: savePolicy },
+    ];
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * @file recovery.handlers.mjs
+ * @description Mock implementation of the forgotten-password flow
+ *
+ * @details
+ * None of these endpoints needs a session:
+ * - `POST /auth/password/forgot`       `{ email }` sends a link to choose a new password.
+ *                                      Always answered with `202`, whether or not an active
+ *                                      account uses the address, so the form cannot be used
+ *                                      to find out who has one. The mock has no mail server:
+ *                                      the link is printed in the dev server log.
+ * - `POST /auth/password/reset/lookup` `{ token }` from that link -> `PasswordResetPreview`,
+ *                                      the address the reset page shows.
+ * - `POST /auth/password/reset`        `{ token, password }` sets the new password, which
+ *                                      follows the password policy (`mock.password.mjs`).
+ *                                      Every session of the user is ended and the link stops
+ *                                      working. Nobody is signed in: accounts with a second
+ *                                      factor still need it at the next sign-in.
+ *
+ * Requesting a new link replaces the previous one. A link that is unknown, replaced, used
+ * or older than `PASSWORD_RESET_TTL` is answered with `400 RESET_TOKEN_INVALID`; a
+ * password breaking the policy with `400 VALIDATION_FAILED` and its code in
+ * `details.fields.password`.
+ */
+
+import { auditTarget, recordAudit } from '../mock.audit.mjs';
+import { digest, randomToken } from '../mock.db.mjs';
+import { MockHttpError, json, noContent, originFor, requireField } from '../mock.http.mjs';
+import { checkNewPassword, setPassword } from '../mock.password.mjs';
+import { endSessions } from '../mock.session.mjs';
+
+/** Lifetime of a password reset link, in milliseconds. */
+export const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+/**
+ * Builds the `/auth/password` routes.
+ *
+ * @param {{ db: object, tokens: object, passwordPolicy: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const recoveryRoutes = (context) => {
+    const { db, passwordPolicy } = context;
+
+    /**
+     * Finds the active user a reset link was sent to.
+     *
+     * @param {string} token - The token of the link.
+     * @returns {object} The stored user.
+     * @throws {MockHttpError} `400` when the link cannot be used.
+     */
+    const findByToken = (token) => {
+        const tokenHash = digest(token);
+        const user = [...db.users.values()].find((candidate) => candidate.passwordReset?.tokenHash === tokenHash);
+        if (!user || user.status !== 'active' || user.passwordReset.expiresAt < Date.now()) {
+            throw new MockHttpError(400, 'RESET_TOKEN_INVALID', 'This link is invalid or has expired.');
+        }
+        return user;
+    };
+
+    const forgot = async (request) => {
+        const user = db.findUserByEmail(requireField(request, 'email'));
+        if (user?.status === 'active') {
+            const token = randomToken();
+            user.passwordReset = { tokenHash: digest(token), expiresAt: Date.now() + PASSWORD_RESET_TTL };
+
+            const link = `${originFor(request)}/reset-password?token=${token}`;
+            console.info(`[mock-api] Password reset link for ${user.email}: ${link}`);
+        }
+        return { status: 202 };
+    };
+
+    const lookup = async (request) => {
+        const user = findByToken(requireField(request, 'token'));
+        return json(200, { email: user.email, expiresAt: new Date(user.passwordReset.expiresAt).toISOString() });
+    };
+
+    const reset = async (request) => {
+        const user = findByToken(requireField(request, 'token'));
+        const password = requireField(request, 'password');
+
+        const code = checkNewPassword(passwordPolicy, password, { user, userInputs: [user.name, user.email] });
+        if (code) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', 'The new password is invalid.', {
+                fields: { password: code },
+            });
+        }
+
+        setPassword(passwordPolicy, user, password);
+        user.passwordReset = null;
+        endSessions(context, user.id);
+        // Second-factor challenges opened with the old password must not survive it.
+        for (const [mfaToken, challenge] of db.mfaChallenges) {
+            if (challenge.userId === user.id) db.mfaChallenges.delete(mfaToken);
+        }
+        recordAudit(context, request, user, {
+            action: 'user.password_reset',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+        });
+        return noContent();
+    };
+
+    return [
+        { method: 'POST', path: '/auth/password/forgot', handler: forgot },
+        { method: 'POST', path: '/auth/password/reset/lookup', handler: lookup },
+        { method: 'POST', path: '/auth/password/reset', handler: reset },
+    ];
+};
@@ -0,0 +1,449 @@
+'use strict';
+
+/**
+ * @file user.handlers.mjs
+ * @description Mock implementation of the user directory
+ *
+ * @details
+ * - `GET /users` one page of the users the caller may read, sorted and filtered on the
+ *                server. Query parameters:
+ *   - `page` (1-based) and `pageSize` (at most `MAX_PAGE_SIZE`);
+ *   - `sort`: comma-separated `field:asc|desc` keys applied in order, e.g.
+ *     `status:asc,lastLoginAt:desc`;
+ *   - `role`, `status`: comma-separated values, any of which matches;
+ *   - `lastLogin`: `7d`, `30d`, `90d` (signed in within), `stale` (not within 90 days)
+ *     or `never`;
+ *   - `q`: case-insensitive search in names and emails.
+ * - `GET /users/:id` one user, with the `version` to send back when updating it.
+ * - `POST /users` creates a user in the caller's tenant. The account has no usable
+ *                password until one is set through an invitation or a reset.
+ * - `POST /users/bulk` creates up to `MAX_BULK_SIZE` users, `{ users, dryRun }`. Each user
+ *                succeeds or fails on its own; the answer lists one result per user, in
+ *                order: `{ index, status: 'created' | 'valid' | 'failed', user?, fields? }`.
+ *                With `dryRun` nothing is stored and valid users are reported as `valid`.
+ * - `PATCH /users/:id` updates a user. The body carries the `version` the client
+ *                edited; when someone saved the user in the meantime, the answer is
+ *                `409 VERSION_CONFLICT` with the current user in `details.current`.
+ *
+ * Support staff and managers see their tenant, administrators everybody. Only
+ * administrators may grant the `admin` role or edit an administrator. Other roles can
+ * only be granted or taken away by users who hold them or may edit the roles, and
+ * nobody changes their own roles. Creations and updates are recorded in the audit log.
+ *
+ * Invalid input is answered with `400 VALIDATION_FAILED` and one code per field in
+ * `details.fields` (`required`, `invalid`, `too_long`, `forbidden`, `self`); a taken email with
+ * `409 EMAIL_TAKEN` and `fields.email = 'taken'`. The field names are those of the
+ * client-side form schema, so errors land on the matching inputs.
+ */
+
+import { assignableRoles, inScope, requirePermission } from '../mock.access.mjs';
+import { auditTarget, recordAudit, userSnapshot } from '../mock.audit.mjs';
+import { MockHttpError, json } from '../mock.http.mjs';
+import { requireAuth } from '../mock.session.mjs';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/** Most users `POST /users/bulk` accepts in one request. */
+export const MAX_BULK_SIZE = 100;
+
+/** Fields `sort` accepts. */
+export const SORTABLE_FIELDS = ['name', 'email', 'status', 'tenantId', 'createdAt', 'lastLoginAt'];
+
+/** Locales users may pick, mirroring `SUPPORTED_LOCALES` of the client. */
+export const SUPPORTED_LOCALES = ['en-US', 'en-GB', 'fr-FR', 'de-DE', 'es-ES', 'ja-JP'];
+
+const STATUSES = ['active', 'suspended'];
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Public view of a user in the directory.
+ *
+ * @param {object} user - The stored user.
+ * @returns {object} The `DirectoryUser`.
+ */
+export const toDirectoryUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    tenantId: user.tenantId,
+    status: user.status,
+    mfaEnabled: user.mfa.totpSecret !== null,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt,
+});
+
+/**
+ * Detailed view of a user, as edited by the user form.
+ *
+ * @param {object} user - The stored user.
+ * @returns {object} The `UserDetails`.
+ */
+export const toUserDetails = (user) => ({
+    ...toDirectoryUser(user),
+    locale: user.locale,
+    version: user.version,
+    updatedAt: user.updatedAt,
+});
+
+/**
+ * Checks an email address.
+ *
+ * @param {string} email - The trimmed, lower-cased address.
+ * @returns {string | null} `required`, `too_long` or `invalid`, `null` when it is fine.
+ */
+export const checkEmail = (email) =>
+    email === '' ? 'required'
+    : email.length > MAX_EMAIL_LENGTH ? 'too_long'
+    : !EMAIL_PATTERN.test(email) ? 'invalid'
+    : null;
+
+/**
+ * Checks the roles granted to a user. Only the roles added or removed need to be ones the
+ * caller may assign, so editing someone else's name does not require holding all of
+ * their roles.
+ *
+ * @param {string[]} roles - The deduplicated role IDs.
+ * @param {object} caller - The signed-in user granting them.
+ * @param {object} policy - The roles that exist, usually `db.policy.roles`.
+ * @param {object} [target] - The stored user when updating one.
+ * @returns {string | null} `required`, `invalid`, `self` (the caller's own roles change)
+ *          or `forbidden`, `null` when they are fine.
+ */
+export const checkRoles = (roles, caller, policy, target) => {
+    const current = target?.roles ?? [];
+    const changed = [
+        ...roles.filter((role) => !current.includes(role)),
+        ...current.filter((role) => !roles.includes(role)),
+    ];
+    const assignable = assignableRoles(policy, caller);
+    return (
+        roles.length === 0 ? 'required'
+        : !roles.every((role) => Object.hasOwn(policy, role)) ? 'invalid'
+        : changed.length > 0 && target?.id === caller.id ? 'self'
+        : changed.includes('admin') && !caller.roles.includes('admin') ? 'forbidden'
+        : !changed.every((role) => assignable.has(role)) ? 'forbidden'
+        : null
+    );
+};
+
+/**
+ * Checks the editable fields of a user.
+ *
+ * @param {Record<string, unknown> | undefined} body - The submitted user.
+ * @param {object} caller - The signed-in user.
+ * @param {object} policy - The roles that exist, usually `db.policy.roles`.
+ * @param {object} [target] - The stored user when updating one.
+ * @returns {{ input: { name: string, email: string, roles: string[], status: string, locale: string }, fields: Record<string, string> }}
+ *          The normalised input, and one error code per invalid field.
+ */
+const checkUserInput = (body = {}, caller, policy, target) => {
+    const fields = {};
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const roles = Array.isArray(body.roles) ? [...new Set(body.roles)] : [];
+
+    if (name === '') fields.name = 'required';
+    else if (name.length > MAX_NAME_LENGTH) fields.name = 'too_long';
+
+    const emailError = checkEmail(email);
+    if (emailError) fields.email = emailError;
+
+    const rolesError = checkRoles(roles, caller, policy, target);
+    if (rolesError) fields.roles = rolesError;
+
+    if (!STATUSES.includes(body.status)) fields.status = 'invalid';
+    if (!SUPPORTED_LOCALES.includes(body.locale)) fields.locale = 'invalid';
+
+    return { input: { name, email, roles, status: body.status, locale: body.locale }, fields };
+};
+
+/**
+ * Validates the editable fields of a user.
+ *
+ * @param {Record<string, unknown> | undefined} body - The request body.
+ * @param {object} caller - The signed-in user.
+ * @param {object} policy - The roles that exist, usually `db.policy.roles`.
+ * @param {object} [target] - The stored user when updating one.
+ * @returns {{ name: string, email: string, roles: string[], status: string, locale: string }}
+ * @throws {MockHttpError} `400` listing every invalid field.
+ */
+const validateUserInput = (body, caller, policy, target) => {
+    const { input, fields } = checkUserInput(body, caller, policy, target);
+    if (Object.keys(fields).length > 0) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', 'Some fields are invalid.', { fields });
+    }
+    return input;
+};
+
+/**
+ * Splits a comma-separated query parameter.
+ *
+ * @param {string | undefined} value - The raw parameter.
+ * @returns {string[]} The non-empty entries.
+ */
+const toList = (value) =>
+    String(value ?? '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+/**
+ * Reads a positive integer query parameter.
+ *
+ * @param {string | undefined} value - The raw parameter.
+ * @param {number} fallback - Used when the parameter is missing.
+ * @param {string} name - Parameter name, for the error.
+ * @returns {number}
+ * @throws {MockHttpError} `400` for anything but a positive integer.
+ */
+const toPositiveInteger = (value, fallback, name) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', `"${name}" must be a positive integer.`, {
+            fields: { [name]: 'invalid' },
+        });
+    }
+    return parsed;
+};
+
+/**
+ * Parses the `sort` parameter.
+ *
+ * @param {string | undefined} value - e.g. `name:asc,lastLoginAt:desc`.
+ * @returns {{ field: string, desc: boolean }[]} The sort keys.
+ * @throws {MockHttpError} `400` for unknown fields or directions.
+ */
+const parseSort = (value) =>
+    toList(value).map((entry) => {
+        const [field, direction = 'asc'] = entry.split(':');
+        if (!SORTABLE_FIELDS.includes(field) || !['asc', 'desc'].includes(direction)) {
+            throw new MockHttpError(400, 'VALIDATION_FAILED', `Cannot sort by "${entry}".`, {
+                fields: { sort: 'invalid' },
+            });
+        }
+        return { field, desc: direction === 'desc' };
+    });
+
+/**
+ * Builds the predicate of the `lastLogin` filter.
+ *
+ * @param {string | undefined} value - The filter value.
+ * @param {number} now - Reference time, in milliseconds.
+ * @returns {(user: object) => boolean}
+ */
+const lastLoginFilter = (value, now) => {
+    const signedInSince = (days) => (user) =>
+        user.lastLoginAt !== null && now - Date.parse(user.lastLoginAt) <= days * DAY;
+    switch (value) {
+        case undefined:
+        case '':
+            return () => true;
+        case '7d':
+            return signedInSince(7);
+        case '30d':
+            return signedInSince(30);
+        case '90d':
+            return signedInSince(90);
+        case 'stale':
+            return (user) => user.lastLoginAt !== null && !signedInSince(90)(user);
+        case 'never':
+            return (user) => user.lastLoginAt === null;
+        default:
+            throw new MockHttpError(400, 'VALIDATION_FAILED', `Unknown lastLogin filter "${value}".`, {
+                fields: { lastLogin: 'invalid' },
+            });
+    }
+};
+
+/**
+ * Compares two users on the sort keys. Users who never signed in sort after the others,
+ * whatever the direction.
+ *
+ * @param {{ field: string, desc: boolean }[]} keys - The sort keys.
+ * @returns {(a: object, b: object) => number}
+ */
+const compareBy = (keys) => (a, b) => {
+    for (const { field, desc } of keys) {
+        const left = a[field];
+        const right = b[field];
+        if (left === right) {
+            continue;
+        }
+        if (left === null) return 1;
+        if (right === null) return -1;
+        const order = String(left).localeCompare(String(right), 'en', { sensitivity: 'base' });
+        if (order !== 0) {
+            return desc ? -order : order;
+        }
+    }
+    return a.id.localeCompare(b.id);
+};
+
+/**
+ * Builds the `/users` routes.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @returns {{ method: string, path: string, handler: Function }[]} The routes.
+ */
+export const userRoutes = (context) => {
+    const { db } = context;
+
+    /**
+     * Finds the user named in the path among those the caller may reach. Users of other
+     * tenants are reported as missing, not forbidden, so their IDs cannot be probed.
+     */
+    const findTarget = (request, caller, action) => {
+        const scope = requirePermission(db.policy.roles, caller, action, 'users', 'tenant');
+        const target = db.users.get(request.params.id);
+        if (!target || !inScope(scope, caller, { ownerId: target.id, tenantId: target.tenantId })) {
+            throw new MockHttpError(404, 'USER_NOT_FOUND', 'User not found.');
+        }
+        return target;
+    };
+
+    const assertEmailAvailable = (email, target) => {
+        const owner = db.findUserByEmail(email);
+        if (owner && owner !== target) {
+            throw new MockHttpError(409, 'EMAIL_TAKEN', 'Another user already has this email.', {
+                fields: { email: 'taken' },
+            });
+        }
+    };
+
+    const list = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const scope = requirePermission(db.policy.roles, caller, 'read', 'users', 'tenant');
+        const { query = {} } = request;
+
+        const page = toPositiveInteger(query.page, 1, 'page');
+        const pageSize = Math.min(toPositiveInteger(query.pageSize, DEFAULT_PAGE_SIZE, 'pageSize'), MAX_PAGE_SIZE);
+        const sort = parseSort(query.sort);
+        const roles = toList(query.role);
+        const statuses = toList(query.status);
+        const search = String(query.q ?? '').trim().toLowerCase();
+        const signedIn = lastLoginFilter(query.lastLogin, Date.now());
+
+        const matches = [...db.users.values()]
+            .filter((user) => inScope(scope, caller, { ownerId: user.id, tenantId: user.tenantId }))
+            .filter((user) => roles.length === 0 || user.roles.some((role) => roles.includes(role)))
+            .filter((user) => statuses.length === 0 || statuses.includes(user.status))
+            .filter(signedIn)
+            .filter(
+                (user) =>
+                    search === '' ||
+                    user.name.toLowerCase().includes(search) ||
+                    user.email.includes(search)
+            )
+            .sort(compareBy(sort.length > 0 ? sort : [{ field: 'name', desc: false }]));
+
+        const start = (page - 1) * pageSize;
+        return json(200, {
+            items: matches.slice(start, start + pageSize).map(toDirectoryUser),
+            total: matches.length,
+            page,
+            pageSize,
+        });
+    };
+
+    const get = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        return json(200, toUserDetails(findTarget(request, caller, 'read')));
+    };
+
+    const create = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        requirePermission(db.policy.roles, caller, 'create', 'users', 'tenant');
+        const input = validateUserInput(request.body, caller, db.policy.roles);
+        assertEmailAvailable(input.email);
+
+        const user = db.createUser({ ...input, passwordHash: null, tenantId: caller.tenantId });
+        recordAudit(context, request, caller, {
+            action: 'user.create',
+            target: auditTarget(user),
+            tenantId: user.tenantId,
+            after: userSnapshot(user),
+        });
+        return json(201, toUserDetails(user));
+    };
+
+    const bulkCreate = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        requirePermission(db.policy.roles, caller, 'create', 'users', 'tenant');
+        const { users, dryRun = false } = request.body ?? {};
+        if (!Array.isArray(users) || users.length === 0 || users.length > MAX_BULK_SIZE) {
+            throw new MockHttpError(
+                400,
+                'VALIDATION_FAILED',
+                `"users" must list between 1 and ${MAX_BULK_SIZE} users.`,
+                { fields: { users: 'invalid' } }
+            );
+        }
+
+        const seen = new Set();
+        const results = users.map((candidate, index) => {
+            const { input, fields } = checkUserInput(candidate, caller, db.policy.roles);
+            if (!fields.email && (seen.has(input.email) || db.findUserByEmail(input.email))) {
+                fields.email = 'taken';
+            }
+            seen.add(input.email);
+            if (Object.keys(fields).length > 0) {
+                return { index, status: 'failed', fields };
+            }
+            if (dryRun) {
+                return { index, status: 'valid' };
+            }
+            const user = db.createUser({ ...input, passwordHash: null, tenantId: caller.tenantId });
+            recordAudit(context, request, caller, {
+                action: 'user.create',
+                target: auditTarget(user),
+                tenantId: user.tenantId,
+                after: userSnapshot(user),
+            });
+            return { index, status: 'created', user: toUserDetails(user) };
+        });
+        return json(200, { results });
+    };
+
+    const update = async (request) => {
+        const { user: caller } = await requireAuth(context, request);
+        const target = findTarget(request, caller, 'update');
+        if (target.roles.includes('admin') && !caller.roles.includes('admin')) {
+            throw new MockHttpError(403, 'FORBIDDEN', 'Only administrators may edit an administrator.');
+        }
+        if (request.body?.version !== target.version) {
+            throw new MockHttpError(409, 'VERSION_CONFLICT', 'This user was changed by someone else.', {
+                current: toUserDetails(target),
+            });
+        }
+        const input = validateUserInput(request.body, caller, db.policy.roles, target);
+        assertEmailAvailable(input.email, target);
+
+        const before = userSnapshot(target);
+        Object.assign(target, input, { version: target.version + 1, updatedAt: new Date().toISOString() });
+        recordAudit(context, request, caller, {
+            action: 'user.update',
+            target: auditTarget(target),
+            tenantId: target.tenantId,
+            before,
+            after: userSnapshot(target),
+        });
+        return json(200, toUserDetails(target));
+    };
+
+    return [
+        { method: 'GET', path: '/users', handler: list },
+        { method: 'POST', path: '/users', handler: create },
+        { method: 'POST', path: '/users/bulk', handler: bulkCreate },
+        { method: 'GET', path: '/users/:id', handler: get },
+        { method: 'PATCH', path: '/users/:id', handler: update },
+    ];
+};
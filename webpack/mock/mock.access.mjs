@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * @file mock.access.mjs
+ * @description Server-side authorization of the mock API
+ *
+ * @details
+ * The browser hides what a user may not do, but only the API can enforce it. The mock
+ * answers one question per request: how far does the caller's grant for `action` on
+ * `resource` reach, under the roles currently stored in `db.policy`?
+ *
+ * - `all`:    every instance (an unconditional rule, e.g. administrators).
+ * - `tenant`: instances of the caller's tenant.
+ * - `own`:    the caller's own instances.
+ *
+ * The store starts from `MOCK_POLICY`, a copy of the built-in roles of
+ * `src/services/rbac/rbac.policy.ts`, and changes when administrators edit the roles.
+ *
+ * @usage
+ * const scope = requirePermission(db.policy.roles, user, 'read', 'users');
+ * const visible = users.filter((candidate) => inScope(scope, user, candidate));
+ */
+
+import { MockHttpError } from './mock.http.mjs';
+
+/**
+ * Built-in roles, in the shape of `Policy['roles']`.
+ */
+export const MOCK_POLICY = {
+    user: {
+        label: 'User',
+        description: 'Signed-in end user.',
+        rules: [
+            { resource: 'users', actions: ['read', 'update'], condition: 'own' },
+            { resource: 'sessions', actions: ['read', 'delete'], condition: 'own' },
+            { resource: 'settings', actions: ['read', 'update'], condition: 'own' },
+        ],
+    },
+    support: {
+        label: 'Support',
+        description: 'Helps users of their tenant.',
+        inherits: ['user'],
+        rules: [
+            { resource: 'users', actions: ['read'], condition: 'tenant' },
+            { resource: 'sessions', actions: ['read'], condition: 'tenant' },
+            { resource: 'impersonation', actions: ['create'], condition: 'tenant' },
+        ],
+    },
+    manager: {
+        label: 'Manager',
+        description: 'Administers the users of their tenant.',
+        inherits: ['support'],
+        rules: [
+            { resource: 'users', actions: ['create', 'read', 'update', 'delete'], condition: 'tenant' },
+            { resource: 'sessions', actions: ['delete'], condition: 'tenant' },
+            { resource: 'roles', actions: ['read'] },
+        ],
+    },
+    auditor: {
+        label: 'Auditor',
+        description: 'Reviews security events.',
+        inherits: ['user'],
+        rules: [{ resource: 'audit', actions: ['read'] }],
+    },
+    admin: {
+        label: 'Administrator',
+        description: 'Full access to every resource.',
+        rules: [{ resource: '*', actions: ['*'] }],
+    },
+};
+
+const SCOPE_RANK = { own: 1, tenant: 2, all: 3 };
+
+/**
+ * Collects the rules granted to `roles`, following inheritance.
+ *
+ * @param {object} policy - The roles to apply, in the shape of `Policy['roles']`.
+ * @param {string[]} roles - Role names.
+ * @returns {object[]} The rules.
+ */
+const rulesOf = (policy, roles) => {
+    const seen = new Set();
+    const collect = (role) => {
+        if (seen.has(role) || !policy[role]) {
+            return [];
+        }
+        seen.add(role);
+        return [...policy[role].rules, ...(policy[role].inherits ?? []).flatMap(collect)];
+    };
+    return roles.flatMap(collect);
+};
+
+/**
+ * Expands role names with every role they inherit, directly or not.
+ *
+ * @param {object} policy - The roles to apply, in the shape of `Policy['roles']`.
+ * @param {string[]} roles - Role names.
+ * @returns {Set<string>} The roles and their ancestors.
+ */
+export const expandRoles = (policy, roles) => {
+    const expanded = new Set();
+    const visit = (role) => {
+        if (expanded.has(role) || !policy[role]) {
+            return;
+        }
+        expanded.add(role);
+        (policy[role].inherits ?? []).forEach(visit);
+    };
+    roles.forEach(visit);
+    return expanded;
+};
+
+/**
+ * Lists the roles a user may grant or take away: every role for those who may edit the
+ * roles themselves, otherwise the ones they hold, directly or through inheritance.
+ *
+ * @param {object} policy - The roles to apply, usually `db.policy.roles`.
+ * @param {{ roles: string[] }} user - The stored user.
+ * @returns {Set<string>} The role names.
+ */
+export const assignableRoles = (policy, user) =>
+    scopeOf(policy, user, 'update', 'roles') === 'all' ? new Set(Object.keys(policy)) : expandRoles(policy, user.roles);
+
+/**
+ * Returns the widest scope in which `user` may perform `action` on `resource`.
+ *
+ * @param {object} policy - The roles to apply, usually `db.policy.roles`.
+ * @param {{ roles: string[] }} user - The stored user.
+ * @param {string} action - e.g. `read`.
+ * @param {string} resource - e.g. `users`.
+ * @returns {'all' | 'tenant' | 'own' | null} The scope, `null` when not allowed at all.
+ */
+export const scopeOf = (policy, user, action, resource) =>
+    rulesOf(policy, user.roles)
+        .filter(
+            (rule) =>
+                (rule.resource === '*' || rule.resource === resource) &&
+                (rule.actions.includes('*') || rule.actions.includes(action))
+        )
+        .map((rule) => rule.condition ?? 'all')
+        .reduce((widest, scope) => (SCOPE_RANK[scope] > (SCOPE_RANK[widest] ?? 0) ? scope : widest), null);
+
+/**
+ * Like {@link scopeOf}, but answers `403` when the action is not allowed.
+ *
+ * @param {object} policy - The roles to apply, usually `db.policy.roles`.
+ * @param {{ roles: string[] }} user - The stored user.
+ * @param {string} action - e.g. `read`.
+ * @param {string} resource - e.g. `users`.
+ * @param {'all' | 'tenant' | 'own'} [minimum] - Narrowest scope that is enough.
+ * @returns {'all' | 'tenant' | 'own'} The scope.
+ * @throws {MockHttpError} `403` with code `FORBIDDEN`.
+ */
+export const requirePermission = (policy, user, action, resource, minimum = 'own') => {
+    const scope = scopeOf(policy, user, action, resource);
+    if (!scope || SCOPE_RANK[scope] < SCOPE_RANK[minimum]) {
+        throw new MockHttpError(403, 'FORBIDDEN', `You are not allowed to ${action} ${resource}.`);
+    }
+    return scope;
+};
+
+/**
+ * Tells whether an instance falls within a scope.
+ *
+ * @param {'all' | 'tenant' | 'own'} scope - The granted scope.
+ * @param {{ id: string, tenantId?: string }} user - The caller.
+ * @param {{ ownerId?: string, tenantId?: string }} target - The instance.
+ * @returns {boolean}
+ */
+export const inScope = (scope, user, target) =>
+    scope === 'all' ||
+    (scope === 'tenant' && target.tenantId === user.tenantId) ||
+    (scope === 'own' && target.ownerId === user.id);
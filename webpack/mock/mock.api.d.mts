@@ -0,0 +1,51 @@
+/**
+ * @file mock.api.d.mts
+ * @description Types of `mock.api.mjs`, for the TypeScript tests of the client
+ *
+ * @details
+ * Only the surface the tests use is described; the stored records stay loosely typed
+ * because their shape belongs to the handlers.
+ */
+
+/** A request as the mock routers receive it. */
+export interface MockRequest {
+    method: string;
+    path: string;
+    query?: Record<string, string>;
+    headers?: Record<string, string | undefined>;
+    body?: unknown;
+    ip?: string;
+}
+
+/** A response as the mock handlers return it. */
+export interface MockResponse {
+    status: number;
+    body?: unknown;
+    text?: string;
+    headers?: Record<string, string>;
+}
+
+export interface MockRouter {
+    handle(request: MockRequest): Promise<MockResponse>;
+}
+
+export interface MockApiOptions {
+    issuer?: string;
+    audience?: string;
+    oidcClientId?: string;
+    passwordPolicy?: Record<string, unknown>;
+    latency?: { min: number; max: number } | null;
+    errorRate?: number;
+    faults?: { method: string; path: string; status: number }[];
+}
+
+export interface MockApi {
+    /** The in-memory store, by collection (`users`, `sessions`, `passkeys`, ...). */
+    db: Record<string, Map<string, Record<string, unknown>>>;
+    tokens: unknown;
+    idp: unknown;
+    router: MockRouter;
+    idpRouter: MockRouter;
+}
+
+export declare const createMockApi: (options?: MockApiOptions) => MockApi;
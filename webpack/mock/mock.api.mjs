@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * @file mock.api.mjs
+ * @description The mock InterfaceGuard API, without a server
+ *
+ * @details
+ * Assembles the route table from the handler modules in `./handlers` on top of a seeded
+ * in-memory store (see `mock.db.mjs`). Nothing here reads the environment or the project
+ * files: everything is passed as options, so scripts and unit tests can import it from
+ * any directory, with or without `NODE_ENV`. The dev server reads its options from the
+ * client environment in `mock.server.mjs`.
+ *
+ * @usage
+ * const api = createMockApi({ passwordPolicy: { ...DEFAULT_PASSWORD_POLICY, minLength: 16 } });
+ * const response = await api.router.handle({ method: 'GET', path: '/auth/me', headers: {}, query: {} });
+ */
+
+import { accountRoutes } from './handlers/account.handlers.mjs';
+import { auditRoutes } from './handlers/audit.handlers.mjs';
+import { authRoutes } from './handlers/auth.handlers.mjs';
+import { impersonationRoutes } from './handlers/impersonation.handlers.mjs';
+import { invitationRoutes } from './handlers/invitation.handlers.mjs';
+import { mfaRoutes } from './handlers/mfa.handlers.mjs';
+import { oidcLoginRoutes, oidcProviderRoutes } from './handlers/oidc.handlers.mjs';
+import { passkeyRoutes } from './handlers/passkey.handlers.mjs';
+import { rbacRoutes } from './handlers/rbac.handlers.mjs';
+import { recoveryRoutes } from './handlers/recovery.handlers.mjs';
+import { userRoutes } from './handlers/user.handlers.mjs';
+import { createMockDb } from './mock.db.mjs';
+import { withFaults } from './mock.faults.mjs';
+import { DEFAULT_PASSWORD_POLICY } from './mock.password.mjs';
+import { createRouter } from './mock.router.mjs';
+import { createTokenIssuer } from './mock.tokens.mjs';
+import { createOidcProvider } from './oidc.provider.mjs';
+
+/**
+ * Creates a self-contained mock API, with a freshly seeded store.
+ *
+ * The defaults match the development build of the application, so tests can call it
+ * without options. Latency and errors are only injected when asked for.
+ *
+ * @param {{ issuer?: string, audience?: string, oidcClientId?: string, passwordPolicy?: object,
+ *           latency?: { min: number, max: number } | null, errorRate?: number, faults?: object[] }} [options] -
+ * Claims of the issued tokens, the client accepted by the stand-in OIDC provider, the
+ * password policy new passwords must follow, and the faults to inject into `router`.
+ * @returns {{ db: object, tokens: object, idp: object, router: { handle: Function }, idpRouter: { handle: Function } }}
+ */
+export const createMockApi = ({
+    issuer = 'interface-guard',
+    audience = 'interface-guard-web',
+    oidcClientId = 'interface-guard-web',
+    passwordPolicy = DEFAULT_PASSWORD_POLICY,
+    ...injected
+} = {}) => {
+    const db = createMockDb();
+    const tokens = createTokenIssuer({ issuer, audience });
+    const idp = createOidcProvider({ clientId: oidcClientId });
+    const context = { db, tokens, idp, passwordPolicy };
+    const router = withFaults(
+        createRouter([
+            ...accountRoutes(context),
+            ...authRoutes(context),
+            ...auditRoutes(context),
+            ...impersonationRoutes(context),
+            ...invitationRoutes(context),
+            ...mfaRoutes(context),
+            ...oidcLoginRoutes(context),
+            ...passkeyRoutes(context),
+            ...rbacRoutes(context),
+            ...recoveryRoutes(context),
+            ...userRoutes(context),
+        ]),
+        injected
+    );
+    const idpRouter = createRouter(oidcProviderRoutes(context));
+    return { db, tokens, idp, router, idpRouter };
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * @file mock.audit.mjs
+ * @description Audit trail kept by the mock API
+ *
+ * @details
+ * Handlers call `recordAudit` after every change they make (and on every sign-in), so
+ * the audit log page shows what happened during a dev session on top of the seeded
+ * history. Events are kept newest first in `db.auditEvents`:
+ *
+ * `{ id, occurredAt, actor: { id, email, name } | null, action, target: { type, id, label },
+ *    tenantId, ip, before, after }`
+ *
+ * `before` and `after` are snapshots of the target, `null` when it did not exist before
+ * or after the event. `tenantId` is the tenant of the target, `null` for changes that
+ * affect every tenant (such as the roles).
+ *
+ * Actions: `auth.login`, `auth.mfa_recovery`, `user.create`, `user.update`,
+ * `user.password_change`, `user.password_reset`, `policy.update`, `invitation.create`,
+ * `invitation.resend`, `invitation.revoke`, `invitation.accept`, `impersonation.start`,
+ * `impersonation.stop`.
+ *
+ * @usage
+ * recordAudit(context, request, caller, {
+ *     action: 'user.update', target: auditTarget(user), tenantId: user.tenantId, before, after: userSnapshot(user),
+ * });
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Fields of a user captured in audit snapshots.
+ *
+ * @param {object} user - The stored user.
+ * @returns {{ name: string, email: string, roles: string[], status: string, locale: string }}
+ */
+export const userSnapshot = ({ name, email, roles, status, locale }) => ({
+    name,
+    email,
+    roles: [...roles],
+    status,
+    locale,
+});
+
+/**
+ * Target of an event about a user.
+ *
+ * @param {object} user - The stored user.
+ * @returns {{ type: 'user', id: string, label: string }}
+ */
+export const auditTarget = (user) => ({ type: 'user', id: user.id, label: user.email });
+
+/**
+ * Actor of an event.
+ *
+ * @param {object | null} user - The stored user, `null` for the system.
+ * @returns {{ id: string, email: string, name: string } | null}
+ */
+export const auditActor = (user) => (user ? { id: user.id, email: user.email, name: user.name } : null);
+
+/**
+ * Builds an audit event.
+ *
+ * @param {{ actor: object | null, action: string, target: object, tenantId: string | null, ip: string | null, before?: unknown, after?: unknown, occurredAt?: string }} input
+ * @returns {object} The event.
+ */
+export const createAuditEvent = ({
+    actor,
+    action,
+    target,
+    tenantId,
+    ip,
+    before = null,
+    after = null,
+    occurredAt = new Date().toISOString(),
+}) => ({
+    id: randomUUID(),
+    occurredAt,
+    actor: auditActor(actor),
+    action,
+    target,
+    tenantId,
+    ip,
+    before: before === null ? null : structuredClone(before),
+    after: after === null ? null : structuredClone(after),
+});
+
+/**
+ * Records an event caused by `request`.
+ *
+ * @param {{ db: object }} context - The mock API context.
+ * @param {object} request - The mock request, for the caller's address.
+ * @param {object | null} actor - The stored user who acted.
+ * @param {{ action: string, target: object, tenantId: string | null, before?: unknown, after?: unknown }} event
+ * @returns {object} The stored event.
+ */
+export const recordAudit = ({ db }, request, actor, event) => {
+    const stored = createAuditEvent({ ...event, actor, ip: request.ip ?? null });
+    db.auditEvents.unshift(stored);
+    return stored;
+};
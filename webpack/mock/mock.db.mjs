@@ -0,0 +1,416 @@
+'use strict';
+
+/**
+ * @file mock.db.mjs
+ * @description Seeded in-memory data store of the mock API
+ *
+ * @details
+ * Every call to `createMockDb` returns an independent store filled with the same seed
+ * data, so each dev-server start (or each test) begins from a known state. Nothing is
+ * persisted: restarting the dev server resets all changes.
+ *
+ * Seeded accounts, all with the password `ChangeMe!2024`:
+ * - admin@interfaceguard.dev    (admin)
+ * - manager@interfaceguard.dev  (manager)
+ * - support@interfaceguard.dev  (support)
+ * - auditor@interfaceguard.dev  (auditor)
+ * - jane@interfaceguard.dev     (user, email address not verified yet)
+ * - mfa@interfaceguard.dev      (user, TOTP enabled with the secret `JBSWY3DPEHPK3PXP`
+ *                                and the recovery codes in `SEED_RECOVERY_CODES`)
+ *
+ * The user directory is filled with `DIRECTORY_SIZE` more accounts, generated from a
+ * fixed seed so the same people, roles and sign-in dates come back on every start.
+ * They share the seed password too, and some of them belong to a second tenant.
+ *
+ * `invitations` starts with one open and one expired invitation sent by the administrator.
+ * Their links are unknown: resend one from the invitations page to get a working link.
+ *
+ * `policy` holds the roles the mock API enforces, starting from the built-in ones.
+ * `auditEvents` starts with `AUDIT_HISTORY_DAYS` of generated history about the
+ * directory accounts: their creation, some later changes, and their sign-ins.
+ *
+ * @usage
+ * const db = createMockDb();
+ * const user = db.findUserByEmail('admin@interfaceguard.dev');
+ */
+
+import { createHash, randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'crypto';
+
+import { MOCK_POLICY } from './mock.access.mjs';
+import { auditTarget, createAuditEvent, userSnapshot } from './mock.audit.mjs';
+
+export const SEED_PASSWORD = 'ChangeMe!2024';
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ *
+ * @param {string} password - The plain-text password.
+ * @returns {string} `scrypt$<salt>$<hash>`, both base64url encoded.
+ */
+export const hashPassword = (password) => {
+    const salt = randomBytes(16);
+    const hash = scryptSync(password, salt, 32);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+};
+
+/**
+ * Checks a password against a hash produced by {@link hashPassword}.
+ *
+ * @param {string} password - The plain-text password.
+ * @param {string} stored - The stored hash.
+ * @returns {boolean} Whether the password matches.
+ */
+export const verifyPassword = (password, stored) => {
+    const [, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+    return timingSafeEqual(expected, actual);
+};
+
+/**
+ * SHA-256 digest used to store opaque tokens and recovery codes.
+ *
+ * @param {string} value - The secret value.
+ * @returns {string} The hex digest.
+ */
+export const digest = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Generates a random opaque token.
+ *
+ * @returns {string} 256 bits of randomness, base64url encoded.
+ */
+export const randomToken = () => randomBytes(32).toString('base64url');
+
+/**
+ * Digest under which a recovery code is stored. Case, spaces and dashes are ignored, so
+ * the code matches however the user types it.
+ *
+ * @param {string} code - The code, as handed out or as entered.
+ * @returns {string} The hex digest.
+ */
+export const recoveryCodeDigest = (code) => digest(code.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+/** Recovery codes of the seeded MFA account, for trying the lost-device sign-in. */
+export const SEED_RECOVERY_CODES = Object.freeze(['2fa00-00001', '2fa00-00002', '2fa00-00003']);
+
+const SEED_USERS = [
+    { email: 'admin@interfaceguard.dev', name: 'Ada Admin', roles: ['admin'] },
+    { email: 'manager@interfaceguard.dev', name: 'Max Manager', roles: ['manager'] },
+    { email: 'support@interfaceguard.dev', name: 'Sam Support', roles: ['support'] },
+    { email: 'auditor@interfaceguard.dev', name: 'Alex Auditor', roles: ['auditor'] },
+    { email: 'jane@interfaceguard.dev', name: 'Jane Doe', roles: ['user'], emailVerified: false },
+    {
+        email: 'mfa@interfaceguard.dev',
+        name: 'Morgan Factor',
+        roles: ['user'],
+        totpSecret: 'JBSWY3DPEHPK3PXP',
+        recoveryCodes: SEED_RECOVERY_CODES,
+    },
+];
+
+/** Number of generated directory accounts. */
+export const DIRECTORY_SIZE = 120;
+
+const FIRST_NAMES = ['Avery', 'Blake', 'Casey', 'Devon', 'Emery', 'Finley', 'Harper', 'Jordan', 'Kai', 'Logan',
+    'Morgan', 'Noor', 'Parker', 'Quinn', 'Riley', 'Sasha', 'Taylor', 'Uma', 'Wren', 'Yuki'];
+const LAST_NAMES = ['Adams', 'Bauer', 'Chen', 'Dubois', 'Esposito', 'Fischer', 'Garcia', 'Haddad', 'Ivanova',
+    'Jensen', 'Kowalski', 'Lindqvist', 'Moreau', 'Nakamura', 'Okafor', 'Patel', 'Rossi', 'Silva'];
+const DIRECTORY_ROLES = [['user'], ['user'], ['user'], ['user'], ['support'], ['manager'], ['auditor'], ['admin']];
+const DIRECTORY_LOCALES = ['en-US', 'en-GB', 'fr-FR', 'de-DE', 'es-ES', 'ja-JP'];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Small deterministic PRNG (mulberry32), so generated data is stable across restarts.
+ *
+ * @param {number} seed - The seed.
+ * @returns {() => number} A function returning numbers in `[0, 1)`.
+ */
+const seededRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Generates the seed data of the user directory.
+ *
+ * @param {number} now - Reference time, in milliseconds.
+ * @returns {object[]} Inputs for `createUser`.
+ */
+const generateDirectory = (now) => {
+    const random = seededRandom(2024);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    return Array.from({ length: DIRECTORY_SIZE }, (_, index) => {
+        const first = pick(FIRST_NAMES);
+        const last = pick(LAST_NAMES);
+        const createdAt = now - Math.floor(random() * 720 * DAY);
+        // A tenth never signed in; the others did at some point since their creation.
+        const lastLoginAt = random() < 0.1 ? null : createdAt + Math.floor(random() * (now - createdAt));
+        return {
+            email: `${first}.${last}.${index + 1}@${index % 5 === 4 ? 'globex.test' : 'interfaceguard.dev'}`,
+            name: `${first} ${last}`,
+            roles: pick(DIRECTORY_ROLES),
+            tenantId: index % 5 === 4 ? 'globex' : 'acme',
+            status: random() < 0.12 ? 'suspended' : 'active',
+            locale: DIRECTORY_LOCALES[index % DIRECTORY_LOCALES.length],
+            createdAt: new Date(createdAt).toISOString(),
+            lastLoginAt: lastLoginAt === null ? null : new Date(lastLoginAt).toISOString(),
+        };
+    });
+};
+
+/** Days of audit history generated at start-up. */
+export const AUDIT_HISTORY_DAYS = 90;
+
+const AUDIT_IPS = ['203.0.113.7', '203.0.113.42', '198.51.100.23', '198.51.100.77', '192.0.2.15'];
+
+/**
+ * Generates the audit history of the directory accounts.
+ *
+ * Creations are attributed to an administrator, or to a manager of the same tenant.
+ * Suspended accounts get the change that suspended them, some others a change of roles
+ * or language, and each account signed in a few times up to its last sign-in.
+ *
+ * @param {object[]} users - The stored directory users.
+ * @param {number} now - Reference time, in milliseconds.
+ * @returns {object[]} The events, newest first.
+ */
+const generateAuditLog = (users, now) => {
+    const random = seededRandom(4242);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const start = now - AUDIT_HISTORY_DAYS * DAY;
+    const admins = users.filter((user) => user.roles.includes('admin'));
+    const managers = users.filter((user) => user.roles.includes('manager'));
+    const between = (from, to) => new Date(from + Math.floor(random() * (to - from))).toISOString();
+
+    const events = users.flatMap((user) => {
+        const createdAt = Date.parse(user.createdAt);
+        const actor = pick([...admins, ...managers.filter((manager) => manager.tenantId === user.tenantId)]);
+        const after = userSnapshot(user);
+        const base = { target: auditTarget(user), tenantId: user.tenantId };
+        const changedFrom =
+            user.status === 'suspended' ? { status: 'active' }
+            : user.roles.join() !== 'user' && random() < 0.5 ? { roles: ['user'] }
+            : user.locale !== 'en-US' && random() < 0.3 ? { locale: 'en-US' }
+            : null;
+        const initial = { ...after, ...changedFrom };
+        const history = [];
+
+        if (createdAt >= start) {
+            history.push(
+                createAuditEvent({
+                    ...base,
+                    actor,
+                    action: 'user.create',
+                    after: initial,
+                    ip: pick(AUDIT_IPS),
+                    occurredAt: user.createdAt,
+                })
+            );
+        }
+        if (changedFrom) {
+            history.push(
+                createAuditEvent({
+                    ...base,
+                    actor,
+                    action: 'user.update',
+                    before: initial,
+                    after,
+                    ip: pick(AUDIT_IPS),
+                    occurredAt: between(Math.max(createdAt, start), now),
+                })
+            );
+        }
+
+        const lastLogin = user.lastLoginAt ? Date.parse(user.lastLoginAt) : 0;
+        if (lastLogin >= start) {
+            const earlier = Array.from({ length: Math.floor(random() * 5) }, () =>
+                between(Math.max(createdAt, start), lastLogin)
+            );
+            [...earlier, user.lastLoginAt].forEach((occurredAt) =>
+                history.push(
+                    createAuditEvent({ ...base, actor: user, action: 'auth.login', ip: pick(AUDIT_IPS), occurredAt })
+                )
+            );
+        }
+        return history;
+    });
+
+    return events.sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
+};
+
+/**
+ * Creates a user record.
+ *
+ * `version` starts at 1 and is bumped by every update, for optimistic concurrency. A
+ * `passwordHash` of `null` creates an account nobody can sign in to with a password yet.
+ * `emailVerification` holds the pending link sent to verify the address, if any, and
+ * `passwordReset` the pending link sent to choose a new password.
+ * `passwordHistory` keeps the hashes of previous passwords, newest first.
+ *
+ * @param {{ email: string, name: string, roles: string[], password?: string, passwordHash?: string | null, tenantId?: string, status?: string, locale?: string, emailVerified?: boolean, totpSecret?: string, recoveryCodes?: string[], createdAt?: string, lastLoginAt?: string | null }} input
+ * @returns {object} The stored user.
+ */
+const createUser = ({
+    email,
+    name,
+    roles,
+    password = SEED_PASSWORD,
+    passwordHash,
+    tenantId = 'acme',
+    status = 'active',
+    locale = 'en-US',
+    emailVerified = true,
+    totpSecret = null,
+    recoveryCodes = [],
+    createdAt = new Date().toISOString(),
+    lastLoginAt = null,
+}) => ({
+    id: randomUUID(),
+    email: email.toLowerCase(),
+    name,
+    roles,
+    tenantId,
+    status,
+    locale,
+    avatarUrl: null,
+    emailVerified,
+    emailVerification: null,
+    passwordReset: null,
+    passwordHash: passwordHash === undefined ? hashPassword(password) : passwordHash,
+    passwordHistory: [],
+    version: 1,
+    createdAt,
+    updatedAt: createdAt,
+    lastLoginAt,
+    mfa: {
+        totpSecret,
+        pendingSecret: null,
+        lastCounter: null,
+        recoveryCodes: recoveryCodes.map(recoveryCodeDigest),
+    },
+});
+
+/**
+ * Creates an invitation record, not sent yet: `tokenHash` and `expiresAt` are set when
+ * its link is sent.
+ *
+ * @param {{ email: string, roles: string[], tenantId: string, invitedBy: string, validFor: number, createdAt?: string }} input
+ *        `validFor` is how long each link stays valid, in milliseconds.
+ * @returns {object} The stored invitation.
+ */
+const createInvitation = ({ email, roles, tenantId, invitedBy, validFor, createdAt = new Date().toISOString() }) => ({
+    id: randomUUID(),
+    email: email.toLowerCase(),
+    roles,
+    tenantId,
+    invitedBy,
+    validFor,
+    createdAt,
+    tokenHash: null,
+    expiresAt: createdAt,
+    lastSentAt: null,
+    sendCount: 0,
+    acceptedAt: null,
+    revokedAt: null,
+    userId: null,
+});
+
+/**
+ * Seeded invitations, relative to `now`: one open, one expired.
+ *
+ * @param {object} admin - The administrator who sent them.
+ * @param {number} now - Reference time, in milliseconds.
+ * @returns {object[]} The invitations.
+ */
+const seedInvitations = (admin, now) =>
+    [
+        { email: 'new.hire@interfaceguard.dev', roles: ['user'], sentDaysAgo: 1 },
+        { email: 'contractor@interfaceguard.dev', roles: ['support'], sentDaysAgo: 10 },
+    ].map(({ email, roles, sentDaysAgo }) => {
+        const sentAt = new Date(now - sentDaysAgo * DAY).toISOString();
+        return {
+            ...createInvitation({
+                email,
+                roles,
+                tenantId: admin.tenantId,
+                invitedBy: admin.id,
+                validFor: 7 * DAY,
+                createdAt: sentAt,
+            }),
+            tokenHash: digest(randomToken()),
+            expiresAt: new Date(Date.parse(sentAt) + 7 * DAY).toISOString(),
+            lastSentAt: sentAt,
+            sendCount: 1,
+        };
+    });
+
+/**
+ * Creates a store seeded with the default accounts.
+ *
+ * @returns {object} The store: raw collections plus lookup helpers.
+ */
+export const createMockDb = () => {
+    const users = new Map();
+    const sessions = new Map();
+    const mfaChallenges = new Map();
+    const passkeys = new Map();
+    const webauthnChallenges = new Map();
+    const policy = { roles: structuredClone(MOCK_POLICY), version: 1, updatedAt: new Date().toISOString() };
+
+    // scrypt is slow on purpose: hash the shared seed password once.
+    const passwordHash = hashPassword(SEED_PASSWORD);
+    const now = Date.now();
+    const seeded = [...SEED_USERS, ...generateDirectory(now)].map((seed) => {
+        const user = createUser({ ...seed, passwordHash });
+        users.set(user.id, user);
+        return user;
+    });
+    const auditEvents = generateAuditLog(seeded.slice(SEED_USERS.length), now);
+    const invitations = new Map(seedInvitations(seeded[0], now).map((invitation) => [invitation.id, invitation]));
+
+    return {
+        users,
+        sessions,
+        mfaChallenges,
+        passkeys,
+        webauthnChallenges,
+        policy,
+        auditEvents,
+        invitations,
+        createUser: (input) => {
+            const user = createUser(input);
+            users.set(user.id, user);
+            return user;
+        },
+        createInvitation: (input) => {
+            const invitation = createInvitation(input);
+            invitations.set(invitation.id, invitation);
+            return invitation;
+        },
+        findUserByEmail: (email) =>
+            [...users.values()].find((user) => user.email === String(email).trim().toLowerCase()),
+    };
+};
+
+/**
+ * Public view of a user, as returned by `GET /auth/me`.
+ *
+ * @param {object} user - The stored user.
+ * @returns {object} The `AuthUser`.
+ */
+export const toAuthUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    tenantId: user.tenantId,
+    ...(user.avatarUrl ? { avatarUrl: user.avatarUrl } : {}),
+    emailVerified: user.emailVerified,
+    mfaEnabled: user.mfa.totpSecret !== null,
+});
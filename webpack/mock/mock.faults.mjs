@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * @file mock.faults.mjs
+ * @description Latency and error injection for the mock API
+ *
+ * @details
+ * Wraps a router so its answers arrive late, or not at all, the way a real backend on a
+ * real network misbehaves. This shows loading states, timeouts and error handling in the
+ * browser without touching the handlers.
+ *
+ * - `latency`: every request waits `{ min, max }` milliseconds (chosen uniformly).
+ * - `errorRate`: fraction of requests, between `0` and `1`, answered with a random
+ *   `500`, `502`, `503` or `504` instead of reaching their handler.
+ * - `faults`: rules `{ method, path, status }` always failing the requests they match.
+ *   `method` may be `*`, and `path` may end with `*` to match every path under it.
+ *
+ * A single request can also ask for a fault with the `X-Mock-Fault: <status>` header, and
+ * for a delay with `X-Mock-Latency: <milliseconds>`, e.g. from a test or a browser
+ * extension rewriting headers. Statuses outside `400`-`599` and delays that are not
+ * non-negative numbers are ignored. Injected errors carry the `MOCK_FAULT` code.
+ *
+ * @usage
+ * - Dev server: `MOCK_API_LATENCY=200-800`, `MOCK_API_ERROR_RATE=0.1`,
+ *   `MOCK_API_FAULTS="POST /users=500, GET /audit/*=503"`.
+ * - Scripts and tests: `createMockApi({ latency: { min: 50, max: 50 }, faults: [...] })`.
+ */
+
+import { MockHttpError, errorResponse } from './mock.http.mjs';
+
+const RANDOM_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Parses a latency such as `300` or `200-800`.
+ *
+ * @param {string | undefined} value - Milliseconds, or a range of milliseconds.
+ * @returns {{ min: number, max: number } | null} The range, `null` when there is none.
+ * @throws {Error} When the value is malformed.
+ */
+export const parseLatency = (value) => {
+    if (!value || value.trim() === '' || value.trim() === '0') {
+        return null;
+    }
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(value);
+    if (!match) {
+        throw new Error(`MOCK_API_LATENCY must be milliseconds or a range such as 200-800, got "${value}".`);
+    }
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[2]);
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+/**
+ * Parses fault rules such as `POST /users=500, GET /audit/*=503`.
+ *
+ * @param {string | undefined} value - Comma-separated `METHOD PATH=STATUS` rules.
+ * @returns {{ method: string, path: string, status: number }[]} The rules.
+ * @throws {Error} When a rule is malformed.
+ */
+export const parseFaults = (value) =>
+    (value ?? '')
+        .split(',')
+        .map((rule) => rule.trim())
+        .filter(Boolean)
+        .map((rule) => {
+            const match = /^(\*|[A-Z]+)\s+(\/\S*)\s*=\s*([45]\d\d)$/i.exec(rule);
+            if (!match) {
+                throw new Error(`MOCK_API_FAULTS rules look like "POST /users=500", got "${rule}".`);
+            }
+            return { method: match[1].toUpperCase(), path: match[2], status: Number(match[3]) };
+        });
+
+/**
+ * Reads the fault options from the environment of the dev server.
+ *
+ * @param {Record<string, string | undefined>} raw - Environment variables.
+ * @returns {{ latency: { min: number, max: number } | null, errorRate: number, faults: object[] }}
+ */
+export const faultOptionsFromEnv = (raw) => {
+    const errorRate = Number(raw.MOCK_API_ERROR_RATE ?? 0);
+    if (!Number.isFinite(errorRate) || errorRate < 0 || errorRate > 1) {
+        throw new Error(`MOCK_API_ERROR_RATE must be between 0 and 1, got "${raw.MOCK_API_ERROR_RATE}".`);
+    }
+    return {
+        latency: parseLatency(raw.MOCK_API_LATENCY),
+        errorRate,
+        faults: parseFaults(raw.MOCK_API_FAULTS),
+    };
+};
+
+/**
+ * Tells whether a rule applies to a request.
+ *
+ * @param {{ method: string, path: string }} rule - The rule.
+ * @param {{ method: string, path: string }} request - The mock request.
+ * @returns {boolean}
+ */
+const matches = (rule, request) =>
+    (rule.method === '*' || rule.method === request.method) &&
+    (rule.path.endsWith('*') ? request.path.startsWith(rule.path.slice(0, -1)) : rule.path === request.path);
+
+/**
+ * Reads the `X-Mock-Fault` header of a request. Like the `MOCK_API_FAULTS` rules, only
+ * `4xx` and `5xx` statuses are faults; anything else is ignored.
+ *
+ * @param {string | undefined} value - The header.
+ * @returns {number} The status, `0` when there is none.
+ */
+const faultFromHeader = (value) => {
+    const status = Number(value);
+    return Number.isInteger(status) && status >= 400 && status <= 599 ? status : 0;
+};
+
+/**
+ * Reads the `X-Mock-Latency` header of a request.
+ *
+ * @param {string | undefined} value - The header, in milliseconds.
+ * @returns {number | null} The delay, `null` when the header is missing or is not a finite,
+ * non-negative number.
+ */
+const latencyFromHeader = (value) => {
+    const delay = value === undefined || value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(delay) && delay >= 0 ? delay : null;
+};
+
+/**
+ * Wraps a router with latency and error injection. Without any option, only requests
+ * carrying the `X-Mock-*` headers are affected.
+ *
+ * @param {{ handle: Function }} router - The router.
+ * @param {{ latency?: { min: number, max: number } | null, errorRate?: number, faults?: object[],
+ *           random?: () => number }} [options] - What to inject; `random` replaces `Math.random`.
+ * @returns {{ handle: Function }} The router.
+ */
+export const withFaults = (router, { latency = null, errorRate = 0, faults = [], random = Math.random } = {}) => ({
+    handle: async (request) => {
+        const headers = request.headers ?? {};
+        const delay =
+            latencyFromHeader(headers['x-mock-latency']) ??
+            (latency && latency.min + Math.round(random() * (latency.max - latency.min)));
+        if (delay > 0) {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        const status =
+            faultFromHeader(headers['x-mock-fault']) ||
+            faults.find((rule) => matches(rule, request))?.status ||
+            (errorRate > 0 && random() < errorRate
+                ? RANDOM_STATUSES[Math.floor(random() * RANDOM_STATUSES.length)]
+                : 0);
+        if (status) {
+            return errorResponse(
+                new MockHttpError(status, 'MOCK_FAULT', `Fault injected by the mock API (HTTP ${status}).`)
+            );
+        }
+        return router.handle(request);
+    },
+});
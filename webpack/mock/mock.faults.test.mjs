@@ -0,0 +1,168 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { faultOptionsFromEnv, parseFaults, parseLatency, withFaults } from './mock.faults.mjs';
+import { json } from './mock.http.mjs';
+
+/**
+ * Router answering every request with `200`, counting the requests reaching it.
+ */
+const createEchoRouter = () => {
+    const router = {
+        calls: 0,
+        handle: async (request) => {
+            router.calls++;
+            return json(200, { path: request.path });
+        },
+    };
+    return router;
+};
+
+const request = (method, path, headers = {}) => ({ method, path, headers, query: {} });
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('parseLatency', () => {
+    it('reads a fixed delay or a range', () => {
+        expect(parseLatency('300')).toEqual({ min: 300, max: 300 });
+        expect(parseLatency(' 200 - 800 ')).toEqual({ min: 200, max: 800 });
+        expect(parseLatency('800-200')).toEqual({ min: 200, max: 800 });
+    });
+
+    it('reads no latency from an empty value or zero', () => {
+        expect(parseLatency(undefined)).toBeNull();
+        expect(parseLatency(' ')).toBeNull();
+        expect(parseLatency('0')).toBeNull();
+    });
+
+    it('rejects anything else', () => {
+        expect(() => parseLatency('fast')).toThrow(/MOCK_API_LATENCY/);
+        expect(() => parseLatency('-200')).toThrow(/MOCK_API_LATENCY/);
+    });
+});
+
+describe('parseFaults', () => {
+    it('reads comma-separated rules', () => {
+        expect(parseFaults('POST /users=500, get /audit/*=503,* /auth/login = 429')).toEqual([
+            { method: 'POST', path: '/users', status: 500 },
+            { method: 'GET', path: '/audit/*', status: 503 },
+            { method: '*', path: '/auth/login', status: 429 },
+        ]);
+        expect(parseFaults(undefined)).toEqual([]);
+    });
+
+    it('rejects malformed rules and statuses that are not errors', () => {
+        expect(() => parseFaults('/users=500')).toThrow(/MOCK_API_FAULTS/);
+        expect(() => parseFaults('GET /users=200')).toThrow(/MOCK_API_FAULTS/);
+    });
+});
+
+describe('faultOptionsFromEnv', () => {
+    it('injects nothing by default', () => {
+        expect(faultOptionsFromEnv({})).toEqual({ latency: null, errorRate: 0, faults: [] });
+    });
+
+    it('rejects an error rate outside [0, 1]', () => {
+        expect(() => faultOptionsFromEnv({ MOCK_API_ERROR_RATE: '1.5' })).toThrow(/MOCK_API_ERROR_RATE/);
+        expect(() => faultOptionsFromEnv({ MOCK_API_ERROR_RATE: 'often' })).toThrow(/MOCK_API_ERROR_RATE/);
+    });
+});
+
+describe('withFaults', () => {
+    it('passes requests through without options', async () => {
+        const router = createEchoRouter();
+
+        await expect(withFaults(router).handle(request('GET', '/users'))).resolves.toEqual(
+            json(200, { path: '/users' })
+        );
+    });
+
+    it('fails the requests matching a rule, before they reach the handler', async () => {
+        const router = createEchoRouter();
+        const faulty = withFaults(router, {
+            faults: [
+                { method: 'POST', path: '/users', status: 500 },
+                { method: '*', path: '/audit/*', status: 503 },
+            ],
+        });
+
+        expect((await faulty.handle(request('POST', '/users'))).status).toBe(500);
+        expect((await faulty.handle(request('GET', '/audit/events'))).status).toBe(503);
+        expect((await faulty.handle(request('GET', '/users'))).status).toBe(200);
+        expect((await faulty.handle(request('POST', '/users/u1'))).status).toBe(200);
+        expect(router.calls).toBe(2);
+    });
+
+    it('answers injected faults with the MOCK_FAULT code', async () => {
+        const response = await withFaults(createEchoRouter()).handle(
+            request('GET', '/users', { 'x-mock-fault': '502' })
+        );
+
+        expect(response.status).toBe(502);
+        expect(response.body.code).toBe('MOCK_FAULT');
+    });
+
+    it('ignores fault headers that are not error statuses', async () => {
+        const router = createEchoRouter();
+        const faulty = withFaults(router);
+
+        for (const value of ['200', '302', '700', '-5', '503.5', 'oops', '']) {
+            expect((await faulty.handle(request('GET', '/users', { 'x-mock-fault': value }))).status).toBe(200);
+        }
+        expect(router.calls).toBe(7);
+    });
+
+    it('fails the given fraction of requests with a server error', async () => {
+        const draws = [0.05, 0.99, 0.5];
+        const faulty = withFaults(createEchoRouter(), { errorRate: 0.1, random: () => draws.shift() });
+
+        expect((await faulty.handle(request('GET', '/users'))).status).toBe(504);
+        expect((await faulty.handle(request('GET', '/users'))).status).toBe(200);
+    });
+
+    it('delays answers within the latency range', async () => {
+        vi.useFakeTimers();
+        const faulty = withFaults(createEchoRouter(), { latency: { min: 200, max: 800 }, random: () => 0.5 });
+        let answered = false;
+        const response = faulty.handle(request('GET', '/users')).then((answer) => {
+            answered = true;
+            return answer;
+        });
+
+        await vi.advanceTimersByTimeAsync(499);
+        expect(answered).toBe(false);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(answered).toBe(true);
+        expect((await response).status).toBe(200);
+    });
+
+    it('lets a request ask for its own delay', async () => {
+        vi.useFakeTimers();
+        const faulty = withFaults(createEchoRouter(), { latency: { min: 800, max: 800 } });
+        let answered = false;
+        faulty.handle(request('GET', '/users', { 'x-mock-latency': '0' })).then(() => {
+            answered = true;
+        });
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(answered).toBe(true);
+    });
+
+    it('ignores latency headers that are not non-negative numbers', async () => {
+        vi.useFakeTimers();
+        const faulty = withFaults(createEchoRouter(), { latency: { min: 300, max: 300 } });
+
+        for (const value of ['-5', 'Infinity', 'soon', '']) {
+            let answered = false;
+            faulty.handle(request('GET', '/users', { 'x-mock-latency': value })).then(() => {
+                answered = true;
+            });
+
+            await vi.advanceTimersByTimeAsync(299);
+            expect(answered).toBe(false);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(answered).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,11 @@
+/**
+ * @file mock.fetch.d.mts
+ * @description Types of `mock.fetch.mjs`, for the TypeScript tests of the client
+ */
+
+import type { MockRouter } from './mock.api.mjs';
+
+export declare const createMockFetch: (
+    mounts: Record<string, MockRouter>,
+    options?: { origin?: string; ip?: string }
+) => (input: RequestInfo | URL, init?: RequestInit) => Promise<Response>;
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * @file mock.fetch.mjs
+ * @description `fetch` backed by the mock API, for unit tests
+ *
+ * @details
+ * Lets tests of the client code run against the real mock handlers without starting a
+ * server: stub the global `fetch` with the function returned by `createMockFetch`, and
+ * every request to the mounted prefixes is answered by the matching router, in process.
+ * Requests elsewhere fail like an unreachable server does, with a `TypeError`, and an
+ * aborted `signal` rejects with its reason, as `fetch` does.
+ *
+ * Each call of `createMockApi` (see `mock.api.mjs`) starts from a freshly seeded store, so
+ * tests stay independent of each other; `api.db` can be read or changed to arrange and
+ * assert.
+ *
+ * @usage
+ * const api = createMockApi({ latency: null });
+ * globalThis.fetch = createMockFetch({ '/api': api.router, '/oidc': api.idpRouter });
+ * const response = await fetch('/api/auth/login', { method: 'POST', body: JSON.stringify(credentials) });
+ */
+
+import { errorResponse, parseBody, serialiseResponse } from './mock.http.mjs';
+
+/**
+ * Answers a request from the router mounted on its prefix.
+ *
+ * @param {{ prefix: string, router: { handle: Function } }} mount - The matching mount.
+ * @param {Request} request - The request.
+ * @param {string} ip - The client address seen by the handlers.
+ * @returns {Promise<Response>} The response.
+ */
+const answerWith = async ({ prefix, router }, request, ip) => {
+    const url = new URL(request.url);
+    const headers = Object.fromEntries(request.headers);
+    headers.host ??= url.host;
+    let response;
+    try {
+        response = await router.handle({
+            method: request.method,
+            path: url.pathname.slice(new URL(prefix).pathname.replace(/\/$/, '').length) || '/',
+            query: Object.fromEntries(url.searchParams),
+            headers,
+            body: parseBody(await request.text(), headers['content-type']),
+            ip,
+        });
+    } catch (error) {
+        response = errorResponse(error);
+    }
+
+    const { status, headers: wire, payload } = serialiseResponse(response);
+    return new Response(payload, { status, headers: wire });
+};
+
+/**
+ * Creates a `fetch` function answering from mock routers.
+ *
+ * @param {Record<string, { handle: Function }>} mounts - Routers by URL prefix, e.g.
+ * `{ '/api': api.router }`. Prefixes may be paths, resolved against `origin`, or URLs.
+ * @param {{ origin?: string, ip?: string }} [options] - Origin of relative URLs and of the
+ * prefixes, and the client address seen by the handlers.
+ * @returns {(input: RequestInfo | URL, init?: RequestInit) => Promise<Response>} The function.
+ */
+export const createMockFetch = (mounts, { origin = 'http://localhost', ip = '127.0.0.1' } = {}) => {
+    const table = Object.entries(mounts).map(([prefix, router]) => ({
+        prefix: new URL(prefix, origin).href.replace(/\/+$/, ''),
+        router,
+    }));
+
+    return async (input, init) => {
+        const request = new Request(new URL(input instanceof Request ? input.url : input, origin), init);
+        const mount = table.find(({ prefix }) => request.url === prefix || request.url.startsWith(`${prefix}/`));
+        if (!mount) {
+            throw new TypeError(`Failed to fetch ${request.url}: no mock is mounted there.`);
+        }
+
+        const { signal } = request;
+        signal.throwIfAborted();
+        const answer = answerWith(mount, request, ip);
+        // Like `fetch`, give up as soon as the signal is aborted, even if the handler goes on.
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(signal.reason);
+            signal.addEventListener('abort', abort, { once: true });
+            answer.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+        });
+    };
+};
@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import { createMockApi } from './mock.api.mjs';
+import { createMockFetch } from './mock.fetch.mjs';
+
+const credentials = { email: 'admin@interfaceguard.dev', password: 'ChangeMe!2024' };
+
+let api;
+let mockFetch;
+
+beforeEach(() => {
+    api = createMockApi();
+    mockFetch = createMockFetch({ '/api': api.router, '/oidc': api.idpRouter });
+});
+
+const login = () =>
+    mockFetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+    });
+
+describe('createMockFetch', () => {
+    it('answers relative URLs from the router mounted on their prefix', async () => {
+        const response = await login();
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toMatch(/application\/json/);
+        expect(await response.json()).toMatchObject({ user: { email: credentials.email } });
+    });
+
+    it('accepts absolute URLs and Request objects on the origin', async () => {
+        const response = await login();
+        const { accessToken } = await response.json();
+        const headers = { Authorization: `Bearer ${accessToken}` };
+
+        expect((await mockFetch('http://localhost/api/auth/me', { headers })).status).toBe(200);
+        expect((await mockFetch(new Request('http://localhost/api/auth/me'), { headers })).status).toBe(200);
+    });
+
+    it('strips the prefix before routing', async () => {
+        const response = await mockFetch('/api/no-such-route');
+
+        expect(response.status).toBe(404);
+        expect((await mockFetch('/api/auth/me')).status).toBe(401);
+    });
+
+    it('fails like an unreachable server outside the mounted prefixes', async () => {
+        await expect(mockFetch('/apis/auth/me')).rejects.toThrow(TypeError);
+        await expect(mockFetch('https://example.com/api/auth/me')).rejects.toThrow(TypeError);
+    });
+
+    it('resolves prefixes against the given origin', async () => {
+        const remote = createMockFetch({ '/api': api.router }, { origin: 'https://app.example.com' });
+
+        expect((await remote('/api/auth/me')).status).toBe(401);
+        await expect(remote('http://localhost/api/auth/me')).rejects.toThrow(TypeError);
+    });
+
+    it('starts every mock API from a fresh store', async () => {
+        api.db.users.clear();
+        expect((await login()).status).toBe(401);
+
+        mockFetch = createMockFetch({ '/api': createMockApi().router });
+        expect((await login()).status).toBe(200);
+    });
+
+    it('answers injected faults like the server would', async () => {
+        const faults = [{ method: '*', path: '/auth/*', status: 503 }];
+        const faulty = createMockFetch({ '/api': createMockApi({ faults }).router });
+        const response = await faulty('/api/auth/me');
+
+        expect(response.status).toBe(503);
+        expect(await response.json()).toMatchObject({ code: 'MOCK_FAULT' });
+    });
+
+    it('rejects with the reason of an aborted signal, like fetch', async () => {
+        const controller = new AbortController();
+        const slow = mockFetch('/api/auth/me', { headers: { 'X-Mock-Latency': '200' }, signal: controller.signal });
+        controller.abort();
+
+        await expect(slow).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(mockFetch('/api/auth/me', { signal: AbortSignal.abort(new Error('gone')) })).rejects.toThrow(
+            'gone'
+        );
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * @file mock.http.mjs
+ * @description Request and response helpers shared by the mock API handlers
+ *
+ * @details
+ * Mock handlers never touch the Node.js `req`/`res` objects. They receive a plain
+ * request object and return a plain response object, which keeps them independent of
+ * webpack-dev-server and lets them be called directly from scripts and tests.
+ *
+ * A handler either returns `{ status, body?, text?, headers? }` or throws a
+ * `MockHttpError`, which is answered with the `{ code, message, details? }` body the
+ * real API uses. `body` is sent as JSON, `text` as is with its own `Content-Type`.
+ *
+ * @usage
+ * - `json(200, user)` / `noContent()` / `html(200, markup)` / `redirect(url)` to build responses.
+ * - `throw new MockHttpError(401, 'INVALID_CREDENTIALS', 'Invalid email or password.')`.
+ */
+
+/**
+ * Error thrown by handlers to answer with a non-2xx status.
+ */
+export class MockHttpError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'MockHttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Builds a JSON response.
+ *
+ * @param {number} status - HTTP status.
+ * @param {unknown} body - JSON-serialisable body.
+ * @param {Record<string, string>} [headers] - Extra response headers.
+ * @returns {{ status: number, body: unknown, headers?: Record<string, string> }}
+ */
+export const json = (status, body, headers) => ({ status, body, headers });
+
+/**
+ * Builds an empty `204 No Content` response.
+ *
+ * @returns {{ status: number }}
+ */
+export const noContent = () => ({ status: 204 });
+
+/**
+ * Builds an HTML response.
+ *
+ * @param {number} status - HTTP status.
+ * @param {string} markup - The document.
+ * @returns {{ status: number, text: string, headers: Record<string, string> }}
+ */
+export const html = (status, markup) => ({
+    status,
+    text: markup,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+});
+
+/**
+ * Builds a `302 Found` redirect.
+ *
+ * @param {string} location - The target URL.
+ * @returns {{ status: number, headers: Record<string, string> }}
+ */
+export const redirect = (location) => ({ status: 302, headers: { Location: location } });
+
+/**
+ * Escapes text for interpolation into HTML.
+ *
+ * @param {unknown} value - The text.
+ * @returns {string} The escaped text.
+ */
+export const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Origin of the application as seen by the browser that sent `request`. Behind the dev
+ * server the API shares the application's origin.
+ *
+ * @param {{ headers?: Record<string, string> }} request - The mock request.
+ * @returns {string} The origin, e.g. `http://localhost:5114`.
+ */
+export const originFor = (request) => {
+    const protocol = request.headers?.['x-forwarded-proto'] ?? 'http';
+    const host = request.headers?.host ?? 'localhost';
+    return `${protocol}://${host}`;
+};
+
+/**
+ * Returns the value of `field` in the request body, or throws a `400` when it is not a
+ * non-empty string.
+ *
+ * @param {{ body?: Record<string, unknown> }} request - The mock request.
+ * @param {string} field - Body field name.
+ * @returns {string} The field value.
+ * @throws {MockHttpError} When the field is missing.
+ */
+export const requireField = (request, field) => {
+    const value = request.body?.[field];
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new MockHttpError(400, 'VALIDATION_FAILED', `"${field}" is required.`, {
+            fields: { [field]: 'required' },
+        });
+    }
+    return value;
+};
+
+/**
+ * Parses a request body. Form submissions (`application/x-www-form-urlencoded`) become
+ * plain objects; anything else is parsed as JSON.
+ *
+ * @param {string} text - The raw body.
+ * @param {string | undefined} contentType - The `Content-Type` of the request.
+ * @returns {unknown} The parsed body, `undefined` when empty.
+ * @throws {MockHttpError} When the body is not valid JSON.
+ */
+export const parseBody = (text, contentType) => {
+    if (text === '') {
+        return undefined;
+    }
+    if (String(contentType).startsWith('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new MockHttpError(400, 'INVALID_JSON', 'The request body is not valid JSON.');
+    }
+};
+
+/**
+ * Reads and parses a request body from a Node.js request stream (see `parseBody`).
+ *
+ * @param {import('http').IncomingMessage} req - The incoming request.
+ * @returns {Promise<unknown>} The parsed body, `undefined` when empty.
+ * @throws {MockHttpError} When the body is not valid JSON.
+ */
+export const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return parseBody(Buffer.concat(chunks).toString('utf8'), req.headers['content-type']);
+};
+
+/**
+ * Turns a mock response into what goes on the wire: status, headers and body text.
+ *
+ * @param {{ status: number, body?: unknown, text?: string, headers?: Record<string, string> }} response
+ * @returns {{ status: number, headers: Record<string, string>, payload: string | null }}
+ */
+export const serialiseResponse = ({ status, body, text, headers = {} }) => {
+    const wire = { 'Cache-Control': 'no-store', ...headers };
+    if (text !== undefined) {
+        return { status, headers: wire, payload: text };
+    }
+    if (body === undefined || status === 204) {
+        return { status, headers: wire, payload: null };
+    }
+    return {
+        status,
+        headers: { ...wire, 'Content-Type': 'application/json; charset=utf-8' },
+        payload: JSON.stringify(body),
+    };
+};
+
+/**
+ * Writes a mock response to a Node.js response object.
+ *
+ * @param {import('http').ServerResponse} res - The outgoing response.
+ * @param {{ status: number, body?: unknown, text?: string, headers?: Record<string, string> }} response
+ */
+export const writeResponse = (res, response) => {
+    const { status, headers, payload } = serialiseResponse(response);
+    res.statusCode = status;
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(payload ?? undefined);
+};
+
+/**
+ * Converts anything thrown by a handler into an error response.
+ *
+ * @param {unknown} error - The thrown value.
+ * @returns {{ status: number, body: { code: string, message: string, details?: unknown } }}
+ */
+export const errorResponse = (error) => {
+    if (error instanceof MockHttpError) {
+        return json(error.status, { code: error.code, message: error.message, details: error.details });
+    }
+    console.error('[mock-api]', error);
+    return json(500, { code: 'INTERNAL_ERROR', message: 'The mock API failed to handle the request.' });
+};
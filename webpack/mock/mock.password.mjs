@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * @file mock.password.mjs
+ * @description Password policy enforced by the mock API
+ *
+ * @details
+ * Mirrors `src/services/password/password.policy.ts`, so the API refuses exactly what
+ * the strength meter flags, with the same codes in `details.fields`:
+ * `too_short`, `too_long`, `missing_lower`, `missing_upper`, `missing_digit`,
+ * `missing_symbol`, `blocked_word`, `personal_info`, `breached` and `reused`.
+ *
+ * The policy comes from the `INTERFACE_GUARD_PASSWORD_*` variables the browser build
+ * reads. Breached passwords are looked up in the list bundled with the application
+ * (`src/assets/data/breached-passwords.json`). Each user keeps the hashes of their
+ * previous passwords in `passwordHistory`, newest first, for the `reused` rule.
+ *
+ * @usage
+ * const code = checkNewPassword(context.passwordPolicy, newPassword, { user, userInputs: [user.name, user.email] });
+ * if (!code) setPassword(context.passwordPolicy, user, newPassword);
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { hashPassword, verifyPassword } from './mock.db.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BREACHED_PASSWORDS = path.resolve(__dirname, '../../src/assets/data/breached-passwords.json');
+
+/** Policy used when the environment does not configure one. */
+export const DEFAULT_PASSWORD_POLICY = Object.freeze({
+    minLength: 12,
+    maxLength: 128,
+    requiredClasses: [],
+    history: 5,
+    blockedWords: ['interfaceguard', 'password', 'qwerty', 'letmein', 'welcome'],
+    breachCheck: true,
+});
+
+const CHARACTER_CLASSES = {
+    lower: /\p{Ll}/u,
+    upper: /\p{Lu}/u,
+    digit: /\p{Nd}/u,
+    symbol: /[^\p{L}\p{Nd}]/u,
+};
+
+const SUBSTITUTIONS = { 0: 'o', 1: 'l', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+const MIN_PERSONAL_PART = 3;
+
+/**
+ * Reads the policy from the client environment.
+ *
+ * @param {Record<string, string>} raw - `getClientEnvironment(...).raw`.
+ * @returns {object} The policy, in the shape of the client's `PasswordPolicy`.
+ */
+export const passwordPolicyFromEnv = (raw) => {
+    const list = (value) =>
+        String(value ?? '')
+            .split(',')
+            .map((item) => item.trim().toLowerCase())
+            .filter(Boolean);
+    const number = (value, fallback) => {
+        const parsed = Number.parseInt(value, 10);
+        return Number.isNaN(parsed) ? fallback : parsed;
+    };
+    return Object.freeze({
+        minLength: number(raw.INTERFACE_GUARD_PASSWORD_MIN_LENGTH, DEFAULT_PASSWORD_POLICY.minLength),
+        maxLength: number(raw.INTERFACE_GUARD_PASSWORD_MAX_LENGTH, DEFAULT_PASSWORD_POLICY.maxLength),
+        requiredClasses: list(raw.INTERFACE_GUARD_PASSWORD_REQUIRED_CLASSES).filter((name) =>
+            Object.hasOwn(CHARACTER_CLASSES, name)
+        ),
+        history: number(raw.INTERFACE_GUARD_PASSWORD_HISTORY, DEFAULT_PASSWORD_POLICY.history),
+        blockedWords: list(raw.INTERFACE_GUARD_PASSWORD_BLOCKED_WORDS),
+        breachCheck: raw.INTERFACE_GUARD_PASSWORD_BREACH_CHECK !== 'false',
+    });
+};
+
+let breached = null;
+
+/**
+ * Tells whether a password is in the bundled breached-password list, read once.
+ *
+ * @param {string} password - The candidate.
+ * @returns {boolean} Whether it is listed, ignoring case.
+ */
+export const isBreachedPassword = (password) => {
+    if (breached === null) {
+        const { digestLength, hashes } = JSON.parse(fs.readFileSync(BREACHED_PASSWORDS, 'utf8'));
+        breached = { digestLength, hashes: new Set(hashes) };
+    }
+    const hex = createHash('sha256').update(password.toLowerCase()).digest('hex');
+    return breached.hashes.has(hex.slice(0, breached.digestLength));
+};
+
+/**
+ * Tells whether a password is the current or one of the previous passwords of a user,
+ * as far back as the policy remembers.
+ *
+ * @param {object} policy - The password policy.
+ * @param {object} user - The stored user.
+ * @param {string} password - The candidate.
+ * @returns {boolean} Whether it was used before.
+ */
+const isReusedPassword = (policy, user, password) =>
+    [user.passwordHash, ...(user.passwordHistory ?? [])]
+        .filter(Boolean)
+        .slice(0, policy.history)
+        .some((hash) => verifyPassword(password, hash));
+
+/**
+ * Checks a new password against the policy.
+ *
+ * @param {object} policy - The password policy.
+ * @param {string} password - The candidate.
+ * @param {{ user?: object, userInputs?: string[] }} [options] - The user whose password
+ *        changes, for the history, and their name and email address.
+ * @returns {string | null} Code of the first broken rule, `null` when it is accepted.
+ */
+export const checkNewPassword = (policy, password, { user = null, userInputs = [] } = {}) => {
+    const length = [...password].length;
+    const lower = password.toLowerCase();
+    const normalised = [...lower].map((character) => SUBSTITUTIONS[character] ?? character).join('');
+    const contains = (part) => lower.includes(part) || normalised.includes(part);
+    const personal = userInputs
+        .filter(Boolean)
+        .flatMap((input) => input.toLowerCase().split('@')[0].split(/[\s._+-]+/))
+        .filter((part) => part.length >= MIN_PERSONAL_PART);
+
+    if (length < policy.minLength) return 'too_short';
+    if (length > policy.maxLength) return 'too_long';
+    const missing = policy.requiredClasses.find((name) => !CHARACTER_CLASSES[name].test(password));
+    if (missing) return `missing_${missing}`;
+    if (policy.blockedWords.some(contains)) return 'blocked_word';
+    if (personal.some(contains)) return 'personal_info';
+    if (policy.breachCheck && isBreachedPassword(password)) return 'breached';
+    if (user && policy.history > 0 && isReusedPassword(policy, user, password)) return 'reused';
+    return null;
+};
+
+/**
+ * Replaces the password of a user, remembering the previous one for the `reused` rule.
+ *
+ * @param {object} policy - The password policy.
+ * @param {object} user - The stored user.
+ * @param {string} password - The new, already checked, password.
+ */
+export const setPassword = (policy, user, password) => {
+    if (user.passwordHash) {
+        // The current password counts as one of the last `history` ones.
+        user.passwordHistory = [user.passwordHash, ...(user.passwordHistory ?? [])].slice(
+            0,
+            Math.max(policy.history - 1, 0)
+        );
+    }
+    user.passwordHash = hashPassword(password);
+    user.updatedAt = new Date().toISOString();
+};
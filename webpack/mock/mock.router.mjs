@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * @file mock.router.mjs
+ * @description Minimal route table for the mock API
+ *
+ * @details
+ * Routes are `{ method, path, handler }` objects. `path` may contain `:name` segments,
+ * which are passed to the handler in `request.params`. The router resolves a plain
+ * request object to a plain response object; `createMockMiddleware` adapts it to the
+ * `(req, res, next)` signature of webpack-dev-server middlewares.
+ *
+ * @usage
+ * const router = createRouter([{ method: 'GET', path: '/users/:id', handler }]);
+ * const response = await router.handle({ method: 'GET', path: '/users/42', headers: {} });
+ */
+
+import { MockHttpError, errorResponse, readBody, writeResponse } from './mock.http.mjs';
+
+/**
+ * Compiles a route path such as `/users/:id` into a regular expression.
+ *
+ * @param {string} path - The route path.
+ * @returns {{ pattern: RegExp, keys: string[] }}
+ */
+const compilePath = (path) => {
+    const keys = [];
+    const source = path
+        .split('/')
+        .map((segment) => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { pattern: new RegExp(`^${source}/?$`), keys };
+};
+
+/**
+ * Creates a router for the given routes.
+ *
+ * @param {{ method: string, path: string, handler: Function }[]} routes - The route table.
+ * @returns {{ handle: (request: object) => Promise<object> }} The router.
+ */
+export const createRouter = (routes) => {
+    const compiled = routes.map((route) => ({ ...route, ...compilePath(route.path) }));
+
+    const handle = async (request) => {
+        const candidates = compiled
+            .map((route) => ({ route, match: route.pattern.exec(request.path) }))
+            .filter(({ match }) => match);
+
+        const found = candidates.find(({ route }) => route.method === request.method);
+        try {
+            if (!found) {
+                throw candidates.length > 0
+                    ? new MockHttpError(405, 'METHOD_NOT_ALLOWED', `${request.method} is not allowed here.`)
+                    : new MockHttpError(404, 'NOT_FOUND', `No mock route for ${request.path}.`);
+            }
+            const params = Object.fromEntries(
+                found.route.keys.map((key, index) => [key, decodeURIComponent(found.match[index + 1])])
+            );
+            return await found.route.handler({ ...request, params });
+        } catch (error) {
+            return errorResponse(error);
+        }
+    };
+
+    return { handle };
+};
+
+/**
+ * Adapts a router to a Node.js middleware.
+ *
+ * The middleware expects to be mounted under a prefix (e.g. `/api`), so `req.url` is
+ * relative to it.
+ *
+ * @param {{ handle: Function }} router - The router to expose.
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<void>}
+ */
+export const createMockMiddleware = (router) => async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let response;
+    try {
+        response = await router.handle({
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body: await readBody(req),
+            ip: req.socket.remoteAddress,
+        });
+    } catch (error) {
+        response = errorResponse(error);
+    }
+    writeResponse(res, response);
+};
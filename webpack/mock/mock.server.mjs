@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * @file mock.server.mjs
+ * @description Local mock of the InterfaceGuard API, served by webpack-dev-server
+ *
+ * @details
+ * The mock lets the whole application (sign-in, token refresh, MFA, passkeys, ...) run offline.
+ * It is mounted on the dev server through `setupMiddlewares`, under the same-origin
+ * prefix in `INTERFACE_GUARD_API_URL` (`/api` by default). Access tokens are signed with
+ * a key generated at start-up, using the issuer and audience the browser expects.
+ *
+ * Key functionalities:
+ * 1. Build the mock API from the client environment (see `mock.api.mjs`).
+ * 2. Serve a stand-in OpenID Connect provider on `/oidc` (see `oidc.provider.mjs`).
+ * 3. Slow down or fail requests on demand (see `mock.faults.mjs`).
+ * 4. Collect the error reports of the SPA on `/client-errors` (see `error.collector.mjs`).
+ * 5. Register them all ahead of the dev server's own middlewares.
+ *
+ * @usage
+ * - Enabled by default with `pnpm start:web`; set `MOCK_API=false` to use a real API.
+ * - `MOCK_API_LATENCY`, `MOCK_API_ERROR_RATE` and `MOCK_API_FAULTS` inject latency and
+ *   errors into the dev server's mock.
+ * - Scripts and unit tests use `mock.api.mjs` and `mock.fetch.mjs` instead, which do not
+ *   read the environment.
+ *
+ * @note
+ * The mock is skipped when `INTERFACE_GUARD_API_URL` points to another origin. The error
+ * collector does not depend on it: it is mounted whenever `INTERFACE_GUARD_ERROR_ENDPOINT`
+ * is `/client-errors`, the default of development builds.
+ */
+
+import getClientEnvironment from '../common/environment/env.mjs';
+import paths from '../common/routes/paths.mjs';
+import { ERROR_COLLECTOR_PATH, createErrorCollector } from './error.collector.mjs';
+import { createMockApi } from './mock.api.mjs';
+import { faultOptionsFromEnv } from './mock.faults.mjs';
+import { passwordPolicyFromEnv } from './mock.password.mjs';
+import { createMockMiddleware } from './mock.router.mjs';
+import { OIDC_PROVIDER_PATH } from './oidc.provider.mjs';
+
+/**
+ * `devServer.setupMiddlewares` hook registering the mock API and the error collector.
+ *
+ * @param {object[]} middlewares - The dev server middlewares.
+ * @returns {object[]} The middlewares, with the mock API first.
+ */
+export const setupMockApi = (middlewares) => {
+    const { raw } = getClientEnvironment(paths.publicUrlOrPath.slice(0, -1));
+    if (raw.INTERFACE_GUARD_ERROR_ENDPOINT === ERROR_COLLECTOR_PATH) {
+        middlewares.unshift({
+            name: 'error-collector',
+            path: ERROR_COLLECTOR_PATH,
+            middleware: createMockMiddleware(createErrorCollector().router),
+        });
+        console.info(`[error-collector] Collecting error reports on ${ERROR_COLLECTOR_PATH}`);
+    }
+
+    const apiUrl = raw.INTERFACE_GUARD_API_URL;
+    if (process.env.MOCK_API === 'false' || !apiUrl.startsWith('/')) {
+        return middlewares;
+    }
+
+    const injected = faultOptionsFromEnv(process.env);
+    const api = createMockApi({
+        issuer: raw.INTERFACE_GUARD_JWT_ISSUER,
+        audience: raw.INTERFACE_GUARD_JWT_AUDIENCE,
+        oidcClientId: raw.INTERFACE_GUARD_OIDC_CLIENT_ID,
+        passwordPolicy: passwordPolicyFromEnv(raw),
+        ...injected,
+    });
+    middlewares.unshift(
+        { name: 'mock-api', path: apiUrl, middleware: createMockMiddleware(api.router) },
+        { name: 'mock-oidc-provider', path: OIDC_PROVIDER_PATH, middleware: createMockMiddleware(api.idpRouter) }
+    );
+    console.info(`[mock-api] Serving the mock API on ${apiUrl} and an OIDC provider on ${OIDC_PROVIDER_PATH}`);
+    const { latency, errorRate, faults } = injected;
+    if (latency || errorRate > 0 || faults.length > 0) {
+        console.info(
+            `[mock-api] Injecting ${latency ? `${latency.min}-${latency.max} ms of latency` : 'no latency'},` +
+                ` errors on ${errorRate * 100}% of requests and ${faults.length} fault rule(s)`
+        );
+    }
+    return middlewares;
+};
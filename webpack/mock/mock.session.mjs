@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * @file mock.session.mjs
+ * @description Session bookkeeping shared by the mock API handlers
+ *
+ * @details
+ * A session is created for every successful sign-in. It owns the current refresh
+ * token (stored as a SHA-256 digest and rotated on each refresh) and is referenced by
+ * the `sid` claim of every access token issued for it, so revoking a session also
+ * invalidates its outstanding access tokens on the mock API.
+ *
+ * A delegated session, opened when someone views the application as another user,
+ * names that someone in `actor`; its tokens carry them in the `act` claim (RFC 8693).
+ * It is read-only: `requireAuth` refuses every request that could change something,
+ * and the session ends with the one it was opened from.
+ */
+
+import { randomUUID } from 'crypto';
+
+import { auditTarget, recordAudit } from './mock.audit.mjs';
+import { digest, randomToken } from './mock.db.mjs';
+import { MockHttpError } from './mock.http.mjs';
+
+/** Refresh token lifetime, in milliseconds. */
+export const REFRESH_TOKEN_TTL = 8 * 60 * 60 * 1000;
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Issues a token pair for `session`, rotating its refresh token.
+ *
+ * @param {{ tokens: object }} context - The mock API context.
+ * @param {object} user - The stored user.
+ * @param {object} session - The stored session.
+ * @returns {Promise<object>} The `AuthTokens`.
+ */
+export const issueTokens = async ({ tokens }, user, session) => {
+    const refreshToken = randomToken();
+    session.refreshTokenHash = digest(refreshToken);
+    session.expiresAt = Date.now() + REFRESH_TOKEN_TTL;
+    const { actor } = session;
+    const act = actor ? { act: { sub: actor.id, email: actor.email, name: actor.name } } : {};
+    return {
+        accessToken: await tokens.sign(user, session, act),
+        refreshToken,
+        expiresIn: tokens.ttl,
+        tokenType: 'Bearer',
+    };
+};
+
+/**
+ * Stores a new session of `user`, without issuing tokens.
+ *
+ * @param {{ db: object }} context - The mock API context.
+ * @param {object} user - The stored user.
+ * @param {object} request - The mock request, for the user agent and address.
+ * @param {string[]} amr - Authentication methods used (`pwd`, `otp`, ...).
+ * @param {{ actor?: { id: string, email: string, name: string }, parentId?: string }} [delegation]
+ *        For a delegated session: who acts, and the ID of the session they act from.
+ * @returns {object} The stored session.
+ */
+export const createSession = ({ db }, user, request, amr, { actor = null, parentId = null } = {}) => {
+    const now = Date.now();
+    const session = {
+        id: randomUUID(),
+        userId: user.id,
+        amr,
+        actor,
+        parentId,
+        createdAt: now,
+        lastSeenAt: now,
+        userAgent: request.headers?.['user-agent'] ?? null,
+        ip: request.ip ?? null,
+    };
+    db.sessions.set(session.id, session);
+    return session;
+};
+
+/**
+ * Tells whether a session may still be used: a delegated one ends with its parent.
+ *
+ * @param {{ db: object }} context - The mock API context.
+ * @param {object} session - The stored session.
+ * @returns {boolean}
+ */
+export const isSessionOpen = ({ db }, session) => !session.parentId || db.sessions.has(session.parentId);
+
+/**
+ * Starts a session for `user` and issues its first token pair. The sign-in is recorded
+ * in the audit log.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @param {object} user - The stored user.
+ * @param {object} request - The mock request, for the user agent and address.
+ * @param {string[]} amr - Authentication methods used (`pwd`, `otp`, ...).
+ * @returns {Promise<object>} The `AuthTokens`.
+ */
+export const startSession = (context, user, request, amr) => {
+    const session = createSession(context, user, request, amr);
+    user.lastLoginAt = new Date(session.createdAt).toISOString();
+    recordAudit(context, request, user, { action: 'auth.login', target: auditTarget(user), tenantId: user.tenantId });
+    return issueTokens(context, user, session);
+};
+
+/**
+ * Ends every session of a user, except `keep`. Their refresh tokens stop working and
+ * their access tokens are rejected from the next request on.
+ *
+ * @param {{ db: object }} context - The mock API context.
+ * @param {string} userId - The user ID.
+ * @param {object | null} [keep] - A session to leave open, usually the caller's.
+ * @returns {number} The number of sessions ended.
+ */
+export const endSessions = ({ db }, userId, keep = null) => {
+    const ended = [...db.sessions.values()].filter((session) => session.userId === userId && session !== keep);
+    for (const session of ended) {
+        db.sessions.delete(session.id);
+    }
+    return ended.length;
+};
+
+/**
+ * Finds the session owning `refreshToken`, if it is still valid.
+ *
+ * @param {{ db: object }} context - The mock API context.
+ * @param {string} refreshToken - The presented refresh token.
+ * @returns {object | undefined} The session.
+ */
+export const findSessionByRefreshToken = ({ db }, refreshToken) => {
+    const hash = digest(refreshToken);
+    const session = [...db.sessions.values()].find((candidate) => candidate.refreshTokenHash === hash);
+    return session && session.expiresAt > Date.now() ? session : undefined;
+};
+
+/**
+ * Authenticates a request from its `Authorization: Bearer` header.
+ *
+ * @param {{ db: object, tokens: object }} context - The mock API context.
+ * @param {object} request - The mock request.
+ * @param {{ delegatedWrite?: boolean }} [options] - `delegatedWrite` lets a delegated
+ *        session through whatever the method, for the request that ends it.
+ * @returns {Promise<{ user: object, session: object, payload: object }>}
+ * @throws {MockHttpError} `401` when the token is missing, invalid or its session ended,
+ * `403` with code `IMPERSONATION_READ_ONLY` for a change requested by a delegated session.
+ */
+export const requireAuth = async (context, request, { delegatedWrite = false } = {}) => {
+    const { db, tokens } = context;
+    const [scheme, token] = String(request.headers?.authorization ?? '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        throw new MockHttpError(401, 'UNAUTHENTICATED', 'Authentication is required.');
+    }
+
+    let payload;
+    try {
+        payload = await tokens.verify(token);
+    } catch {
+        throw new MockHttpError(401, 'TOKEN_INVALID', 'The access token is invalid or expired.');
+    }
+
+    const session = db.sessions.get(payload.sid);
+    const user = db.users.get(payload.sub);
+    if (!session || !user || user.status !== 'active' || !isSessionOpen(context, session)) {
+        throw new MockHttpError(401, 'SESSION_REVOKED', 'The session has ended.');
+    }
+    if (session.actor && !delegatedWrite && !READ_METHODS.includes(request.method)) {
+        throw new MockHttpError(403, 'IMPERSONATION_READ_ONLY', 'Changes are disabled while viewing as another user.');
+    }
+
+    session.lastSeenAt = Date.now();
+    return { user, session, payload };
+};
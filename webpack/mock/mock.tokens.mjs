@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * @file mock.tokens.mjs
+ * @description Signs and verifies the access tokens issued by the mock API
+ *
+ * @details
+ * A fresh ES256 key pair is generated every time the dev server starts, and its public
+ * half is served from `/.well-known/jwks.json`, so the browser verifies mock tokens
+ * exactly like production ones. Tokens carry the private claims described by
+ * `AccessTokenPayload` in `src/interface/session.interface.ts`.
+ *
+ * @usage
+ * const tokens = createTokenIssuer({ issuer, audience });
+ * const accessToken = await tokens.sign(user, session);
+ * const payload = await tokens.verify(accessToken);
+ */
+
+import { randomUUID } from 'crypto';
+import { SignJWT, exportJWK, generateKeyPair, jwtVerify } from 'jose';
+
+/** Access token lifetime, in seconds. */
+export const ACCESS_TOKEN_TTL = 300;
+
+const ALGORITHM = 'ES256';
+
+/**
+ * Creates a token issuer with its own signing key.
+ *
+ * @param {{ issuer: string, audience: string, ttl?: number }} options
+ * @returns {{ sign: Function, verify: Function, jwks: Function, ttl: number }}
+ */
+export const createTokenIssuer = ({ issuer, audience, ttl = ACCESS_TOKEN_TTL }) => {
+    const kid = randomUUID();
+    const keys = generateKeyPair(ALGORITHM);
+
+    /**
+     * Signs an access token for `user` within `session`.
+     *
+     * @param {{ id: string, email: string, name: string, roles: string[], permissions?: string[], tenantId?: string }} user
+     * @param {{ id: string, amr?: string[] }} session
+     * @param {Record<string, unknown>} [extraClaims] - Additional private claims.
+     * @returns {Promise<string>} The compact JWS.
+     */
+    const sign = async (user, session, extraClaims = {}) => {
+        const { privateKey } = await keys;
+        return new SignJWT({
+            email: user.email,
+            name: user.name,
+            roles: user.roles,
+            permissions: user.permissions ?? [],
+            tenant_id: user.tenantId,
+            sid: session.id,
+            amr: session.amr,
+            ...extraClaims,
+        })
+            .setProtectedHeader({ alg: ALGORITHM, kid, typ: 'JWT' })
+            .setIssuer(issuer)
+            .setAudience(audience)
+            .setSubject(user.id)
+            .setJti(randomUUID())
+            .setIssuedAt()
+            .setExpirationTime(`${ttl}s`)
+            .sign(privateKey);
+    };
+
+    /**
+     * Verifies a token issued by {@link sign}.
+     *
+     * @param {string} token - The compact JWS.
+     * @returns {Promise<import('jose').JWTPayload>} The payload.
+     * @throws {Error} When the token is invalid or expired.
+     */
+    const verify = async (token) => {
+        const { publicKey } = await keys;
+        const { payload } = await jwtVerify(token, publicKey, { issuer, audience, algorithms: [ALGORITHM] });
+        return payload;
+    };
+
+    /**
+     * Returns the public JSON Web Key Set.
+     *
+     * @returns {Promise<{ keys: object[] }>}
+     */
+    const jwks = async () => {
+        const { publicKey } = await keys;
+        return { keys: [{ ...(await exportJWK(publicKey)), kid, alg: ALGORITHM, use: 'sig' }] };
+    };
+
+    return { sign, verify, jwks, ttl };
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * @file oidc.provider.mjs
+ * @description Keys, authorization codes and ID tokens of the stand-in OIDC provider
+ *
+ * @details
+ * The stand-in provider lets the OpenID Connect login run offline. It only supports
+ * what the SPA needs: the authorization code flow for a public client with PKCE (S256)
+ * and RS256-signed ID tokens. Its users are the accounts of the mock store and the people
+ * invited to it, picked on a plain HTML page instead of a password form.
+ *
+ * The issuer is derived from the `Host` header of each request, so the same provider
+ * works on any port the dev server listens on.
+ *
+ * @usage
+ * const idp = createOidcProvider({ clientId: 'interface-guard-web' });
+ * const code = idp.issueCode({ ... });
+ * const idToken = await idp.signIdToken(issuer, user, { nonce });
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { SignJWT, exportJWK, generateKeyPair, jwtVerify } from 'jose';
+
+import { randomToken } from './mock.db.mjs';
+import { originFor } from './mock.http.mjs';
+
+/** Path the provider is mounted on. */
+export const OIDC_PROVIDER_PATH = '/oidc';
+
+/** Lifetime of an authorization code, in milliseconds. */
+export const AUTHORIZATION_CODE_TTL = 60 * 1000;
+
+/** Lifetime of an ID token, in seconds. */
+export const ID_TOKEN_TTL = 300;
+
+const ALGORITHM = 'RS256';
+
+/**
+ * Issuer URL of the provider as seen by the browser that sent `request`.
+ *
+ * @param {{ headers?: Record<string, string> }} request - The mock request.
+ * @returns {string} The issuer, e.g. `http://localhost:5114/oidc`.
+ */
+export const issuerFor = (request) => `${originFor(request)}${OIDC_PROVIDER_PATH}`;
+
+/**
+ * Computes the S256 PKCE challenge of a verifier (RFC 7636, section 4.2).
+ *
+ * @param {string} verifier - The code verifier.
+ * @returns {string} The base64url encoded SHA-256 digest.
+ */
+export const s256 = (verifier) => createHash('sha256').update(verifier).digest('base64url');
+
+/**
+ * Creates a stand-in provider with its own signing key.
+ *
+ * @param {{ clientId: string }} options - The only client the provider accepts.
+ * @returns {object} The provider.
+ */
+export const createOidcProvider = ({ clientId }) => {
+    const kid = randomUUID();
+    const keys = generateKeyPair(ALGORITHM);
+    const codes = new Map();
+
+    /**
+     * Stores an authorization request approved for `identity` and returns its code.
+     *
+     * @param {{ identity: { id: string, email: string, name: string }, redirectUri: string, codeChallenge: string, nonce?: string, scope: string }} grant
+     * @returns {string} The single-use code.
+     */
+    const issueCode = (grant) => {
+        const code = randomToken();
+        codes.set(code, { ...grant, expiresAt: Date.now() + AUTHORIZATION_CODE_TTL });
+        return code;
+    };
+
+    /**
+     * Removes and returns the grant of `code`, if it has not expired.
+     *
+     * @param {string} code - The authorization code.
+     * @returns {object | undefined} The grant.
+     */
+    const redeemCode = (code) => {
+        const grant = codes.get(code);
+        codes.delete(code);
+        return grant && grant.expiresAt > Date.now() ? grant : undefined;
+    };
+
+    /**
+     * Signs an ID token for `user`.
+     *
+     * @param {string} issuer - The issuer URL.
+     * @param {{ id: string, email: string, name: string }} user - The identity; an empty
+     *        name is left out.
+     * @param {{ nonce?: string }} options
+     * @returns {Promise<string>} The compact JWS.
+     */
+    const signIdToken = async (issuer, user, { nonce }) => {
+        const { privateKey } = await keys;
+        return new SignJWT({
+            email: user.email,
+            email_verified: true,
+            ...(user.name ? { name: user.name } : {}),
+            nonce,
+            auth_time: Math.floor(Date.now() / 1000),
+        })
+            .setProtectedHeader({ alg: ALGORITHM, kid, typ: 'JWT' })
+            .setIssuer(issuer)
+            .setAudience(clientId)
+            .setSubject(user.id)
+            .setIssuedAt()
+            .setExpirationTime(`${ID_TOKEN_TTL}s`)
+            .sign(privateKey);
+    };
+
+    /**
+     * Verifies an ID token issued by {@link signIdToken}.
+     *
+     * @param {string} idToken - The compact JWS.
+     * @param {string} issuer - The expected issuer.
+     * @returns {Promise<import('jose').JWTPayload>} The payload.
+     * @throws {Error} When the token is invalid or expired.
+     */
+    const verifyIdToken = async (idToken, issuer) => {
+        const { publicKey } = await keys;
+        const { payload } = await jwtVerify(idToken, publicKey, {
+            issuer,
+            audience: clientId,
+            algorithms: [ALGORITHM],
+        });
+        return payload;
+    };
+
+    /**
+     * Returns the public JSON Web Key Set.
+     *
+     * @returns {Promise<{ keys: object[] }>}
+     */
+    const jwks = async () => {
+        const { publicKey } = await keys;
+        return { keys: [{ ...(await exportJWK(publicKey)), kid, alg: ALGORITHM, use: 'sig' }] };
+    };
+
+    return { clientId, issueCode, redeemCode, signIdToken, verifyIdToken, jwks };
+};
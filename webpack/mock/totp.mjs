@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * @file totp.mjs
+ * @description RFC 6238 time-based one-time passwords for the mock API
+ *
+ * @details
+ * Implements HOTP (RFC 4226) and TOTP (RFC 6238) with Node.js `crypto` only, using
+ * the parameters authenticator apps expect by default: HMAC-SHA1, 6 digits and a
+ * 30 second step. Secrets are exchanged in unpadded base32 (RFC 4648), the format of
+ * the `secret` parameter of `otpauth://` URIs.
+ *
+ * @usage
+ * const secret = generateSecret();
+ * const uri = otpauthUri({ secret, issuer: 'InterfaceGuard', account: 'jane@example.com' });
+ * const counter = verifyTotp(secret, '123456'); // null when the code is wrong
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc6238
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP = 30;
+
+/**
+ * Encodes bytes as unpadded base32.
+ *
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+export const base32Encode = (bytes) => {
+    let output = '';
+    let value = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes a base32 string. Case, spaces and padding are ignored.
+ *
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} When the input contains characters outside the base32 alphabet.
+ */
+export const base32Decode = (input) => {
+    const bytes = [];
+    let value = 0;
+    let bits = 0;
+    for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${char}".`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random 160-bit secret, the key size recommended by RFC 4226.
+ *
+ * @returns {string} The base32 encoded secret.
+ */
+export const generateSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Computes an HOTP value (RFC 4226, section 5.3).
+ *
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The moving factor.
+ * @param {number} [digits] - Number of digits of the code.
+ * @returns {string} The zero-padded code.
+ */
+export const hotp = (key, counter, digits = TOTP_DIGITS) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hash = createHmac('sha1', key).update(message).digest();
+    const offset = hash[hash.length - 1] & 0xf;
+    const binary =
+        ((hash[offset] & 0x7f) << 24) |
+        (hash[offset + 1] << 16) |
+        (hash[offset + 2] << 8) |
+        hash[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Returns the TOTP time step containing `time`.
+ *
+ * @param {number} [time] - Epoch time in milliseconds.
+ * @returns {number} The step counter.
+ */
+export const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP);
+
+/**
+ * Computes the TOTP code of `secret` at `time`.
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {number} [time] - Epoch time in milliseconds.
+ * @returns {string} The code.
+ */
+export const totp = (secret, time = Date.now()) => hotp(base32Decode(secret), timeStep(time));
+
+/**
+ * Checks a TOTP code, accepting `window` steps of clock drift on each side.
+ *
+ * Returns the matched step counter so the caller can refuse to accept the same code
+ * twice (RFC 6238, section 5.2).
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {{ window?: number, time?: number }} [options]
+ * @returns {number | null} The matched counter, or `null` when the code is wrong.
+ */
+export const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    const candidate = Buffer.from(String(code).replace(/\s/g, ''));
+    if (candidate.length !== TOTP_DIGITS) {
+        return null;
+    }
+    const key = base32Decode(secret);
+    const current = timeStep(time);
+    for (let drift = -window; drift <= window; drift += 1) {
+        const expected = Buffer.from(hotp(key, current + drift));
+        if (timingSafeEqual(expected, candidate)) {
+            return current + drift;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the `otpauth://totp/...` URI authenticator apps read from QR codes.
+ *
+ * @param {{ secret: string, issuer: string, account: string }} options
+ * @returns {string} The provisioning URI.
+ */
+export const otpauthUri = ({ secret, issuer, account }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+
+import { TOTP_STEP, base32Decode, base32Encode, hotp, timeStep, totp, verifyTotp } from './totp.mjs';
+
+// The SHA-1 seed of RFC 6238, appendix B.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const NOW = 1_700_000_000_000;
+const STEP_MS = TOTP_STEP * 1000;
+
+describe('hotp', () => {
+    it.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130'],
+    ])('matches the RFC 6238 SHA-1 vector at T = %i', (seconds, code) => {
+        expect(hotp(base32Decode(RFC_SECRET), timeStep(seconds * 1000), 8)).toBe(code);
+    });
+});
+
+describe('base32', () => {
+    it('round-trips bytes and ignores case, spaces and padding', () => {
+        expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString()).toBe('12345678901234567890');
+    });
+
+    it('refuses characters outside the alphabet', () => {
+        expect(() => base32Decode('GEZ1')).toThrow(/Invalid base32 character "1"/);
+    });
+});
+
+describe('verifyTotp', () => {
+    it('accepts the current code and returns its step', () => {
+        expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, NOW), { time: NOW })).toBe(timeStep(NOW));
+    });
+
+    it('accepts a code one step behind or ahead', () => {
+        const previous = totp(RFC_SECRET, NOW - STEP_MS);
+        const next = totp(RFC_SECRET, NOW + STEP_MS);
+
+        expect(verifyTotp(RFC_SECRET, previous, { time: NOW })).toBe(timeStep(NOW) - 1);
+        expect(verifyTotp(RFC_SECRET, next, { time: NOW })).toBe(timeStep(NOW) + 1);
+    });
+
+    it('rejects a code outside the window', () => {
+        const stale = totp(RFC_SECRET, NOW - 2 * STEP_MS);
+        const early = totp(RFC_SECRET, NOW + 2 * STEP_MS);
+
+        expect(verifyTotp(RFC_SECRET, stale, { time: NOW })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, early, { time: NOW })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, stale, { time: NOW, window: 2 })).toBe(timeStep(NOW) - 2);
+        expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, NOW - STEP_MS), { time: NOW, window: 0 })).toBeNull();
+    });
+
+    it('ignores spaces in the code', () => {
+        const code = totp(RFC_SECRET, NOW);
+
+        expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW })).toBe(timeStep(NOW));
+    });
+
+    it('rejects malformed codes', () => {
+        const code = totp(RFC_SECRET, NOW);
+
+        for (const malformed of ['', code.slice(1), `${code}0`, 'abcdef', '１２３４５６', undefined, null]) {
+            expect(verifyTotp(RFC_SECRET, malformed, { time: NOW })).toBeNull();
+        }
+    });
+});
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * @file webauthn.mjs
+ * @description Verification of WebAuthn registration and authentication responses
+ *
+ * @details
+ * Implements the relying-party checks of the Web Authentication specification
+ * (Level 2, sections 7.1 and 7.2) that matter for passkeys, with Node.js `crypto`:
+ * client data type, challenge and origin; RP ID hash; user presence and verification
+ * flags; the `none` and `packed` attestation formats; assertion signatures; and the
+ * signature counter.
+ *
+ * Supported credential algorithms: ES256 (-7), EdDSA (-8) and RS256 (-257).
+ * Attestation certificates are checked for a valid signature but not against a trust
+ * store: the mock accepts any authenticator.
+ *
+ * @usage
+ * const credential = verifyRegistration({ response, expectedChallenge, expectedOrigin, expectedRpId });
+ * const { signCount } = verifyAuthentication({ response, credential, expectedChallenge, ... });
+ *
+ * @see https://www.w3.org/TR/webauthn-2/#sctn-registering-a-new-credential
+ * @see https://www.w3.org/TR/webauthn-2/#sctn-verifying-assertion
+ */
+
+import { X509Certificate, createHash, createPublicKey, verify } from 'crypto';
+
+import { decodeCbor, decodeCborFirst } from './cbor.mjs';
+
+/** COSE algorithm identifiers offered in `pubKeyCredParams`, in order of preference. */
+export const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+/**
+ * Raised when a WebAuthn response fails verification.
+ */
+export class WebAuthnVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebAuthnVerificationError';
+    }
+}
+
+const fail = (message) => {
+    throw new WebAuthnVerificationError(message);
+};
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+const fromBase64url = (value, field) => {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+        fail(`"${field}" must be a base64url string.`);
+    }
+    return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Parses authenticator data (section 6.1).
+ *
+ * @param {Buffer} authData - The raw authenticator data.
+ * @returns {object} RP ID hash, flags, counter and, when present, the attested credential.
+ */
+export const parseAuthenticatorData = (authData) => {
+    if (authData.length < 37) {
+        fail('Authenticator data is too short.');
+    }
+    const flags = authData[32];
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        userPresent: Boolean(flags & 0x01),
+        userVerified: Boolean(flags & 0x04),
+        signCount: authData.readUInt32BE(33),
+    };
+    if (!(flags & 0x40)) {
+        return parsed;
+    }
+
+    if (authData.length < 55) {
+        fail('Attested credential data is truncated.');
+    }
+    const idLength = authData.readUInt16BE(53);
+    const keyOffset = 55 + idLength;
+    let coseKey;
+    try {
+        coseKey = decodeCbor(authData, keyOffset).value;
+    } catch (error) {
+        fail(`The credential public key is malformed: ${error.message}`);
+    }
+    return {
+        ...parsed,
+        aaguid: authData.subarray(37, 53).toString('hex'),
+        credentialId: authData.subarray(55, keyOffset),
+        coseKey,
+    };
+};
+
+/**
+ * Converts a COSE public key (RFC 9053) to a JWK.
+ *
+ * @param {Map<number, unknown>} coseKey - The decoded COSE key.
+ * @returns {{ alg: number, jwk: object }} The algorithm and the key.
+ */
+export const coseKeyToJwk = (coseKey) => {
+    if (!(coseKey instanceof Map)) {
+        fail('The credential public key is not a COSE key.');
+    }
+    const alg = coseKey.get(3);
+    const encode = (label) => Buffer.from(coseKey.get(label) ?? []).toString('base64url');
+
+    if (alg === -7 && coseKey.get(1) === 2 && coseKey.get(-1) === 1) {
+        return { alg, jwk: { kty: 'EC', crv: 'P-256', x: encode(-2), y: encode(-3) } };
+    }
+    if (alg === -8 && coseKey.get(1) === 1 && coseKey.get(-1) === 6) {
+        return { alg, jwk: { kty: 'OKP', crv: 'Ed25519', x: encode(-2) } };
+    }
+    if (alg === -257 && coseKey.get(1) === 3) {
+        return { alg, jwk: { kty: 'RSA', n: encode(-1), e: encode(-2) } };
+    }
+    return fail(`Unsupported credential algorithm ${alg}.`);
+};
+
+/**
+ * Verifies a WebAuthn signature.
+ *
+ * @param {number} alg - COSE algorithm of the key.
+ * @param {import('crypto').KeyObject} key - The public key.
+ * @param {Buffer} data - The signed data.
+ * @param {Buffer} signature - The signature (DER for ECDSA).
+ * @returns {boolean} Whether the signature is valid.
+ */
+const verifySignature = (alg, key, data, signature) => {
+    try {
+        return verify(alg === -8 ? null : 'sha256', data, key, signature);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Checks the client data shared by both ceremonies.
+ *
+ * @param {string} clientDataJSON - base64url encoded client data.
+ * @param {{ type: string, expectedChallenge: string, expectedOrigin: string }} expected
+ * @returns {Buffer} The raw client data.
+ */
+const checkClientData = (clientDataJSON, { type, expectedChallenge, expectedOrigin }) => {
+    const raw = fromBase64url(clientDataJSON, 'clientDataJSON');
+    let clientData;
+    try {
+        clientData = JSON.parse(raw.toString('utf8'));
+    } catch {
+        fail('clientDataJSON is not valid JSON.');
+    }
+    if (clientData.type !== type) {
+        fail(`Expected a ${type} ceremony.`);
+    }
+    if (clientData.challenge !== expectedChallenge) {
+        fail('The challenge does not match.');
+    }
+    if (clientData.origin !== expectedOrigin) {
+        fail(`Unexpected origin ${clientData.origin}.`);
+    }
+    return raw;
+};
+
+/**
+ * Checks the RP ID hash and the user flags of parsed authenticator data.
+ *
+ * @param {object} authData - The parsed authenticator data.
+ * @param {{ expectedRpId: string, requireUserVerification: boolean }} expected
+ */
+const checkAuthenticatorData = (authData, { expectedRpId, requireUserVerification }) => {
+    if (!sha256(expectedRpId).equals(authData.rpIdHash)) {
+        fail('The RP ID hash does not match.');
+    }
+    if (!authData.userPresent) {
+        fail('User presence is required.');
+    }
+    if (requireUserVerification && !authData.userVerified) {
+        fail('User verification is required.');
+    }
+};
+
+/**
+ * Reads the challenge of a response without verifying it, to find the matching
+ * server-side ceremony.
+ *
+ * @param {{ response?: { clientDataJSON?: string } }} credential - The credential JSON.
+ * @returns {string | undefined} The challenge.
+ */
+export const challengeOf = (credential) => {
+    try {
+        return JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8'))
+            .challenge;
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Verifies a registration response (`navigator.credentials.create`).
+ *
+ * @param {object} options
+ * @param {object} options.response - `RegistrationResponseJSON` sent by the browser.
+ * @param {string} options.expectedChallenge - The challenge issued for this ceremony.
+ * @param {string} options.expectedOrigin - Origin of the application.
+ * @param {string} options.expectedRpId - The relying party ID.
+ * @param {boolean} [options.requireUserVerification]
+ * @returns {{ credentialId: string, publicKeyJwk: object, alg: number, signCount: number, aaguid: string, transports: string[] }}
+ * @throws {WebAuthnVerificationError} When the response must be rejected.
+ */
+export const verifyRegistration = ({
+    response,
+    expectedChallenge,
+    expectedOrigin,
+    expectedRpId,
+    requireUserVerification = true,
+}) => {
+    if (response?.type !== 'public-key') {
+        fail('Expected a public-key credential.');
+    }
+    const clientData = checkClientData(response.response?.clientDataJSON, {
+        type: 'webauthn.create',
+        expectedChallenge,
+        expectedOrigin,
+    });
+
+    let attestation;
+    try {
+        attestation = decodeCborFirst(fromBase64url(response.response.attestationObject, 'attestationObject'));
+    } catch (error) {
+        fail(error instanceof WebAuthnVerificationError ? error.message : 'The attestation object is malformed.');
+    }
+    const rawAuthData = Buffer.from(attestation.get('authData') ?? []);
+    const authData = parseAuthenticatorData(rawAuthData);
+    checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+    if (!authData.credentialId) {
+        fail('The attestation does not contain a credential.');
+    }
+
+    const credentialId = authData.credentialId.toString('base64url');
+    if (credentialId !== response.id) {
+        fail('The credential ID does not match the attested credential.');
+    }
+    const { alg, jwk } = coseKeyToJwk(authData.coseKey);
+    const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
+
+    const format = attestation.get('fmt');
+    const statement = attestation.get('attStmt') ?? new Map();
+    const signed = Buffer.concat([rawAuthData, sha256(clientData)]);
+    if (format === 'packed') {
+        const signature = Buffer.from(statement.get('sig') ?? []);
+        const certificates = statement.get('x5c');
+        // With x5c the statement is signed by the attestation certificate, otherwise by the
+        // credential itself (self attestation).
+        const signer = certificates?.length ? new X509Certificate(Buffer.from(certificates[0])).publicKey : publicKey;
+        const verified =
+            (certificates?.length || statement.get('alg') === alg) &&
+            verifySignature(statement.get('alg'), signer, signed, signature);
+        if (!verified) {
+            fail('The packed attestation signature is invalid.');
+        }
+    } else if (format !== 'none') {
+        fail(`Unsupported attestation format "${format}".`);
+    }
+
+    return {
+        credentialId,
+        publicKeyJwk: jwk,
+        alg,
+        signCount: authData.signCount,
+        aaguid: authData.aaguid,
+        transports: Array.isArray(response.response.transports) ? response.response.transports : [],
+    };
+};
+
+/**
+ * Verifies an authentication response (`navigator.credentials.get`).
+ *
+ * @param {object} options
+ * @param {object} options.response - `AuthenticationResponseJSON` sent by the browser.
+ * @param {{ publicKeyJwk: object, alg: number, signCount: number }} options.credential - The stored credential.
+ * @param {string} options.expectedChallenge - The challenge issued for this ceremony.
+ * @param {string} options.expectedOrigin - Origin of the application.
+ * @param {string} options.expectedRpId - The relying party ID.
+ * @param {boolean} [options.requireUserVerification]
+ * @returns {{ signCount: number }} The new signature counter.
+ * @throws {WebAuthnVerificationError} When the response must be rejected.
+ */
+export const verifyAuthentication = ({
+    response,
+    credential,
+    expectedChallenge,
+    expectedOrigin,
+    expectedRpId,
+    requireUserVerification = true,
+}) => {
+    if (response?.type !== 'public-key') {
+        fail('Expected a public-key credential.');
+    }
+    const clientData = checkClientData(response.response?.clientDataJSON, {
+        type: 'webauthn.get',
+        expectedChallenge,
+        expectedOrigin,
+    });
+    const rawAuthData = fromBase64url(response.response.authenticatorData, 'authenticatorData');
+    const authData = parseAuthenticatorData(rawAuthData);
+    checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+
+    const publicKey = createPublicKey({ key: credential.publicKeyJwk, format: 'jwk' });
+    const signed = Buffer.concat([rawAuthData, sha256(clientData)]);
+    const signature = fromBase64url(response.response.signature, 'signature');
+    if (!verifySignature(credential.alg, publicKey, signed, signature)) {
+        fail('The assertion signature is invalid.');
+    }
+
+    // A counter that does not increase suggests a cloned authenticator (section 6.1.1).
+    // Authenticators that do not implement counters always report 0.
+    if ((authData.signCount !== 0 || credential.signCount !== 0) && authData.signCount <= credential.signCount) {
+        fail('The signature counter did not increase.');
+    }
+    return { signCount: authData.signCount };
+};
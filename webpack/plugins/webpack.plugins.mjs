@@ -188,7 +188,9 @@ const plugins = [
     new webpack.ProvidePlugin({
         // https://stackoverflow.com/a/65018686/14239942
         // handle Uncaught ReferenceError: process is not defined
-        process: "process/browser",
+        // The extension is required: ES modules such as Redux Toolkit's `.mjs` builds
+        // only resolve fully specified requests.
+        process: "process/browser.js",
         Buffer: ["buffer", "Buffer"],
     }),
 ].filter(Boolean);
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * @file breached-passwords.mjs
+ * @description Builds the hashed breached-password list bundled with the application
+ *
+ * @details
+ * Reads a plain-text list of leaked passwords, one per line and most common first (such
+ * as the SecLists "common credentials" files), and writes the first `count` of them to
+ * `src/assets/data/breached-passwords.json` as truncated SHA-256 digests:
+ *
+ * `{ "algorithm": "SHA-256", "digestLength": 12, "hashes": ["0b14d501a594", ...] }`
+ *
+ * Passwords are lower-cased before hashing, so the check also catches `Password1` when
+ * `password1` is listed. Only digests are shipped: the bundle never contains the words
+ * themselves. Twelve hex digits keep the file small while making accidental matches
+ * negligible for a list of this size.
+ *
+ * The browser (`src/services/password/password.breach.ts`) and the mock API
+ * (`webpack/mock/mock.password.mjs`) read the same file.
+ *
+ * @usage
+ * node webpack/scripts/breached-passwords.mjs <list.txt> [count=10000]
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.resolve(__dirname, '../../src/assets/data/breached-passwords.json');
+const DIGEST_LENGTH = 12;
+
+const [source, count = '10000'] = process.argv.slice(2);
+if (!source) {
+    console.error('Usage: node webpack/scripts/breached-passwords.mjs <list.txt> [count]');
+    process.exit(1);
+}
+
+const passwords = [
+    ...new Set(
+        fs
+            .readFileSync(source, 'utf8')
+            .split(/\r?\n/)
+            .map((line) => line.trim().toLowerCase())
+            .filter(Boolean)
+    ),
+].slice(0, Number(count));
+
+const hashes = passwords
+    .map((password) => createHash('sha256').update(password).digest('hex').slice(0, DIGEST_LENGTH))
+    .sort();
+
+fs.writeFileSync(
+    OUTPUT,
+    `${JSON.stringify({ algorithm: 'SHA-256', digestLength: DIGEST_LENGTH, hashes }, null, '\t')}\n`
+);
+console.info(`Wrote ${hashes.length} hashed passwords to ${path.relative(process.cwd(), OUTPUT)}`);